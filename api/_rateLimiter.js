@@ -21,9 +21,11 @@ async function initRateLimiter() {
       console.error('CRITICAL: Rate limiter module failed to load. Applying conservative fallback.', error.message);
       const fallbackCounts = new Map();
       rateLimiter = {
+        // Only the last X-Forwarded-For entry, added by the nearest proxy, can't be forged by the client
         getClientIP: (req) => {
-          return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+          return req.headers['x-forwarded-for']?.split(',').pop()?.trim() ||
                  req.headers['x-real-ip'] ||
+                 req.socket?.remoteAddress ||
                  req.connection?.remoteAddress ||
                  'unknown';
         },
@@ -57,7 +59,7 @@ export async function getClientIP(req) {
   return limiter.getClientIP(req);
 }
 
-export async function checkRateLimitForIP(ip) {
+export async function checkRateLimitForIP(ip, limits) {
   const limiter = await initRateLimiter();
-  return limiter.checkRateLimitForIP(ip);
+  return limiter.checkRateLimitForIP(ip, limits);
 }
@@ -0,0 +1,103 @@
+/**
+ * Admin API for question analytics
+ * Accessible at: /api/admin/analytics (requires ADMIN_TOKEN)
+ *
+ * GET /api/admin/analytics?days=30&interval=day&top=20 - Report: answer sources, KB hit rate,
+ *                                                        LLM fallback rate, top unanswered questions
+ * GET /api/admin/analytics?export=drafts&format=json|csv&minCount=2
+ *                                                      - Unanswered questions as draft knowledge
+ *                                                        base items, importable once answered
+ *
+ * Add ?tenant=<id> for another tenant's questions (default tenant otherwise).
+ */
+
+import { getAnalyticsSink, buildReport, draftKnowledgeItems } from '../../utils/analytics/index.js';
+import { requireAdmin } from '../../utils/auth.js';
+import { knowledgeItemsToCSV } from '../../utils/knowledgeBase.js';
+import { getDefaultTenant, getTenant } from '../../utils/tenants.js';
+import { ERROR_CODES, sendError } from '../../utils/errors.js';
+import { getRequestLogger } from '../../utils/logger.js';
+
+const MAX_DAYS = 365;
+
+/**
+ * Parse a positive integer query parameter
+ * @param {*} value - Query value
+ * @param {number} fallback - Used when the value is missing
+ * @param {number} max - Upper bound
+ * @returns {number|null} - null when the value is invalid
+ */
+function parseCount(value, fallback, max) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 && number <= max ? number : null;
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
+  }
+
+  const tenant = req.query?.tenant ? getTenant(req.query.tenant) : getDefaultTenant();
+  if (!tenant) {
+    return sendError(req, res, ERROR_CODES.NOT_FOUND, `Unknown tenant "${req.query.tenant}".`);
+  }
+
+  const days = parseCount(req.query?.days, 30, MAX_DAYS);
+  const top = parseCount(req.query?.top, 20, 1000);
+  const minCount = parseCount(req.query?.minCount, 1, Number.MAX_SAFE_INTEGER);
+  const interval = req.query?.interval || 'day';
+  if (days === null || top === null || minCount === null || !['day', 'hour'].includes(interval)) {
+    return sendError(req, res, ERROR_CODES.INVALID_REQUEST, 'Invalid query parameters.', {
+      details: [`"days" must be 1-${MAX_DAYS}, "top" 1-1000, "minCount" a positive integer and "interval" "day" or "hour".`],
+    });
+  }
+
+  // Reports contain visitors' questions
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const to = Date.now();
+    const from = to - days * 86400000;
+    const events = await getAnalyticsSink().read({ since: from });
+
+    if (req.query?.export !== undefined) {
+      if (req.query.export !== 'drafts') {
+        return sendError(req, res, ERROR_CODES.INVALID_REQUEST, 'Unknown export. Use export=drafts.');
+      }
+
+      // All unanswered questions, not just the top ones
+      const { topUnanswered } = buildReport(events, { from, to, tenant: tenant.id, top: Infinity });
+      const items = draftKnowledgeItems(topUnanswered, { minCount });
+
+      if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="knowledge-drafts.csv"');
+        return res.status(200).end(knowledgeItemsToCSV(items));
+      }
+
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="knowledge-drafts.json"');
+      return res.status(200).end(JSON.stringify({ items }, null, 2) + '\n');
+    }
+
+    const report = buildReport(events, { from, to, interval, top, tenant: tenant.id });
+    return res.status(200).json({ tenant: tenant.id, ...report });
+  } catch (error) {
+    getRequestLogger(req).error('Admin analytics API error', { error });
+    return sendError(req, res, ERROR_CODES.INTERNAL_ERROR, 'An error occurred while building the report.');
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Admin API for the CV
+ * Accessible at: /api/admin/cv (requires ADMIN_TOKEN)
+ * Add ?tenant=<id> to manage another tenant's CV (default tenant otherwise).
+ *
+ * GET  /api/admin/cv             - Active and previous CV versions
+ * POST /api/admin/cv             - Upload a new CV (PDF, DOCX or Markdown)
+ * POST /api/admin/cv?rollback=1  - Restore the version the last upload replaced
+ *
+ * Uploads are sent as the raw file body (e.g. `Content-Type: application/pdf`) or as JSON
+ * { filename, format?, data } with base64 `data`. The format is detected from the file
+ * itself, then `?format=`, the content type or the file name.
+ */
+
+import { requireAdmin } from '../../utils/auth.js';
+import { detectCVFormat } from '../../utils/cvParser.js';
+import { describeCV } from '../../utils/cvStore.js';
+import { getDefaultTenant, getTenant, getTenantStores } from '../../utils/tenants.js';
+import { codeForStatus, ERROR_CODES, sendError } from '../../utils/errors.js';
+import { getRequestLogger } from '../../utils/logger.js';
+
+/**
+ * Read the uploaded file from the request
+ * @param {Object} req - Incoming request
+ * @returns {Object} - { buffer, filename, format } or { error }
+ */
+function readUpload(req) {
+  const body = req.body;
+
+  if (Buffer.isBuffer(body)) {
+    return { buffer: body, filename: req.query?.filename, format: req.query?.format };
+  }
+
+  if (typeof body === 'string') {
+    return { buffer: Buffer.from(body, 'utf8'), filename: req.query?.filename, format: req.query?.format || 'markdown' };
+  }
+
+  if (body && typeof body === 'object' && typeof body.data === 'string') {
+    return {
+      buffer: Buffer.from(body.data, 'base64'),
+      filename: body.filename,
+      format: body.format || req.query?.format,
+    };
+  }
+
+  return { error: 'Send the CV as the request body, or as JSON { filename, data } with base64 data.' };
+}
+
+/**
+ * Send the outcome of a CV change
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Outgoing response
+ * @param {Object} result - { error, status } or { cv, previous }
+ */
+function sendResult(req, res, result) {
+  if (result.error) {
+    return sendError(req, res, codeForStatus(result.status || 400), result.error);
+  }
+  return res.status(200).json(result);
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const tenant = req.query?.tenant ? getTenant(req.query.tenant) : getDefaultTenant();
+  if (!tenant) {
+    return sendError(req, res, ERROR_CODES.NOT_FOUND, `Unknown tenant "${req.query.tenant}".`);
+  }
+  const cvStore = getTenantStores(tenant).cv;
+
+  try {
+    if (req.method === 'GET') {
+      await cvStore.load();
+      await cvStore.refresh({ force: true });
+      return res.status(200).json({
+        tenant: tenant.id,
+        cv: describeCV(await cvStore.load()),
+        previous: await cvStore.getPrevious(),
+      });
+    }
+
+    if (req.method === 'POST') {
+      if (req.query?.rollback !== undefined) {
+        return sendResult(req, res, await cvStore.rollback());
+      }
+
+      const upload = readUpload(req);
+      if (upload.error) {
+        return sendError(req, res, ERROR_CODES.INVALID_REQUEST, upload.error);
+      }
+
+      const format = detectCVFormat(upload.buffer, {
+        format: upload.format,
+        contentType: req.headers['content-type'],
+        filename: upload.filename,
+      });
+      if (!format) {
+        return sendError(req, res, ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, 'Unsupported CV format. Upload a PDF, DOCX or Markdown file.');
+      }
+
+      return sendResult(req, res, await cvStore.replace(upload.buffer, { format, filename: upload.filename }));
+    }
+
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET or POST.');
+  } catch (error) {
+    getRequestLogger(req).error('Admin CV API error', { error });
+    return sendError(req, res, ERROR_CODES.INTERNAL_ERROR, 'An error occurred while changing the CV.');
+  }
+}
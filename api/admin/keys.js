@@ -0,0 +1,105 @@
+/**
+ * Admin API for client API keys
+ * Accessible at: /api/admin/keys (requires ADMIN_TOKEN)
+ *
+ * GET    /api/admin/keys                     - List keys (add ?tenant=<id> for one tenant's keys)
+ * GET    /api/admin/keys?id=key_1a2b         - Get one key
+ * POST   /api/admin/keys                     - Issue a key { name, tenant, allowedOrigins, tier, features }
+ * POST   /api/admin/keys?id=key_1a2b&rotate=1 - Replace a key's secret { gracePeriod (seconds) }
+ * PATCH  /api/admin/keys?id=key_1a2b         - Change name, allowedOrigins, tier or features
+ * DELETE /api/admin/keys?id=key_1a2b         - Revoke a key
+ *
+ * Issuing and rotating return the raw key once; only its hash is stored.
+ */
+
+import { getApiKeyStore } from '../../utils/apiKeys.js';
+import { requireAdmin } from '../../utils/auth.js';
+import { getTenant } from '../../utils/tenants.js';
+import { codeForStatus, ERROR_CODES, sendError } from '../../utils/errors.js';
+import { getRequestLogger } from '../../utils/logger.js';
+
+/**
+ * Send the outcome of a key change
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Outgoing response
+ * @param {Object} result - { error, status, details } or a success payload
+ * @param {number} [successStatus] - Status for a successful change
+ */
+function sendResult(req, res, result, successStatus = 200) {
+  if (result.error) {
+    return sendError(req, res, codeForStatus(result.status || 400), result.error, { details: result.details });
+  }
+  return res.status(successStatus).json(result);
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  // Keys are never cached; a response may contain a raw key
+  res.setHeader('Cache-Control', 'no-store');
+
+  const keys = getApiKeyStore();
+  const id = req.query?.id;
+
+  try {
+    if (req.method === 'GET') {
+      if (id !== undefined) {
+        const apiKey = await keys.get(id);
+        if (!apiKey) {
+          return sendError(req, res, ERROR_CODES.NOT_FOUND, `API key ${id} not found.`);
+        }
+        return res.status(200).json({ apiKey });
+      }
+
+      const tenant = req.query?.tenant;
+      if (tenant && !getTenant(tenant)) {
+        return sendError(req, res, ERROR_CODES.NOT_FOUND, `Unknown tenant "${tenant}".`);
+      }
+      const apiKeys = await keys.list({ tenant });
+      return res.status(200).json({ count: apiKeys.length, apiKeys });
+    }
+
+    if (req.method === 'POST') {
+      if (req.query?.rotate !== undefined) {
+        if (!id) {
+          return sendError(req, res, ERROR_CODES.INVALID_REQUEST, 'An "id" query parameter is required.');
+        }
+        const gracePeriod = req.body?.gracePeriod ?? (req.query.gracePeriod !== undefined ? Number(req.query.gracePeriod) : 0);
+        return sendResult(req, res, await keys.rotate(id, { gracePeriod }));
+      }
+
+      // ?tenant= works like on the other admin endpoints when the body doesn't name one
+      const fields = req.query?.tenant && req.body && typeof req.body === 'object' && req.body.tenant === undefined
+        ? { ...req.body, tenant: req.query.tenant }
+        : req.body;
+      return sendResult(req, res, await keys.issue(fields), 201);
+    }
+
+    if (req.method === 'PATCH' || req.method === 'DELETE') {
+      if (!id) {
+        return sendError(req, res, ERROR_CODES.INVALID_REQUEST, 'An "id" query parameter is required.');
+      }
+
+      if (req.method === 'DELETE') {
+        return sendResult(req, res, await keys.revoke(id));
+      }
+      return sendResult(req, res, await keys.update(id, req.body));
+    }
+
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET, POST, PATCH or DELETE.');
+  } catch (error) {
+    getRequestLogger(req).error('Admin keys API error', { error });
+    return sendError(req, res, ERROR_CODES.INTERNAL_ERROR, 'An error occurred while managing API keys.');
+  }
+}
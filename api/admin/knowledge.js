@@ -0,0 +1,159 @@
+/**
+ * Admin API for the knowledge base
+ * Accessible at: /api/admin/knowledge (requires ADMIN_TOKEN)
+ *
+ * GET    /api/admin/knowledge                    - List items
+ * GET    /api/admin/knowledge?id=3               - Get one item
+ * GET    /api/admin/knowledge?format=json|csv    - Export as a downloadable file
+ * POST   /api/admin/knowledge                    - Create an item
+ * POST   /api/admin/knowledge?import=1&mode=merge - Bulk import (JSON { items } or CSV body)
+ * PUT    /api/admin/knowledge?id=3               - Replace an item
+ * PATCH  /api/admin/knowledge?id=3               - Update some fields of an item
+ * DELETE /api/admin/knowledge?id=3               - Delete an item
+ *
+ * Changes are validated, persisted through the storage adapter and picked up by the chat
+ * endpoint without a redeploy. Add ?tenant=<id> to manage another tenant's knowledge base
+ * (default tenant otherwise).
+ */
+
+import { requireAdmin } from '../../utils/auth.js';
+import { knowledgeItemsFromCSV, knowledgeItemsToCSV } from '../../utils/knowledgeBase.js';
+import { getDefaultTenant, getTenant, getTenantStores } from '../../utils/tenants.js';
+import { codeForStatus, ERROR_CODES, sendError } from '../../utils/errors.js';
+import { getRequestLogger } from '../../utils/logger.js';
+
+/**
+ * Parse the `id` query parameter
+ * @param {Object} req - Incoming request
+ * @returns {number|null}
+ */
+function getItemId(req) {
+  const id = Number(req.query?.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Send the outcome of a knowledge base change
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Outgoing response
+ * @param {Object} result - { error, status, details } or a success payload
+ * @param {number} [successStatus] - Status for a successful change
+ */
+function sendResult(req, res, result, successStatus = 200) {
+  if (result.error) {
+    return sendError(req, res, codeForStatus(result.status || 400), result.error, { details: result.details });
+  }
+  return res.status(successStatus).json(result);
+}
+
+/**
+ * Read items from an import request
+ * JSON bodies carry { items, mode }; a CSV body is accepted as text/csv or with ?format=csv.
+ * @param {Object} req - Incoming request
+ * @returns {Object} - { items } or { error }
+ */
+function readImport(req) {
+  const contentType = req.headers['content-type'] || '';
+  const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body;
+
+  if (typeof body === 'string' || contentType.includes('text/csv') || req.query?.format === 'csv') {
+    if (typeof body !== 'string' || body.trim().length === 0) {
+      return { error: 'CSV import body is empty.' };
+    }
+    try {
+      return { items: knowledgeItemsFromCSV(body) };
+    } catch (error) {
+      return { error: `Invalid CSV: ${error.message}` };
+    }
+  }
+
+  if (!body || !Array.isArray(body.items)) {
+    return { error: 'Import body must be JSON with an "items" array, or CSV.' };
+  }
+  return { items: body.items };
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const tenant = req.query?.tenant ? getTenant(req.query.tenant) : getDefaultTenant();
+  if (!tenant) {
+    return sendError(req, res, ERROR_CODES.NOT_FOUND, `Unknown tenant "${req.query.tenant}".`);
+  }
+  const knowledge = getTenantStores(tenant).knowledge;
+
+  try {
+    const id = getItemId(req);
+
+    if (req.method === 'GET') {
+      await knowledge.refresh({ force: true });
+      const items = knowledge.getItems();
+
+      if (req.query?.id !== undefined) {
+        const item = id && items.find(existing => existing.id === id);
+        if (!item) {
+          return sendError(req, res, ERROR_CODES.NOT_FOUND, `Knowledge base item ${req.query.id} not found.`);
+        }
+        return res.status(200).json({ item });
+      }
+
+      if (req.query?.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="knowledge.csv"');
+        return res.status(200).end(knowledgeItemsToCSV(items));
+      }
+
+      if (req.query?.format === 'json') {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="knowledge.json"');
+        return res.status(200).end(JSON.stringify({ items }, null, 2) + '\n');
+      }
+
+      return res.status(200).json({ count: items.length, items });
+    }
+
+    if (req.method === 'POST') {
+      if (req.query?.import !== undefined) {
+        const imported = readImport(req);
+        if (imported.error) {
+          return sendError(req, res, ERROR_CODES.INVALID_REQUEST, imported.error);
+        }
+        const mode = req.query.mode || req.body?.mode || 'merge';
+        return sendResult(req, res, await knowledge.importItems(imported.items, mode));
+      }
+
+      return sendResult(req, res, await knowledge.createItem(req.body), 201);
+    }
+
+    if (req.method === 'PUT' || req.method === 'PATCH' || req.method === 'DELETE') {
+      if (!id) {
+        return sendError(req, res, ERROR_CODES.INVALID_REQUEST, 'A numeric "id" query parameter is required.');
+      }
+
+      if (req.method === 'DELETE') {
+        return sendResult(req, res, await knowledge.deleteItem(id));
+      }
+
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return sendError(req, res, ERROR_CODES.INVALID_REQUEST, 'Request body must be a JSON object.');
+      }
+      return sendResult(req, res, await knowledge.updateItem(id, req.body, { replace: req.method === 'PUT' }));
+    }
+
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET, POST, PUT, PATCH or DELETE.');
+  } catch (error) {
+    getRequestLogger(req).error('Admin knowledge API error', { error });
+    return sendError(req, res, ERROR_CODES.INTERNAL_ERROR, 'An error occurred while changing the knowledge base.');
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Admin API for captured leads
+ * Accessible at: /api/admin/leads (requires ADMIN_TOKEN)
+ *
+ * GET /api/admin/leads?days=30              - Leads of the last days, newest first
+ * GET /api/admin/leads?days=30&format=csv   - The same as a CSV download
+ *
+ * Add ?tenant=<id> for another tenant's leads (default tenant otherwise). Leads are read from
+ * the first sink in LEADS_SINK that stores them ("file" or "memory"); webhook and SMTP sinks
+ * only deliver.
+ */
+
+import { listLeads } from '../../utils/leads/index.js';
+import { requireAdmin } from '../../utils/auth.js';
+import { stringifyCSV } from '../../utils/csv.js';
+import { ERROR_CODES, sendError } from '../../utils/errors.js';
+import { getDefaultTenant, getTenant } from '../../utils/tenants.js';
+import { getRequestLogger } from '../../utils/logger.js';
+
+const MAX_DAYS = 365;
+
+const CSV_COLUMNS = ['timestamp', 'name', 'email', 'company', 'message', 'id', 'conversationId'];
+
+/**
+ * Keeps visitor text from being run as a spreadsheet formula ("=HYPERLINK(...)")
+ * @param {*} value
+ * @returns {*}
+ */
+function spreadsheetSafe(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
+  }
+
+  const tenant = req.query?.tenant ? getTenant(req.query.tenant) : getDefaultTenant();
+  if (!tenant) {
+    return sendError(req, res, ERROR_CODES.NOT_FOUND, `Unknown tenant "${req.query.tenant}".`);
+  }
+
+  const days = req.query?.days === undefined || req.query.days === '' ? 30 : Number(req.query.days);
+  const format = req.query?.format || 'json';
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS || !['json', 'csv'].includes(format)) {
+    return sendError(req, res, ERROR_CODES.INVALID_REQUEST, 'Invalid query parameters.', {
+      details: [`"days" must be 1-${MAX_DAYS} and "format" "json" or "csv".`],
+    });
+  }
+
+  // Leads hold visitors' contact details
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const leads = await listLeads({ tenant: tenant.id, since: Date.now() - days * 86400000 });
+    if (!leads) {
+      return sendError(req, res, ERROR_CODES.NOT_IMPLEMENTED, 'None of the configured lead sinks can list leads.', {
+        details: ['Add "file" (or "memory") to LEADS_SINK, e.g. LEADS_SINK=file,webhook.'],
+      });
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="leads.csv"');
+      return res.status(200).end(stringifyCSV(leads.map(lead => Object.fromEntries(CSV_COLUMNS.map(column => [column, spreadsheetSafe(lead[column])]))), CSV_COLUMNS));
+    }
+
+    return res.status(200).json({ tenant: tenant.id, count: leads.length, leads });
+  } catch (error) {
+    getRequestLogger(req).error('Admin leads API error', { error });
+    return sendError(req, res, ERROR_CODES.INTERNAL_ERROR, 'An error occurred while listing leads.');
+  }
+}
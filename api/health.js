@@ -1,9 +1,17 @@
 /**
  * Health check endpoint
- * Accessible at: https://your-domain.vercel.app/api/health
+ * Accessible at: https://your-domain.vercel.app/api/health (?tenant=<id> for another tenant)
  */
 
+import { getLLMUsage } from '../utils/quotas.js';
+import { authenticateRequest } from '../utils/apiKeys.js';
+import { getTenantStores } from '../utils/tenants.js';
+import { codeForStatus, ERROR_CODES, getRequestId, sendError } from '../utils/errors.js';
+import { getRequestLogger } from '../utils/logger.js';
+
 export default async function handler(req, res) {
+  getRequestId(req, res);
+
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -15,14 +23,46 @@ export default async function handler(req, res) {
   }
 
   if (req.method !== 'GET') {
-    return res.status(405).json({
-      error: 'Method not allowed. Use GET.',
-    });
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
+  }
+
+  const { tenant, error, status } = await authenticateRequest(req);
+  if (error) {
+    return sendError(req, res, codeForStatus(status), error);
+  }
+
+  let cv;
+  let llmUsage;
+  try {
+    // Report which CV version is being served
+    const stores = getTenantStores(tenant);
+    cv = await stores.cv.load();
+    await stores.cv.refresh();
+
+    // "kb-only" once today's LLM cap is reached
+    llmUsage = await getLLMUsage();
+  } catch (error) {
+    getRequestLogger(req).error('Health check failed', { error });
+    return sendError(req, res, ERROR_CODES.INTERNAL_ERROR, 'The health check failed.');
   }
 
   return res.status(200).json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    tenant: tenant.id,
+    cv: {
+      version: cv.version,
+      parsedAt: cv.parsedAt,
+      format: cv.format,
+      length: cv.text.length,
+    },
+    llm: {
+      mode: llmUsage.capReached ? 'kb-only' : 'normal',
+      date: llmUsage.date,
+      tokens: llmUsage.tokens,
+      calls: llmUsage.calls,
+      cap: llmUsage.cap,
+    },
   });
 }
@@ -1,8 +1,62 @@
 /**
  * Root endpoint - serves HTML page
  * Accessible at: https://your-domain.vercel.app/
+ * The endpoint list is rendered from the OpenAPI document (see utils/openapi.js).
  */
 
+import { API_VERSION, OPENAPI_SPEC, listOperations } from '../utils/openapi.js';
+import { ERROR_CODES, ERROR_STATUS, getRequestId, sendError } from '../utils/errors.js';
+
+/**
+ * Escapes text for HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the endpoint list, one section per OpenAPI tag
+ * @returns {string} - HTML
+ */
+function renderEndpoints() {
+  const operations = listOperations();
+  return OPENAPI_SPEC.tags.map(tag => {
+    const endpoints = operations
+      .filter(({ operation }) => operation.tags.includes(tag.name))
+      .map(({ path, method, operation }) => {
+        const example = operation.requestBody?.content['application/json']?.example;
+        return `
+        <div class="endpoint">
+            <span class="method">${method.toUpperCase()}</span>
+            <code>${escapeHTML(path)}</code>
+            <p>${escapeHTML(operation.summary)}</p>${example ? `
+            <pre style="background: #f1f1f1; padding: 10px; border-radius: 5px; overflow-x: auto;">${escapeHTML(JSON.stringify(example, null, 2))}</pre>` : ''}
+        </div>`;
+      })
+      .join('\n');
+    return `
+        <h3>${escapeHTML(tag.name)}</h3>
+        <p>${escapeHTML(tag.description)}</p>
+${endpoints}`;
+  }).join('\n');
+}
+
+/**
+ * Renders the error codes with their HTTP status
+ * @returns {string} - HTML
+ */
+function renderErrorCodes() {
+  return Object.values(ERROR_CODES)
+    .map(code => `            <li><code>${code}</code> (${ERROR_STATUS[code]})</li>`)
+    .join('\n');
+}
+
 const HTML_CONTENT = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -59,28 +113,8 @@ const HTML_CONTENT = `<!DOCTYPE html>
         <p class="status">✅ API is running</p>
         
         <h2>Available Endpoints</h2>
-        
-        <div class="endpoint">
-            <span class="method">POST</span>
-            <code>/api/chat</code>
-            <p>Send a message to the chatbot</p>
-            <pre style="background: #f1f1f1; padding: 10px; border-radius: 5px; overflow-x: auto;">
-{
-  "message": "What is your name?"
-}</pre>
-        </div>
-        
-        <div class="endpoint">
-            <span class="method">GET</span>
-            <code>/api/health</code>
-            <p>Health check endpoint</p>
-        </div>
-        
-        <div class="endpoint">
-            <span class="method">GET</span>
-            <code>/api/info</code>
-            <p>API information endpoint</p>
-        </div>
+        <p>Full description: <a href="/api/openapi.json"><code>/api/openapi.json</code></a> (OpenAPI ${OPENAPI_SPEC.openapi})</p>
+${renderEndpoints()}
         
         <h2>Example Usage</h2>
         <pre style="background: #f1f1f1; padding: 15px; border-radius: 5px; overflow-x: auto;">
@@ -88,30 +122,38 @@ curl -X POST https://portfolio-chatbot-api-bay.vercel.app/api/chat \\
   -H "Content-Type: application/json" \\
   -d '{"message": "What is your name?"}'
         </pre>
+
+        <h2>Errors</h2>
+        <p>Errors are JSON: <code>{ "code", "message", "requestId", "retryAfter"? }</code>. Branch on <code>code</code>; quote <code>requestId</code> when reporting a problem.</p>
+        <ul>
+${renderErrorCodes()}
+        </ul>
         
         <p style="margin-top: 30px; color: #666; font-size: 14px;">
-            Version 1.0.0 | <a href="/api/health">Health Check</a>
+            Version ${API_VERSION} | <a href="/api/health">Health Check</a>
         </p>
     </div>
 </body>
 </html>`;
 
 export default async function handler(req, res) {
+  getRequestId(req, res);
+
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Content-Type', 'text/html');
 
   // Handle OPTIONS request for CORS preflight
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  // Only allow GET requests
+  // Only allow GET requests (errors are JSON like on every other endpoint)
   if (req.method !== 'GET') {
-    return res.status(405).send('Method not allowed. Use GET.');
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
   }
 
+  res.setHeader('Content-Type', 'text/html');
   return res.status(200).send(HTML_CONTENT);
 }
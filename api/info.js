@@ -1,9 +1,28 @@
 /**
  * API information endpoint
  * Accessible at: https://your-domain.vercel.app/api/info or /api
+ * The endpoint list comes from the OpenAPI document (see utils/openapi.js).
  */
 
+import { API_VERSION, listOperations } from '../utils/openapi.js';
+import { ERROR_CODES, getRequestId, sendError } from '../utils/errors.js';
+
+// Public endpoints by operation id, e.g. { sendMessage: { url: '/api/chat', method: 'POST', ... } }
+const PUBLIC_ENDPOINTS = Object.fromEntries(listOperations()
+  .filter(({ operation }) => !operation.tags.includes('Admin'))
+  .map(({ path, method, operation }) => {
+    const example = operation.requestBody?.content['application/json']?.example;
+    return [operation.operationId, {
+      url: path,
+      method: method.toUpperCase(),
+      description: operation.summary,
+      ...(example ? { example: { body: example } } : {}),
+    }];
+  }));
+
 export default async function handler(req, res) {
+  getRequestId(req, res);
+
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -17,36 +36,14 @@ export default async function handler(req, res) {
 
   // Only allow GET requests for this endpoint
   if (req.method !== 'GET') {
-    return res.status(405).json({
-      error: 'Method not allowed. Use GET.',
-    });
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
   }
 
   return res.status(200).json({
     message: 'Portfolio Chatbot API is running',
-    version: '1.0.0',
-    endpoints: {
-      chat: {
-        url: '/api/chat',
-        method: 'POST',
-        description: 'Send a message to the chatbot',
-        example: {
-          body: {
-            message: 'What is your name?'
-          }
-        }
-      },
-      health: {
-        url: '/api/health',
-        method: 'GET',
-        description: 'Health check endpoint'
-      },
-      info: {
-        url: '/api/info',
-        method: 'GET',
-        description: 'API information endpoint'
-      }
-    },
+    version: API_VERSION,
+    openapi: '/api/openapi.json',
+    endpoints: PUBLIC_ENDPOINTS,
     health: 'ok',
     timestamp: new Date().toISOString()
   });
@@ -0,0 +1,30 @@
+/**
+ * OpenAPI document endpoint
+ * Accessible at: https://your-domain.vercel.app/api/openapi.json
+ * Serves the OpenAPI 3.1 description of every endpoint (see utils/openapi.js).
+ */
+
+import { OPENAPI_SPEC } from '../utils/openapi.js';
+import { ERROR_CODES, getRequestId, sendError } from '../utils/errors.js';
+
+export default async function handler(req, res) {
+  getRequestId(req, res);
+
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
+  }
+
+  // The document only changes with a deployment
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(OPENAPI_SPEC);
+}
@@ -0,0 +1,63 @@
+/**
+ * CV profile endpoint
+ * Accessible at: https://your-domain.vercel.app/api/profile (or /api/profile/<tenant>)
+ * Returns the active CV as a JSON Resume (https://jsonresume.org/schema) document, without the
+ * fields the privacy policy withholds from the request (see utils/privacy.js).
+ */
+
+import { authenticateRequest, hasFeature } from '../utils/apiKeys.js';
+import { getTenantProfile, getTenantStores } from '../utils/tenants.js';
+import { discloseProfile, resolveDisclosure } from '../utils/privacy.js';
+import { codeForStatus, ERROR_CODES, getRequestId, sendError } from '../utils/errors.js';
+import { getRequestLogger } from '../utils/logger.js';
+
+export default async function handler(req, res) {
+  getRequestId(req, res);
+
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
+  }
+
+  const { tenant, apiKey, error, status } = await authenticateRequest(req);
+  if (error) {
+    return sendError(req, res, codeForStatus(status), error);
+  }
+  if (!apiKey && !hasFeature(null, 'profile', tenant)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return sendError(req, res, ERROR_CODES.UNAUTHORIZED,
+      'An API key is required. Send it as "X-API-Key: <key>" or "Authorization: Bearer <key>".');
+  }
+  if (!hasFeature(apiKey, 'profile', tenant)) {
+    return sendError(req, res, ERROR_CODES.FORBIDDEN, 'This API key is not allowed to read the profile.');
+  }
+
+  try {
+    await getTenantStores(tenant).cv.refresh();
+    const profile = await getTenantProfile(tenant);
+
+    // There is no conversation here, so only an API key can unlock "on_request" fields
+    const disclosure = resolveDisclosure({ tenant, profile, apiKey });
+
+    // The profile changes only when a new CV is uploaded
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.setHeader('Vary', 'Origin, X-API-Key, Authorization');
+    res.setHeader('ETag', `"${tenant.id}-${profile.meta.version}${disclosure.unlocked ? '-unlocked' : ''}"`);
+    return res.status(200).json({
+      $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+      ...discloseProfile(profile, disclosure),
+    });
+  } catch (error) {
+    getRequestLogger(req).error('Error building CV profile', { error });
+    return sendError(req, res, ERROR_CODES.INTERNAL_ERROR, 'An error occurred while building the profile.');
+  }
+}
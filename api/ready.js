@@ -0,0 +1,43 @@
+/**
+ * Readiness endpoint
+ * Accessible at: https://your-domain.vercel.app/api/ready (?tenant=<id> for another tenant)
+ * Checks the knowledge base, CV, LLM provider and rate limit store (see utils/readiness.js).
+ * Answers 200 when healthy or degraded and 503 when unhealthy, so monitors can alert on the status code.
+ */
+
+import { authenticateRequest } from '../utils/apiKeys.js';
+import { codeForStatus, ERROR_CODES, getRequestId, sendError } from '../utils/errors.js';
+import { checkReadiness } from '../utils/readiness.js';
+
+export default async function handler(req, res) {
+  getRequestId(req, res);
+
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return sendError(req, res, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed. Use GET.');
+  }
+
+  const { tenant, error, status } = await authenticateRequest(req);
+  if (error) {
+    return sendError(req, res, codeForStatus(status), error);
+  }
+
+  const readiness = await checkReadiness(tenant);
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(readiness.status === 'unhealthy' ? 503 : 200).json({
+    status: readiness.status,
+    timestamp: new Date().toISOString(),
+    tenant: tenant.id,
+    components: readiness.components,
+  });
+}
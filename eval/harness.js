@@ -0,0 +1,329 @@
+/**
+ * Offline evaluation harness
+ * Runs the golden question set (eval/golden.json) through the chat handler and checks each
+ * reply's source, knowledge base item and required/forbidden phrases. The LLM is the mock
+ * provider replaying recorded replies (eval/recordings.json), so a run needs no network;
+ * in record mode the mock forwards to a real provider and the replies are saved for replay.
+ */
+
+import fs from 'fs';
+import chatHandler from '../api/chat.js';
+import { generateWithFallback, getProvider } from '../utils/llm/index.js';
+import { resetMockResponder, setMockResponder } from '../utils/llm/providers/mock.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import { createRequest, createResponse } from '../test/support/http.js';
+
+const EVAL_CONFIG = {
+  GOLDEN_FILE: process.env.EVAL_GOLDEN_FILE || new URL('./golden.json', import.meta.url).pathname,
+  RECORDINGS_FILE: process.env.EVAL_RECORDINGS_FILE || new URL('./recordings.json', import.meta.url).pathname,
+  LAST_RUN_FILE: process.env.EVAL_LAST_RUN_FILE || new URL('./.last-run.json', import.meta.url).pathname,
+};
+
+/**
+ * Read a JSON file, or return the fallback when it doesn't exist
+ * @param {string} file
+ * @param {*} fallback
+ * @returns {*}
+ */
+function readJSON(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load the golden cases
+ * @param {string} [file]
+ * @returns {Array<Object>} - [{ id, category, question, history?, expect }]
+ */
+function loadGoldenSet(file = EVAL_CONFIG.GOLDEN_FILE) {
+  const { cases } = readJSON(file, { cases: [] });
+  const ids = new Set();
+  for (const testCase of cases) {
+    if (!testCase.id || !testCase.question || !testCase.expect?.source) {
+      throw new Error(`Golden case ${JSON.stringify(testCase.id)} needs an id, a question and expect.source.`);
+    }
+    if (ids.has(testCase.id)) {
+      throw new Error(`Golden case id "${testCase.id}" is used twice.`);
+    }
+    ids.add(testCase.id);
+  }
+  return cases;
+}
+
+/**
+ * Load recorded LLM replies
+ * @param {string} [file]
+ * @returns {Object} - { caseId: reply }
+ */
+function loadRecordings(file = EVAL_CONFIG.RECORDINGS_FILE) {
+  return readJSON(file, { replies: {} }).replies || {};
+}
+
+/**
+ * Save recorded LLM replies
+ * @param {Object} replies - { caseId: reply }
+ * @param {string} [file]
+ */
+function saveRecordings(replies, file = EVAL_CONFIG.RECORDINGS_FILE) {
+  const sorted = Object.fromEntries(Object.entries(replies).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(file, `${JSON.stringify({ replies: sorted }, null, 2)}\n`);
+}
+
+/**
+ * Load the previous run's results (for the diff)
+ * @param {string} [file]
+ * @returns {Object|null} - { ranAt, results }
+ */
+function loadLastRun(file = EVAL_CONFIG.LAST_RUN_FILE) {
+  return readJSON(file, null);
+}
+
+/**
+ * Save this run's results for the next diff
+ * @param {Array<Object>} results
+ * @param {string} [file]
+ */
+function saveLastRun(results, file = EVAL_CONFIG.LAST_RUN_FILE) {
+  fs.writeFileSync(file, `${JSON.stringify({ ranAt: new Date().toISOString(), results }, null, 2)}\n`);
+}
+
+/**
+ * Check a chat response against a case's expectations
+ * expect.source "llm" accepts any provider ("gemini_api", "mock_api", ...).
+ * @param {Object} expect - { source, itemId?, itemIds?, reason?, include?, exclude? }
+ * @param {Object} answer - { status, source, matchedItemId, citedItemIds, reason, reply }
+ * @returns {Array<string>} - Failure descriptions, empty when the case passed
+ */
+function checkCase(expect, answer) {
+  const failures = [];
+  if (answer.status !== 200) {
+    return [`HTTP ${answer.status}: ${answer.reply}`];
+  }
+
+  const sourceMatches = expect.source === 'llm' ? /_api$/.test(answer.source || '') : answer.source === expect.source;
+  if (!sourceMatches) {
+    failures.push(`source: expected ${expect.source}, got ${answer.source}`);
+  }
+  if (expect.itemId !== undefined && answer.matchedItemId !== expect.itemId) {
+    failures.push(`item: expected ${expect.itemId}, got ${answer.matchedItemId}`);
+  }
+  for (const itemId of expect.itemIds || []) {
+    if (!answer.citedItemIds.includes(itemId)) {
+      failures.push(`citations: expected item ${itemId}, got [${answer.citedItemIds.join(', ')}]`);
+    }
+  }
+  if (expect.reason !== undefined && answer.reason !== expect.reason) {
+    failures.push(`reason: expected ${expect.reason}, got ${answer.reason}`);
+  }
+
+  const reply = (answer.reply || '').toLowerCase();
+  for (const phrase of expect.include || []) {
+    if (!reply.includes(phrase.toLowerCase())) {
+      failures.push(`reply is missing "${phrase}"`);
+    }
+  }
+  for (const phrase of expect.exclude || []) {
+    if (reply.includes(phrase.toLowerCase())) {
+      failures.push(`reply contains "${phrase}"`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Ask the chat handler one golden question
+ * Each case gets its own client address, so rate limits never carry over between cases.
+ * @param {Object} testCase
+ * @param {number} index
+ * @returns {Promise<Object>} - { status, source, matchedItemId, citedItemIds, reason, reply }
+ */
+async function askQuestion(testCase, index) {
+  const body = { message: testCase.question };
+  if (testCase.history) {
+    body.history = testCase.history;
+  }
+
+  const res = createResponse();
+  await chatHandler(createRequest({ method: 'POST', body, ip: `2001:db8:${index.toString(16)}::1` }), res);
+  await res.finished;
+
+  const data = res.body || {};
+  return {
+    status: res.statusCode,
+    source: data.source ?? null,
+    matchedItemId: data.matchedItemId ?? null,
+    citedItemIds: (data.citations || []).filter(citation => citation.itemId !== undefined).map(citation => citation.itemId),
+    reason: data.reason ?? null,
+    reply: data.reply ?? data.message ?? '',
+  };
+}
+
+/**
+ * Run golden cases through the chat pipeline with in-memory stores and the mock LLM
+ * @param {Object} options
+ * @param {Array<Object>} options.cases - Golden cases
+ * @param {Object} [options.recordings] - Recorded replies to replay: { caseId: reply }
+ * @param {string|null} [options.recordWith] - Provider to record from (e.g. "gemini"); null replays
+ * @returns {Promise<Object>} - { results, recorded } where recorded holds the replies of this run
+ */
+async function runEval({ cases, recordings = {}, recordWith = null }) {
+  const originalProvider = process.env.LLM_PROVIDER;
+  const recorder = recordWith ? getProvider(recordWith) : null;
+  const recorded = {};
+  let current = null;
+
+  process.env.LLM_PROVIDER = 'mock';
+  setStorage(createMemoryStorage());
+  setRateLimitStore(createMemoryRateLimitStore());
+  setAnalyticsSink(createMemoryAnalyticsSink());
+  setResponseCache(createResponseCache({ backend: null }));
+  setLogSink(createMemoryLogSink());
+
+  setMockResponder(async ({ messages }) => {
+    if (recorder) {
+      const { text } = await generateWithFallback({ messages, provider: recorder });
+      recorded[current.id] = text;
+      return text;
+    }
+    if (recordings[current.id] === undefined) {
+      current.missingRecording = true;
+      return { status: 400, error: 'No recorded reply' };
+    }
+    recorded[current.id] = recordings[current.id];
+    return recordings[current.id];
+  });
+
+  const results = [];
+  try {
+    for (const [index, testCase] of cases.entries()) {
+      current = { id: testCase.id, missingRecording: false };
+      const answer = await askQuestion(testCase, index);
+      const failures = current.missingRecording
+        ? [`no recorded LLM reply; run "npm run eval -- --record" to record one`]
+        : checkCase(testCase.expect, answer);
+
+      results.push({
+        id: testCase.id,
+        category: testCase.category || 'uncategorized',
+        question: testCase.question,
+        passed: failures.length === 0,
+        failures,
+        source: answer.source,
+        matchedItemId: answer.matchedItemId,
+        citedItemIds: answer.citedItemIds,
+        reason: answer.reason,
+        reply: answer.reply,
+      });
+    }
+  } finally {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    resetMockResponder();
+    setStorage(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+    setLogSink(null);
+  }
+
+  return { results, recorded };
+}
+
+/**
+ * Compare a run with the previous one
+ * "changed" lists cases whose outcome is the same but whose answer (source, item, citations,
+ * reason or reply) differs.
+ * @param {Array<Object>} previous - Earlier results
+ * @param {Array<Object>} current - Results of this run
+ * @returns {Object} - { regressed, fixed, added, removed, changed } (case ids)
+ */
+function diffRuns(previous, current) {
+  const before = new Map(previous.map(result => [result.id, result]));
+  const now = new Set(current.map(result => result.id));
+  const answerOf = ({ source, matchedItemId, citedItemIds, reason, reply }) =>
+    JSON.stringify([source, matchedItemId, citedItemIds, reason, reply]);
+  const diff = { regressed: [], fixed: [], added: [], removed: [], changed: [] };
+
+  for (const result of current) {
+    const earlier = before.get(result.id);
+    if (!earlier) {
+      diff.added.push(result.id);
+    } else if (earlier.passed && !result.passed) {
+      diff.regressed.push(result.id);
+    } else if (!earlier.passed && result.passed) {
+      diff.fixed.push(result.id);
+    } else if (answerOf(earlier) !== answerOf(result)) {
+      diff.changed.push(result.id);
+    }
+  }
+  diff.removed = previous.filter(result => !now.has(result.id)).map(result => result.id);
+  return diff;
+}
+
+/**
+ * Format the pass/fail report
+ * @param {Array<Object>} results
+ * @param {Object|null} [lastRun] - { ranAt, results } of the previous run
+ * @returns {string}
+ */
+function formatReport(results, lastRun = null) {
+  const lines = [];
+  const passed = results.filter(result => result.passed).length;
+
+  for (const result of results) {
+    lines.push(`${result.passed ? 'PASS' : 'FAIL'}  ${result.id}  ${JSON.stringify(result.question)}`);
+    for (const failure of result.failures) {
+      lines.push(`        ${failure}`);
+    }
+  }
+
+  const categories = new Map();
+  for (const result of results) {
+    const totals = categories.get(result.category) || { passed: 0, total: 0 };
+    totals.total++;
+    totals.passed += result.passed ? 1 : 0;
+    categories.set(result.category, totals);
+  }
+  lines.push('');
+  for (const [category, totals] of categories) {
+    lines.push(`${category}: ${totals.passed}/${totals.total}`);
+  }
+  lines.push(`Total: ${passed}/${results.length} passed`);
+
+  if (lastRun) {
+    const diff = diffRuns(lastRun.results, results);
+    const labels = { regressed: 'Regressed', fixed: 'Fixed', added: 'New', removed: 'Removed', changed: 'Answer changed' };
+    lines.push('', `Compared with the run of ${lastRun.ranAt}:`);
+    const entries = Object.entries(labels).filter(([key]) => diff[key].length > 0);
+    if (entries.length === 0) {
+      lines.push('  no changes');
+    }
+    for (const [key, label] of entries) {
+      lines.push(`  ${label}: ${diff[key].join(', ')}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export {
+  checkCase,
+  diffRuns,
+  EVAL_CONFIG,
+  formatReport,
+  loadGoldenSet,
+  loadLastRun,
+  loadRecordings,
+  runEval,
+  saveLastRun,
+  saveRecordings,
+};
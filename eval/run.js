@@ -0,0 +1,68 @@
+/**
+ * Evaluation command: npm run eval [-- options]
+ *   --record         Ask the real provider (LLM_PROVIDER) and save its replies to eval/recordings.json
+ *   --only <name>    Run only the case with this id, or the cases in this category
+ *   --json           Print the results as JSON instead of the report
+ * Exits with 1 when a case fails.
+ */
+
+import dotenv from 'dotenv';
+import {
+  formatReport,
+  loadGoldenSet,
+  loadLastRun,
+  loadRecordings,
+  runEval,
+  saveLastRun,
+  saveRecordings,
+} from './harness.js';
+
+dotenv.config({ path: '.env.local' });
+
+const args = process.argv.slice(2);
+const record = args.includes('--record');
+const json = args.includes('--json');
+const only = args.includes('--only') ? args[args.indexOf('--only') + 1] : null;
+
+let cases = loadGoldenSet();
+if (only) {
+  cases = cases.filter(testCase => testCase.id === only || testCase.category === only);
+  if (cases.length === 0) {
+    console.error(`No golden case or category named "${only}".`);
+    process.exit(2);
+  }
+}
+
+const recordings = loadRecordings();
+const recordWith = record ? (process.env.LLM_PROVIDER || 'gemini') : null;
+if (recordWith === 'mock') {
+  console.error('Recording needs a real provider; set LLM_PROVIDER (and its API key) in .env.local.');
+  process.exit(2);
+}
+
+const lastRun = loadLastRun();
+const { results, recorded } = await runEval({ cases, recordings, recordWith });
+
+if (record) {
+  // Replace the replies of the cases that ran; cases that no longer reach the LLM lose theirs
+  for (const testCase of cases) {
+    delete recordings[testCase.id];
+  }
+  saveRecordings({ ...recordings, ...recorded });
+}
+
+if (json) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  console.log(formatReport(results, lastRun));
+  if (record) {
+    console.log(`\nRecorded ${Object.keys(recorded).length} ${recordWith} replies to eval/recordings.json`);
+  }
+}
+
+// Filtered runs would show every other case as removed next time
+if (!only) {
+  saveLastRun(results);
+}
+
+process.exitCode = results.every(result => result.passed) ? 0 : 1;
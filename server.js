@@ -6,8 +6,22 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import handler from './api/chat.js';
+import chatHandler from './api/chat.js';
+import healthHandler from './api/health.js';
+import readyHandler from './api/ready.js';
+import indexHandler from './api/index.js';
+import infoHandler from './api/info.js';
+import openapiHandler from './api/openapi.js';
+import profileHandler from './api/profile.js';
+import adminKnowledgeHandler from './api/admin/knowledge.js';
+import adminCVHandler from './api/admin/cv.js';
+import adminKeysHandler from './api/admin/keys.js';
+import adminAnalyticsHandler from './api/admin/analytics.js';
+import adminLeadsHandler from './api/admin/leads.js';
 import { rateLimitMiddleware } from './utils/rateLimiter.js';
+import { ERROR_CODES, sendError } from './utils/errors.js';
+import { getRequestLogger } from './utils/logger.js';
+import { findOperation, validateResponseBody } from './utils/openapi.js';
 
 // Load environment variables
 dotenv.config({ path: '.env.local' });
@@ -15,22 +29,39 @@ dotenv.config({ path: '.env.local' });
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Check JSON responses against the OpenAPI document and log mismatches (on by default in development)
+const VALIDATE_RESPONSES = (process.env.OPENAPI_VALIDATE_RESPONSES || (process.env.NODE_ENV === 'development' ? 'true' : 'false')) === 'true';
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
+// CSV bodies for knowledge base imports, Markdown CV uploads
+app.use(express.text({ type: ['text/csv', 'text/plain', 'text/markdown'], limit: '10mb' }));
+// Binary CV uploads (PDF, DOCX)
+app.use(express.raw({
+  type: [
+    'application/pdf',
+    'application/octet-stream',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  ],
+  limit: '10mb',
+}));
 
 // Note: rate limiting is handled inside the handler (api/chat.js) to mirror
 // the Vercel serverless environment. Do not add it here to avoid double-counting.
 
-// Convert Express req/res to Vercel format and handle response
-async function handleRequest(req, res) {
+// Convert Express req/res to Vercel format and run a serverless handler
+const handleRequest = (handler) => async (req, res) => {
   // Create Vercel-compatible request object
   const vercelReq = {
     method: req.method,
     headers: req.headers,
     body: req.body,
-    query: req.query,
+    // Path parameters (e.g. /api/chat/:tenant) arrive as query parameters on Vercel
+    query: { ...req.query, ...req.params },
     url: req.url,
+    // The connecting address, used with TRUSTED_PROXIES to find the client IP
+    socket: req.socket,
   };
 
   // Create Vercel-compatible response object
@@ -44,6 +75,19 @@ async function handleRequest(req, res) {
     },
     
     json(data) {
+      if (VALIDATE_RESPONSES) {
+        const match = findOperation(req.path, req.method);
+        // A wrong method has no operation of its own; its 405 is documented with the path's other methods
+        const undocumented = this.statusCode === 405 ? [] : ['The endpoint is not documented.'];
+        const errors = match ? validateResponseBody(match.operation, this.statusCode, data) : undocumented;
+        if (errors.length > 0) {
+          getRequestLogger(vercelReq).warn('OpenAPI: response does not match the document', {
+            'http.response.status_code': this.statusCode,
+            errors,
+          });
+        }
+      }
+
       // Set headers first
       Object.keys(this.headers).forEach(key => {
         res.setHeader(key, this.headers[key]);
@@ -56,8 +100,36 @@ async function handleRequest(req, res) {
       this.headers[name] = value;
       return this;
     },
+
+    send(data) {
+      return this.end(data);
+    },
+
+    // Streaming support (Server-Sent Events): send headers once, then write chunks
+    flushHeaders() {
+      if (res.headersSent) {
+        return this;
+      }
+      Object.keys(this.headers).forEach(key => {
+        res.setHeader(key, this.headers[key]);
+      });
+      res.status(this.statusCode);
+      res.flushHeaders();
+      return this;
+    },
+
+    write(chunk) {
+      this.flushHeaders();
+      return res.write(chunk);
+    },
     
     end(data) {
+      // Headers were already sent by a streamed response
+      if (res.headersSent) {
+        res.end(data);
+        return this;
+      }
+
       // Set headers first
       Object.keys(this.headers).forEach(key => {
         res.setHeader(key, this.headers[key]);
@@ -75,34 +147,52 @@ async function handleRequest(req, res) {
   try {
     await handler(vercelReq, vercelRes);
   } catch (error) {
-    console.error('Handler error:', error);
+    getRequestLogger(vercelReq).error('Handler error', { error });
     if (!res.headersSent) {
-      res.status(500).json({
-        error: 'Internal server error',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
-      });
+      sendError(vercelReq, res, ERROR_CODES.INTERNAL_ERROR, 'Internal server error');
+    } else if (!res.writableEnded) {
+      res.end();
     }
   }
-}
+};
 
 // API endpoint
-app.post('/api/chat', handleRequest);
+app.post('/api/chat', handleRequest(chatHandler));
+app.post('/api/chat/:tenant', handleRequest(chatHandler));
+
+// Admin API (requires ADMIN_TOKEN)
+app.all(['/api/admin/knowledge', '/api/admin/knowledge/:id'], handleRequest(adminKnowledgeHandler));
+app.all('/api/admin/cv', handleRequest(adminCVHandler));
+app.all(['/api/admin/keys', '/api/admin/keys/:id'], handleRequest(adminKeysHandler));
+app.all('/api/admin/analytics', handleRequest(adminAnalyticsHandler));
+app.all('/api/admin/leads', handleRequest(adminLeadsHandler));
+
+// Health check with the active CV version
+app.all('/api/health', handleRequest(healthHandler));
+
+// Readiness: knowledge base, CV, LLM provider and rate limit store
+app.all('/api/ready', handleRequest(readyHandler));
+
+// API description: OpenAPI document, endpoint list and HTML overview
+app.all('/api/openapi.json', handleRequest(openapiHandler));
+app.all('/api/info', handleRequest(infoHandler));
+app.all('/', handleRequest(indexHandler));
+
+// CV profile (JSON Resume)
+app.all('/api/profile', handleRequest(profileHandler));
+app.all('/api/profile/:tenant', handleRequest(profileHandler));
 
 // Handle OPTIONS for CORS preflight
-app.options('/api/chat', (req, res) => {
+app.options(['/api/chat', '/api/chat/:tenant'], (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
   res.status(200).end();
 });
 
-// Health check
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Portfolio Chatbot API is running',
-    endpoint: '/api/chat',
-    method: 'POST'
-  });
+// Unknown routes get the same error body as the API (see utils/errors.js)
+app.use((req, res) => {
+  sendError(req, res, ERROR_CODES.NOT_FOUND, `No endpoint at ${req.method} ${req.path}. See /api/openapi.json.`);
 });
 
 // Start server
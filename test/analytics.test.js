@@ -0,0 +1,200 @@
+/**
+ * Analytics tests: the sink contract on every backend, question recording, reports and
+ * knowledge base drafts
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, afterEach, before, describe, it } from 'node:test';
+import {
+  buildReport,
+  createFileAnalyticsSink,
+  createMemoryAnalyticsSink,
+  createRedisAnalyticsSink,
+  draftKnowledgeItems,
+  getAnalyticsSink,
+  hashIP,
+  recordQuestion,
+  setAnalyticsSink,
+} from '../utils/analytics/index.js';
+import { knowledgeItemsFromCSV, knowledgeItemsToCSV } from '../utils/knowledgeBase.js';
+import { createTcpRedisClient } from '../utils/redisClient.js';
+import { startFakeRedis } from './support/fakeRedis.js';
+
+const DAY = 86400000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+function event(fields) {
+  return {
+    timestamp: new Date(NOW).toISOString(),
+    tenant: 'default',
+    ipHash: 'client-a',
+    apiKeyId: null,
+    question: 'What do you do?',
+    source: 'knowledge_base',
+    reason: null,
+    matchedItemId: null,
+    latencyMs: 100,
+    provider: null,
+    model: null,
+    ...fields,
+  };
+}
+
+function describeSink(name, createSink) {
+  describe(`${name} analytics sink`, () => {
+    it('reads appended events back in order', async () => {
+      const sink = await createSink({ maxEvents: 10 });
+      await sink.append(event({ question: 'first' }));
+      await sink.append(event({ question: 'second' }));
+      assert.deepEqual((await sink.read()).map(entry => entry.question), ['first', 'second']);
+    });
+
+    it('filters by time', async () => {
+      const sink = await createSink({ maxEvents: 10 });
+      await sink.append(event({ question: 'old', timestamp: new Date(NOW - 2 * DAY).toISOString() }));
+      await sink.append(event({ question: 'new' }));
+      assert.deepEqual((await sink.read({ since: NOW - DAY })).map(entry => entry.question), ['new']);
+    });
+
+    if (name !== 'file') {
+      it('keeps only the most recent events', async () => {
+        const sink = await createSink({ maxEvents: 2 });
+        for (const question of ['one', 'two', 'three']) {
+          await sink.append(event({ question }));
+        }
+        assert.deepEqual((await sink.read()).map(entry => entry.question), ['two', 'three']);
+      });
+    }
+  });
+}
+
+describeSink('memory', async (options) => createMemoryAnalyticsSink(options));
+
+describeSink('file', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'analytics-'));
+  return createFileAnalyticsSink({ file: join(dir, 'events', 'analytics.jsonl') });
+});
+
+describe('redis', () => {
+  let fake = null;
+  let client = null;
+  let url = process.env.REDIS_URL;
+  let keys = 0;
+
+  before(async () => {
+    if (!url) {
+      fake = await startFakeRedis();
+      url = fake.url;
+    }
+    client = createTcpRedisClient({ url });
+  });
+
+  after(async () => {
+    await client.close();
+    await fake?.close();
+  });
+
+  describeSink('redis', async ({ maxEvents }) =>
+    createRedisAnalyticsSink({ client, key: `test:analytics:${process.pid}:${keys++}`, maxEvents }));
+});
+
+describe('recordQuestion', () => {
+  afterEach(() => setAnalyticsSink(null));
+
+  it('stores a hashed client IP, never the address', async () => {
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    await recordQuestion({
+      ip: '203.0.113.7',
+      tenant: 'default',
+      conversationId: 'conv-1',
+      question: 'Where do you live?',
+      source: 'no_answer',
+      reason: 'not_found',
+      latencyMs: 42,
+    });
+
+    const [recorded] = await getAnalyticsSink().read();
+    assert.equal(recorded.ipHash, hashIP('203.0.113.7'));
+    assert.equal(recorded.reason, 'not_found');
+    assert.ok(!JSON.stringify(recorded).includes('203.0.113.7'));
+  });
+
+  it('hashes IPv6 clients by their /64', () => {
+    assert.equal(hashIP('2001:db8:1:2::1'), hashIP('2001:db8:1:2:ffff::9'));
+    assert.notEqual(hashIP('2001:db8:1:2::1'), hashIP('2001:db8:1:3::1'));
+  });
+
+  it('does not throw when the sink fails', async () => {
+    setAnalyticsSink({ append: async () => { throw new Error('disk full'); }, read: async () => [] });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      await recordQuestion({ ip: '203.0.113.7', tenant: 'default', question: 'Hi', source: 'knowledge_base' });
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe('buildReport', () => {
+  const events = [
+    event({ source: 'knowledge_base', matchedItemId: 3, latencyMs: 10 }),
+    event({ source: 'knowledge_base', matchedItemId: 3, latencyMs: 20, ipHash: 'client-b' }),
+    event({ source: 'gemini_api', provider: 'gemini', model: 'gemini-2.5-flash', latencyMs: 900 }),
+    event({ source: 'no_answer', reason: 'not_found', question: 'Any side projects?', timestamp: new Date(NOW - DAY).toISOString() }),
+    event({ source: 'no_answer', reason: 'no_context', question: 'tell me about your side project' }),
+    event({ source: 'no_answer', question: 'Favourite film?', apiKeyId: 'key_1' }),
+    event({ source: 'no_answer', question: 'Other tenant', tenant: 'other' }),
+    event({ question: 'Too old', timestamp: new Date(NOW - 40 * DAY).toISOString() }),
+  ];
+
+  it('computes hit and fallback rates for the period', () => {
+    const { totals } = buildReport(events, { to: NOW, tenant: 'default' });
+    assert.equal(totals.questions, 6);
+    assert.equal(totals.knowledgeBase, 2);
+    assert.equal(totals.llm, 1);
+    assert.equal(totals.unanswered, 3);
+    assert.equal(totals.kbHitRate, 0.333);
+    assert.equal(totals.llmFallbackRate, 0.167);
+    assert.equal(totals.uniqueClients, 3);
+    assert.equal(totals.latencyMs.p95, 900);
+  });
+
+  it('groups rephrased unanswered questions', () => {
+    const { topUnanswered } = buildReport(events, { to: NOW, tenant: 'default' });
+    assert.equal(topUnanswered.length, 2);
+    assert.equal(topUnanswered[0].question, 'tell me about your side project');
+    assert.equal(topUnanswered[0].count, 2);
+    assert.deepEqual(topUnanswered[0].reasons, { not_found: 1, no_context: 1 });
+  });
+
+  it('lists matched items and models', () => {
+    const report = buildReport(events, { to: NOW, tenant: 'default' });
+    assert.deepEqual(report.topMatchedItems, [{ itemId: 3, count: 2 }]);
+    assert.deepEqual(report.models, [{ provider: 'gemini', model: 'gemini-2.5-flash', count: 1 }]);
+  });
+
+  it('includes empty periods in the series', () => {
+    const { series } = buildReport(events, { from: NOW - 2 * DAY, to: NOW, tenant: 'default' });
+    assert.deepEqual(series.map(entry => entry.period), ['2026-03-08', '2026-03-09', '2026-03-10']);
+    assert.deepEqual(series.map(entry => entry.questions), [0, 1, 5]);
+  });
+});
+
+describe('draftKnowledgeItems', () => {
+  it('drafts items that import once answered', () => {
+    const drafts = draftKnowledgeItems([
+      { question: 'Do you have a dog?', count: 3 },
+      { question: 'Favourite film?', count: 1 },
+    ], { minCount: 2 });
+
+    assert.deepEqual(drafts, [{ question: 'Do you have a dog?', keywords: ['dog'], answer: '' }]);
+
+    const [imported] = knowledgeItemsFromCSV(knowledgeItemsToCSV(drafts));
+    assert.equal(imported.question, 'Do you have a dog?');
+    assert.deepEqual(imported.keywords, ['dog']);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * API key tests: issuing, authenticating, rotating and revoking keys, and what requests without one may do
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, beforeEach, describe, it } from 'node:test';
+import {
+  API_KEY_CONFIG,
+  authenticateRequest,
+  createApiKeyStore,
+  getApiKeyStore,
+  hasFeature,
+  setApiKeyStore,
+} from '../utils/apiKeys.js';
+import { createMemoryStorage, getStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { getDefaultTenant } from '../utils/tenants.js';
+import chatHandler from '../api/chat.js';
+import profileHandler from '../api/profile.js';
+import { createRequest, createResponse } from './support/http.js';
+
+const request = (headers = {}, query = {}) => ({ headers, query });
+
+describe('API keys', () => {
+  let store;
+
+  beforeEach(() => {
+    setStorage(createMemoryStorage());
+    store = createApiKeyStore();
+    setApiKeyStore(store);
+  });
+
+  after(() => {
+    setStorage(null);
+    setApiKeyStore(null);
+  });
+
+  it('issues a key and stores only its hash', async () => {
+    const { apiKey, key } = await store.issue({ name: 'Portfolio site' });
+    assert.match(key, /^pcb_/);
+    assert.equal(apiKey.tenant, getDefaultTenant().id);
+    assert.equal(apiKey.tier, 'apiKey');
+    assert.equal(apiKey.status, 'active');
+    assert.equal(apiKey.hash, undefined);
+
+    const stored = await getStorage().read('apiKeys.json');
+    assert.ok(!stored.includes(key));
+    assert.equal((await store.list()).length, 1);
+  });
+
+  it('authenticates keys from X-API-Key and bearer tokens', async () => {
+    const { apiKey, key } = await store.issue({ features: ['chat'] });
+
+    for (const headers of [{ 'x-api-key': key }, { authorization: `Bearer ${key}` }]) {
+      const auth = await authenticateRequest(request(headers));
+      assert.equal(auth.apiKey.id, apiKey.id);
+      assert.equal(auth.tenant.id, apiKey.tenant);
+      assert.equal(hasFeature(auth.apiKey, 'chat', auth.tenant), true);
+      assert.equal(hasFeature(auth.apiKey, 'llm', auth.tenant), false);
+    }
+
+    const anonymous = await authenticateRequest(request());
+    assert.equal(anonymous.apiKey, null);
+    assert.equal(hasFeature(anonymous.apiKey, 'llm', anonymous.tenant), true);
+
+    assert.equal((await authenticateRequest(request({ 'x-api-key': 'pcb_wrong' }))).status, 401);
+  });
+
+  it("rejects browser origins the key doesn't list", async () => {
+    const { key } = await store.issue({ allowedOrigins: ['https://example.com'] });
+    const allowed = await authenticateRequest(request({ 'x-api-key': key, origin: 'https://example.com' }));
+    assert.ok(allowed.apiKey);
+
+    const denied = await authenticateRequest(request({ 'x-api-key': key, origin: 'https://evil.example' }));
+    assert.equal(denied.status, 403);
+
+    // Server-side clients send no Origin
+    assert.ok((await authenticateRequest(request({ 'x-api-key': key }))).apiKey);
+    assert.equal(await store.allowsOrigin('https://example.com'), true);
+    assert.equal(await store.allowsOrigin('https://example.com', { tenant: getDefaultTenant().id }), true);
+    assert.equal(await store.allowsOrigin('https://example.com', { tenant: 'someone-else' }), false);
+  });
+
+  it('rejects a key for another tenant than the one in the path', async () => {
+    const { key } = await store.issue({});
+    const auth = await authenticateRequest(request({ 'x-api-key': key }, { tenant: 'someone-else' }));
+    assert.equal(auth.status, 404);
+  });
+
+  it('rotates a key, optionally keeping the old one for a grace period', async () => {
+    const { apiKey, key: first } = await store.issue({});
+
+    const rotated = await store.rotate(apiKey.id);
+    assert.notEqual(rotated.key, first);
+    assert.equal((await authenticateRequest(request({ 'x-api-key': first }))).status, 401);
+    assert.ok((await authenticateRequest(request({ 'x-api-key': rotated.key }))).apiKey);
+
+    const graceful = await store.rotate(apiKey.id, { gracePeriod: 60 });
+    assert.ok(graceful.apiKey.previousExpiresAt);
+    assert.ok((await authenticateRequest(request({ 'x-api-key': rotated.key }))).apiKey);
+    assert.ok((await authenticateRequest(request({ 'x-api-key': graceful.key }))).apiKey);
+
+    assert.equal((await store.rotate(apiKey.id, { gracePeriod: -1 })).status, 400);
+  });
+
+  it('revokes a key', async () => {
+    const { apiKey, key } = await store.issue({});
+    const { apiKey: revoked } = await store.revoke(apiKey.id);
+    assert.equal(revoked.status, 'revoked');
+    assert.equal((await authenticateRequest(request({ 'x-api-key': key }))).status, 401);
+    assert.equal((await store.rotate(apiKey.id)).status, 409);
+    assert.equal((await store.update(apiKey.id, { tier: 'allowlisted' })).status, 409);
+    assert.equal((await store.revoke('key_missing')).status, 404);
+  });
+
+  it('validates key fields', async () => {
+    const result = await store.issue({ tier: 'gold', features: ['chat', 'admin'], tenant: 'nobody', extra: 1 });
+    assert.equal(result.status, 400);
+    assert.equal(result.details.length, 4);
+
+    const { apiKey } = await store.issue({});
+    assert.equal((await store.update(apiKey.id, { tenant: getDefaultTenant().id })).status, 400);
+    assert.equal((await store.update(apiKey.id, { tier: 'allowlisted' })).apiKey.tier, 'allowlisted');
+  });
+});
+
+describe('requests without an API key', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+  const { ANONYMOUS_FEATURES } = API_KEY_CONFIG;
+  let clients = 0;
+
+  /**
+   * Call a handler from a new client, so rate limits don't carry over between tests
+   * @param {Function} handler - Serverless handler
+   * @param {Object} request - Options for createRequest
+   * @returns {Promise<Object>} - The recorded response
+   */
+  async function call(handler, request) {
+    clients++;
+    const res = createResponse();
+    await handler(createRequest({ ip: `192.0.2.${clients}`, ...request }), res);
+    await res.finished;
+    return res;
+  }
+  const chat = (headers = {}) => call(chatHandler, {
+    method: 'POST',
+    headers,
+    body: { message: 'How did you mentor junior developers on your team?' },
+  });
+
+  beforeEach(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+    setApiKeyStore(createApiKeyStore());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+    setLogSink(createMemoryLogSink());
+  });
+
+  afterEach(() => {
+    API_KEY_CONFIG.ANONYMOUS_FEATURES = ANONYMOUS_FEATURES;
+  });
+
+  after(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    setStorage(null);
+    setApiKeyStore(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+    setLogSink(null);
+  });
+
+  it('get only the features listed for anonymous use', () => {
+    const tenant = getDefaultTenant();
+    API_KEY_CONFIG.ANONYMOUS_FEATURES = ['chat'];
+
+    assert.equal(hasFeature(null, 'chat', tenant), true);
+    assert.equal(hasFeature(null, 'llm', tenant), false);
+    assert.equal(hasFeature(null, 'chat', { ...tenant, requireApiKey: true }), false);
+  });
+
+  it('get knowledge base answers only without "llm", and no streaming without "streaming"', async () => {
+    API_KEY_CONFIG.ANONYMOUS_FEATURES = ['chat'];
+
+    const res = await chat();
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.reason, 'llm_not_allowed');
+    assert.equal(res.headers['x-service-mode'], 'kb-only');
+
+    const streamed = await chat({ accept: 'text/event-stream' });
+    assert.equal(streamed.statusCode, 403);
+    assert.equal(streamed.body.code, 'forbidden');
+
+    // A key with the features still gets them
+    const { key } = await getApiKeyStore().issue({ name: 'Partner' });
+    const keyed = await chat({ 'x-api-key': key });
+    assert.equal(keyed.body.source, 'mock_api');
+  });
+
+  it('are turned away with a 401 when nothing is allowed without a key', async () => {
+    API_KEY_CONFIG.ANONYMOUS_FEATURES = [];
+
+    const res = await chat();
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 'unauthorized');
+    assert.equal(res.headers['www-authenticate'], 'Bearer');
+
+    const profile = await call(profileHandler, { method: 'GET' });
+    assert.equal(profile.statusCode, 401);
+  });
+});
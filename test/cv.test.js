@@ -0,0 +1,231 @@
+/**
+ * CV admin tests: uploads, rejected files, versions, rollback and the chat cache following
+ * the active CV
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { CV_CONFIG } from '../utils/cvStore.js';
+import { resetMockResponder, setMockResponder } from '../utils/llm/providers/mock.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import { getOperation, validateResponseBody } from '../utils/openapi.js';
+import { getDefaultTenant, getTenantStores } from '../utils/tenants.js';
+import chatHandler from '../api/chat.js';
+import adminCVHandler from '../api/admin/cv.js';
+import { createRequest, createResponse } from './support/http.js';
+
+const ADMIN_TOKEN = 'cv-test-token';
+
+const MARKDOWN_CV = `# Awais Asad
+
+Senior Software Engineer
+
+## Experience
+
+Lead Engineer, Northwind Labs (2023 - Present)
+- Started the Kotlin guild and mentored five junior developers through weekly pairing sessions.
+- Moved the billing platform from a PHP monolith to Laravel services with zero downtime.
+
+## Skills
+
+Laravel, PHP, Kotlin, PostgreSQL, Redis, Docker
+`;
+
+/**
+ * Call a handler
+ * @param {Function} handler - Serverless handler
+ * @param {Object} request - Options for createRequest
+ * @returns {Promise<Object>} - The recorded response
+ */
+async function call(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  await res.finished;
+  return res;
+}
+
+/**
+ * Call the admin CV endpoint
+ * @param {Object} request - Options for createRequest
+ * @returns {Promise<Object>} - The recorded response
+ */
+function admin(request) {
+  return call(adminCVHandler, { ...request, headers: { authorization: `Bearer ${ADMIN_TOKEN}`, ...request.headers } });
+}
+
+/**
+ * Assert that a response matches the OpenAPI description of the operation
+ * @param {Object} res - Recorded response
+ * @param {string} method - HTTP method
+ */
+function assertDocumented(res, method) {
+  assert.deepEqual(validateResponseBody(getOperation('/api/admin/cv', method), res.statusCode, res.body), []);
+}
+
+describe('admin CV API', () => {
+  const originalToken = process.env.ADMIN_TOKEN;
+  const originalProvider = process.env.LLM_PROVIDER;
+  let bundled;
+
+  before(async () => {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+    setLogSink(createMemoryLogSink());
+
+    const res = await admin({ method: 'GET' });
+    bundled = res.body.cv;
+  });
+
+  after(() => {
+    for (const [name, value] of [['ADMIN_TOKEN', originalToken], ['LLM_PROVIDER', originalProvider]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    resetMockResponder();
+    setStorage(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+    setLogSink(null);
+  });
+
+  it('describes the bundled CV before anything is uploaded', async () => {
+    const res = await admin({ method: 'GET' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.tenant, getDefaultTenant().id);
+    assert.equal(res.body.cv.format, 'pdf');
+    assert.equal(res.body.cv.filename, 'Awais_CV.pdf');
+    assert.ok(res.body.cv.length > CV_CONFIG.MIN_TEXT_LENGTH);
+    assert.match(res.body.cv.version, /^[0-9a-f]{16}$/);
+    assert.equal(res.body.previous, null);
+    assertDocumented(res, 'get');
+
+    const rollback = await admin({ method: 'POST', query: { rollback: '1' } });
+    assert.equal(rollback.statusCode, 404);
+    assert.equal(rollback.body.code, 'not_found');
+    assertDocumented(rollback, 'post');
+  });
+
+  it('rejects unsupported, unreadable, empty and oversized uploads without changing the CV', async () => {
+    const binary = await admin({
+      method: 'POST',
+      headers: { 'content-type': 'application/octet-stream' },
+      body: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    });
+    assert.equal(binary.statusCode, 415);
+    assert.equal(binary.body.code, 'unsupported_media_type');
+    assertDocumented(binary, 'post');
+
+    const brokenPdf = await admin({ method: 'POST', body: Buffer.from('%PDF-1.7\nnot really a PDF') });
+    assert.equal(brokenPdf.statusCode, 422);
+    assert.equal(brokenPdf.body.code, 'unprocessable');
+
+    const tooShort = await admin({ method: 'POST', headers: { 'content-type': 'text/markdown' }, body: '# CV\n\nToo short.' });
+    assert.equal(tooShort.statusCode, 422);
+    assert.match(tooShort.body.message, /No usable text/);
+
+    const empty = await admin({ method: 'POST', body: { filename: 'cv.md', data: '' } });
+    assert.equal(empty.statusCode, 400);
+    assert.equal(empty.body.code, 'invalid_request');
+
+    const noFile = await admin({ method: 'POST', body: { filename: 'cv.pdf' } });
+    assert.equal(noFile.statusCode, 400);
+
+    const { MAX_UPLOAD_BYTES } = CV_CONFIG;
+    CV_CONFIG.MAX_UPLOAD_BYTES = 100;
+    try {
+      const oversized = await admin({ method: 'POST', body: { filename: 'cv.md', data: Buffer.from(MARKDOWN_CV).toString('base64') } });
+      assert.equal(oversized.statusCode, 413);
+      assert.equal(oversized.body.code, 'payload_too_large');
+      assertDocumented(oversized, 'post');
+    } finally {
+      CV_CONFIG.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+    }
+
+    const res = await admin({ method: 'GET' });
+    assert.equal(res.body.cv.version, bundled.version);
+    assert.equal(res.body.previous, null);
+  });
+
+  it('uploads a new version, lists both versions and rolls back', async () => {
+    const uploaded = await admin({
+      method: 'POST',
+      body: { filename: 'awais.md', data: Buffer.from(MARKDOWN_CV).toString('base64') },
+    });
+    assert.equal(uploaded.statusCode, 200);
+    assert.equal(uploaded.body.cv.format, 'markdown');
+    assert.equal(uploaded.body.cv.filename, 'awais.md');
+    assert.equal(uploaded.body.cv.pages, 0);
+    assert.notEqual(uploaded.body.cv.version, bundled.version);
+    assert.equal(uploaded.body.previous.version, bundled.version);
+    assertDocumented(uploaded, 'post');
+
+    const listed = await admin({ method: 'GET' });
+    assert.equal(listed.body.cv.version, uploaded.body.cv.version);
+    assert.equal(listed.body.previous.version, bundled.version);
+    assert.equal((await getTenantStores(getDefaultTenant()).cv.load()).text, MARKDOWN_CV);
+
+    const rolledBack = await admin({ method: 'POST', query: { rollback: '1' } });
+    assert.equal(rolledBack.statusCode, 200);
+    assert.equal(rolledBack.body.cv.version, bundled.version);
+    assert.equal(rolledBack.body.previous.version, uploaded.body.cv.version);
+
+    // Rolling back again returns to the upload
+    const rolledForward = await admin({ method: 'POST', query: { rollback: '1' } });
+    assert.equal(rolledForward.body.cv.version, uploaded.body.cv.version);
+
+    // Uploading the same file again keeps its version; a PDF is detected from its bytes
+    const pdf = await readFile('Awais_CV.pdf');
+    const reuploaded = await admin({ method: 'POST', headers: { 'content-type': 'application/octet-stream' }, body: pdf });
+    assert.equal(reuploaded.statusCode, 200);
+    assert.equal(reuploaded.body.cv.format, 'pdf');
+    assert.equal(reuploaded.body.cv.version, bundled.version);
+    assert.equal(reuploaded.body.cv.pages, bundled.pages);
+  });
+
+  it('answers from the new CV instead of cached replies once the version changes', async () => {
+    setResponseCache(createResponseCache());
+    const prompts = [];
+    setMockResponder(({ messages }) => {
+      prompts.push(messages.map(message => message.text).join('\n'));
+      return 'I mentor juniors through pairing sessions.';
+    });
+    const ask = () => call(chatHandler, { method: 'POST', body: { message: 'How do you mentor junior developers?' } });
+
+    try {
+      assert.equal((await ask()).body.cached, false);
+      assert.equal((await ask()).body.cached, true);
+      assert.equal(prompts.length, 1);
+      assert.ok(!prompts[0].includes('Kotlin guild'));
+
+      const uploaded = await admin({ method: 'POST', headers: { 'content-type': 'text/markdown' }, body: MARKDOWN_CV });
+      assert.equal(uploaded.statusCode, 200);
+
+      const fresh = await ask();
+      assert.equal(fresh.body.cached, false);
+      assert.equal(prompts.length, 2);
+      assert.ok(prompts[1].includes('Kotlin guild'));
+
+      // Answers cached for the restored version are valid again
+      await admin({ method: 'POST', query: { rollback: '1' } });
+      assert.equal((await ask()).body.cached, true);
+      assert.equal(prompts.length, 2);
+    } finally {
+      setResponseCache(createResponseCache({ backend: null }));
+      resetMockResponder();
+    }
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * CV profile parser tests: contact details, work history, skills, languages and education
+ * from CV text, including layouts flattened by pdf-parse and CVs missing whole sections
+ */
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { parseCVDocument } from '../utils/cvParser.js';
+import { getYearsOfExperience, parseCVProfile } from '../utils/cvProfile.js';
+
+const FULL_CV = `JANE DOE
+Senior Backend Engineer
+12 Baker Street
+London, England, UK
+jane.doe@example.com
++44 20 7946 0958
+https://janedoe.dev
+https://www.linkedin.com/in/janedoe
+https://github.com/janedoe
+Summary
+Backend engineer with 8+ years building payment systems and mentoring teams across
+Europe.
+Experience
+Senior Backend Engineer | Acme Payments Ltd
+Jan 2020 - Present
+Led the migration of the ledger to event sourcing, cutting reconciliation time by
+half.
+Mentored four engineers.
+Globex | Software Developer 2016 - Dec 2019
+Built the merchant onboarding API.
+Skills
+Backend & APIs
+Node.js, Laravel, PostgreSQL
+Cloud & DevOps
+AWS, Docker, Terraform
+Languages
+English (Native)
+German - Conversational
+Education
+BSc | Computer Science 2012 - 2016
+University of Manchester
+Projects
+https://ledgerkit.dev/docs`;
+
+// Only a headline, an email address and one job
+const SPARSE_CV = `Sam Lee
+Frontend Developer
+sam@example.org
+Experience
+Frontend Developer | Initech Inc
+Mar 2021 - Present
+Rebuilt the checkout in React.`;
+
+describe('CV profile parser', () => {
+  it('reads the name, headline, contact details and address', () => {
+    const { basics } = parseCVProfile(FULL_CV);
+
+    assert.deepEqual(basics, {
+      name: 'Jane Doe',
+      label: 'Senior Backend Engineer',
+      email: 'jane.doe@example.com',
+      phone: '+44 20 7946 0958',
+      url: 'https://janedoe.dev',
+      summary: 'Backend engineer with 8+ years building payment systems and mentoring teams across Europe.',
+      location: { address: '12 Baker Street', city: 'London', region: 'England', country: 'UK' },
+      profiles: [
+        { network: 'LinkedIn', username: 'janedoe', url: 'https://www.linkedin.com/in/janedoe' },
+        { network: 'GitHub', username: 'janedoe', url: 'https://github.com/janedoe' },
+      ],
+    });
+  });
+
+  it('splits work entries into company, position, dates and highlights', () => {
+    const { work } = parseCVProfile(FULL_CV);
+
+    assert.deepEqual(work, [
+      {
+        name: 'Acme Payments Ltd',
+        position: 'Senior Backend Engineer',
+        startDate: '2020-01',
+        highlights: [
+          'Led the migration of the ledger to event sourcing, cutting reconciliation time by half.',
+          'Mentored four engineers.',
+        ],
+      },
+      {
+        name: 'Globex',
+        position: 'Software Developer',
+        startDate: '2016',
+        endDate: '2019-12',
+        highlights: ['Built the merchant onboarding API.'],
+      },
+    ]);
+  });
+
+  it('reads skills, languages, education and projects', () => {
+    const profile = parseCVProfile(FULL_CV);
+
+    assert.deepEqual(profile.skills, [
+      { name: 'Backend & APIs', keywords: ['Node.js', 'Laravel', 'PostgreSQL'] },
+      { name: 'Cloud & DevOps', keywords: ['AWS', 'Docker', 'Terraform'] },
+    ]);
+    assert.deepEqual(profile.languages, [
+      { language: 'English', fluency: 'Native' },
+      { language: 'German', fluency: 'Conversational' },
+    ]);
+    assert.deepEqual(profile.education, [
+      { institution: 'University of Manchester', area: 'Computer Science', studyType: 'BSc', startDate: '2012', endDate: '2016' },
+    ]);
+    assert.deepEqual(profile.projects, [{ name: 'ledgerkit.dev', url: 'https://ledgerkit.dev/docs' }]);
+    assert.equal(getYearsOfExperience(profile), '8+');
+  });
+
+  it('assigns side-by-side skill categories their own keywords', () => {
+    const { skills } = parseCVProfile(`Jo Bloggs
+Engineer
+Building reliable web platforms for fintech and logistics companies since 2015.
+Skills
+Backend & APIs
+Databases & Storage
+Laravel, Node.js
+
+MySQL, Redis`);
+
+    assert.deepEqual(skills, [
+      { name: 'Backend & APIs', keywords: ['Laravel', 'Node.js'] },
+      { name: 'Databases & Storage', keywords: ['MySQL', 'Redis'] },
+    ]);
+  });
+
+  it('leaves missing sections empty', () => {
+    const profile = parseCVProfile(SPARSE_CV);
+
+    assert.deepEqual(profile.basics, {
+      name: 'Sam Lee',
+      label: 'Frontend Developer',
+      email: 'sam@example.org',
+      phone: '',
+      url: '',
+      summary: '',
+      location: {},
+      profiles: [],
+    });
+    assert.deepEqual(profile.work, [
+      { name: 'Initech Inc', position: 'Frontend Developer', startDate: '2021-03', highlights: ['Rebuilt the checkout in React.'] },
+    ]);
+    assert.deepEqual(profile.education, []);
+    assert.deepEqual(profile.skills, []);
+    assert.deepEqual(profile.languages, []);
+    assert.deepEqual(profile.projects, []);
+    // No years stated in a summary, so they are counted from the earliest job
+    assert.equal(getYearsOfExperience(profile), `${new Date().getFullYear() - 2021}+`);
+  });
+
+  it('returns an empty profile for empty text', () => {
+    const profile = parseCVProfile('');
+
+    assert.equal(profile.basics.name, '');
+    assert.deepEqual(profile.work, []);
+    assert.equal(getYearsOfExperience(profile), null);
+  });
+
+  it('parses the bundled PDF', async () => {
+    const { text } = await parseCVDocument(await readFile('Awais_CV.pdf'), 'pdf');
+    const profile = parseCVProfile(text);
+
+    assert.equal(profile.basics.name, 'M Awais Asad');
+    assert.deepEqual(profile.work.map(entry => entry.name), ['HeuristicSol Pvt Ltd', 'TechOrix Pvt Ltd', 'MST Developer', 'Vroozi INC']);
+    assert.ok(profile.work.every(entry => entry.startDate && entry.highlights.length > 0));
+    assert.ok(profile.skills.some(skill => skill.name === 'Backend & APIs' && skill.keywords.includes('Laravel')));
+    assert.equal(profile.education.length, 3);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Error envelope tests: request ids, status codes and LLM outages versus unanswered questions
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { codeForStatus, ERROR_CODES, getRequestId, sendError } from '../utils/errors.js';
+import { resetMockResponder, setMockResponder } from '../utils/llm/providers/mock.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import { getOperation, validateResponseBody } from '../utils/openapi.js';
+import chatHandler from '../api/chat.js';
+import healthHandler from '../api/health.js';
+import indexHandler from '../api/index.js';
+import adminAnalyticsHandler from '../api/admin/analytics.js';
+import adminCVHandler from '../api/admin/cv.js';
+import adminKeysHandler from '../api/admin/keys.js';
+import adminKnowledgeHandler from '../api/admin/knowledge.js';
+import adminLeadsHandler from '../api/admin/leads.js';
+import { createRequest, createResponse } from './support/http.js';
+
+// Reaches the LLM: not in the knowledge base, but about the owner's CV
+const CV_QUESTION = 'How did you mentor junior developers on your team?';
+
+/**
+ * Send a chat request
+ * @param {Object} request - Options for createRequest
+ * @returns {Promise<Object>} - The recorded response
+ */
+async function chat(request) {
+  const res = createResponse();
+  await chatHandler(createRequest({ method: 'POST', ...request }), res);
+  await res.finished;
+  return res;
+}
+
+describe('error envelope', () => {
+  it('keeps a valid caller request id and replaces others', () => {
+    const res = createResponse();
+    const req = createRequest({ headers: { 'x-request-id': 'trace-1234abcd' } });
+    assert.equal(getRequestId(req, res), 'trace-1234abcd');
+    assert.equal(res.headers['x-request-id'], 'trace-1234abcd');
+
+    const forged = createRequest({ headers: { 'x-request-id': 'bad id\r\nX-Other: 1' } });
+    assert.match(getRequestId(forged), /^[0-9a-f-]{36}$/);
+    assert.equal(getRequestId(forged), getRequestId(forged));
+  });
+
+  it('sends code, message, request id and retry hint', () => {
+    const req = createRequest();
+    const res = createResponse();
+    sendError(req, res, ERROR_CODES.RATE_LIMITED, 'Slow down.', { retryAfter: 12 });
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['retry-after'], '12');
+    assert.deepEqual(res.body, { code: 'rate_limited', message: 'Slow down.', requestId: req.requestId, retryAfter: 12 });
+  });
+
+  it('maps check failures to codes', () => {
+    assert.equal(codeForStatus(401), ERROR_CODES.UNAUTHORIZED);
+    assert.equal(codeForStatus(403), ERROR_CODES.FORBIDDEN);
+    assert.equal(codeForStatus(404), ERROR_CODES.NOT_FOUND);
+    assert.equal(codeForStatus(409), ERROR_CODES.CONFLICT);
+    assert.equal(codeForStatus(413), ERROR_CODES.PAYLOAD_TOO_LARGE);
+    assert.equal(codeForStatus(503), ERROR_CODES.LLM_UNAVAILABLE);
+    assert.equal(codeForStatus(418), ERROR_CODES.INTERNAL_ERROR);
+  });
+});
+
+describe('endpoints', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+  });
+
+  after(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    resetMockResponder();
+    setStorage(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+  });
+
+  it('uses the envelope for wrong methods everywhere', async () => {
+    for (const handler of [chatHandler, healthHandler, indexHandler]) {
+      const res = createResponse();
+      await handler(createRequest({ method: handler === chatHandler ? 'GET' : 'DELETE' }), res);
+      assert.equal(res.statusCode, 405);
+      assert.equal(res.body.code, ERROR_CODES.METHOD_NOT_ALLOWED);
+      assert.equal(res.body.requestId, res.headers['x-request-id']);
+    }
+  });
+
+  it('uses the envelope on the admin API', async () => {
+    const originalToken = process.env.ADMIN_TOKEN;
+    const admin = [
+      ['/api/admin/knowledge', adminKnowledgeHandler],
+      ['/api/admin/cv', adminCVHandler],
+      ['/api/admin/keys', adminKeysHandler],
+      ['/api/admin/analytics', adminAnalyticsHandler],
+      ['/api/admin/leads', adminLeadsHandler],
+    ];
+    const call = async (handler, request) => {
+      const res = createResponse();
+      await handler(createRequest({ method: 'GET', ...request }), res);
+      return res;
+    };
+
+    try {
+      delete process.env.ADMIN_TOKEN;
+      for (const [path, handler] of admin) {
+        const res = await call(handler);
+        assert.equal(res.statusCode, 503, path);
+        assert.equal(res.body.code, ERROR_CODES.ADMIN_DISABLED);
+        assert.deepEqual(validateResponseBody(getOperation(path, 'get'), 503, res.body), []);
+      }
+
+      process.env.ADMIN_TOKEN = 'admin-secret';
+      for (const [path, handler] of admin) {
+        const denied = await call(handler, { headers: { authorization: 'Bearer wrong' } });
+        assert.equal(denied.statusCode, 401, path);
+        assert.equal(denied.body.code, ERROR_CODES.UNAUTHORIZED);
+        assert.equal(denied.body.requestId, denied.headers['x-request-id']);
+        assert.deepEqual(validateResponseBody(getOperation(path, 'get'), 401, denied.body), []);
+
+        const unknown = await call(handler, { headers: { authorization: 'Bearer admin-secret' }, query: { tenant: 'nobody' } });
+        assert.equal(unknown.statusCode, 404, path);
+        assert.equal(unknown.body.code, ERROR_CODES.NOT_FOUND);
+      }
+    } finally {
+      if (originalToken === undefined) {
+        delete process.env.ADMIN_TOKEN;
+      } else {
+        process.env.ADMIN_TOKEN = originalToken;
+      }
+    }
+  });
+
+  it('reports an unknown tenant as not_found', async () => {
+    const res = await chat({ body: { message: 'Hi' }, query: { tenant: 'nobody' } });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.code, ERROR_CODES.NOT_FOUND);
+  });
+
+  it('tells an LLM outage apart from a missing answer', async () => {
+    const chatOperation = getOperation('/api/chat', 'post');
+
+    setMockResponder(() => ({ status: 503, error: 'overloaded' }));
+    const outage = await chat({ body: { message: CV_QUESTION }, ip: '203.0.113.1' });
+    assert.equal(outage.statusCode, 503);
+    assert.equal(outage.body.code, ERROR_CODES.LLM_UNAVAILABLE);
+    assert.ok(outage.body.retryAfter > 0);
+    assert.equal(outage.headers['retry-after'], String(outage.body.retryAfter));
+    assert.deepEqual(validateResponseBody(chatOperation, 503, outage.body), []);
+
+    setMockResponder(() => ({ status: 401, error: 'bad key' }));
+    const rejected = await chat({ body: { message: CV_QUESTION }, ip: '203.0.113.2' });
+    assert.equal(rejected.statusCode, 502);
+    assert.equal(rejected.body.code, ERROR_CODES.LLM_ERROR);
+    assert.equal(rejected.body.retryAfter, undefined);
+
+    setMockResponder(() => 'ANSWER_NOT_FOUND');
+    const unanswered = await chat({ body: { message: CV_QUESTION }, ip: '203.0.113.3' });
+    assert.equal(unanswered.statusCode, 200);
+    assert.equal(unanswered.body.source, 'no_answer');
+    assert.equal(unanswered.body.reason, 'not_found');
+    assert.deepEqual(validateResponseBody(chatOperation, 200, unanswered.body), []);
+  });
+
+  it('sends the error status to streaming clients before anything was streamed', async () => {
+    setMockResponder(() => ({ status: 503, error: 'overloaded' }));
+    const res = await chat({
+      body: { message: CV_QUESTION },
+      headers: { accept: 'text/event-stream' },
+      ip: '203.0.113.4',
+    });
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.code, ERROR_CODES.LLM_UNAVAILABLE);
+  });
+});
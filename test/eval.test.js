@@ -0,0 +1,80 @@
+/**
+ * Evaluation harness tests: expectation checks, run diffs and replaying recorded replies
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkCase, diffRuns, formatReport, loadGoldenSet, loadRecordings, runEval } from '../eval/harness.js';
+
+const ANSWER = {
+  status: 200,
+  source: 'knowledge_base',
+  matchedItemId: 2,
+  citedItemIds: [2, 3],
+  reason: null,
+  reply: 'You can email me at awaisasad20@gmail.com.',
+};
+
+describe('checkCase', () => {
+  it('passes an answer that meets every expectation', () => {
+    const expect = { source: 'knowledge_base', itemId: 2, itemIds: [3], include: ['GMAIL.com'], exclude: ['Rules:'] };
+    assert.deepEqual(checkCase(expect, ANSWER), []);
+    assert.deepEqual(checkCase({ source: 'llm' }, { ...ANSWER, source: 'gemini_api' }), []);
+  });
+
+  it('lists each unmet expectation', () => {
+    const expect = { source: 'llm', itemId: 5, itemIds: [9], reason: 'not_found', include: ['Lahore'], exclude: ['email'] };
+    assert.deepEqual(checkCase(expect, ANSWER), [
+      'source: expected llm, got knowledge_base',
+      'item: expected 5, got 2',
+      'citations: expected item 9, got [2, 3]',
+      'reason: expected not_found, got null',
+      'reply is missing "Lahore"',
+      'reply contains "email"',
+    ]);
+    assert.deepEqual(checkCase({ source: 'no_answer' }, { ...ANSWER, status: 503, reply: 'Unavailable' }), ['HTTP 503: Unavailable']);
+  });
+});
+
+describe('diffRuns', () => {
+  it('reports regressions, fixes and changed answers', () => {
+    const result = (id, passed, reply = 'same') => ({ id, category: 'cv', question: id, passed, failures: passed ? [] : ['x'], source: 'knowledge_base', matchedItemId: 1, citedItemIds: [1], reason: null, reply });
+    const previous = [result('a', true), result('b', false), result('c', true), result('d', true), result('gone', true)];
+    const current = [result('a', false), result('b', true), result('c', true, 'different'), result('d', true), result('new', true)];
+
+    assert.deepEqual(diffRuns(previous, current), {
+      regressed: ['a'],
+      fixed: ['b'],
+      added: ['new'],
+      removed: ['gone'],
+      changed: ['c'],
+    });
+    assert.match(formatReport(current, { ranAt: '2026-01-01T00:00:00.000Z', results: previous }), /Regressed: a\n {2}Fixed: b/);
+  });
+});
+
+describe('runEval', () => {
+  it('keeps every golden case replayable from the recordings', async () => {
+    const { results } = await runEval({ cases: loadGoldenSet(), recordings: loadRecordings() });
+    const failed = results.filter(result => !result.passed).map(result => `${result.id}: ${result.failures.join('; ')}`);
+    assert.deepEqual(failed, []);
+  });
+
+  it('fails a case that reaches the LLM without a recording', async () => {
+    const cases = [
+      { id: 'cv', category: 'cv', question: 'Have you worked with payment gateways?', expect: { source: 'llm' } },
+      { id: 'kb', category: 'paraphrase', question: 'Do you have a GitHub?', expect: { source: 'knowledge_base', itemId: 22 } },
+    ];
+    const { results, recorded } = await runEval({ cases, recordings: {} });
+
+    assert.equal(results[0].passed, false);
+    assert.match(results[0].failures[0], /no recorded LLM reply/);
+    assert.equal(results[1].passed, true);
+    assert.deepEqual(recorded, {});
+
+    const replayed = await runEval({ cases, recordings: { cv: 'Yes, at TechOrix [1].' } });
+    assert.equal(replayed.results[0].source, 'mock_api');
+    assert.equal(replayed.results[0].reply, 'Yes, at TechOrix [1].');
+    assert.deepEqual(replayed.recorded, { cv: 'Yes, at TechOrix [1].' });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Client IP tests: trusted proxies, spoofed headers, Forwarded parsing and IPv6 bucketing
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createClientIPResolver, IP_CONFIG, ipBucket, normalizeIP, parseForwardedHeader } from '../utils/ip.js';
+
+const trustedProxies = ['loopback', 'private', '198.51.100.0/24'];
+const getClientIP = createClientIPResolver({ trustedProxies, header: 'x-forwarded-for', platformProxy: false });
+
+const request = (remoteAddress, headers = {}) => ({ headers, socket: remoteAddress ? { remoteAddress } : undefined });
+
+describe('normalizeIP', () => {
+  it('normalizes addresses as proxies write them', () => {
+    assert.equal(normalizeIP(' 203.0.113.5 '), '203.0.113.5');
+    assert.equal(normalizeIP('203.0.113.5:51234'), '203.0.113.5');
+    assert.equal(normalizeIP('::ffff:203.0.113.5'), '203.0.113.5');
+    assert.equal(normalizeIP('[2001:DB8:0:0:0:0:0:1]:443'), '2001:db8::1');
+    assert.equal(normalizeIP('fe80::1%eth0'), 'fe80::1');
+    assert.equal(normalizeIP('2001:db8:0:0:1:0:0:1'), '2001:db8::1:0:0:1');
+  });
+
+  it('rejects anything that is not an IP address', () => {
+    for (const value of ['unknown', '_hidden', '', 'evil.example', '1.2.3', '999.1.1.1', undefined]) {
+      assert.equal(normalizeIP(value), null);
+    }
+  });
+});
+
+describe('ipBucket', () => {
+  it('keeps IPv4 addresses and buckets IPv6 addresses by /64', () => {
+    assert.equal(ipBucket('203.0.113.5'), '203.0.113.5');
+    assert.equal(ipBucket('2001:db8:1:2:aaaa:bbbb:cccc:dddd'), '2001:db8:1:2::/64');
+    assert.equal(ipBucket('2001:db8:1:2::1'), ipBucket('2001:db8:1:2:ffff::42'));
+    assert.notEqual(ipBucket('2001:db8:1:2::1'), ipBucket('2001:db8:1:3::1'));
+    assert.equal(ipBucket('::ffff:203.0.113.5'), '203.0.113.5');
+  });
+});
+
+describe('getClientIP', () => {
+  it('ignores proxy headers from clients that connect directly', () => {
+    const req = request('203.0.113.5', {
+      'x-forwarded-for': '1.1.1.1',
+      'x-real-ip': '1.1.1.1',
+      forwarded: 'for=1.1.1.1',
+    });
+    assert.equal(getClientIP(req), '203.0.113.5');
+  });
+
+  it('takes the first untrusted address from the right', () => {
+    // The client prepended 1.1.1.1; our proxy appended the address it saw
+    const req = request('127.0.0.1', { 'x-forwarded-for': '1.1.1.1, 203.0.113.5' });
+    assert.equal(getClientIP(req), '203.0.113.5');
+  });
+
+  it('skips every trusted proxy in the chain', () => {
+    const req = request('10.0.0.1', { 'x-forwarded-for': '1.1.1.1, 203.0.113.5, 198.51.100.7, 10.0.0.2' });
+    assert.equal(getClientIP(req), '203.0.113.5');
+
+    const repeated = request('10.0.0.1', { 'x-forwarded-for': ['1.1.1.1, 203.0.113.5', '10.0.0.2'] });
+    assert.equal(getClientIP(repeated), '203.0.113.5');
+  });
+
+  it('uses the leftmost address when every hop is trusted', () => {
+    const req = request('10.0.0.1', { 'x-forwarded-for': '192.168.1.20, 10.0.0.2' });
+    assert.equal(getClientIP(req), '192.168.1.20');
+  });
+
+  it('stops at entries that are not IP addresses', () => {
+    const req = request('10.0.0.1', { 'x-forwarded-for': '1.1.1.1, not-an-ip' });
+    assert.equal(getClientIP(req), '10.0.0.1');
+  });
+
+  it('only reads the configured header', () => {
+    // A trusted proxy that sets X-Forwarded-For passes a client's Forwarded / X-Real-IP through untouched
+    const req = request('127.0.0.1', { 'x-real-ip': '1.1.1.1', forwarded: 'for=1.1.1.1' });
+    assert.equal(getClientIP(req), '127.0.0.1');
+  });
+
+  it('normalizes IPv6 clients and IPv4-mapped proxies', () => {
+    const req = request('::ffff:10.0.0.1', { 'x-forwarded-for': '2001:DB8::0:1' });
+    assert.equal(getClientIP(req), '2001:db8::1');
+  });
+
+  it('ignores the headers when the connecting address is unknown', () => {
+    assert.equal(getClientIP(request(null, { 'x-forwarded-for': '1.1.1.1, 203.0.113.5' })), 'unknown');
+    assert.equal(getClientIP(request(null)), 'unknown');
+    assert.equal(getClientIP(request('not-an-ip', { 'x-forwarded-for': '203.0.113.5' })), 'unknown');
+  });
+
+  it('only trusts loopback proxies by default', () => {
+    assert.deepEqual(IP_CONFIG.TRUSTED_PROXIES, ['loopback']);
+    const defaults = createClientIPResolver({ platformProxy: false });
+    assert.equal(defaults(request('::1', { 'x-forwarded-for': '203.0.113.5' })), '203.0.113.5');
+    assert.equal(defaults(request('10.0.0.1', { 'x-forwarded-for': '203.0.113.5' })), '10.0.0.1');
+    assert.equal(defaults(request('127.0.0.1', { 'x-forwarded-for': '203.0.113.5, 192.168.1.2' })), '192.168.1.2');
+  });
+
+  it('trusts nothing when no proxies are configured', () => {
+    const direct = createClientIPResolver({ trustedProxies: [], platformProxy: false });
+    assert.equal(direct(request('127.0.0.1', { 'x-forwarded-for': '1.1.1.1' })), '127.0.0.1');
+  });
+
+  it("trusts the platform's header whoever connects", () => {
+    const platform = createClientIPResolver({ trustedProxies: [], platformProxy: true });
+    assert.equal(platform(request('203.0.113.200', { 'x-forwarded-for': '1.1.1.1, 203.0.113.5' })), '203.0.113.5');
+  });
+
+  it('reads the Forwarded header from the right', () => {
+    const forwarded = createClientIPResolver({ trustedProxies, header: 'forwarded', platformProxy: false });
+    const req = request('10.0.0.1', {
+      forwarded: 'for=1.1.1.1, for="[2001:db8:cafe::17]:4711";proto=https, for=198.51.100.7;by=10.0.0.1',
+      'x-forwarded-for': '1.1.1.1',
+    });
+    assert.equal(forwarded(req), '2001:db8:cafe::17');
+
+    // An obfuscated node stops the walk at the proxy that added it
+    assert.equal(forwarded(request('10.0.0.1', { forwarded: 'for=1.1.1.1, for=_hidden, for=198.51.100.7' })), '198.51.100.7');
+  });
+
+  it('reads X-Real-IP when configured', () => {
+    const realIP = createClientIPResolver({ trustedProxies, header: 'x-real-ip', platformProxy: false });
+    assert.equal(realIP(request('127.0.0.1', { 'x-real-ip': '203.0.113.5', 'x-forwarded-for': '1.1.1.1' })), '203.0.113.5');
+    assert.equal(realIP(request('203.0.113.9', { 'x-real-ip': '1.1.1.1' })), '203.0.113.9');
+  });
+});
+
+describe('parseForwardedHeader', () => {
+  it('reads the for= node of each element (RFC 7239)', () => {
+    assert.deepEqual(
+      parseForwardedHeader('for=192.0.2.60;proto=http;by=203.0.113.43, For="[2001:db8:cafe::17]:4711"'),
+      ['192.0.2.60', '2001:db8:cafe::17']
+    );
+    assert.deepEqual(parseForwardedHeader('for="192.0.2.43:47011", proto=https'), ['192.0.2.43', null]);
+  });
+
+  it('treats unknown and obfuscated nodes as unusable', () => {
+    assert.deepEqual(parseForwardedHeader('for=unknown, for=_hidden, for="_SEVKISEK"'), [null, null, null]);
+  });
+
+  it('does not split on separators inside quoted strings', () => {
+    assert.deepEqual(parseForwardedHeader('for=192.0.2.1;host="a,b;c", for=198.51.100.9'), ['192.0.2.1', '198.51.100.9']);
+  });
+});
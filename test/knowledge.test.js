@@ -0,0 +1,326 @@
+/**
+ * Knowledge base tests: ranked matching, the CSV reader/writer, and the admin API's item CRUD,
+ * export and bulk import
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { parseCSV, stringifyCSV } from '../utils/csv.js';
+import {
+  KB_MATCH_CONFIG,
+  knowledgeItemsFromCSV,
+  knowledgeItemsToCSV,
+  matchKnowledgeBase,
+  rankKnowledgeItems,
+} from '../utils/knowledgeBase.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { getOperation, validateResponseBody } from '../utils/openapi.js';
+import { getDefaultTenant, getTenantStores } from '../utils/tenants.js';
+import adminKnowledgeHandler from '../api/admin/knowledge.js';
+import { createRequest, createResponse } from './support/http.js';
+
+const ADMIN_TOKEN = 'knowledge-test-token';
+
+const ITEM = {
+  question: 'Do you speak German?',
+  keywords: ['german', 'language'],
+  answer: 'Yes, at a conversational level.',
+};
+
+// Items to rank; "location" appears only as a keyword, never in a question or answer
+const RANKED_ITEMS = [
+  { id: 1, question: 'What is your email address?', keywords: ['email', 'e-mail'], answer: 'You can email me at jane@example.com.' },
+  { id: 2, question: 'What is your phone number?', keywords: ['phone', 'phone number'], answer: 'Call me on +44 20 7946 0958.' },
+  { id: 3, question: 'Where are you based?', keywords: ['location', 'where do you live'], answer: 'I live in Lisbon and work remotely across Europe.' },
+  { id: 4, question: 'What are your skills?', keywords: ['skills'], answer: 'Kafka, Flink and Python data pipelines.' },
+];
+
+/**
+ * Call the admin knowledge endpoint
+ * @param {Object} request - Options for createRequest
+ * @returns {Promise<Object>} - The recorded response
+ */
+async function admin(request) {
+  const res = createResponse();
+  const headers = { authorization: `Bearer ${ADMIN_TOKEN}`, ...request.headers };
+  await adminKnowledgeHandler(createRequest({ ...request, headers }), res);
+  await res.finished;
+  return res;
+}
+
+/**
+ * Assert that a response matches the OpenAPI description of the operation
+ * @param {Object} res - Recorded response
+ * @param {string} method - HTTP method
+ */
+function assertDocumented(res, method) {
+  assert.deepEqual(validateResponseBody(getOperation('/api/admin/knowledge', method), res.statusCode, res.body), []);
+}
+
+describe('knowledge base ranking', () => {
+  const { MIN_CONFIDENCE, MERGE_MIN_CONFIDENCE } = KB_MATCH_CONFIG;
+
+  afterEach(() => {
+    Object.assign(KB_MATCH_CONFIG, { MIN_CONFIDENCE, MERGE_MIN_CONFIDENCE });
+  });
+
+  it('scores a single keyword hit 0.75, enough to answer on its own', () => {
+    const [best] = rankKnowledgeItems(RANKED_ITEMS, 'location');
+    assert.equal(best.item.id, 3);
+    assert.deepEqual(best.signals, { keyword: 0.75, question: 0, answer: 0 });
+    assert.deepEqual(best.matchedKeywords, ['location']);
+
+    // The default KB_MIN_CONFIDENCE (0.6) lets one keyword answer without any other signal
+    assert.equal(MIN_CONFIDENCE, 0.6);
+    assert.deepEqual(matchKnowledgeBase(RANKED_ITEMS, 'location'), {
+      answer: 'I live in Lisbon and work remotely across Europe.',
+      confidence: 0.75,
+      matchedItemId: 3,
+      matchedItemIds: [3],
+    });
+  });
+
+  it('raises confidence when keyword and question agree', () => {
+    const match = matchKnowledgeBase(RANKED_ITEMS, 'email');
+    assert.equal(match.matchedItemId, 1);
+    assert.ok(match.confidence > 0.75);
+  });
+
+  it('merges the best answer for each part of a multi-intent question', () => {
+    const match = matchKnowledgeBase(RANKED_ITEMS, 'what is your email and phone');
+
+    assert.equal(match.matchedItemId, 1);
+    assert.deepEqual(match.matchedItemIds, [1, 2]);
+    assert.equal(match.answer, 'You can email me at jane@example.com.\n\nCall me on +44 20 7946 0958.');
+    // A merged answer is only as confident as its weakest part
+    const parts = [rankKnowledgeItems(RANKED_ITEMS, 'what is your email and phone')[0], rankKnowledgeItems(RANKED_ITEMS, 'phone')[0]];
+    assert.equal(match.confidence, Math.min(...parts.map(part => part.confidence)));
+
+    KB_MATCH_CONFIG.MERGE_MIN_CONFIDENCE = 1;
+    assert.deepEqual(matchKnowledgeBase(RANKED_ITEMS, 'what is your email and phone').matchedItemIds, [1]);
+  });
+
+  it('answers nothing below KB_MIN_CONFIDENCE', () => {
+    // Question overlap alone: "based" is shared with item 3's question
+    const [best] = rankKnowledgeItems(RANKED_ITEMS, 'Which city are you based in?');
+    assert.equal(best.item.id, 3);
+    assert.ok(best.confidence > 0.5 && best.confidence < MIN_CONFIDENCE);
+    assert.equal(matchKnowledgeBase(RANKED_ITEMS, 'Which city are you based in?'), null);
+
+    KB_MATCH_CONFIG.MIN_CONFIDENCE = 0.5;
+    assert.equal(matchKnowledgeBase(RANKED_ITEMS, 'Which city are you based in?').matchedItemId, 3);
+
+    KB_MATCH_CONFIG.MIN_CONFIDENCE = 0.8;
+    assert.equal(matchKnowledgeBase(RANKED_ITEMS, 'location'), null);
+    assert.equal(matchKnowledgeBase(RANKED_ITEMS, 'Tell me a joke'), null);
+  });
+});
+
+describe('CSV', () => {
+  it('reads quoted fields, escaped quotes, line breaks, a BOM, CRLF and blank rows', () => {
+    const text = '\uFEFFid,question,answer\r\n'
+      + '1,"Hello, world","She said ""hi""\r\nthen left"\r\n'
+      + '\r\n'
+      + ',,\r\n'
+      + '2,Plain,Last row without a line break';
+
+    assert.deepEqual(parseCSV(text), [
+      { id: '1', question: 'Hello, world', answer: 'She said "hi"\r\nthen left' },
+      { id: '2', question: 'Plain', answer: 'Last row without a line break' },
+    ]);
+  });
+
+  it('fills missing trailing fields and returns nothing without a header', () => {
+    assert.deepEqual(parseCSV('a,b,c\n1\n'), [{ a: '1', b: '', c: '' }]);
+    assert.deepEqual(parseCSV(''), []);
+    assert.deepEqual(parseCSV('\r\n\r\n'), []);
+  });
+
+  it('writes fields that need quoting and reads them back unchanged', () => {
+    const rows = [
+      { id: 1, text: 'comma, inside' },
+      { id: 2, text: 'a "quote"' },
+      { id: 3, text: 'two\nlines' },
+      { id: 4, text: null },
+    ];
+    const csv = stringifyCSV(rows, ['id', 'text']);
+
+    assert.equal(csv, 'id,text\r\n1,"comma, inside"\r\n2,"a ""quote"""\r\n3,"two\nlines"\r\n4,\r\n');
+    assert.deepEqual(parseCSV(csv), [
+      { id: '1', text: 'comma, inside' },
+      { id: '2', text: 'a "quote"' },
+      { id: '3', text: 'two\nlines' },
+      { id: '4', text: '' },
+    ]);
+  });
+
+  it('round-trips knowledge base items, keywords separated by ";"', () => {
+    const items = [
+      { id: 1, question: 'Where, exactly?', keywords: ['where', 'location'], answer: 'In "Lahore".\nRemote too.' },
+      { id: 2, question: 'Stack?', keywords: ['stack'], answer: 'Laravel' },
+    ];
+    const csv = knowledgeItemsToCSV(items);
+
+    assert.ok(csv.startsWith('id,question,keywords,answer\r\n'));
+    assert.deepEqual(knowledgeItemsFromCSV(csv), items);
+    assert.deepEqual(knowledgeItemsFromCSV('question,keywords,answer\nNew?, a ;; b ,Yes'), [
+      { question: 'New?', keywords: ['a', 'b'], answer: 'Yes' },
+    ]);
+  });
+});
+
+describe('admin knowledge API', () => {
+  const originalToken = process.env.ADMIN_TOKEN;
+  let bundledItems;
+
+  before(async () => {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    setStorage(createMemoryStorage());
+    setLogSink(createMemoryLogSink());
+
+    const res = await admin({ method: 'GET' });
+    bundledItems = res.body.items;
+  });
+
+  after(() => {
+    if (originalToken === undefined) {
+      delete process.env.ADMIN_TOKEN;
+    } else {
+      process.env.ADMIN_TOKEN = originalToken;
+    }
+    setStorage(null);
+    setLogSink(null);
+  });
+
+  it('lists the bundled items and gets one by id', async () => {
+    assert.ok(bundledItems.length > 0);
+
+    const list = await admin({ method: 'GET' });
+    assert.equal(list.statusCode, 200);
+    assert.equal(list.body.count, bundledItems.length);
+    assertDocumented(list, 'get');
+
+    const one = await admin({ method: 'GET', query: { id: String(bundledItems[0].id) } });
+    assert.equal(one.statusCode, 200);
+    assert.deepEqual(one.body.item, bundledItems[0]);
+
+    const missing = await admin({ method: 'GET', query: { id: '99999' } });
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.body.code, 'not_found');
+    assertDocumented(missing, 'get');
+  });
+
+  it('creates, replaces, patches and deletes an item', async () => {
+    const knowledge = getTenantStores(getDefaultTenant()).knowledge;
+
+    const created = await admin({ method: 'POST', body: ITEM });
+    assert.equal(created.statusCode, 201);
+    assertDocumented(created, 'post');
+    const { id } = created.body.item;
+    assert.ok(id > Math.max(...bundledItems.map(item => item.id)));
+    assert.deepEqual(knowledge.getItems().find(item => item.id === id), { id, ...ITEM });
+
+    const duplicate = await admin({ method: 'POST', body: { ...ITEM, id } });
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(duplicate.body.code, 'conflict');
+
+    // PATCH merges the fields it is given
+    const patched = await admin({ method: 'PATCH', query: { id: String(id) }, body: { answer: '  Ja, gut genug.  ' } });
+    assert.equal(patched.statusCode, 200);
+    assert.deepEqual(patched.body.item, { id, question: ITEM.question, keywords: ITEM.keywords, answer: 'Ja, gut genug.' });
+
+    // PUT replaces the whole item, so leaving out a field is an error
+    const incomplete = await admin({ method: 'PUT', query: { id: String(id) }, body: { answer: 'Only an answer' } });
+    assert.equal(incomplete.statusCode, 400);
+    assert.equal(incomplete.body.code, 'invalid_request');
+    assert.ok(incomplete.body.details.includes('"question" must be a non-empty string.'));
+    assertDocumented(incomplete, 'put');
+
+    const replaced = await admin({ method: 'PUT', query: { id: String(id) }, body: { question: 'German?', keywords: ['deutsch'], answer: 'Ja.' } });
+    assert.equal(replaced.statusCode, 200);
+    assert.deepEqual(replaced.body.item, { id, question: 'German?', keywords: ['deutsch'], answer: 'Ja.' });
+
+    const renamed = await admin({ method: 'PATCH', query: { id: String(id) }, body: { id: id + 1 } });
+    assert.equal(renamed.statusCode, 400);
+
+    const deleted = await admin({ method: 'DELETE', query: { id: String(id) } });
+    assert.equal(deleted.statusCode, 200);
+    assert.equal(deleted.body.item.id, id);
+    assert.equal(knowledge.getItems().length, bundledItems.length);
+
+    for (const method of ['PUT', 'PATCH', 'DELETE']) {
+      const missing = await admin({ method, query: { id: String(id) }, body: ITEM });
+      assert.equal(missing.statusCode, 404, method);
+      assert.equal(missing.body.code, 'not_found', method);
+    }
+
+    const noId = await admin({ method: 'DELETE' });
+    assert.equal(noId.statusCode, 400);
+  });
+
+  it('rejects invalid items with the validation messages', async () => {
+    const res = await admin({ method: 'POST', body: { question: 'Q?', keywords: [], answer: 'A', extra: true } });
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.details, ['Unknown field(s): extra.', '"keywords" must be a non-empty array of strings.']);
+    assertDocumented(res, 'post');
+  });
+
+  it('exports CSV and JSON that import back unchanged', async () => {
+    const csv = await admin({ method: 'GET', query: { format: 'csv' } });
+    assert.equal(csv.statusCode, 200);
+    assert.match(csv.headers['content-type'], /^text\/csv/);
+    assert.match(csv.headers['content-disposition'], /knowledge\.csv/);
+    assert.deepEqual(knowledgeItemsFromCSV(csv.body), bundledItems);
+
+    const json = await admin({ method: 'GET', query: { format: 'json' } });
+    assert.deepEqual(JSON.parse(json.body).items, bundledItems);
+
+    const imported = await admin({
+      method: 'POST',
+      headers: { 'content-type': 'text/csv' },
+      query: { import: '1', mode: 'replace' },
+      body: csv.body,
+    });
+    assert.equal(imported.statusCode, 200);
+    assert.deepEqual(imported.body, { created: bundledItems.length, updated: 0, total: bundledItems.length });
+    assert.deepEqual(getTenantStores(getDefaultTenant()).knowledge.getItems(), bundledItems);
+  });
+
+  it('merges a CSV import, updating by id and adding rows without one', async () => {
+    const [first] = bundledItems;
+    const csv = knowledgeItemsToCSV([{ ...first, answer: 'Updated by import.' }])
+      + ',"Any hobbies?","hobby; hobbies","Chess, and ""long"" walks."\r\n';
+
+    const res = await admin({ method: 'POST', query: { import: '1', format: 'csv' }, body: Buffer.from(`\uFEFF${csv}`) });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { created: 1, updated: 1, total: bundledItems.length + 1 });
+    const items = getTenantStores(getDefaultTenant()).knowledge.getItems();
+    assert.equal(items.find(item => item.id === first.id).answer, 'Updated by import.');
+    assert.deepEqual(items.at(-1).keywords, ['hobby', 'hobbies']);
+    assert.equal(items.at(-1).answer, 'Chess, and "long" walks.');
+  });
+
+  it('rejects a replace import with an invalid row and keeps the current items', async () => {
+    const before = getTenantStores(getDefaultTenant()).knowledge.getItems();
+
+    const res = await admin({
+      method: 'POST',
+      query: { import: '1', mode: 'replace' },
+      body: { items: [ITEM, { question: 'No answer', keywords: ['missing'] }] },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'invalid_request');
+    assert.deepEqual(res.body.details, ['items[1]: "answer" must be a non-empty string.']);
+    assertDocumented(res, 'post');
+    assert.deepEqual(getTenantStores(getDefaultTenant()).knowledge.getItems(), before);
+
+    const empty = await admin({ method: 'POST', query: { import: '1' }, body: { items: [] } });
+    assert.equal(empty.statusCode, 400);
+    const badMode = await admin({ method: 'POST', query: { import: '1', mode: 'append' }, body: { items: [ITEM] } });
+    assert.equal(badMode.statusCode, 400);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Logger tests: record shape, spans, trace context and message redaction
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { createLogger, createMemoryLogSink, getRequestLogger, LOG_CONFIG, redactText, setLogSink } from '../utils/logger.js';
+import { resetMockResponder, setMockResponder } from '../utils/llm/providers/mock.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import chatHandler from '../api/chat.js';
+import { createRequest, createResponse } from './support/http.js';
+
+const { LEVEL, MESSAGES } = LOG_CONFIG;
+let sink;
+
+beforeEach(() => {
+  sink = createMemoryLogSink();
+  setLogSink(sink);
+});
+
+afterEach(() => {
+  LOG_CONFIG.LEVEL = LEVEL;
+  LOG_CONFIG.MESSAGES = MESSAGES;
+  setLogSink(null);
+});
+
+describe('logger', () => {
+  it('writes OpenTelemetry-style records above the configured level', () => {
+    LOG_CONFIG.LEVEL = 'info';
+    const log = createLogger({ traceId: 'a'.repeat(32), attributes: { requestId: 'req-12345678' } });
+    log.debug('hidden');
+    log.warn('Store failed', { error: new TypeError('boom'), attempt: 2 });
+
+    assert.equal(sink.records.length, 1);
+    const [record] = sink.records;
+    assert.equal(record.type, 'log');
+    assert.equal(record.severityText, 'WARN');
+    assert.equal(record.severityNumber, 13);
+    assert.equal(record.body, 'Store failed');
+    assert.equal(record.traceId, 'a'.repeat(32));
+    assert.equal(record.attributes.requestId, 'req-12345678');
+    assert.equal(record.attributes.attempt, 2);
+    assert.equal(record.attributes['exception.type'], 'TypeError');
+    assert.equal(record.attributes['exception.message'], 'boom');
+    assert.equal(record.resource['service.name'], LOG_CONFIG.SERVICE_NAME);
+  });
+
+  it('sums step timings into the root span', async () => {
+    LOG_CONFIG.LEVEL = 'debug';
+    const root = createLogger({ traceId: 'b'.repeat(32) }).startSpan('request');
+    await root.logger.span('step', async () => {});
+    await root.logger.span('step', async () => {});
+    await assert.rejects(root.logger.span('failing', async () => {
+      throw new Error('nope');
+    }));
+    root.end({ outcome: 'done' });
+
+    const spans = sink.records.filter(record => record.type === 'span');
+    assert.deepEqual(spans.map(span => span.name), ['step', 'step', 'failing', 'request']);
+    const request = spans[3];
+    assert.equal(request.severityText, 'INFO');
+    assert.equal(request.parentSpanId, null);
+    assert.equal(spans[0].parentSpanId, request.spanId);
+    assert.equal(spans[0].traceId, request.traceId);
+    assert.deepEqual(spans[2].status, { code: 'ERROR', message: 'nope' });
+    assert.deepEqual(Object.keys(request.attributes.timings), ['step', 'failing']);
+    assert.equal(request.attributes.outcome, 'done');
+  });
+
+  it('continues the caller trace from traceparent', () => {
+    const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+    const log = getRequestLogger(createRequest({ headers: { traceparent, 'x-request-id': 'trace-1234abcd' } }));
+    log.startSpan('request').end();
+
+    const [span] = sink.records;
+    assert.equal(span.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.equal(span.parentSpanId, '00f067aa0ba902b7');
+    assert.equal(span.attributes.requestId, 'trace-1234abcd');
+
+    const other = getRequestLogger(createRequest({ headers: { traceparent: 'garbage' } }));
+    assert.match(other.traceId, /^[0-9a-f]{32}$/);
+  });
+
+  it('redacts messages as configured', () => {
+    const message = 'Mail me at jane.doe@example.com or +1 (555) 123-4567, see https://example.com/cv';
+
+    LOG_CONFIG.MESSAGES = 'off';
+    assert.equal(redactText(message), `[${message.length} characters]`);
+
+    LOG_CONFIG.MESSAGES = 'redacted';
+    assert.equal(redactText(message), 'Mail me at [email] or [number], see [url]');
+    assert.match(redactText('x'.repeat(500)), /^x{200}… \[500 characters\]$/);
+
+    LOG_CONFIG.MESSAGES = 'full';
+    assert.equal(redactText(message), message);
+  });
+});
+
+describe('chat request tracing', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+  });
+
+  after(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    resetMockResponder();
+    setStorage(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+  });
+
+  it('times each step and keeps the message out of the logs', async () => {
+    LOG_CONFIG.LEVEL = 'debug';
+    LOG_CONFIG.MESSAGES = 'off';
+    const question = 'How did you mentor junior developers on your team?';
+    setMockResponder(() => 'I paired with them weekly [1].');
+
+    const res = createResponse();
+    await chatHandler(createRequest({ method: 'POST', body: { message: question }, ip: '203.0.113.20' }), res);
+    await res.finished;
+    assert.equal(res.statusCode, 200);
+
+    const spans = sink.records.filter(record => record.type === 'span');
+    const names = spans.map(span => span.name);
+    for (const name of ['cv.load', 'knowledge.search', 'retrieval.search', 'llm.attempt', 'llm.generate', 'chat.request']) {
+      assert.ok(names.includes(name), `missing span ${name}`);
+    }
+
+    const request = spans.find(span => span.name === 'chat.request');
+    assert.equal(request.attributes.requestId, res.headers['x-request-id']);
+    assert.equal(request.attributes['chat.source'], 'mock_api');
+    assert.equal(request.attributes['chat.message'], `[${question.length} characters]`);
+    assert.equal(request.attributes['http.response.status_code'], 200);
+    assert.ok(request.attributes.timings['llm.attempt'] >= 0);
+    assert.match(request.attributes['client.id'], /^ip:[0-9a-f]{16}$/);
+
+    const attempt = spans.find(span => span.name === 'llm.attempt');
+    assert.equal(attempt.attributes['llm.model'], 'mock-model');
+    assert.equal(attempt.traceId, request.traceId);
+
+    const logged = JSON.stringify(sink.records);
+    assert.ok(!logged.includes('junior developers'));
+    assert.ok(!logged.includes('203.0.113.20'));
+    assert.ok(!logged.includes('paired with them'));
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * OpenAPI tests: the schema validator, the document itself and handlers checked against it
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { after, before, describe, it } from 'node:test';
+import { validateSchema } from '../utils/schema.js';
+import {
+  findOperation,
+  getOperation,
+  listOperations,
+  OPENAPI_SPEC,
+  validateRequestBody,
+  validateResponseBody,
+} from '../utils/openapi.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import chatHandler from '../api/chat.js';
+import healthHandler from '../api/health.js';
+import infoHandler from '../api/info.js';
+import openapiHandler from '../api/openapi.js';
+import { createRequest, createResponse } from './support/http.js';
+
+/**
+ * Call a handler and check its JSON response against the document
+ * @param {Function} handler
+ * @param {string} path - Documented path the handler serves
+ * @param {Object} request - Options for createRequest
+ * @returns {Promise<Object>} - The recorded response
+ */
+async function call(handler, path, request = {}) {
+  const req = createRequest(request);
+  const res = createResponse();
+  await handler(req, res);
+  await res.finished;
+
+  const { operation } = findOperation(path, req.method);
+  assert.deepEqual(validateResponseBody(operation, res.statusCode, res.body), [], `${req.method} ${path} ${res.statusCode}`);
+  return res;
+}
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 5 },
+      age: { type: ['integer', 'null'], minimum: 0 },
+      tags: { type: 'array', maxItems: 2, items: { $ref: '#/$defs/Tag' } },
+    },
+    $defs: {
+      Tag: { type: 'string', enum: ['a', 'b'] },
+    },
+  };
+
+  it('accepts valid values', () => {
+    assert.deepEqual(validateSchema({ name: 'Awais', age: null, tags: ['a'] }, schema), []);
+    assert.deepEqual(validateSchema({ name: 'Awais', age: 30 }, schema), []);
+  });
+
+  it('names the offending field', () => {
+    assert.deepEqual(validateSchema({ age: -1, extra: true }, schema), [
+      '"name" is required.',
+      '"age" must be at least 0.',
+      '"extra" is not allowed.',
+    ]);
+    assert.deepEqual(validateSchema({ name: '', tags: ['a', 'c'] }, schema), [
+      '"name" must not be empty.',
+      '"tags[1]" must be one of: a, b.',
+    ]);
+    assert.deepEqual(validateSchema('Awais', schema), ['"body" must be an object.']);
+    assert.deepEqual(validateSchema({ name: 'Muhammad', age: 1.5 }, schema), [
+      '"name" must be at most 5 characters.',
+      '"age" must be an integer or a null.',
+    ]);
+  });
+
+  it('requires exactly one oneOf option to match', () => {
+    const shape = { oneOf: [{ type: 'string' }, { type: 'number' }, { type: 'integer' }] };
+    assert.deepEqual(validateSchema('x', shape), []);
+    assert.deepEqual(validateSchema(1.5, shape), []);
+    assert.deepEqual(validateSchema(2, shape), ['"body" matches more than one allowed shape.']);
+    assert.equal(validateSchema(true, shape).length, 1);
+  });
+});
+
+describe('OpenAPI document', () => {
+  it('has unique operation ids and resolvable references', () => {
+    const ids = listOperations().map(({ operation }) => operation.operationId);
+    assert.equal(new Set(ids).size, ids.length);
+
+    const refs = JSON.stringify(OPENAPI_SPEC).match(/"#\/components\/schemas\/\w+"/g);
+    for (const ref of new Set(refs)) {
+      const name = JSON.parse(ref).split('/').pop();
+      assert.ok(OPENAPI_SPEC.components.schemas[name], `${ref} is not defined`);
+    }
+  });
+
+  it('documents every route of the development server', () => {
+    const server = readFileSync(new URL('../server.js', import.meta.url), 'utf8');
+    const routes = [...server.matchAll(/^app\.(?:get|post|all)\((\[[^\]]*\]|'[^']*')/gm)]
+      .flatMap(([, paths]) => paths.match(/'[^']*'/g).map(path => path.slice(1, -1)))
+      .filter(path => path !== '/')
+      .map(path => path.replace(/:(\w+)/g, '{$1}'));
+
+    assert.deepEqual(routes.sort(), Object.keys(OPENAPI_SPEC.paths).sort());
+  });
+
+  it('matches concrete paths to their templates', () => {
+    assert.equal(findOperation('/api/chat/jane', 'POST').path, '/api/chat/{tenant}');
+    assert.equal(findOperation('/api/admin/keys/key_1', 'delete').path, '/api/admin/keys/{id}');
+    assert.equal(findOperation('/api/chat', 'get'), null);
+    assert.equal(findOperation('/api/unknown', 'get'), null);
+  });
+
+  it('validates chat requests', () => {
+    const operation = getOperation('/api/chat', 'post');
+    assert.deepEqual(validateRequestBody(operation, { message: 'Hi', history: [{ role: 'user', text: 'Hello' }] }), []);
+    assert.deepEqual(validateRequestBody(operation, undefined), ['A JSON request body is required.']);
+    assert.deepEqual(validateRequestBody(operation, { message: '   ' }), ['"message" must not be blank.']);
+    assert.deepEqual(validateRequestBody(operation, { message: 'Hi', history: [{ role: 'system', text: 'x' }] }), [
+      '"history[0].role" must be one of: user, assistant, model.',
+    ]);
+  });
+});
+
+describe('handlers', () => {
+  before(() => {
+    setStorage(createMemoryStorage());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+  });
+
+  after(() => {
+    setStorage(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+  });
+
+  it('serves the document', async () => {
+    const res = await call(openapiHandler, '/api/openapi.json');
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.openapi, OPENAPI_SPEC.openapi);
+  });
+
+  it('lists the public endpoints from the document', async () => {
+    const res = await call(infoHandler, '/api/info');
+    assert.equal(res.body.endpoints.sendMessage.url, '/api/chat');
+    assert.equal(res.body.endpoints.sendMessage.method, 'POST');
+    assert.ok(Object.keys(res.body.endpoints).every(id => !/^admin/i.test(id)));
+  });
+
+  it('answers health checks as documented', async () => {
+    const res = await call(healthHandler, '/api/health');
+    assert.equal(res.statusCode, 200);
+  });
+
+  it('rejects invalid chat requests with details', async () => {
+    const res = await call(chatHandler, '/api/chat', {
+      method: 'POST',
+      body: { message: '', conversationId: 'not a valid id', history: 'none' },
+    });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'invalid_request');
+    assert.equal(res.body.message, 'Invalid request.');
+    assert.ok(res.body.details.some(detail => detail.startsWith('"message"')));
+    assert.ok(res.body.details.some(detail => detail.startsWith('"conversationId"')));
+    assert.ok(res.body.details.some(detail => detail.startsWith('"history"')));
+
+    const wrongMethod = createResponse();
+    await chatHandler(createRequest({ method: 'GET' }), wrongMethod);
+    assert.equal(wrongMethod.statusCode, 405);
+    assert.deepEqual(validateResponseBody(getOperation('/api/chat', 'post'), 405, wrongMethod.body), []);
+  });
+
+  it('answers knowledge base questions as documented', async () => {
+    const res = await call(chatHandler, '/api/chat', { method: 'POST', body: { message: 'What is your email address?' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.source, 'knowledge_base');
+    assert.equal(res.body.cached, false);
+  });
+});
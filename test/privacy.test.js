@@ -0,0 +1,228 @@
+/**
+ * Privacy policy tests: disclosure levels, unlocking "on_request" fields, and the policy applied
+ * to knowledge base answers, LLM replies and the profile endpoint
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import {
+  describeWithheld,
+  discloseProfile,
+  resolveDisclosure,
+  validatePrivacy,
+} from '../utils/privacy.js';
+import { resetMockResponder, setMockResponder } from '../utils/llm/providers/mock.js';
+import { createApiKeyStore, setApiKeyStore } from '../utils/apiKeys.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import { createMemoryCacheBackend } from '../utils/responseCache/memory.js';
+import chatHandler from '../api/chat.js';
+import profileHandler from '../api/profile.js';
+import { createRequest, createResponse } from './support/http.js';
+
+const PROFILE = {
+  basics: {
+    email: 'awaisasad20@gmail.com',
+    phone: '+92-332-4255688',
+    location: { address: 'Building 88, Sector C, Askari XI', city: 'Lahore', country: 'Pakistan' },
+  },
+};
+
+const TENANT = { id: 'awais', privacy: {} };
+
+describe('resolveDisclosure', () => {
+  it('withholds "never" fields and locked "on_request" fields', () => {
+    const disclosure = resolveDisclosure({ tenant: TENANT, profile: PROFILE, userTexts: ['What is your phone number?'] });
+    assert.equal(disclosure.unlocked, false);
+    assert.deepEqual(disclosure.withheld, ['address', 'dateOfBirth', 'nationalId', 'phone']);
+  });
+
+  it("unlocks on the visitor's own contact details or an API key, not the owner's", () => {
+    const withholds = options => resolveDisclosure({ tenant: TENANT, profile: PROFILE, ...options }).withheld.includes('phone');
+    assert.equal(withholds({ userTexts: ['Reach me at jane@corp.example', 'What is your phone number?'] }), false);
+    assert.equal(withholds({ userTexts: ['Call me on +1 (555) 123-4567'] }), false);
+    assert.equal(withholds({ userTexts: ['Is awaisasad20@gmail.com or +92 332 4255688 yours?'] }), true);
+    assert.equal(withholds({ userTexts: ['I worked there 2019 - 2021'] }), true);
+    assert.equal(withholds({ apiKey: { id: 'key' } }), false);
+
+    const keysOnly = { id: 'jane', privacy: { unlock: ['api_key'] } };
+    assert.equal(resolveDisclosure({ tenant: keysOnly, profile: PROFILE, userTexts: ['jane@corp.example'] }).withheld.includes('phone'), true);
+  });
+
+  it("applies the tenant's levels on top of PRIVACY_POLICY", () => {
+    const tenant = { id: 'jane', privacy: { phone: 'public', email: 'never' } };
+    assert.deepEqual(resolveDisclosure({ tenant, profile: PROFILE }).withheld, ['address', 'dateOfBirth', 'nationalId', 'email']);
+  });
+});
+
+describe('privacy helpers', () => {
+  const disclosure = resolveDisclosure({ tenant: TENANT, profile: PROFILE });
+
+  it('explains what was withheld', () => {
+    assert.equal(describeWithheld([], disclosure), null);
+    assert.equal(
+      describeWithheld(['address', 'phone', 'address', 'dateOfBirth'], disclosure),
+      "I can share my phone number once you leave your own email address or phone number here. I don't share my home address and date of birth here."
+    );
+    const keysOnly = resolveDisclosure({ tenant: { id: 'jane', privacy: { unlock: ['api_key'] } }, profile: PROFILE });
+    assert.equal(describeWithheld(['phone'], keysOnly), 'My phone number is only shared with registered API clients.');
+  });
+
+  it('removes withheld fields from the profile', () => {
+    const disclosed = discloseProfile(PROFILE, disclosure);
+    assert.deepEqual(disclosed.basics, { email: 'awaisasad20@gmail.com', location: { city: 'Lahore', country: 'Pakistan' } });
+    assert.equal(PROFILE.basics.phone, '+92-332-4255688');
+  });
+
+  it('validates tenant settings', () => {
+    assert.deepEqual(validatePrivacy(undefined), []);
+    assert.deepEqual(validatePrivacy({ phone: 'public', unlock: ['contact'] }), []);
+    assert.equal(validatePrivacy(['phone']).length, 1);
+    assert.deepEqual(validatePrivacy({ salary: 'never', phone: 'sometimes', unlock: ['password'] }), [
+      'Unknown privacy field "salary". Use address, dateOfBirth, nationalId, email, phone.',
+      '"privacy.phone" must be one of public, on_request, never.',
+      '"privacy.unlock" must be an array of contact, api_key.',
+    ]);
+  });
+});
+
+describe('privacy policy in answers', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+  let ip = 0;
+  let apiKey;
+
+  const call = async (handler, options) => {
+    const res = createResponse();
+    await handler(createRequest({ ip: `203.0.113.${++ip}`, ...options }), res);
+    await res.finished;
+    return res;
+  };
+  const chat = (body, headers = {}) => call(chatHandler, { method: 'POST', body, headers });
+
+  before(async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+    setLogSink(createMemoryLogSink());
+    const store = createApiKeyStore();
+    setApiKeyStore(store);
+    ({ key: apiKey } = await store.issue({ name: 'Recruiting partner' }));
+  });
+
+  after(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    resetMockResponder();
+    setStorage(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+    setLogSink(null);
+    setApiKeyStore(null);
+  });
+
+  it('withholds the phone number from knowledge base answers until the visitor leaves contact details', async () => {
+    const locked = await chat({ message: 'What is your phone number?' });
+    assert.equal(locked.body.source, 'knowledge_base');
+    assert.ok(!locked.body.reply.includes('4255688'));
+    assert.ok(locked.body.reply.includes('[withheld]'));
+    assert.ok(locked.body.reply.endsWith('once you leave your own email address or phone number here.'));
+
+    const shared = await chat({ message: 'I am jane@corp.example. What is your phone number?', conversationId: locked.body.conversationId });
+    assert.ok(shared.body.reply.includes('+92-332-4255688'));
+
+    const keyed = await chat({ message: 'What is your phone number?' }, { 'x-api-key': apiKey });
+    assert.ok(keyed.body.reply.includes('+92-332-4255688'));
+  });
+
+  it('never gives the home address or date of birth', async () => {
+    for (const headers of [{}, { 'x-api-key': apiKey }]) {
+      const address = await chat({ message: 'What is your address?' }, headers);
+      assert.equal(address.body.source, 'knowledge_base');
+      assert.ok(!address.body.reply.includes('Building'), address.body.reply);
+      assert.ok(address.body.reply.includes('Lahore'));
+      assert.ok(address.body.reply.endsWith("I don't share my home address here."));
+
+      const birthday = await chat({ message: 'What is your date of birth?' }, headers);
+      assert.ok(!birthday.body.reply.includes('1994'), birthday.body.reply);
+    }
+  });
+
+  it('keeps withheld fields out of fallback replies, the prompt and LLM replies', async () => {
+    const prompts = [];
+    setMockResponder(({ messages }) => {
+      prompts.push(messages.at(-1).text);
+      return 'I mentored two juniors at TechOrix [1]. Call me on +92 332 4255688 to hear more.';
+    });
+    const res = await chat({ message: 'How did you mentor junior developers on your team?' });
+    assert.equal(res.body.source, 'mock_api');
+    assert.equal(res.body.reply, 'I mentored two juniors at TechOrix [1]. Call me on [withheld] to hear more. I can share my phone number once you leave your own email address or phone number here.');
+    assert.ok(!prompts[0].includes('4255688'));
+    assert.ok(res.body.citations.every(citation => !citation.excerpt?.includes('4255688')));
+
+    const fallback = await chat({ message: 'What is the capital of France?' });
+    assert.equal(fallback.body.source, 'no_answer');
+    assert.ok(fallback.body.reply.includes('awaisasad20@gmail.com'));
+    assert.ok(!fallback.body.reply.includes('4255688'));
+  });
+
+  it('keeps cached answers to unlocked requests from other visitors', async () => {
+    const backend = createMemoryCacheBackend();
+    setResponseCache(createResponseCache({ backend }));
+    let calls = 0;
+    setMockResponder(() => {
+      calls++;
+      return 'I mentored two juniors at TechOrix [1]. Call me on +92 332 4255688 to hear more.';
+    });
+    const message = 'How do you mentor junior developers?';
+
+    try {
+      const keyed = await chat({ message }, { 'x-api-key': apiKey });
+      assert.ok(keyed.body.reply.includes('+92 332 4255688'));
+
+      const anonymous = await chat({ message });
+      assert.equal(anonymous.body.cached, false);
+      assert.ok(!anonymous.body.reply.includes('4255688'), anonymous.body.reply);
+      assert.equal(calls, 2);
+
+      // An entry stored before the policy withheld the phone number is checked again when served
+      const entries = [];
+      const originalSet = backend.set;
+      backend.set = async (key, value, ttl) => {
+        entries.push([key, value, ttl]);
+        return originalSet(key, value, ttl);
+      };
+      await chat({ message: 'How did you mentor the juniors?' });
+      for (const [key, value, ttl] of entries) {
+        await originalSet(key, value.replaceAll('[withheld]', '+92 332 4255688'), ttl);
+      }
+      const stale = await chat({ message: 'How did you mentor the juniors?' });
+      assert.equal(stale.body.cached, true);
+      assert.ok(!stale.body.reply.includes('4255688'), stale.body.reply);
+      assert.ok(stale.body.reply.includes('[withheld]'));
+      assert.equal(stale.body.reply, 'I mentored two juniors at TechOrix [1]. Call me on [withheld] to hear more. I can share my phone number once you leave your own email address or phone number here.');
+    } finally {
+      setResponseCache(createResponseCache({ backend: null }));
+    }
+  });
+
+  it('leaves withheld fields out of the profile unless an API key unlocks them', async () => {
+    const anonymous = await call(profileHandler, { method: 'GET' });
+    assert.equal(anonymous.statusCode, 200);
+    assert.equal(anonymous.body.basics.phone, undefined);
+    assert.equal(anonymous.body.basics.location.address, undefined);
+
+    const keyed = await call(profileHandler, { method: 'GET', headers: { 'x-api-key': apiKey } });
+    assert.ok(keyed.body.basics.phone);
+    assert.equal(keyed.body.basics.location.address, undefined);
+    assert.notEqual(keyed.headers.etag, anonymous.headers.etag);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * LLM provider tests: the OpenAI-compatible and Anthropic providers against local stand-ins
+ * for their APIs (see support/fakeOpenAI.js and support/fakeAnthropic.js), covering message
+ * conversion, streamed deltas, usage and how failures are classified
+ */
+
+import assert from 'node:assert/strict';
+import http from 'http';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createAnthropicProvider } from '../utils/llm/providers/anthropic.js';
+import { createOpenAIProvider } from '../utils/llm/providers/openai.js';
+import { ERROR_CATEGORIES, generateWithFallback } from '../utils/llm/index.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { startFakeAnthropic } from './support/fakeAnthropic.js';
+import { startFakeOpenAI } from './support/fakeOpenAI.js';
+
+// A leading assistant turn, two user turns in a row and an empty turn
+const MESSAGES = [
+  { role: 'assistant', text: 'Hello! Ask me anything.' },
+  { role: 'user', text: 'Where do you work?' },
+  { role: 'user', text: 'And since when?' },
+  { role: 'assistant', text: 'At HeuristicSol, since 2022.' },
+  { role: 'user', text: '' },
+  { role: 'user', text: 'What do you build there?' },
+];
+
+// MESSAGES with roles alternating, opening with a user turn
+const CONVERTED = [
+  { role: 'user', content: 'Where do you work?\n\nAnd since when?' },
+  { role: 'assistant', content: 'At HeuristicSol, since 2022.' },
+  { role: 'user', content: 'What do you build there?' },
+];
+
+/**
+ * Stream a reply, collecting the tokens
+ * @param {Object} provider - LLM provider
+ * @param {string} model - Model name
+ * @returns {Promise<Object>} - { result, tokens, chunks }
+ */
+async function stream(provider, model) {
+  const tokens = [];
+  let chunks = 0;
+  const result = await provider.stream({
+    model,
+    messages: MESSAGES,
+    onToken: token => tokens.push(token),
+    onChunk: () => chunks++,
+  });
+  return { result, tokens, chunks };
+}
+
+before(() => {
+  setLogSink(createMemoryLogSink());
+});
+
+after(() => {
+  setLogSink(null);
+});
+
+describe('OpenAI provider', () => {
+  let fake;
+  let provider;
+
+  before(async () => {
+    fake = await startFakeOpenAI();
+    provider = createOpenAIProvider({ apiKey: 'test-key', baseUrl: fake.url, model: 'gpt-test' });
+  });
+
+  afterEach(() => {
+    fake.reset();
+  });
+
+  after(async () => {
+    await fake.close();
+  });
+
+  it('sends alternating chat messages and maps the reported usage', async () => {
+    const result = await provider.generate({ model: 'gpt-test', messages: MESSAGES });
+
+    assert.deepEqual(result, { success: true, text: 'Fake OpenAI reply.', usage: { inputTokens: 100, outputTokens: 18 } });
+    assert.equal(fake.calls[0].headers.authorization, 'Bearer test-key');
+    assert.deepEqual(fake.calls[0].body, { model: 'gpt-test', messages: CONVERTED });
+    assert.deepEqual(provider.candidateModels(), [{ model: 'gpt-test' }]);
+  });
+
+  it('streams content deltas until [DONE]', async () => {
+    fake.respond(() => ({
+      events: [
+        JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] }),
+        JSON.stringify({ choices: [{ delta: { content: 'I build' } }] }),
+        JSON.stringify({ choices: [{ delta: { content: ' APIs.' } }] }),
+        '[DONE]',
+        JSON.stringify({ choices: [{ delta: { content: ' Not this.' } }] }),
+      ],
+    }));
+
+    const { result, tokens, chunks } = await stream(provider, 'gpt-test');
+    assert.deepEqual(result, { success: true, text: 'I build APIs.' });
+    assert.deepEqual(tokens, ['I build', ' APIs.']);
+    assert.ok(chunks > 0);
+    assert.equal(fake.calls[0].body.stream, true);
+  });
+
+  it('streams a full reply word by word', async () => {
+    fake.respond(() => 'Laravel and Node.js services.');
+
+    const { result, tokens } = await stream(provider, 'gpt-test');
+    assert.equal(result.text, 'Laravel and Node.js services.');
+    assert.deepEqual(tokens, ['Laravel ', 'and ', 'Node.js ', 'services.']);
+  });
+
+  it('classifies malformed and empty streams as invalid responses', async () => {
+    fake.respond(() => ({ events: [JSON.stringify({ choices: [{ delta: { content: 'Half' } }] }), '{"choices": [{'] }));
+    const malformed = (await stream(provider, 'gpt-test')).result;
+    assert.deepEqual(malformed, { error: 'Invalid streamed response', data: '{"choices": [{' });
+    assert.equal(provider.classifyError(malformed), ERROR_CATEGORIES.INVALID_RESPONSE);
+
+    fake.respond(() => ({ events: ['[DONE]'] }));
+    const empty = (await stream(provider, 'gpt-test')).result;
+    assert.deepEqual(empty, { error: 'Empty streamed response' });
+    assert.equal(provider.classifyError(empty), ERROR_CATEGORIES.INVALID_RESPONSE);
+  });
+
+  it('classifies HTTP errors by status', async () => {
+    for (const [status, category] of [
+      [400, ERROR_CATEGORIES.BAD_REQUEST],
+      [404, ERROR_CATEGORIES.MODEL_NOT_FOUND],
+      [429, ERROR_CATEGORIES.RATE_LIMITED],
+      [500, ERROR_CATEGORIES.UPSTREAM],
+      [503, ERROR_CATEGORIES.OVERLOADED],
+    ]) {
+      fake.respond(() => ({ status }));
+      const result = await provider.generate({ model: 'gpt-test', messages: MESSAGES });
+      assert.equal(result.status, status);
+      assert.equal(result.error.error.message, `Fake error ${status}`);
+      assert.equal(provider.classifyError(result), category, String(status));
+      assert.equal(provider.classifyError((await stream(provider, 'gpt-test')).result), category, `${status} streamed`);
+    }
+
+    const unauthorized = createOpenAIProvider({ apiKey: 'wrong-key', baseUrl: fake.url });
+    const result = await unauthorized.generate({ model: 'gpt-test', messages: MESSAGES });
+    assert.equal(unauthorized.classifyError(result), ERROR_CATEGORIES.AUTH);
+  });
+
+  it('lists models, and only needs a key when asked to', async () => {
+    fake.models(['gpt-a', 'gpt-b']);
+    assert.deepEqual(await provider.listModels(), [{ model: 'gpt-a' }, { model: 'gpt-b' }]);
+    assert.deepEqual(await createOpenAIProvider({ apiKey: 'wrong-key', baseUrl: fake.url }).listModels(), []);
+
+    assert.equal(createOpenAIProvider({ apiKey: '', baseUrl: fake.url }).isConfigured(), false);
+    assert.equal(createOpenAIProvider({ apiKey: '', baseUrl: fake.url, requiresApiKey: false }).isConfigured(), true);
+  });
+});
+
+describe('Anthropic provider', () => {
+  let fake;
+  let provider;
+
+  before(async () => {
+    fake = await startFakeAnthropic();
+    provider = createAnthropicProvider({ apiKey: 'test-key', baseUrl: fake.url, model: 'claude-test' });
+  });
+
+  afterEach(() => {
+    fake.reset();
+  });
+
+  after(async () => {
+    await fake.close();
+  });
+
+  it('sends alternating messages with the API version and maps the reported usage', async () => {
+    const result = await provider.generate({ model: 'claude-test', messages: MESSAGES });
+
+    assert.deepEqual(result, { success: true, text: 'Fake Anthropic reply.', usage: { inputTokens: 100, outputTokens: 21 } });
+    assert.equal(fake.calls[0].headers['anthropic-version'], '2023-06-01');
+    assert.deepEqual(fake.calls[0].body, { model: 'claude-test', max_tokens: 1024, messages: CONVERTED });
+  });
+
+  it('streams text from content_block_delta events', async () => {
+    const { result, tokens, chunks } = await stream(provider, 'claude-test');
+
+    assert.deepEqual(result, { success: true, text: 'Fake Anthropic reply.' });
+    assert.deepEqual(tokens, ['Fake ', 'Anthropic ', 'reply.']);
+    assert.ok(chunks > 0);
+    assert.equal(fake.calls[0].body.stream, true);
+  });
+
+  it('skips deltas that are not text', async () => {
+    fake.respond(() => ({
+      events: [
+        { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"a":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Only this.' } },
+        { type: 'message_stop' },
+      ],
+    }));
+
+    const { result, tokens } = await stream(provider, 'claude-test');
+    assert.equal(result.text, 'Only this.');
+    assert.deepEqual(tokens, ['Only this.']);
+  });
+
+  it('stops at an error event in the stream', async () => {
+    const overloaded = { type: 'overloaded_error', message: 'Overloaded' };
+    fake.respond(() => ({
+      events: [
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Partial' } },
+        { type: 'error', error: overloaded },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: ' never sent' } },
+      ],
+    }));
+    const { result, tokens } = await stream(provider, 'claude-test');
+    assert.deepEqual(result, { error: overloaded, status: 529 });
+    assert.deepEqual(tokens, ['Partial']);
+    assert.equal(provider.classifyError(result), ERROR_CATEGORIES.OVERLOADED);
+
+    fake.respond(() => ({ events: [{ type: 'error', error: { type: 'api_error', message: 'Internal error' } }] }));
+    const apiError = (await stream(provider, 'claude-test')).result;
+    assert.equal(apiError.status, undefined);
+    assert.equal(provider.classifyError(apiError), ERROR_CATEGORIES.INVALID_RESPONSE);
+  });
+
+  it('classifies malformed streams as invalid responses', async () => {
+    fake.respond(() => ({ events: ['{"type": "content_block_delta", "delta": '] }));
+    const { result } = await stream(provider, 'claude-test');
+
+    assert.deepEqual(result, { error: 'Invalid streamed response', data: '{"type": "content_block_delta", "delta": ' });
+    assert.equal(provider.classifyError(result), ERROR_CATEGORIES.INVALID_RESPONSE);
+  });
+
+  it('classifies HTTP errors by status', async () => {
+    for (const [status, category] of [
+      [400, ERROR_CATEGORIES.BAD_REQUEST],
+      [404, ERROR_CATEGORIES.MODEL_NOT_FOUND],
+      [429, ERROR_CATEGORIES.RATE_LIMITED],
+      [529, ERROR_CATEGORIES.OVERLOADED],
+    ]) {
+      fake.respond(() => ({ status }));
+      const result = await provider.generate({ model: 'claude-test', messages: MESSAGES });
+      assert.equal(result.status, status);
+      assert.equal(provider.classifyError(result), category, String(status));
+      assert.equal(provider.classifyError((await stream(provider, 'claude-test')).result), category, `${status} streamed`);
+    }
+
+    const unauthorized = createAnthropicProvider({ apiKey: 'wrong-key', baseUrl: fake.url });
+    const result = await unauthorized.generate({ model: 'claude-test', messages: MESSAGES });
+    assert.equal(result.error.error.type, 'authentication_error');
+    assert.equal(unauthorized.classifyError(result), ERROR_CATEGORIES.AUTH);
+  });
+
+  it('moves on to a listed model when a stream is malformed', async () => {
+    fake.models(['claude-listed']);
+    fake.respond(({ model }) => (model === 'claude-listed' ? 'From the listed model.' : { events: ['not json'] }));
+
+    const tokens = [];
+    const result = await generateWithFallback({ messages: MESSAGES, provider, onToken: token => tokens.push(token) });
+    assert.equal(result.model, 'claude-listed');
+    assert.equal(result.text, 'From the listed model.');
+    assert.deepEqual(fake.calls.map(call => call.model), ['claude-test', 'claude-listed']);
+  });
+});
+
+describe('model lists', () => {
+  const originalTimeout = process.env.LLM_TIMEOUT;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    process.env.LLM_TIMEOUT = '100';
+    // An API that never answers
+    server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (originalTimeout === undefined) {
+      delete process.env.LLM_TIMEOUT;
+    } else {
+      process.env.LLM_TIMEOUT = originalTimeout;
+    }
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('give up after LLM_TIMEOUT', async () => {
+    assert.deepEqual(await createOpenAIProvider({ apiKey: 'test-key', baseUrl: `${baseUrl}/v1` }).listModels(), []);
+    assert.deepEqual(await createAnthropicProvider({ apiKey: 'test-key', baseUrl }).listModels(), []);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Quota tests: tiers from a config file, weighted answer budgets and the daily LLM cap
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { beforeEach, describe, it } from 'node:test';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+
+// The config is read when utils/quotas.js is first imported
+const configFile = join(mkdtempSync(join(tmpdir(), 'quotas-')), 'rateLimits.json');
+writeFileSync(configFile, JSON.stringify({
+  costs: { knowledgeBase: 1, llm: 10 },
+  tiers: {
+    anonymous: { perMinute: 5, budget: 25, refillPerHour: 60 },
+    allowlisted: { ips: ['203.0.113.0/24', '2001:db8::/32'] },
+  },
+  dailyLLMCap: { tokens: 1000, calls: 3 },
+}));
+process.env.RATE_LIMITS_FILE = configFile;
+const { consumeBudget, getLLMUsage, getTier, recordLLMUsage } = await import('../utils/quotas.js');
+
+describe('getTier', () => {
+  it('puts allow-listed addresses and ranges in the allowlisted tier', () => {
+    assert.equal(getTier({ ip: '203.0.113.9' }).name, 'allowlisted');
+    assert.equal(getTier({ ip: '::ffff:203.0.113.9' }).name, 'allowlisted');
+    assert.equal(getTier({ ip: '2001:db8:1::5' }).name, 'allowlisted');
+  });
+
+  it("uses the API key's tier, even from an allow-listed address", () => {
+    assert.equal(getTier({ ip: '198.51.100.1', apiKey: { tier: 'apiKey' } }).name, 'apiKey');
+    assert.equal(getTier({ ip: '203.0.113.9', apiKey: { tier: 'anonymous' } }).name, 'anonymous');
+    assert.equal(getTier({ ip: '198.51.100.1', apiKey: { tier: 'allowlisted' } }).name, 'allowlisted');
+  });
+
+  it('merges the config file and tenant overrides over the anonymous defaults', () => {
+    const tier = getTier({ ip: '198.51.100.1' });
+    assert.equal(tier.name, 'anonymous');
+    assert.equal(tier.perMinute, 5);
+    assert.equal(tier.perHour, 60);
+    assert.equal(tier.budget, 25);
+
+    const tenantTier = getTier({ ip: '198.51.100.1', tenant: { rateLimit: { perMinute: 2 } } });
+    assert.equal(tenantTier.perMinute, 2);
+    assert.equal(tenantTier.budget, 25);
+  });
+});
+
+describe('consumeBudget', () => {
+  beforeEach(() => setRateLimitStore(createMemoryRateLimitStore()));
+
+  it('charges LLM answers more than knowledge base answers', async () => {
+    const tier = getTier({ ip: '198.51.100.1' });
+    assert.equal((await consumeBudget('client', tier, 'llm')).remaining, 15);
+    assert.equal((await consumeBudget('client', tier, 'llm')).remaining, 5);
+
+    const denied = await consumeBudget('client', tier, 'llm');
+    assert.equal(denied.allowed, false);
+    // 5 tokens short at 60 per hour
+    assert.equal(denied.retryAfter, 300);
+
+    // Knowledge base answers still fit
+    assert.equal((await consumeBudget('client', tier, 'knowledgeBase')).allowed, true);
+  });
+});
+
+describe('daily LLM cap', () => {
+  beforeEach(() => setRateLimitStore(createMemoryRateLimitStore()));
+
+  it('is reached by the call count', async () => {
+    for (let i = 0; i < 2; i++) {
+      await recordLLMUsage({ inputTokens: 100, outputTokens: 20 });
+    }
+    assert.equal((await getLLMUsage()).capReached, false);
+
+    // Failed calls count too
+    await recordLLMUsage();
+    const usage = await getLLMUsage();
+    assert.equal(usage.calls, 3);
+    assert.equal(usage.tokens, 240);
+    assert.equal(usage.capReached, true);
+  });
+
+  it('is reached by the token count', async () => {
+    await recordLLMUsage({ inputTokens: 900, outputTokens: 150 });
+    assert.equal((await getLLMUsage()).capReached, true);
+  });
+});
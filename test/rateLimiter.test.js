@@ -0,0 +1,248 @@
+/**
+ * Rate limiter tests
+ * The store tests run against the memory store and the Redis store. The Redis store uses
+ * REDIS_URL when set (a local Redis; the database is flushed) and an in-process fake otherwise.
+ */
+
+import assert from 'node:assert/strict';
+import { createServer } from 'node:net';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { createTcpRedisClient } from '../utils/redisClient.js';
+import {
+  createMemoryRateLimitStore,
+  createRedisRateLimitStore,
+  setRateLimitStore,
+} from '../utils/rateLimit/index.js';
+import { checkRateLimitForIP } from '../utils/rateLimiter.js';
+import { startFakeRedis } from './support/fakeRedis.js';
+
+const MINUTE = 60000;
+const HOUR = 3600000;
+const BLOCK = 600000;
+
+const windows = (perMinute, perHour) => [
+  { name: 'minute', size: MINUTE, limit: perMinute },
+  { name: 'hour', size: HOUR, limit: perHour },
+];
+
+/**
+ * Shared contract every rate limit store must satisfy
+ * @param {string} name
+ * @param {Function} setup - Returns { store, otherInstance } (another store sharing state, if any)
+ */
+function describeStore(name, setup) {
+  describe(`${name} rate limit store`, () => {
+    let store;
+    let otherInstance;
+
+    beforeEach(async () => {
+      ({ store, otherInstance } = await setup());
+      await store.reset();
+    });
+
+    it('allows requests up to the limit and blocks the next one', async () => {
+      const now = Date.now();
+      for (let i = 1; i <= 3; i++) {
+        const result = await store.consume('client', { now: now + i, windows: windows(3, 10), blockDuration: BLOCK });
+        assert.equal(result.allowed, true);
+        assert.equal(result.counts[0], i);
+      }
+
+      const denied = await store.consume('client', { now: now + 4, windows: windows(3, 10), blockDuration: BLOCK });
+      assert.equal(denied.allowed, false);
+      assert.equal(denied.exceeded, 'minute');
+      assert.equal(denied.blockedUntil, now + 4 + BLOCK);
+    });
+
+    it('keeps a client blocked for the block duration', async () => {
+      const now = Date.now();
+      const request = { windows: windows(1, 10), blockDuration: 200 };
+      await store.consume('client', { ...request, now });
+      await store.consume('client', { ...request, now: now + 1 });
+
+      const blocked = await store.consume('client', { ...request, now: now + 2 });
+      assert.equal(blocked.allowed, false);
+      assert.equal(blocked.exceeded, null);
+
+      // Redis expires the block key on its own clock, so wait rather than fake the time
+      await new Promise(resolve => setTimeout(resolve, 250));
+      const later = Date.now() + MINUTE;
+      const allowed = await store.consume('client', { ...request, now: later });
+      assert.equal(allowed.allowed, true);
+    });
+
+    it('slides the window instead of resetting it', async () => {
+      const now = Date.now();
+      const request = { windows: windows(2, 10), blockDuration: BLOCK };
+      await store.consume('client', { ...request, now });
+      await store.consume('client', { ...request, now: now + 30000 });
+
+      // The first request has left the minute window, the second hasn't
+      const result = await store.consume('client', { ...request, now: now + MINUTE });
+      assert.equal(result.allowed, true);
+      assert.equal(result.counts[0], 2);
+      assert.equal(result.counts[1], 3);
+      assert.equal(result.resetAt, now + 30000 + MINUTE);
+    });
+
+    it('enforces the hour window', async () => {
+      const now = Date.now();
+      const request = { windows: windows(10, 3), blockDuration: BLOCK };
+      for (let i = 0; i < 3; i++) {
+        await store.consume('client', { ...request, now: now + i * MINUTE });
+      }
+      const denied = await store.consume('client', { ...request, now: now + 3 * MINUTE });
+      assert.equal(denied.allowed, false);
+      assert.equal(denied.exceeded, 'hour');
+    });
+
+    it('counts keys separately', async () => {
+      const now = Date.now();
+      const request = { now, windows: windows(1, 10), blockDuration: BLOCK };
+      assert.equal((await store.consume('tenant-a:1.2.3.4', request)).allowed, true);
+      assert.equal((await store.consume('tenant-b:1.2.3.4', request)).allowed, true);
+      assert.equal((await store.consume('tenant-a:1.2.3.4', request)).allowed, false);
+    });
+
+    it('takes weighted costs from a refilling token bucket', async () => {
+      const now = Date.now();
+      // 25 tokens, refilled at 10 per minute
+      const bucket = { capacity: 25, refillRate: 10 / MINUTE };
+      assert.equal((await store.take('client', { ...bucket, now, cost: 10 })).allowed, true);
+      assert.equal((await store.take('client', { ...bucket, now, cost: 1 })).remaining, 14);
+      assert.equal((await store.take('client', { ...bucket, now, cost: 10 })).allowed, true);
+
+      const denied = await store.take('client', { ...bucket, now, cost: 10 });
+      assert.equal(denied.allowed, false);
+      assert.equal(denied.remaining, 4);
+      assert.equal(denied.retryAfter, 36000);
+
+      const refilled = await store.take('client', { ...bucket, now: now + 36000, cost: 10 });
+      assert.equal(refilled.allowed, true);
+      assert.ok(Math.abs(refilled.remaining) < 1e-9);
+
+      // Never fills past capacity
+      const full = await store.take('other', { ...bucket, now: now + HOUR, cost: 1 });
+      assert.equal(full.remaining, 24);
+    });
+
+    it('keeps expiring counters', async () => {
+      assert.equal(await store.getCounter('usage'), 0);
+      assert.equal(await store.increment('usage', 120, MINUTE), 120);
+      assert.equal(await store.increment('usage', 30, MINUTE), 150);
+      assert.equal(await store.getCounter('usage'), 150);
+
+      await store.increment('short', 5, 50);
+      await new Promise(resolve => setTimeout(resolve, 80));
+      assert.equal(await store.getCounter('short'), 0);
+    });
+
+    it('never lets concurrent requests exceed the limit', async () => {
+      const now = Date.now();
+      const request = { now, windows: windows(5, 100), blockDuration: BLOCK };
+      const instances = [store, otherInstance || store];
+      const results = await Promise.all(
+        Array.from({ length: 20 }, (_, i) => instances[i % 2].consume('client', request))
+      );
+      assert.equal(results.filter(result => result.allowed).length, 5);
+    });
+
+    it('never lets concurrent requests overdraw a bucket', async () => {
+      const now = Date.now();
+      const request = { now, capacity: 50, refillRate: 1 / HOUR, cost: 10 };
+      const instances = [store, otherInstance || store];
+      const results = await Promise.all(
+        Array.from({ length: 12 }, (_, i) => instances[i % 2].take('client', request))
+      );
+      assert.equal(results.filter(result => result.allowed).length, 5);
+    });
+  });
+}
+
+describeStore('memory', async () => ({ store: createMemoryRateLimitStore() }));
+
+describe('redis', () => {
+  let fake = null;
+  const clients = [];
+  let url = process.env.REDIS_URL;
+
+  before(async () => {
+    if (!url) {
+      fake = await startFakeRedis();
+      url = fake.url;
+    }
+  });
+
+  after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await fake?.close();
+  });
+
+  it('speaks TLS to rediss:// URLs and gives up on a server that never answers', async () => {
+    const received = [];
+    const sockets = [];
+    const silent = createServer((socket) => {
+      sockets.push(socket);
+      socket.on('data', chunk => received.push(chunk));
+    });
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const client = createTcpRedisClient({ url: `rediss://127.0.0.1:${silent.address().port}`, timeout: 200 });
+      const started = Date.now();
+      await assert.rejects(client.command('PING'), /Redis connection timed out/);
+      assert.ok(Date.now() - started < 2000);
+      // A TLS handshake record, not a plaintext RESP command
+      assert.equal(received[0]?.[0], 0x16);
+
+      setRateLimitStore(createRedisRateLimitStore({ client, prefix: 'test:' }));
+      const result = await checkRateLimitForIP('9.9.9.9', { perMinute: 1 });
+      assert.equal(result.allowed, true);
+    } finally {
+      setRateLimitStore(null);
+      sockets.forEach(socket => socket.destroy());
+      silent.close();
+    }
+  });
+
+  // Two clients model two serverless instances sharing one Redis
+  describeStore('redis', async () => {
+    const [first, second] = [createTcpRedisClient({ url }), createTcpRedisClient({ url })];
+    clients.push(first, second);
+    return {
+      store: createRedisRateLimitStore({ client: first, prefix: 'test:' }),
+      otherInstance: createRedisRateLimitStore({ client: second, prefix: 'test:' }),
+    };
+  });
+});
+
+describe('checkRateLimitForIP', () => {
+  after(() => setRateLimitStore(null));
+
+  it('reports remaining requests and the limit that was hit', async () => {
+    setRateLimitStore(createMemoryRateLimitStore());
+    const first = await checkRateLimitForIP('1.2.3.4', { perMinute: 2, perHour: 10 });
+    assert.equal(first.allowed, true);
+    assert.equal(first.remaining, 1);
+
+    await checkRateLimitForIP('1.2.3.4', { perMinute: 2, perHour: 10 });
+    const denied = await checkRateLimitForIP('1.2.3.4', { perMinute: 2, perHour: 10 });
+    assert.equal(denied.allowed, false);
+    assert.match(denied.message, /Maximum 2 requests per minute/);
+
+    const blocked = await checkRateLimitForIP('1.2.3.4', { perMinute: 2, perHour: 10 });
+    assert.match(blocked.message, /temporarily blocked/);
+  });
+
+  it('falls back to in-memory limiting when the store fails', async () => {
+    setRateLimitStore({
+      name: 'broken',
+      consume: async () => {
+        throw new Error('connection refused');
+      },
+    });
+    const result = await checkRateLimitForIP('5.6.7.8', { perMinute: 1 });
+    assert.equal(result.allowed, true);
+    assert.equal((await checkRateLimitForIP('5.6.7.8', { perMinute: 1 })).allowed, false);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Readiness tests: component checks, the overall state and the cached LLM check
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { checkReadiness, clearLLMChecks, overallStatus } from '../utils/readiness.js';
+import { getProvider } from '../utils/llm/index.js';
+import { getDefaultTenant } from '../utils/tenants.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { getOperation, validateResponseBody } from '../utils/openapi.js';
+import readyHandler from '../api/ready.js';
+import { createRequest, createResponse } from './support/http.js';
+
+/**
+ * Component results with the given statuses, everything else "ok"
+ * @param {Object} statuses - Status by component name
+ * @returns {Object}
+ */
+function components(statuses = {}) {
+  const names = ['knowledgeBase', 'cv', 'llm', 'rateLimiter'];
+  return Object.fromEntries(names.map(name => [name, { status: statuses[name] || 'ok', error: null }]));
+}
+
+describe('overall status', () => {
+  it('is healthy only when every component is ok', () => {
+    assert.equal(overallStatus(components()), 'healthy');
+    assert.equal(overallStatus(components({ cv: 'degraded' })), 'degraded');
+  });
+
+  it('stays degraded while one answer source is left', () => {
+    assert.equal(overallStatus(components({ llm: 'down' })), 'degraded');
+    assert.equal(overallStatus(components({ knowledgeBase: 'down' })), 'degraded');
+    assert.equal(overallStatus(components({ cv: 'down' })), 'degraded');
+  });
+
+  it('is unhealthy without the rate limit store or any answer source', () => {
+    assert.equal(overallStatus(components({ rateLimiter: 'down' })), 'unhealthy');
+    assert.equal(overallStatus(components({ knowledgeBase: 'down', llm: 'down' })), 'unhealthy');
+    assert.equal(overallStatus(components({ knowledgeBase: 'down', cv: 'down' })), 'unhealthy');
+  });
+});
+
+describe('readiness checks', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+  const provider = getProvider('mock');
+  const { ping, isConfigured } = provider;
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+  });
+
+  afterEach(() => {
+    provider.ping = ping;
+    provider.isConfigured = isConfigured;
+    clearLLMChecks();
+    setRateLimitStore(createMemoryRateLimitStore());
+  });
+
+  after(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    setStorage(null);
+    setRateLimitStore(null);
+  });
+
+  it('reports the bundled knowledge base and CV', async () => {
+    const { status, components: result } = await checkReadiness(getDefaultTenant());
+    assert.equal(status, 'healthy');
+    assert.equal(result.knowledgeBase.status, 'ok');
+    assert.ok(result.knowledgeBase.items > 0);
+    assert.equal(result.cv.status, 'ok');
+    assert.ok(result.cv.length > 0);
+    assert.equal(result.llm.mode, 'normal');
+    assert.equal(result.rateLimiter.store, 'memory');
+  });
+
+  it('pings the provider once per cache period', async () => {
+    let pings = 0;
+    provider.ping = async () => {
+      pings++;
+      return { ok: true, status: 200 };
+    };
+
+    await Promise.all([checkReadiness(getDefaultTenant()), checkReadiness(getDefaultTenant())]);
+    await checkReadiness(getDefaultTenant());
+    assert.equal(pings, 1);
+
+    clearLLMChecks();
+    await checkReadiness(getDefaultTenant());
+    assert.equal(pings, 2);
+  });
+
+  it('treats a rate limited provider as degraded and a failing one as down', async () => {
+    provider.ping = async () => ({ ok: false, status: 429, error: 'HTTP 429' });
+    const limited = await checkReadiness(getDefaultTenant());
+    assert.equal(limited.components.llm.status, 'degraded');
+    assert.equal(limited.status, 'degraded');
+
+    clearLLMChecks();
+    provider.ping = async () => ({ ok: false, error: 'Unreachable' });
+    const unreachable = await checkReadiness(getDefaultTenant());
+    assert.equal(unreachable.components.llm.status, 'down');
+    assert.match(unreachable.components.llm.error, /Unreachable/);
+    assert.equal(unreachable.status, 'degraded');
+  });
+
+  it('does not ping a provider without an API key', async () => {
+    provider.isConfigured = () => false;
+    provider.ping = async () => assert.fail('should not ping');
+    const { components: result } = await checkReadiness(getDefaultTenant());
+    assert.equal(result.llm.status, 'down');
+    assert.equal(result.llm.checkedAt, null);
+  });
+
+  it('answers 503 when the rate limit store is unreachable', async () => {
+    setRateLimitStore({
+      ...createMemoryRateLimitStore(),
+      name: 'redis',
+      async ping() {
+        throw new Error('connect ECONNREFUSED');
+      },
+    });
+
+    const res = createResponse();
+    await readyHandler(createRequest(), res);
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.headers['cache-control'], 'no-store');
+    assert.equal(res.body.status, 'unhealthy');
+    assert.equal(res.body.components.rateLimiter.status, 'down');
+    assert.equal(res.body.components.rateLimiter.error, 'The rate limit store is unreachable.');
+    assert.deepEqual(validateResponseBody(getOperation('/api/ready', 'get'), 503, res.body), []);
+  });
+
+  it('matches the OpenAPI document when healthy', async () => {
+    const res = createResponse();
+    await readyHandler(createRequest(), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.tenant, getDefaultTenant().id);
+    assert.deepEqual(validateResponseBody(getOperation('/api/ready', 'get'), 200, res.body), []);
+  });
+});
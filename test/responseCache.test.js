@@ -0,0 +1,136 @@
+/**
+ * Response cache tests: backends, scoping by CV/knowledge/prompt version and similarity hits
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import {
+  createMemoryCacheBackend,
+  createRedisCacheBackend,
+  createResponseCache,
+  normalizeQuestion,
+} from '../utils/responseCache/index.js';
+import { createKnowledgeStore } from '../utils/knowledgeBase.js';
+import { createTcpRedisClient } from '../utils/redisClient.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { startFakeRedis } from './support/fakeRedis.js';
+
+const SCOPE = { tenant: 'default', cvVersion: 'cv1', knowledgeVersion: 'kb1', promptVersion: '1' };
+const ANSWER = { reply: 'I built a Single Sign-On platform [1].', source: 'gemini_api', citations: [{ id: 1 }] };
+
+function describeBackend(name, createBackend) {
+  describe(`${name} response cache backend`, () => {
+    it('returns stored values until they expire', async () => {
+      const backend = await createBackend();
+      await backend.set('a', 'first', 1000);
+      await backend.set('b', 'second', 20);
+      assert.equal(await backend.get('a'), 'first');
+      assert.equal(await backend.get('missing'), null);
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+      assert.equal(await backend.get('b'), null);
+      assert.equal(await backend.get('a'), 'first');
+    });
+
+    it('backs a response cache', async () => {
+      const cache = createResponseCache({ backend: await createBackend(), ttl: 60, similarity: 0.6 });
+      await cache.store(SCOPE, 'What projects have you built?', ANSWER);
+      assert.deepEqual((await cache.lookup(SCOPE, 'what projects have you built')).response, ANSWER);
+      assert.ok(await cache.lookup(SCOPE, 'Which projects have you built so far?'));
+    });
+  });
+}
+
+describeBackend('memory', async () => createMemoryCacheBackend());
+
+describe('redis', () => {
+  let fake = null;
+  let client = null;
+  let url = process.env.REDIS_URL;
+
+  before(async () => {
+    if (!url) {
+      fake = await startFakeRedis();
+      url = fake.url;
+    }
+    client = createTcpRedisClient({ url });
+  });
+
+  after(async () => {
+    await client.close();
+    await fake?.close();
+  });
+
+  describeBackend('redis', async () =>
+    createRedisCacheBackend({ client, prefix: `test:cache:${process.pid}:${Math.random().toString(36).slice(2)}:` }));
+});
+
+describe('memory backend', () => {
+  it('evicts the least recently used entry when full', async () => {
+    const backend = createMemoryCacheBackend({ maxEntries: 2 });
+    await backend.set('a', '1', 1000);
+    await backend.set('b', '2', 1000);
+    await backend.get('a');
+    await backend.set('c', '3', 1000);
+    assert.equal(await backend.get('b'), null);
+    assert.equal(await backend.get('a'), '1');
+    assert.equal(await backend.get('c'), '3');
+  });
+});
+
+describe('createResponseCache', () => {
+  it('ignores case, punctuation and spacing', async () => {
+    assert.equal(normalizeQuestion('  What projects have YOU built?! '), 'what projects have you built');
+
+    const cache = createResponseCache({ backend: createMemoryCacheBackend(), ttl: 60, similarity: 0 });
+    await cache.store(SCOPE, 'What projects have you built?', ANSWER);
+    const hit = await cache.lookup(SCOPE, 'what projects   have you built');
+    assert.equal(hit.similarity, 1);
+    assert.deepEqual(hit.response, ANSWER);
+  });
+
+  it('misses once the CV, knowledge base or prompt changes', async () => {
+    const cache = createResponseCache({ backend: createMemoryCacheBackend(), ttl: 60, similarity: 0 });
+    await cache.store(SCOPE, 'What projects have you built?', ANSWER);
+
+    for (const change of [{ cvVersion: 'cv2' }, { knowledgeVersion: 'kb2' }, { promptVersion: '2' }, { tenant: 'other' }]) {
+      assert.equal(await cache.lookup({ ...SCOPE, ...change }, 'What projects have you built?'), null);
+    }
+  });
+
+  it('only serves near-duplicates when a similarity threshold is set', async () => {
+    const exactOnly = createResponseCache({ backend: createMemoryCacheBackend(), ttl: 60, similarity: 0 });
+    await exactOnly.store(SCOPE, 'What projects have you built?', ANSWER);
+    assert.equal(await exactOnly.lookup(SCOPE, 'Which projects have you built so far?'), null);
+
+    const similar = createResponseCache({ backend: createMemoryCacheBackend(), ttl: 60, similarity: 0.6 });
+    await similar.store(SCOPE, 'What projects have you built?', ANSWER);
+    await similar.store(SCOPE, 'Where did you study?', { ...ANSWER, reply: 'At university.' });
+
+    const hit = await similar.lookup(SCOPE, 'Which projects have you built so far?');
+    assert.equal(hit.response.reply, ANSWER.reply);
+    assert.ok(hit.similarity >= 0.6 && hit.similarity < 1);
+    assert.equal(await similar.lookup(SCOPE, 'What is your phone number?'), null);
+  });
+
+  it('gets a new knowledge version with every knowledge base edit', async () => {
+    setStorage(createMemoryStorage());
+    try {
+      const knowledge = createKnowledgeStore();
+      const before = knowledge.getVersion();
+      assert.equal(knowledge.getVersion(), before);
+
+      await knowledge.createItem({ question: 'Do you have a dog?', keywords: ['dog'], answer: 'Yes, a beagle.' });
+      assert.notEqual(knowledge.getVersion(), before);
+    } finally {
+      setStorage(null);
+    }
+  });
+
+  it('caches nothing without a backend', async () => {
+    const cache = createResponseCache({ backend: null });
+    assert.equal(cache.enabled, false);
+    await cache.store(SCOPE, 'What projects have you built?', ANSWER);
+    assert.equal(await cache.lookup(SCOPE, 'What projects have you built?'), null);
+  });
+});
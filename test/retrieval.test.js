@@ -0,0 +1,263 @@
+/**
+ * Retrieval tests: CV and knowledge base chunking, the local TF-IDF embeddings, falling back
+ * from a failing remote backend and the knowledge base short-circuit in the chat handler
+ */
+
+import assert from 'node:assert/strict';
+import http from 'http';
+import { after, before, describe, it } from 'node:test';
+import { chunkCV, chunkKnowledgeBase } from '../utils/retrieval/chunker.js';
+import { createEmbeddingBackend, createLocalBackend } from '../utils/retrieval/embeddings.js';
+import { createRetriever, RETRIEVAL_CONFIG } from '../utils/retrieval/index.js';
+import { resetMockResponder, setMockResponder } from '../utils/llm/providers/mock.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import { getDefaultTenant, getTenantStores } from '../utils/tenants.js';
+import chatHandler from '../api/chat.js';
+import { createRequest, createResponse } from './support/http.js';
+
+const CV = `JANE DOE
+Data Engineer based in Lisbon
+
+EXPERIENCE
+Senior Data Engineer, Contoso (2021 - Present)
+- Moved the nightly batch jobs to Kafka and Flink streams, so dashboards update within seconds instead of the next morning.
+- Designed the event schema registry and the contract tests that keep producers and consumers compatible across releases.
+- Mentored four junior engineers through weekly pairing sessions and code reviews.
+Data Engineer, Fabrikam (2018 - 2021)
+- Built the dbt models behind the finance reporting warehouse on PostgreSQL and Snowflake.
+
+SKILLS
+Kafka, Flink, Python, dbt, PostgreSQL, Snowflake, Terraform
+`;
+
+// The CV split into two pages just before the Fabrikam job
+const SECOND_PAGE = CV.indexOf('Data Engineer, Fabrikam');
+const PAGES = [{ number: 1, start: 0, end: SECOND_PAGE - 1 }, { number: 2, start: SECOND_PAGE, end: CV.length }];
+
+const KNOWLEDGE_ITEMS = [
+  { id: 1, question: 'Where are you based?', keywords: ['location', 'based'], answer: 'I live in Lisbon and work remotely.' },
+  { id: 2, question: 'Are you available for freelance work?', keywords: ['freelance', 'contract'], answer: 'Yes, for data platform projects.' },
+];
+
+/**
+ * Dot product of two unit vectors (their cosine similarity)
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+describe('chunker', () => {
+  it('splits the CV at headings and records offsets, sections and pages', () => {
+    const chunks = chunkCV(CV, PAGES);
+
+    assert.deepEqual(chunks.map(chunk => [chunk.id, chunk.section, chunk.page]), [
+      ['cv:0', 'JANE DOE', 1],
+      ['cv:1', 'EXPERIENCE', 1],
+      ['cv:2', 'EXPERIENCE', 2],
+      ['cv:3', 'SKILLS', 2],
+    ]);
+    for (const chunk of chunks) {
+      const lines = chunk.text.split('\n');
+      // Offsets point at the chunk's own lines in the CV text; headings are left out
+      assert.ok(CV.startsWith(lines[0], chunk.start), chunk.id);
+      assert.equal(CV.slice(chunk.end - lines.at(-1).length, chunk.end), lines.at(-1), chunk.id);
+      assert.ok(!lines.includes(chunk.section), chunk.id);
+    }
+  });
+
+  it('cuts long sections at about RETRIEVAL_CHUNK_SIZE and repeats the last line', () => {
+    const [, first, second] = chunkCV(CV, PAGES);
+
+    assert.ok(first.text.length >= 400);
+    assert.equal(second.text.split('\n')[0], first.text.split('\n').at(-1));
+    assert.equal(second.start, CV.indexOf('Data Engineer, Fabrikam'));
+    assert.ok(second.start < first.end);
+  });
+
+  it('does not end on a chunk that only repeats the previous line', () => {
+    const text = `EXPERIENCE\n${'x'.repeat(390)}\nLast line`;
+    const chunks = chunkCV(text);
+
+    assert.equal(chunks.length, 1);
+    assert.equal(chunks[0].end, text.length);
+    assert.equal(chunks[0].page, null);
+    assert.deepEqual(chunkCV(''), []);
+  });
+
+  it('makes one chunk per knowledge base item with its question and keywords', () => {
+    assert.deepEqual(chunkKnowledgeBase(KNOWLEDGE_ITEMS)[0], {
+      id: 'kb:1',
+      type: 'knowledge_base',
+      itemId: 1,
+      question: 'Where are you based?',
+      text: 'Where are you based?\nlocation, based\nI live in Lisbon and work remotely.',
+      answer: 'I live in Lisbon and work remotely.',
+    });
+  });
+});
+
+describe('local embedding backend', () => {
+  it('embeds texts into unit vectors of a fixed size', async () => {
+    const backend = createLocalBackend();
+    backend.fit(chunkCV(CV).map(chunk => chunk.text));
+    const [vector, empty] = await backend.embed(['Kafka streams', '']);
+
+    assert.equal(vector.length, 1024);
+    assert.ok(Math.abs(cosine(vector, vector) - 1) < 1e-9);
+    assert.ok(empty.every(v => v === 0));
+  });
+
+  it('scores related word forms above unrelated text', async () => {
+    const backend = createLocalBackend();
+    backend.fit(chunkCV(CV).map(chunk => chunk.text));
+    const [query, related, unrelated] = await backend.embed(['mentoring engineers', 'Mentored four junior engineers', 'Built the dbt models']);
+
+    assert.ok(cosine(query, related) > cosine(query, unrelated));
+  });
+
+  it('weights rare terms higher once fitted to the corpus', async () => {
+    const backend = createLocalBackend();
+    backend.fit(['Kafka and Python', 'Python scripts', 'Python tooling']);
+    const [query, rare, common] = await backend.embed(['Kafka Python', 'Kafka', 'Python']);
+
+    assert.ok(cosine(query, rare) > cosine(query, common));
+  });
+
+  it('rejects unknown backend names', () => {
+    assert.throws(() => createEmbeddingBackend('word2vec'), /Unknown embedding backend "word2vec"/);
+  });
+});
+
+describe('retriever', () => {
+  const originalEnv = { OPENAI_BASE_URL: process.env.OPENAI_BASE_URL, EMBEDDING_TIMEOUT: process.env.EMBEDDING_TIMEOUT };
+  let logSink;
+  let server;
+
+  before(async () => {
+    logSink = createMemoryLogSink();
+    setLogSink(logSink);
+    // An embeddings API that never answers
+    server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    setLogSink(null);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('finds the CV and knowledge base chunks that answer a question', async () => {
+    const retriever = await createRetriever({ knowledgeItems: KNOWLEDGE_ITEMS, cvText: CV, cvPages: PAGES, backend: createLocalBackend() });
+    assert.equal(retriever.backend, 'local');
+    assert.equal(retriever.size, 6);
+
+    const [top] = await retriever.search('Flink streams', { type: 'cv' });
+    assert.ok(top.chunk.text.includes('Flink'));
+    assert.ok(top.score >= RETRIEVAL_CONFIG.MIN_SCORE);
+
+    const [kb] = await retriever.search('Are you open to freelance contracts?', { k: 1 });
+    assert.equal(kb.chunk.id, 'kb:2');
+
+    const hits = await retriever.search('Kafka', { k: 2 });
+    assert.equal(hits.length, 2);
+    assert.ok(hits[0].score >= hits[1].score);
+    assert.deepEqual(await retriever.search('zebra giraffe'), []);
+  });
+
+  it('falls back to local embeddings when the configured backend fails', async () => {
+    const failing = { name: 'remote', fit() {}, embed: async () => { throw new Error('Network is down'); } };
+    const retriever = await createRetriever({ knowledgeItems: KNOWLEDGE_ITEMS, cvText: CV, backend: failing });
+
+    assert.equal(retriever.backend, 'local');
+    assert.ok((await retriever.search('Kafka')).length > 0);
+    assert.ok(logSink.records.some(record => record.body === 'Embedding backend "remote" failed, falling back to local embeddings'));
+  });
+
+  it('gives up on a remote backend that does not answer within EMBEDDING_TIMEOUT', async () => {
+    const { port } = server.address();
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${port}`;
+    process.env.EMBEDDING_TIMEOUT = '100';
+
+    const retriever = await createRetriever({ knowledgeItems: KNOWLEDGE_ITEMS, cvText: CV, backend: createEmbeddingBackend('openai') });
+    assert.equal(retriever.backend, 'local');
+  });
+});
+
+describe('chat handler retrieval', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+  const { KB_THRESHOLD } = RETRIEVAL_CONFIG;
+  // Misses the ranked knowledge base matcher, but retrieval ranks a knowledge base chunk first
+  const QUESTION = 'Any side projects worth mentioning?';
+  let clients = 0;
+
+  /**
+   * Send a chat request from a new client, so rate limits don't carry over between tests
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - The recorded response
+   */
+  async function chat(body) {
+    clients++;
+    const res = createResponse();
+    await chatHandler(createRequest({ method: 'POST', ip: `203.0.113.${clients}`, body }), res);
+    await res.finished;
+    return res;
+  }
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+    setLogSink(createMemoryLogSink());
+    setMockResponder(() => 'Reply from the LLM.');
+  });
+
+  after(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    RETRIEVAL_CONFIG.KB_THRESHOLD = KB_THRESHOLD;
+    resetMockResponder();
+    setStorage(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+    setLogSink(null);
+  });
+
+  it('answers from a knowledge base chunk scoring at least KB_THRESHOLD', async () => {
+    RETRIEVAL_CONFIG.KB_THRESHOLD = 0.1;
+    const res = await chat({ message: QUESTION });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.source, 'knowledge_base');
+    assert.ok(res.body.confidence >= 0.1 && res.body.confidence < KB_THRESHOLD);
+    const item = getTenantStores(getDefaultTenant()).knowledge.getItems().find(entry => entry.id === res.body.matchedItemId);
+    assert.equal(res.body.reply, item.answer);
+    assert.equal(res.body.citations.length, 1);
+  });
+
+  it('leaves chunks scoring below KB_THRESHOLD to the LLM', async () => {
+    RETRIEVAL_CONFIG.KB_THRESHOLD = KB_THRESHOLD;
+    const res = await chat({ message: QUESTION });
+
+    assert.equal(res.body.source, 'mock_api');
+    assert.equal(res.body.reply, 'Reply from the LLM.');
+  });
+});
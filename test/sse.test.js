@@ -0,0 +1,311 @@
+/**
+ * Server-Sent Events tests: parsing upstream event streams split at any byte, the event
+ * framing of the streamed chat reply (token, done and error events) and a client that goes
+ * away in the middle of a streamed reply
+ */
+
+import assert from 'node:assert/strict';
+import http from 'http';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { parseEventStream, sendEvent, startEventStream, wantsEventStream } from '../utils/sse.js';
+import { ERROR_CODES } from '../utils/errors.js';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+import { createMemoryStorage, setStorage } from '../utils/storage/index.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../utils/rateLimit/index.js';
+import { createMemoryAnalyticsSink, getAnalyticsSink, setAnalyticsSink } from '../utils/analytics/index.js';
+import { createResponseCache, setResponseCache } from '../utils/responseCache/index.js';
+import chatHandler from '../api/chat.js';
+import { createRequest, createResponse } from './support/http.js';
+
+// Reaches the LLM: not in the knowledge base, but about the owner's CV
+const CV_QUESTION = 'How did you mentor junior developers on your team?';
+
+/**
+ * Turn text into a response body that arrives in the given pieces
+ * @param {string} text - Stream content
+ * @param {Array<number>} cuts - Byte offsets to split at
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function* chunked(text, cuts) {
+  const bytes = new TextEncoder().encode(text);
+  let start = 0;
+  for (const end of [...cuts, bytes.length]) {
+    yield bytes.slice(start, end);
+    start = end;
+  }
+}
+
+/**
+ * Collect the payloads parseEventStream yields
+ * @param {AsyncIterable<Uint8Array>} body
+ * @returns {Promise<Object>} - { payloads, chunks (onChunk calls) }
+ */
+async function parse(body) {
+  const payloads = [];
+  let chunks = 0;
+  for await (const payload of parseEventStream(body, () => chunks++)) {
+    payloads.push(payload);
+  }
+  return { payloads, chunks };
+}
+
+/**
+ * Split a streamed chat response into its events
+ * @param {string} text - Raw event stream
+ * @returns {Array<Object>} - [{ event, data }]
+ */
+function readEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => ({
+    event: /^event: (.+)$/m.exec(block)[1],
+    data: JSON.parse(/^data: (.+)$/m.exec(block)[1]),
+  }));
+}
+
+/**
+ * An OpenAI-style streamed chunk carrying a text delta
+ * @param {string} content
+ * @returns {string}
+ */
+const delta = content => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`;
+
+describe('parseEventStream', () => {
+  const STREAM = 'event: message\ndata: {"text":"Olá"}\n\n: keep-alive comment\n\ndata: first line\ndata: second line\n\nevent: ping\n\ndata: [DONE]\n\n';
+  const PAYLOADS = ['{"text":"Olá"}', 'first line\nsecond line', '[DONE]'];
+
+  it('yields the data of each event, skipping events without data', async () => {
+    const { payloads, chunks } = await parse(chunked(STREAM, []));
+    assert.deepEqual(payloads, PAYLOADS);
+    assert.equal(chunks, 1);
+  });
+
+  it('reassembles events split at any byte, including inside a character and a blank line', async () => {
+    const length = new TextEncoder().encode(STREAM).length;
+    for (let cut = 1; cut < length; cut++) {
+      assert.deepEqual((await parse(chunked(STREAM, [cut]))).payloads, PAYLOADS, `split at byte ${cut}`);
+    }
+
+    // One byte at a time
+    const cuts = Array.from({ length: length - 1 }, (_, i) => i + 1);
+    const { payloads, chunks } = await parse(chunked(STREAM, cuts));
+    assert.deepEqual(payloads, PAYLOADS);
+    assert.equal(chunks, length);
+  });
+
+  it('accepts CRLF line endings split between chunks', async () => {
+    const stream = 'data: one\r\n\r\ndata: two\r\ndata: lines\r\n\r\n';
+    const boundary = stream.indexOf('\r\n\r\n') + 2;
+    assert.deepEqual((await parse(chunked(stream, [boundary, boundary + 1]))).payloads, ['one', 'two\nlines']);
+  });
+
+  it('flushes a last event that is not followed by a blank line', async () => {
+    assert.deepEqual((await parse(chunked('data: one\n\ndata: {"partial":', [12]))).payloads, ['one', '{"partial":']);
+    assert.deepEqual((await parse(chunked('', []))).payloads, []);
+  });
+});
+
+describe('event stream responses', () => {
+  it('is requested with Accept: text/event-stream or ?stream', () => {
+    assert.equal(wantsEventStream(createRequest({ headers: { accept: 'text/event-stream' } })), true);
+    assert.equal(wantsEventStream(createRequest({ query: { stream: '1' } })), true);
+    assert.equal(wantsEventStream(createRequest({ query: { stream: 'true' } })), true);
+    assert.equal(wantsEventStream(createRequest({ headers: { accept: 'application/json' }, query: { stream: '0' } })), false);
+  });
+
+  it('starts once and frames each event as a name and one line of JSON', async () => {
+    const res = createResponse();
+    startEventStream(res);
+    startEventStream(res);
+    sendEvent(res, 'token', { text: 'Line one\nline two' });
+    sendEvent(res, 'done', { reply: 'Line one\nline two', source: 'gemini_api' });
+    res.end();
+
+    assert.equal(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.equal(res.headers['x-accel-buffering'], 'no');
+    assert.deepEqual(res.chunks, [
+      'event: token\ndata: {"text":"Line one\\nline two"}\n\n',
+      'event: done\ndata: {"reply":"Line one\\nline two","source":"gemini_api"}\n\n',
+    ]);
+    // What parseEventStream reads back is the JSON that was sent
+    const { payloads } = await parse(chunked(res.chunks.join(''), []));
+    assert.deepEqual(payloads.map(payload => JSON.parse(payload)), [
+      { text: 'Line one\nline two' },
+      { reply: 'Line one\nline two', source: 'gemini_api' },
+    ]);
+  });
+});
+
+describe('streamed chat replies', () => {
+  const ENV = ['LLM_PROVIDER', 'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_MODEL', 'LLM_MODEL', 'LLM_TIMEOUT'];
+  const originalEnv = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+  // Writes the streamed completion for a chat completions request
+  let upstream = null;
+  let llm;
+  let clients = 0;
+
+  /**
+   * Send a streamed chat request from a new client, so rate limits don't carry over between tests
+   * @param {string} message
+   * @returns {Promise<Object>} - { res, events }
+   */
+  async function chat(message) {
+    clients++;
+    const res = createResponse();
+    await chatHandler(createRequest({ method: 'POST', ip: `203.0.113.${clients}`, headers: { accept: 'text/event-stream' }, body: { message } }), res);
+    await res.finished;
+    return { res, events: readEvents(res.chunks.join('')) };
+  }
+
+  before(async () => {
+    // An OpenAI-compatible API that streams whatever the current test writes
+    llm = http.createServer(async (req, res) => {
+      req.resume();
+      await new Promise(resolve => req.on('end', resolve));
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ object: 'list', data: [] }));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      await upstream(res);
+    });
+    await new Promise(resolve => llm.listen(0, '127.0.0.1', resolve));
+
+    Object.assign(process.env, {
+      LLM_PROVIDER: 'openai',
+      OPENAI_API_KEY: 'test-key',
+      OPENAI_BASE_URL: `http://127.0.0.1:${llm.address().port}/v1`,
+      LLM_TIMEOUT: '2000',
+    });
+    delete process.env.OPENAI_MODEL;
+    delete process.env.LLM_MODEL;
+    setStorage(createMemoryStorage());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setResponseCache(createResponseCache({ backend: null }));
+    setLogSink(createMemoryLogSink());
+  });
+
+  afterEach(() => {
+    upstream = null;
+    setAnalyticsSink(null);
+  });
+
+  after(async () => {
+    for (const [name, value] of Object.entries(originalEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+    setStorage(null);
+    setRateLimitStore(null);
+    setResponseCache(null);
+    setLogSink(null);
+    llm.closeAllConnections();
+    await new Promise(resolve => llm.close(resolve));
+  });
+
+  it('sends a knowledge base answer as one token event before the done event', async () => {
+    const { res, events } = await chat('What is your name?');
+
+    assert.equal(res.ended, true);
+    assert.deepEqual(events.map(event => event.event), ['token', 'done']);
+    assert.equal(events[0].data.text, events[1].data.reply);
+    assert.equal(events[1].data.source, 'knowledge_base');
+  });
+
+  it('relays LLM tokens and ends with a done event carrying the source', async () => {
+    upstream = (res) => {
+      for (const word of 'I mentored two junior developers through weekly pairing sessions and code reviews [1].'.split(/(?<= )/)) {
+        res.write(delta(word));
+      }
+      res.end('data: [DONE]\n\n');
+    };
+    const { events } = await chat(CV_QUESTION);
+
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.source, 'openai_api');
+    const tokens = events.slice(0, -1);
+    assert.ok(tokens.length > 1 && tokens.every(event => event.event === 'token'));
+    assert.equal(tokens.map(event => event.data.text).join(''), 'I mentored two junior developers through weekly pairing sessions and code reviews [1].');
+  });
+
+  it('ends with an error event when the LLM fails after tokens were relayed', async () => {
+    upstream = (res) => {
+      res.write(delta('I mentored two junior developers through weekly pairing sessions, '));
+      res.end('data: {"choices": [\n\n');
+    };
+    const { res, events } = await chat(CV_QUESTION);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.ended, true);
+    assert.equal(events[0].event, 'token');
+    const error = events.at(-1);
+    assert.equal(error.event, 'error');
+    assert.equal(error.data.code, ERROR_CODES.LLM_UNAVAILABLE);
+    assert.equal(error.data.message, 'The response was interrupted. Please try again.');
+    assert.ok(!events.some(event => event.event === 'done'));
+  });
+
+  it('finishes the reply and records it when the client disconnects mid-stream', async () => {
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    let disconnected;
+    const clientGone = new Promise(resolve => { disconnected = resolve; });
+    let handled;
+
+    // Runs the handler on real sockets, like the Express adapter in server.js
+    const server = http.createServer(async (req, res) => {
+      let raw = '';
+      for await (const chunk of req) {
+        raw += chunk;
+      }
+      res.status = (code) => {
+        res.statusCode = code;
+        return res;
+      };
+      res.json = data => res.end(JSON.stringify(data));
+      res.on('close', disconnected);
+      handled = chatHandler({ method: 'POST', headers: req.headers, body: JSON.parse(raw), query: {}, url: req.url, socket: req.socket }, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // The LLM keeps writing after the client is gone
+    upstream = async (res) => {
+      res.write(delta('I mentored two junior developers through weekly pairing sessions, '));
+      await clientGone;
+      res.write(delta('and reviewed their code every day [1].'));
+      res.end('data: [DONE]\n\n');
+    };
+
+    try {
+      const controller = new AbortController();
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({ message: CV_QUESTION }),
+        signal: controller.signal,
+      });
+      assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+
+      // Read the first token, then hang up
+      const { payloads: [first] } = await parse((async function* () {
+        for await (const chunk of response.body) {
+          yield chunk;
+          break;
+        }
+      })());
+      const { text } = JSON.parse(first);
+      assert.ok(text && 'I mentored two junior developers'.startsWith(text), text);
+      controller.abort();
+
+      await clientGone;
+      await handled;
+      const [recorded] = await getAnalyticsSink().read();
+      assert.equal(recorded.question, CV_QUESTION);
+      assert.equal(recorded.source, 'openai_api');
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
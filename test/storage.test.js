@@ -0,0 +1,118 @@
+/**
+ * Storage adapter tests: the file adapter inside its base directory, and the KV adapter against
+ * a local stand-in for a Redis REST API
+ */
+
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { createFileStorage } from '../utils/storage/file.js';
+import { createKVStorage } from '../utils/storage/kv.js';
+
+describe('file storage', () => {
+  let root;
+  let storage;
+
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), 'storage-test-'));
+    storage = createFileStorage({ dir: join(root, 'data') });
+  });
+
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('reads, writes and removes keys under the base directory', async () => {
+    assert.equal(await storage.read('cv/jane/active.json'), null);
+
+    await storage.write('cv/jane/active.json', '{"version":1}');
+    assert.equal(await storage.read('cv/jane/active.json'), '{"version":1}');
+    assert.equal(await readFile(join(root, 'data', 'cv', 'jane', 'active.json'), 'utf8'), '{"version":1}');
+
+    await storage.remove('cv/jane/active.json');
+    await storage.remove('cv/jane/active.json');
+    assert.equal(await storage.read('cv/jane/active.json'), null);
+  });
+
+  it('refuses keys outside the base directory', async () => {
+    // A sibling whose name starts with the base directory's name
+    await writeFile(join(root, 'data-other'), 'secret');
+
+    for (const key of ['../data-other', '../../etc/passwd', 'cv/../../x', '..', '', '.']) {
+      await assert.rejects(storage.read(key), /Invalid storage key/, JSON.stringify(key));
+      await assert.rejects(storage.write(key, 'x'), /Invalid storage key/, JSON.stringify(key));
+    }
+    assert.equal(await readFile(join(root, 'data-other'), 'utf8'), 'secret');
+
+    // Names that merely start with dots stay inside
+    await storage.write('..notes', 'kept');
+    assert.equal(await storage.read('..notes'), 'kept');
+  });
+});
+
+describe('kv storage', () => {
+  const values = new Map();
+  let hang = false;
+  let server;
+  let storage;
+
+  before(async () => {
+    // Answers ["GET", key], ["SET", key, value] and ["DEL", key] like Upstash's REST API
+    server = http.createServer(async (req, res) => {
+      let raw = '';
+      for await (const chunk of req) {
+        raw += chunk;
+      }
+      if (hang) {
+        return;
+      }
+      if (req.headers.authorization !== 'Bearer test-token') {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Unauthorized' }));
+      }
+      const [command, key, value] = JSON.parse(raw);
+      let result = null;
+      if (command === 'GET') {
+        result = values.get(key) ?? null;
+      } else if (command === 'SET') {
+        values.set(key, value);
+        result = 'OK';
+      } else if (command === 'DEL') {
+        result = values.delete(key) ? 1 : 0;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ result }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    storage = createKVStorage({ url: `http://127.0.0.1:${server.address().port}/`, token: 'test-token', prefix: 'test:', timeout: 200 });
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('reads, writes and removes prefixed keys', async () => {
+    await storage.write('knowledge.json', '{"items":[]}');
+    assert.deepEqual([...values.keys()], ['test:knowledge.json']);
+    assert.equal(await storage.read('knowledge.json'), '{"items":[]}');
+
+    await storage.remove('knowledge.json');
+    assert.equal(await storage.read('knowledge.json'), null);
+  });
+
+  it('fails on errors and gives up after the timeout', async () => {
+    const unauthorized = createKVStorage({ url: `http://127.0.0.1:${server.address().port}`, token: 'wrong', prefix: 'test:' });
+    await assert.rejects(unauthorized.read('knowledge.json'), /KV storage error: 401 Unauthorized/);
+
+    hang = true;
+    try {
+      await assert.rejects(storage.read('knowledge.json'), { name: 'TimeoutError' });
+    } finally {
+      hang = false;
+    }
+  });
+});
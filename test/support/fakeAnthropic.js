@@ -0,0 +1,149 @@
+/**
+ * In-process stand-in for the Anthropic Messages API (/v1/messages) for tests
+ * Serves messages, streamed or not, and the model list over real HTTP, so the Anthropic
+ * provider runs unchanged against it (pass `url` as its baseUrl). A responder decides what
+ * each call returns.
+ */
+
+import http from 'http';
+
+/**
+ * Default responder: every model answers
+ * @returns {string}
+ */
+function defaultResponder() {
+  return 'Fake Anthropic reply.';
+}
+
+/**
+ * Sends an Anthropic-style error body
+ * @param {Object} res
+ * @param {number} status
+ */
+function sendError(res, status) {
+  const types = { 401: 'authentication_error', 404: 'not_found_error', 429: 'rate_limit_error', 529: 'overloaded_error' };
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ type: 'error', error: { type: types[status] || 'api_error', message: `Fake error ${status}` } }));
+}
+
+/**
+ * Writes one named event to an event stream
+ * @param {Object} res
+ * @param {Object} event - Event with a `type`
+ */
+function writeEvent(res, event) {
+  res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Starts a fake Anthropic API on a random local port
+ * The responder receives { model, stream, body } and returns:
+ *   - a string: the reply text (streamed word by word as content_block_delta events when stream is set)
+ *   - { status }: an error response with that HTTP status
+ *   - { events: [...] }: these events as an event stream; strings are sent as raw `data` payloads
+ *   - { hang: true }: no response until the client gives up (a timeout)
+ * It may be async.
+ * @returns {Promise<Object>} - { url, calls, respond(fn), models(list), reset(), close() }
+ *   calls - Message calls received: [{ model, stream, body, headers }]
+ */
+export async function startFakeAnthropic() {
+  let responder = defaultResponder;
+  let listedModels = [];
+  const calls = [];
+
+  const server = http.createServer(async (req, res) => {
+    if (req.headers['x-api-key'] !== 'test-key' || !req.headers['anthropic-version']) {
+      return sendError(res, 401);
+    }
+
+    // GET /v1/models
+    if (req.method === 'GET' && req.url.split('?')[0] === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ data: listedModels.map(id => ({ id, type: 'model' })), has_more: false }));
+    }
+
+    if (req.method !== 'POST' || req.url !== '/v1/messages') {
+      return sendError(res, 404);
+    }
+
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    const body = JSON.parse(raw || '{}');
+    const stream = Boolean(body.stream);
+    calls.push({ model: body.model, stream, body, headers: req.headers });
+
+    const result = await responder({ model: body.model, stream, body });
+    if (result?.hang) {
+      return;
+    }
+    if (result?.events) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const event of result.events) {
+        if (typeof event === 'string') {
+          res.write(`data: ${event}\n\n`);
+        } else {
+          writeEvent(res, event);
+        }
+      }
+      return res.end();
+    }
+    if (typeof result !== 'string') {
+      return sendError(res, result.status);
+    }
+
+    const usage = { input_tokens: 100, output_tokens: result.length };
+    if (!stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        id: 'msg_fake',
+        type: 'message',
+        role: 'assistant',
+        model: body.model,
+        content: [{ type: 'text', text: result }],
+        stop_reason: 'end_turn',
+        usage,
+      }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    writeEvent(res, { type: 'message_start', message: { id: 'msg_fake', type: 'message', role: 'assistant', content: [], usage: { input_tokens: 100, output_tokens: 1 } } });
+    writeEvent(res, { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } });
+    writeEvent(res, { type: 'ping' });
+    for (const word of result.match(/\S+\s*/g) || []) {
+      writeEvent(res, { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: word } });
+    }
+    writeEvent(res, { type: 'content_block_stop', index: 0 });
+    writeEvent(res, { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output_tokens } });
+    writeEvent(res, { type: 'message_stop' });
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    calls,
+
+    respond(fn) {
+      responder = fn;
+    },
+
+    models(names) {
+      listedModels = names;
+    },
+
+    reset() {
+      responder = defaultResponder;
+      listedModels = [];
+      calls.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
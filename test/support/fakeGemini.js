@@ -0,0 +1,124 @@
+/**
+ * In-process stand-in for the Gemini API (generativelanguage.googleapis.com) for tests
+ * Serves generateContent, streamGenerateContent (?alt=sse) and the model list over real HTTP,
+ * so the Gemini provider and the model fallback chain run unchanged against it
+ * (point GEMINI_BASE_URL at `url`). A responder decides what each model call returns.
+ */
+
+import http from 'http';
+
+/**
+ * Default responder: every model answers
+ * @returns {string}
+ */
+function defaultResponder() {
+  return 'Fake Gemini reply.';
+}
+
+/**
+ * Sends a Gemini-style error body
+ * @param {Object} res
+ * @param {number} status
+ */
+function sendError(res, status) {
+  const statuses = { 401: 'UNAUTHENTICATED', 404: 'NOT_FOUND', 429: 'RESOURCE_EXHAUSTED', 503: 'UNAVAILABLE' };
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { code: status, message: `Fake error ${status}`, status: statuses[status] || 'UNKNOWN' } }));
+}
+
+/**
+ * Starts a fake Gemini API on a random local port
+ * The responder receives { model, version, method, body } and returns:
+ *   - a string: the reply text (streamed word by word for streamGenerateContent)
+ *   - { status }: an error response with that HTTP status
+ *   - { hang: true }: no response until the client gives up (a timeout)
+ * It may be async.
+ * @returns {Promise<Object>} - { url, calls, respond(fn), models(list), reset(), close() }
+ *   calls - Model calls received: [{ model, version, method, body }]
+ */
+export async function startFakeGemini() {
+  let responder = defaultResponder;
+  let listedModels = [];
+  const calls = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.searchParams.get('key') !== 'test-key') {
+      return sendError(res, 401);
+    }
+
+    // GET /v1beta/models
+    if (req.method === 'GET' && /^\/v1(beta)?\/models\/?$/.test(url.pathname)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        models: listedModels.map(name => ({ name: `models/${name}`, supportedGenerationMethods: ['generateContent'] })),
+      }));
+    }
+
+    // POST /<version>/models/<model>:<method>
+    const match = /^\/(v1(?:beta)?)\/models\/([^:]+):(generateContent|streamGenerateContent)$/.exec(url.pathname);
+    if (req.method !== 'POST' || !match) {
+      return sendError(res, 404);
+    }
+    const [, version, model, method] = match;
+
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    const body = JSON.parse(raw || '{}');
+    calls.push({ model, version, method, body });
+
+    const result = await responder({ model, version, method, body });
+    if (result?.hang) {
+      return;
+    }
+    if (typeof result !== 'string') {
+      return sendError(res, result.status);
+    }
+
+    const usageMetadata = { promptTokenCount: 100, candidatesTokenCount: result.length };
+    if (method === 'generateContent') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        candidates: [{ content: { role: 'model', parts: [{ text: result }] } }],
+        usageMetadata,
+      }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const words = result.match(/\S+\s*/g) || [];
+    words.forEach((word, i) => {
+      const chunk = { candidates: [{ content: { role: 'model', parts: [{ text: word }] } }] };
+      res.write(`data: ${JSON.stringify(i === words.length - 1 ? { ...chunk, usageMetadata } : chunk)}\r\n\r\n`);
+    });
+    res.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    calls,
+
+    respond(fn) {
+      responder = fn;
+    },
+
+    models(names) {
+      listedModels = names;
+    },
+
+    reset() {
+      responder = defaultResponder;
+      listedModels = [];
+      calls.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
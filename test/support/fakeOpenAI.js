@@ -0,0 +1,126 @@
+/**
+ * In-process stand-in for an OpenAI-compatible API (/v1/chat/completions) for tests
+ * Serves chat completions, streamed or not, and the model list over real HTTP, so the OpenAI
+ * provider runs unchanged against it (pass `url` as its baseUrl). A responder decides what
+ * each call returns.
+ */
+
+import http from 'http';
+
+/**
+ * Default responder: every model answers
+ * @returns {string}
+ */
+function defaultResponder() {
+  return 'Fake OpenAI reply.';
+}
+
+/**
+ * Sends an OpenAI-style error body
+ * @param {Object} res
+ * @param {number} status
+ */
+function sendError(res, status) {
+  const types = { 401: 'invalid_request_error', 404: 'invalid_request_error', 429: 'rate_limit_exceeded', 503: 'server_error' };
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { message: `Fake error ${status}`, type: types[status] || 'server_error', code: null } }));
+}
+
+/**
+ * Starts a fake OpenAI-compatible API on a random local port
+ * The responder receives { model, stream, body } and returns:
+ *   - a string: the reply text (streamed word by word, then [DONE], when stream is set)
+ *   - { status }: an error response with that HTTP status
+ *   - { events: [...] }: these raw `data` payloads as an event stream, as they are
+ *   - { hang: true }: no response until the client gives up (a timeout)
+ * It may be async.
+ * @returns {Promise<Object>} - { url, calls, respond(fn), models(list), reset(), close() }
+ *   calls - Chat completion calls received: [{ model, stream, body, headers }]
+ */
+export async function startFakeOpenAI() {
+  let responder = defaultResponder;
+  let listedModels = [];
+  const calls = [];
+
+  const server = http.createServer(async (req, res) => {
+    if (req.headers.authorization !== 'Bearer test-key') {
+      return sendError(res, 401);
+    }
+
+    // GET /v1/models
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ object: 'list', data: listedModels.map(id => ({ id, object: 'model' })) }));
+    }
+
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+      return sendError(res, 404);
+    }
+
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    const body = JSON.parse(raw || '{}');
+    const stream = Boolean(body.stream);
+    calls.push({ model: body.model, stream, body, headers: req.headers });
+
+    const result = await responder({ model: body.model, stream, body });
+    if (result?.hang) {
+      return;
+    }
+    if (result?.events) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      result.events.forEach(event => res.write(`data: ${event}\n\n`));
+      return res.end();
+    }
+    if (typeof result !== 'string') {
+      return sendError(res, result.status);
+    }
+
+    if (!stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        id: 'chatcmpl-fake',
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: result }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 100, completion_tokens: result.length, total_tokens: 100 + result.length },
+      }));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const word of result.match(/\S+\s*/g) || []) {
+      res.write(`data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: word } }] })}\n\n`);
+    }
+    res.write(`data: ${JSON.stringify({ object: 'chat.completion.chunk', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/v1`,
+    calls,
+
+    respond(fn) {
+      responder = fn;
+    },
+
+    models(names) {
+      listedModels = names;
+    },
+
+    reset() {
+      responder = defaultResponder;
+      listedModels = [];
+      calls.length = 0;
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
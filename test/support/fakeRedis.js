@@ -0,0 +1,366 @@
+/**
+ * In-process fake Redis server for tests
+ * Speaks RESP over TCP and implements the commands the rate limit store uses, so the real
+ * TCP client and store run against it unchanged. MULTI/EXEC runs queued commands back to
+ * back, which is atomic here because the server is single-threaded like Redis. EVAL runs
+ * scripts in a real Lua VM (fengari) with redis.call() bound to these commands.
+ */
+
+import net from 'net';
+import fengari from 'fengari';
+
+const { lua, lauxlib, lualib, to_luastring } = fengari;
+
+/**
+ * Parses one RESP command (array of bulk strings) from a buffer
+ * @param {Buffer} buffer
+ * @returns {Object|null} - { args, offset } or null if incomplete
+ */
+function parseCommand(buffer) {
+  let lineEnd = buffer.indexOf('\r\n');
+  if (lineEnd === -1) {
+    return null;
+  }
+  const count = Number(buffer.toString('utf8', 1, lineEnd));
+  let position = lineEnd + 2;
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    lineEnd = buffer.indexOf('\r\n', position);
+    if (lineEnd === -1) {
+      return null;
+    }
+    const length = Number(buffer.toString('utf8', position + 1, lineEnd));
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', start, start + length));
+    position = start + length + 2;
+  }
+  return { args, offset: position };
+}
+
+/**
+ * Encodes a reply as RESP
+ * @param {*} value - string (bulk), number, null, Array, Error or { status }
+ * @returns {string}
+ */
+function encodeReply(value) {
+  if (value instanceof Error) {
+    return `-${value.message}\r\n`;
+  }
+  if (value === null || value === undefined) {
+    return '$-1\r\n';
+  }
+  if (typeof value === 'number') {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  }
+  if (typeof value === 'object' && value.status) {
+    return `+${value.status}\r\n`;
+  }
+  return `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+}
+
+/**
+ * Parses a sorted set score bound ("-inf", "+inf", "(5", "5")
+ * @param {string} bound
+ * @returns {Object} - { min(score), max(score) } testing the bound as a lower or upper limit
+ */
+function parseBound(bound) {
+  const exclusive = bound.startsWith('(');
+  const value = Number(exclusive ? bound.slice(1) : bound.replace('inf', 'Infinity'));
+  return {
+    min: score => (exclusive ? score > value : score >= value),
+    max: score => (exclusive ? score < value : score <= value),
+  };
+}
+
+/**
+ * Pushes a command reply onto the Lua stack the way Redis converts replies for scripts
+ * @param {Object} L - Lua state
+ * @param {*} value - Reply
+ */
+function pushLuaValue(L, value) {
+  if (value === null || value === undefined) {
+    lua.lua_pushboolean(L, false);
+  } else if (typeof value === 'number') {
+    lua.lua_pushinteger(L, value);
+  } else if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, i) => {
+      pushLuaValue(L, item);
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+  } else if (typeof value === 'object' && value.status) {
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushstring(L, to_luastring(value.status));
+    lua.lua_setfield(L, -2, to_luastring('ok'));
+  } else {
+    lua.lua_pushstring(L, to_luastring(String(value)));
+  }
+}
+
+/**
+ * Converts a script's return value to a reply the way Redis does
+ * (numbers are truncated to integers, tables become arrays, false becomes nil)
+ * @param {Object} L - Lua state
+ * @param {number} index - Stack index
+ * @returns {*}
+ */
+function readLuaValue(L, index) {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const values = [];
+      const length = lua.lua_rawlen(L, index);
+      for (let i = 1; i <= length; i++) {
+        lua.lua_rawgeti(L, index, i);
+        values.push(readLuaValue(L, lua.lua_gettop(L)));
+        lua.lua_pop(L, 1);
+      }
+      return values;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Runs a Lua script the way EVAL does
+ * @param {string} script - Lua source
+ * @param {Array<string>} keys - KEYS
+ * @param {Array<string>} args - ARGV
+ * @param {Function} execute - Runs a command: (args) => reply
+ * @returns {*} - Reply (an Error if the script failed)
+ */
+function evalScript(script, keys, args, execute) {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+
+  for (const [name, values] of [['KEYS', keys], ['ARGV', args]]) {
+    pushLuaValue(L, values);
+    lua.lua_setglobal(L, to_luastring(name));
+  }
+
+  lua.lua_createtable(L, 0, 1);
+  lua.lua_pushcfunction(L, (state) => {
+    const commandArgs = [];
+    for (let i = 1; i <= lua.lua_gettop(state); i++) {
+      commandArgs.push(lua.lua_tojsstring(state, i));
+    }
+    const reply = execute(commandArgs);
+    if (reply instanceof Error) {
+      return lauxlib.luaL_error(state, to_luastring(reply.message));
+    }
+    pushLuaValue(state, reply);
+    return 1;
+  });
+  lua.lua_setfield(L, -2, to_luastring('call'));
+  lua.lua_setglobal(L, to_luastring('redis'));
+
+  if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK ||
+      lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    return new Error(`ERR ${lua.lua_tojsstring(L, -1)}`);
+  }
+  return readLuaValue(L, -1);
+}
+
+/**
+ * Starts a fake Redis server on a random local port
+ * @returns {Promise<Object>} - { url, close }
+ */
+export async function startFakeRedis() {
+  // key -> { type: 'string'|'zset'|'hash'|'list', value, expiresAt }
+  const data = new Map();
+
+  const lookup = (key) => {
+    const entry = data.get(key);
+    if (entry?.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sortedMembers = (entry, min, max) => [...(entry?.value || new Map())]
+    .filter(([, score]) => parseBound(min).min(score) && parseBound(max).max(score))
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+
+  // Redis list indexes count from the end when negative
+  const listRange = (length, start, stop) => {
+    const from = Math.max(0, Number(start) < 0 ? length + Number(start) : Number(start));
+    const to = Math.min(length - 1, Number(stop) < 0 ? length + Number(stop) : Number(stop));
+    return [from, to];
+  };
+
+  const commands = {
+    PING: () => ({ status: 'PONG' }),
+    AUTH: () => ({ status: 'OK' }),
+    SELECT: () => ({ status: 'OK' }),
+    FLUSHDB: () => {
+      data.clear();
+      return { status: 'OK' };
+    },
+    GET: ([key]) => lookup(key)?.value ?? null,
+    SET: ([key, value, ...options]) => {
+      const px = options.findIndex(option => option.toUpperCase() === 'PX');
+      data.set(key, { type: 'string', value, expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+      return { status: 'OK' };
+    },
+    DEL: (keys) => keys.filter(key => lookup(key) && data.delete(key)).length,
+    INCRBY: ([key, amount]) => {
+      const entry = lookup(key);
+      const value = Number(entry?.value || 0) + Number(amount);
+      data.set(key, { type: 'string', value: String(value), expiresAt: entry?.expiresAt || null });
+      return value;
+    },
+    HSET: ([key, ...pairs]) => {
+      let entry = lookup(key);
+      if (!entry) {
+        entry = { type: 'hash', value: new Map(), expiresAt: null };
+        data.set(key, entry);
+      }
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        added += entry.value.has(pairs[i]) ? 0 : 1;
+        entry.value.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    HMGET: ([key, ...fields]) => fields.map(field => lookup(key)?.value.get(field) ?? null),
+    EVAL: ([script, keyCount, ...rest]) =>
+      evalScript(script, rest.slice(0, Number(keyCount)), rest.slice(Number(keyCount)), execute),
+    PTTL: ([key]) => {
+      const entry = lookup(key);
+      if (!entry) {
+        return -2;
+      }
+      return entry.expiresAt ? entry.expiresAt - Date.now() : -1;
+    },
+    PEXPIRE: ([key, ms]) => {
+      const entry = lookup(key);
+      if (!entry) {
+        return 0;
+      }
+      entry.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+    RPUSH: ([key, ...values]) => {
+      let entry = lookup(key);
+      if (!entry) {
+        entry = { type: 'list', value: [], expiresAt: null };
+        data.set(key, entry);
+      }
+      entry.value.push(...values);
+      return entry.value.length;
+    },
+    LRANGE: ([key, start, stop]) => {
+      const list = lookup(key)?.value || [];
+      const [from, to] = listRange(list.length, start, stop);
+      return list.slice(from, to + 1);
+    },
+    LTRIM: ([key, start, stop]) => {
+      const entry = lookup(key);
+      if (entry) {
+        const [from, to] = listRange(entry.value.length, start, stop);
+        entry.value = entry.value.slice(from, to + 1);
+      }
+      return { status: 'OK' };
+    },
+    ZADD: ([key, ...pairs]) => {
+      let entry = lookup(key);
+      if (!entry) {
+        entry = { type: 'zset', value: new Map(), expiresAt: null };
+        data.set(key, entry);
+      }
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        added += entry.value.has(pairs[i + 1]) ? 0 : 1;
+        entry.value.set(pairs[i + 1], Number(pairs[i]));
+      }
+      return added;
+    },
+    ZREM: ([key, ...members]) => {
+      const entry = lookup(key);
+      return members.filter(member => entry?.value.delete(member)).length;
+    },
+    ZCOUNT: ([key, min, max]) => sortedMembers(lookup(key), min, max).length,
+    ZREMRANGEBYSCORE: ([key, min, max]) => {
+      const entry = lookup(key);
+      const members = sortedMembers(entry, min, max);
+      members.forEach(([member]) => entry.value.delete(member));
+      return members.length;
+    },
+    ZRANGEBYSCORE: ([key, min, max, ...options]) => {
+      const upper = options.map(option => option.toUpperCase());
+      let members = sortedMembers(lookup(key), min, max);
+      const limit = upper.indexOf('LIMIT');
+      if (limit !== -1) {
+        const offset = Number(options[limit + 1]);
+        const count = Number(options[limit + 2]);
+        members = members.slice(offset, count < 0 ? undefined : offset + count);
+      }
+      return upper.includes('WITHSCORES')
+        ? members.flatMap(([member, score]) => [member, String(score)])
+        : members.map(([member]) => member);
+    },
+  };
+
+  const execute = (args) => {
+    const handler = commands[args[0].toUpperCase()];
+    if (!handler) {
+      return new Error(`ERR unknown command '${args[0]}'`);
+    }
+    return handler(args.slice(1));
+  };
+
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    let queue = null;
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseCommand(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const name = parsed.args[0].toUpperCase();
+        let reply;
+        if (name === 'MULTI') {
+          queue = [];
+          reply = { status: 'OK' };
+        } else if (name === 'EXEC') {
+          reply = queue ? queue.map(execute) : new Error('ERR EXEC without MULTI');
+          queue = null;
+        } else if (queue) {
+          queue.push(parsed.args);
+          reply = { status: 'QUEUED' };
+        } else {
+          reply = execute(parsed.args);
+        }
+        socket.write(encodeReply(reply));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `redis://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    }),
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Request and response stand-ins for calling serverless handlers directly
+ * They implement the parts of Vercel's req/res the handlers use (see server.js for the
+ * Express adapter that does the same against real sockets).
+ */
+
+/**
+ * Create a request
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default GET)
+ * @param {Object} [options.headers] - Lowercase header names
+ * @param {*} [options.body] - Parsed body
+ * @param {Object} [options.query] - Query and path parameters
+ * @param {string} [options.ip] - Connecting address
+ * @returns {Object}
+ */
+export function createRequest({ method = 'GET', headers = {}, body, query = {}, ip = '127.0.0.1' } = {}) {
+  return { method, headers, body, query, url: '/', socket: { remoteAddress: ip } };
+}
+
+/**
+ * Create a response that records what the handler sent
+ * `body` is the JSON payload, or the text for end()/send(); `chunks` holds streamed writes.
+ * `finished` resolves once the response has ended.
+ * @returns {Object}
+ */
+export function createResponse() {
+  let finish;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    ended: false,
+    finished: new Promise(resolve => { finish = resolve; }),
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+
+    json(data) {
+      // Round-trip like a real response, so undefined fields disappear
+      this.body = JSON.parse(JSON.stringify(data));
+      return this.end();
+    },
+
+    send(data) {
+      this.body = data;
+      return this.end();
+    },
+
+    flushHeaders() {
+      return this;
+    },
+
+    write(chunk) {
+      this.chunks.push(String(chunk));
+      return true;
+    },
+
+    end(data) {
+      if (data !== undefined) {
+        this.body = data;
+      }
+      this.ended = true;
+      finish();
+      return this;
+    },
+  };
+  return res;
+}
@@ -0,0 +1,221 @@
+/**
+ * Tenant tests: loading and validating tenants.json, picking the tenant of a request and
+ * keeping conversations, rate limits and cached answers apart between tenants
+ * Runs against test/support/tenants/tenants.json, which is selected before any module reads it.
+ */
+
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createMemoryLogSink, setLogSink } from '../utils/logger.js';
+
+process.env.TENANTS_FILE = 'test/support/tenants/tenants.json';
+const logSink = createMemoryLogSink();
+setLogSink(logSink);
+
+const { getDefaultTenant, getTenant, isOriginAllowed, listTenants, resolveTenant } = await import('../utils/tenants.js');
+const { createApiKeyStore, getApiKeyStore, setApiKeyStore } = await import('../utils/apiKeys.js');
+const { getTranscript } = await import('../utils/conversationStore.js');
+const { resetMockResponder, setMockResponder } = await import('../utils/llm/providers/mock.js');
+const { createMemoryStorage, setStorage } = await import('../utils/storage/index.js');
+const { createMemoryRateLimitStore, setRateLimitStore } = await import('../utils/rateLimit/index.js');
+const { createMemoryAnalyticsSink, setAnalyticsSink } = await import('../utils/analytics/index.js');
+const { createResponseCache, setResponseCache } = await import('../utils/responseCache/index.js');
+const { default: chatHandler } = await import('../api/chat.js');
+const { createRequest, createResponse } = await import('./support/http.js');
+
+// Reaches the LLM for both tenants: not in either knowledge base, but about the owner's CV
+const CV_QUESTION = 'How did you mentor junior developers on your team?';
+
+describe('tenant configuration', () => {
+  it('loads the valid tenants and skips invalid or duplicate entries', () => {
+    assert.deepEqual(listTenants().map(tenant => tenant.id), ['awais', 'jane']);
+    assert.equal(getDefaultTenant().id, 'awais');
+    assert.equal(getTenant('jane').name, 'Jane Doe');
+    assert.equal(getTenant('jane').knowledgeStorageKey, 'test/support/tenants/jane-knowledge.json');
+    assert.equal(getTenant('jane').cvStoragePrefix, 'cv/jane/');
+    assert.equal(getTenant('nobody'), null);
+
+    const skipped = Object.fromEntries(logSink.records
+      .filter(record => record.body.startsWith('Skipping invalid tenant'))
+      .map(record => [record.body.match(/"(.*)"/)[1], record.attributes.errors]));
+    assert.deepEqual(skipped, {
+      'Not Valid': ['"id" must be 1-40 lowercase letters, digits or "-".'],
+      jane: ['Duplicate tenant id "jane".'],
+      'raw-key': ['"apiKeys" must contain SHA-256 hashes (64 hex characters), not raw keys.'],
+      extra: ['Unknown field(s): color.'],
+    });
+  });
+
+  it('fills in defaults for fields a tenant leaves out', () => {
+    const jane = getTenant('jane');
+    assert.deepEqual(jane.pronouns, { subject: 'she', object: 'her', possessive: 'her' });
+    assert.equal(jane.requireApiKey, false);
+    assert.equal(jane.personaPrompt, null);
+    assert.deepEqual(jane.privacy, {});
+    assert.deepEqual(jane.rateLimit, { perMinute: 2 });
+  });
+});
+
+describe('tenant selection', () => {
+  const request = ({ tenant, origin } = {}) => ({
+    headers: origin ? { origin } : {},
+    query: tenant ? { tenant } : {},
+  });
+
+  it('prefers the path, then the API key, then the origin, then the default tenant', () => {
+    const janeKey = { id: 'key_jane', tenant: 'jane' };
+
+    assert.equal(resolveTenant(request({ tenant: 'jane', origin: 'https://awais-asad-hsol.github.io' })).tenant.id, 'jane');
+    assert.equal(resolveTenant(request({ origin: 'https://awais-asad-hsol.github.io' }), janeKey).tenant.id, 'jane');
+    assert.equal(resolveTenant(request({ tenant: 'jane' }), janeKey).tenant.id, 'jane');
+    assert.equal(resolveTenant(request({ origin: 'https://jane.example' })).tenant.id, 'jane');
+    assert.equal(resolveTenant(request({ origin: 'https://unknown.example' })).tenant.id, 'awais');
+    assert.equal(resolveTenant(request()).tenant.id, 'awais');
+  });
+
+  it('rejects unknown tenants and keys used for another tenant', () => {
+    assert.deepEqual(resolveTenant(request({ tenant: 'nobody' })), { error: 'Unknown tenant "nobody".', status: 404 });
+    assert.equal(resolveTenant(request({ tenant: 'awais' }), { id: 'key_jane', tenant: 'jane' }).status, 403);
+    assert.equal(resolveTenant(request(), { id: 'key_gone', tenant: 'removed' }).status, 401);
+  });
+
+  it("allows a tenant's own origins, and localhost only in development", () => {
+    const originalEnv = process.env.NODE_ENV;
+    try {
+      assert.equal(isOriginAllowed(getTenant('jane'), 'https://jane.example'), true);
+      assert.equal(isOriginAllowed(getTenant('awais'), 'https://jane.example'), false);
+      assert.equal(isOriginAllowed(getTenant('jane'), undefined), false);
+
+      process.env.NODE_ENV = 'production';
+      assert.equal(isOriginAllowed(getTenant('jane'), 'http://localhost:5173'), false);
+      process.env.NODE_ENV = 'development';
+      assert.equal(isOriginAllowed(getTenant('jane'), 'http://localhost:5173'), true);
+      assert.equal(isOriginAllowed(getTenant('jane'), 'http://localhost.evil.example'), false);
+    } finally {
+      if (originalEnv === undefined) {
+        delete process.env.NODE_ENV;
+      } else {
+        process.env.NODE_ENV = originalEnv;
+      }
+    }
+  });
+});
+
+describe('chat handler with two tenants', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+  let prompts = [];
+
+  /**
+   * Send a chat request to a tenant
+   * @param {string} tenant - Tenant id (as in /api/chat/:tenant)
+   * @param {Object} body - Request body
+   * @param {Object} [options] - { ip, headers }
+   * @returns {Promise<Object>} - The recorded response
+   */
+  async function chat(tenant, body, { ip = '198.51.100.7', headers = {} } = {}) {
+    const res = createResponse();
+    await chatHandler(createRequest({ method: 'POST', query: { tenant }, body, ip, headers }), res);
+    await res.finished;
+    return res;
+  }
+
+  before(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    setStorage(createMemoryStorage());
+    setApiKeyStore(createApiKeyStore());
+    setRateLimitStore(createMemoryRateLimitStore());
+    setAnalyticsSink(createMemoryAnalyticsSink());
+    setResponseCache(createResponseCache({ backend: null }));
+    setMockResponder(({ messages }) => {
+      prompts.push(messages);
+      return `Reply ${prompts.length}`;
+    });
+  });
+
+  afterEach(() => {
+    prompts = [];
+  });
+
+  after(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    resetMockResponder();
+    setStorage(null);
+    setApiKeyStore(null);
+    setRateLimitStore(null);
+    setAnalyticsSink(null);
+    setResponseCache(null);
+    setLogSink(null);
+  });
+
+  it("answers from each tenant's own knowledge base and CV", async () => {
+    const jane = await chat('jane', { message: 'What is your name?' }, { ip: '198.51.100.1' });
+    assert.equal(jane.body.reply, 'My name is Jane Doe. I build data pipelines.');
+
+    const awais = await chat('awais', { message: 'What is your name?' }, { ip: '198.51.100.1' });
+    assert.match(awais.body.reply, /Muhammad Awais Asad/);
+
+    await chat('jane', { message: CV_QUESTION }, { ip: '198.51.100.1' });
+    const prompt = prompts[0].at(-1).text;
+    assert.ok(prompt.includes('Kafka'));
+    assert.ok(!prompt.includes('TechOrix'));
+  });
+
+  it("does not continue another tenant's conversation", async () => {
+    const first = await chat('jane', { message: CV_QUESTION }, { ip: '198.51.100.2' });
+    const { conversationId } = first.body;
+
+    // The same conversation id starts an empty conversation for the other tenant
+    const other = await chat('awais', { message: 'How did you mentor the junior developers there?', conversationId }, { ip: '198.51.100.2' });
+    assert.equal(other.body.conversationId, conversationId);
+    assert.deepEqual(prompts[1].slice(0, -1), []);
+
+    assert.deepEqual(getTranscript(`jane:${conversationId}`).map(turn => turn.text), [CV_QUESTION, 'Reply 1']);
+    assert.deepEqual(getTranscript(`awais:${conversationId}`).map(turn => turn.text), ['How did you mentor the junior developers there?', 'Reply 2']);
+  });
+
+  it('counts rate limits per tenant', async () => {
+    const ip = '198.51.100.3';
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await chat('jane', { message: 'What is your name?' }, { ip })).statusCode, 200);
+    }
+    const limited = await chat('jane', { message: 'What is your name?' }, { ip });
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.body.code, 'rate_limited');
+
+    const awais = await chat('awais', { message: 'What is your name?' }, { ip });
+    assert.equal(awais.statusCode, 200);
+    assert.equal(awais.headers['x-ratelimit-limit-minute'], 10);
+  });
+
+  it("accepts only the tenant's own API key origins in preflight requests", async () => {
+    await getApiKeyStore().issue({ tenant: 'jane', allowedOrigins: ['https://partner.example'] });
+    const preflight = async tenant => {
+      const res = createResponse();
+      await chatHandler(createRequest({ method: 'OPTIONS', query: { tenant }, headers: { origin: 'https://partner.example' } }), res);
+      await res.finished;
+      return res;
+    };
+
+    assert.equal((await preflight('jane')).headers['access-control-allow-origin'], 'https://partner.example');
+    const awais = await preflight('awais');
+    assert.equal(awais.statusCode, 200);
+    assert.equal(awais.headers['access-control-allow-origin'], getTenant('awais').allowedOrigins[0]);
+  });
+
+  it("does not serve one tenant's cached answers to another", async () => {
+    setResponseCache(createResponseCache());
+    const janeFirst = await chat('jane', { message: CV_QUESTION }, { ip: '198.51.100.4' });
+    const janeAgain = await chat('jane', { message: CV_QUESTION }, { ip: '198.51.100.5' });
+    assert.equal(janeAgain.body.cached, true);
+    assert.equal(janeAgain.body.reply, janeFirst.body.reply);
+
+    const awais = await chat('awais', { message: CV_QUESTION }, { ip: '198.51.100.6' });
+    assert.equal(awais.body.cached, false);
+    assert.equal(prompts.length, 2);
+    assert.ok(prompts[1].at(-1).text.includes('TechOrix'));
+  });
+});
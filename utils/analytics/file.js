@@ -0,0 +1,64 @@
+/**
+ * JSONL file analytics sink
+ * Appends one JSON event per line. Serverless file systems are read-only or ephemeral, so use
+ * the Redis sink on Vercel.
+ */
+
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+/**
+ * Creates the file analytics sink
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSONL file (defaults to ANALYTICS_FILE or "analytics.jsonl")
+ * @returns {Object} - Analytics sink
+ */
+export function createFileAnalyticsSink(options = {}) {
+  const path = resolve(process.cwd(), options.file || process.env.ANALYTICS_FILE || 'analytics.jsonl');
+  let ready = null;
+
+  return {
+    name: 'file',
+
+    /**
+     * Record an event
+     * @param {Object} event
+     */
+    async append(event) {
+      ready = ready || mkdir(dirname(path), { recursive: true });
+      await ready;
+      // One write per line keeps concurrent appends from interleaving
+      await appendFile(path, JSON.stringify(event) + '\n', 'utf8');
+    },
+
+    /**
+     * Read events, oldest first
+     * @param {Object} [filter]
+     * @param {number} [filter.since] - Only events at or after this time (ms)
+     * @returns {Promise<Array<Object>>}
+     */
+    async read({ since = 0 } = {}) {
+      let content;
+      try {
+        content = await readFile(path, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const events = [];
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const event = JSON.parse(line);
+          if (Date.parse(event.timestamp) >= since) {
+            events.push(event);
+          }
+        } catch {
+          // A line cut short by a crash; skip it
+        }
+      }
+      return events;
+    },
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Conversation analytics
+ * Records every answered question - with a hashed client IP, the answer's source, the matched
+ * knowledge base item, latency and model - so unanswered questions can be turned into new
+ * knowledge base items. Events go to a sink, each implementing:
+ *   append(event)     - Record one event
+ *   read({ since })   - Events at or after a time (ms), oldest first
+ * Select with ANALYTICS_SINK: "file" (default, JSONL), "redis", "memory" or "off".
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { ipBucket } from '../ip.js';
+import { createFileAnalyticsSink } from './file.js';
+import { createMemoryAnalyticsSink } from './memory.js';
+import { createRedisAnalyticsSink } from './redis.js';
+import { buildReport, draftKnowledgeItems } from './report.js';
+import { logger } from '../logger.js';
+
+const SINK_FACTORIES = {
+  file: createFileAnalyticsSink,
+  redis: createRedisAnalyticsSink,
+  memory: createMemoryAnalyticsSink,
+  off: () => ({ name: 'off', append: async () => {}, read: async () => [] }),
+};
+
+// Client IPs are hashed with this secret; without it each instance uses a random one, so the
+// same client can't be recognised across instances or restarts
+const IP_SALT = process.env.ANALYTICS_IP_SALT || randomBytes(32).toString('hex');
+
+let sink = null;
+
+/**
+ * Get the configured analytics sink
+ * @returns {Object} - Analytics sink
+ */
+function getAnalyticsSink() {
+  if (!sink) {
+    const name = (process.env.ANALYTICS_SINK || 'file').toLowerCase();
+    const factory = SINK_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown analytics sink "${name}". Use one of: ${Object.keys(SINK_FACTORIES).join(', ')}.`);
+    }
+    sink = factory();
+  }
+  return sink;
+}
+
+/**
+ * Replace the analytics sink (e.g. with a memory sink in tests)
+ * @param {Object} analyticsSink - Analytics sink
+ */
+function setAnalyticsSink(analyticsSink) {
+  sink = analyticsSink;
+}
+
+/**
+ * Hash a client IP so analytics can count clients without storing addresses
+ * IPv6 addresses are hashed by their rate limit bucket (/64).
+ * @param {string} ip
+ * @returns {string} - 16 hex characters
+ */
+function hashIP(ip) {
+  return createHmac('sha256', IP_SALT).update(ipBucket(ip)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Record an answered question
+ * Failures are logged, never thrown: analytics must not break a reply.
+ * @param {Object} question
+ * @param {string} question.tenant - Tenant id
+ * @param {string} question.ip - Client IP (stored hashed)
+ * @param {string|null} [question.apiKeyId] - API key the request used
+ * @param {string} question.conversationId
+ * @param {string} question.question - The user's message
+ * @param {string} question.source - Reply source ("knowledge_base", "<provider>_api", "no_answer")
+ * @param {string|null} [question.reason] - Why there was no answer (for "no_answer")
+ * @param {number|null} [question.matchedItemId] - Matched knowledge base item
+ * @param {number|null} [question.confidence]
+ * @param {number} question.latencyMs - Time from request to reply
+ * @param {string|null} [question.provider] - LLM provider used
+ * @param {string|null} [question.model] - LLM model used
+ * @param {boolean} [question.streamed]
+ * @param {boolean} [question.cached] - Served from the response cache
+ */
+async function recordQuestion({ ip, ...question }) {
+  try {
+    await getAnalyticsSink().append({
+      timestamp: new Date().toISOString(),
+      tenant: question.tenant,
+      conversationId: question.conversationId,
+      ipHash: hashIP(ip),
+      apiKeyId: question.apiKeyId || null,
+      question: question.question,
+      source: question.source,
+      reason: question.reason || null,
+      matchedItemId: question.matchedItemId ?? null,
+      confidence: question.confidence ?? null,
+      latencyMs: question.latencyMs,
+      provider: question.provider || null,
+      model: question.model || null,
+      streamed: Boolean(question.streamed),
+      cached: Boolean(question.cached),
+    });
+  } catch (error) {
+    logger.error('Failed to record analytics event', { error });
+  }
+}
+
+export {
+  buildReport,
+  createFileAnalyticsSink,
+  createMemoryAnalyticsSink,
+  createRedisAnalyticsSink,
+  draftKnowledgeItems,
+  getAnalyticsSink,
+  hashIP,
+  recordQuestion,
+  setAnalyticsSink,
+};
@@ -0,0 +1,30 @@
+/**
+ * In-memory analytics sink
+ * Keeps the most recent events of this instance only; useful for tests and local development.
+ */
+
+/**
+ * Creates the memory analytics sink
+ * @param {Object} [options]
+ * @param {number} [options.maxEvents] - Events kept (defaults to ANALYTICS_MAX_EVENTS or 100000)
+ * @returns {Object} - Analytics sink
+ */
+export function createMemoryAnalyticsSink(options = {}) {
+  const maxEvents = options.maxEvents || parseInt(process.env.ANALYTICS_MAX_EVENTS || '100000');
+  let events = [];
+
+  return {
+    name: 'memory',
+
+    async append(event) {
+      events.push(event);
+      if (events.length > maxEvents) {
+        events = events.slice(-maxEvents);
+      }
+    },
+
+    async read({ since = 0 } = {}) {
+      return events.filter(event => Date.parse(event.timestamp) >= since);
+    },
+  };
+}
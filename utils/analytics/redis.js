@@ -0,0 +1,39 @@
+/**
+ * Redis analytics sink
+ * Keeps events in a capped Redis list shared by all instances, through Redis (REDIS_URL) or
+ * Vercel KV / Upstash (KV_REST_API_URL / KV_REST_API_TOKEN).
+ */
+
+import { createRedisClient } from '../redisClient.js';
+
+/**
+ * Creates the Redis analytics sink
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Redis client (see utils/redisClient.js), from the environment by default
+ * @param {string} [options.key] - List key (defaults to ANALYTICS_REDIS_KEY or "portfolio-chatbot:analytics")
+ * @param {number} [options.maxEvents] - Events kept (defaults to ANALYTICS_MAX_EVENTS or 100000)
+ * @returns {Object} - Analytics sink
+ */
+export function createRedisAnalyticsSink(options = {}) {
+  const client = options.client || createRedisClient();
+  const key = options.key ?? process.env.ANALYTICS_REDIS_KEY ?? 'portfolio-chatbot:analytics';
+  const maxEvents = options.maxEvents || parseInt(process.env.ANALYTICS_MAX_EVENTS || '100000');
+
+  return {
+    name: 'redis',
+
+    async append(event) {
+      await client.multi([
+        ['RPUSH', key, JSON.stringify(event)],
+        ['LTRIM', key, -maxEvents, -1],
+      ]);
+    },
+
+    async read({ since = 0 } = {}) {
+      const lines = await client.command('LRANGE', key, 0, -1);
+      return (lines || [])
+        .map(line => JSON.parse(line))
+        .filter(event => Date.parse(event.timestamp) >= since);
+    },
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Analytics reports
+ * Summarises recorded questions: how often the knowledge base answered, how often the LLM had
+ * to, what went unanswered, and how that changes over time.
+ */
+
+import { STOP_WORDS, tokenize } from '../retrieval/text.js';
+
+const INTERVALS = {
+  day: { size: 86400000, label: (date) => date.toISOString().slice(0, 10) },
+  hour: { size: 3600000, label: (date) => `${date.toISOString().slice(0, 13)}:00Z` },
+};
+
+/**
+ * Which kind of answer an event got
+ * @param {Object} event
+ * @returns {string} - "knowledgeBase", "llm", "unanswered" or "leadCapture"
+ */
+function answerKind(event) {
+  if (event.source === 'knowledge_base') return 'knowledgeBase';
+  if (event.source === 'no_answer') return 'unanswered';
+  if (event.source === 'lead_capture') return 'leadCapture';
+  return 'llm';
+}
+
+/**
+ * Share of a total, rounded to three decimals
+ * @returns {number|null} - null when there is nothing to divide
+ */
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Group key for a question, so rephrasings like "Your email?" and "what is your email" count together
+ * @param {string} question
+ * @returns {string}
+ */
+function questionKey(question) {
+  const terms = tokenize(question || '');
+  return terms.length > 0 ? terms.join(' ') : String(question || '').toLowerCase().trim();
+}
+
+/**
+ * Count answers by kind
+ * @param {Array<Object>} events
+ * @returns {Object} - { questions, knowledgeBase, llm, unanswered, leadCapture, cached, kbHitRate, llmFallbackRate, unansweredRate }
+ */
+function summarize(events) {
+  // leadCapture counts the turns of the contact form in the chat (see utils/leads)
+  const counts = { knowledgeBase: 0, llm: 0, unanswered: 0, leadCapture: 0 };
+  for (const event of events) {
+    counts[answerKind(event)]++;
+  }
+  return {
+    questions: events.length,
+    ...counts,
+    // LLM answers served from the response cache
+    cached: events.filter(event => event.cached).length,
+    kbHitRate: rate(counts.knowledgeBase, events.length),
+    llmFallbackRate: rate(counts.llm, events.length),
+    unansweredRate: rate(counts.unanswered, events.length),
+  };
+}
+
+/**
+ * Build a report over recorded questions
+ * @param {Array<Object>} events - Recorded events (see recordQuestion)
+ * @param {Object} [options]
+ * @param {number} [options.from] - Start time (ms), defaults to 30 days before `to`
+ * @param {number} [options.to] - End time (ms), defaults to now
+ * @param {string} [options.interval] - Series interval: "day" (default) or "hour"
+ * @param {number} [options.top] - Entries in the top lists (default 20)
+ * @param {string} [options.tenant] - Only this tenant's questions
+ * @returns {Object} - { period, totals, series, topUnanswered, topMatchedItems, models }
+ */
+function buildReport(events, { from, to = Date.now(), interval = 'day', top = 20, tenant } = {}) {
+  const start = from ?? to - 30 * INTERVALS.day.size;
+  const { size, label } = INTERVALS[interval] || INTERVALS.day;
+  const selected = events.filter(event => {
+    const time = Date.parse(event.timestamp);
+    return time >= start && time <= to && (!tenant || event.tenant === tenant);
+  });
+
+  // One entry per interval, including quiet ones, so the series can be charted as is
+  const buckets = new Map();
+  for (let time = Math.floor(start / size) * size; time <= to; time += size) {
+    buckets.set(label(new Date(time)), []);
+  }
+  for (const event of selected) {
+    buckets.get(label(new Date(event.timestamp)))?.push(event);
+  }
+
+  const unanswered = new Map();
+  const matchedItems = new Map();
+  const models = new Map();
+  for (const event of selected) {
+    const kind = answerKind(event);
+    if (kind === 'unanswered') {
+      const key = questionKey(event.question);
+      const entry = unanswered.get(key) || { question: event.question, count: 0, lastAskedAt: null, reasons: {} };
+      entry.count++;
+      // Show the latest phrasing
+      entry.question = event.question;
+      entry.lastAskedAt = event.timestamp;
+      if (event.reason) {
+        entry.reasons[event.reason] = (entry.reasons[event.reason] || 0) + 1;
+      }
+      unanswered.set(key, entry);
+    } else if (kind === 'knowledgeBase' && event.matchedItemId !== null && event.matchedItemId !== undefined) {
+      matchedItems.set(event.matchedItemId, (matchedItems.get(event.matchedItemId) || 0) + 1);
+    } else if (kind === 'llm') {
+      const key = `${event.provider}\n${event.model}`;
+      const entry = models.get(key) || { provider: event.provider || null, model: event.model || null, count: 0 };
+      entry.count++;
+      models.set(key, entry);
+    }
+  }
+
+  const latencies = selected.map(event => event.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+  const byCount = (a, b) => b.count - a.count;
+
+  return {
+    period: { from: new Date(start).toISOString(), to: new Date(to).toISOString(), interval: INTERVALS[interval] ? interval : 'day' },
+    totals: {
+      ...summarize(selected),
+      uniqueClients: new Set(selected.map(event => event.apiKeyId ? `key:${event.apiKeyId}` : event.ipHash)).size,
+      latencyMs: {
+        average: latencies.length ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+        p95: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null,
+      },
+    },
+    series: [...buckets].map(([period, bucket]) => ({ period, ...summarize(bucket) })),
+    topUnanswered: [...unanswered.values()].sort((a, b) => byCount(a, b) || b.lastAskedAt.localeCompare(a.lastAskedAt)).slice(0, top),
+    topMatchedItems: [...matchedItems].map(([itemId, count]) => ({ itemId, count })).sort(byCount).slice(0, top),
+    models: [...models.values()].sort(byCount),
+  };
+}
+
+/**
+ * Turn unanswered questions into draft knowledge base items
+ * Drafts have keywords from the question and an empty answer to fill in; they don't pass
+ * validation until the answer is written, so they can't go live by accident.
+ * @param {Array<Object>} unanswered - topUnanswered entries from buildReport
+ * @param {Object} [options]
+ * @param {number} [options.minCount] - Only questions asked at least this often (default 1)
+ * @returns {Array<Object>} - [{ question, keywords, answer }]
+ */
+function draftKnowledgeItems(unanswered, { minCount = 1 } = {}) {
+  return unanswered
+    .filter(entry => entry.count >= minCount)
+    .map(entry => {
+      const words = (entry.question.toLowerCase().match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g) || [])
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+      return {
+        question: entry.question.trim(),
+        keywords: [...new Set(words)].slice(0, 10),
+        answer: '',
+      };
+    });
+}
+
+export { buildReport, draftKnowledgeItems };
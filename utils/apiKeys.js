@@ -0,0 +1,463 @@
+/**
+ * API keys for embedding clients
+ * Clients send a key as `X-API-Key: <key>` or `Authorization: Bearer <key>`. Each key belongs to
+ * one tenant and carries its own allowed origins, rate limit tier and enabled features. Keys are
+ * issued, rotated and revoked through the admin API (api/admin/keys.js) and stored as SHA-256
+ * hashes through the storage adapter; the raw key is only shown once, when it is issued.
+ *
+ * Keys listed as hashes in a tenant's `apiKeys` (tenants.json) keep working with the "apiKey"
+ * tier and every feature.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { TIER_NAMES } from './quotas.js';
+import { getStorage } from './storage/index.js';
+import { getDefaultTenant, getTenant, listTenants, resolveTenant } from './tenants.js';
+import { logger } from './logger.js';
+
+const API_KEY_CONFIG = {
+  // Storage key of the key list
+  STORAGE_KEY: process.env.API_KEYS_STORAGE_KEY || 'apiKeys.json',
+
+  // How often the key list is re-read, so keys issued or revoked on another instance take effect
+  RELOAD_INTERVAL: parseInt(process.env.API_KEYS_RELOAD_INTERVAL || '30000'),
+
+  // Features of requests without a key, comma-separated (empty for none); ignored where a key is required
+  ANONYMOUS_FEATURES: (process.env.API_KEYS_ANONYMOUS_FEATURES ?? 'chat,llm,streaming,profile')
+    .split(',')
+    .map(feature => feature.trim())
+    .filter(Boolean),
+};
+
+// What a key can be allowed to do
+const API_KEY_FEATURES = [
+  'chat', // POST /api/chat
+  'llm', // LLM answers; without it the key gets knowledge base answers only
+  'streaming', // Server-Sent Events replies
+  'profile', // GET /api/profile
+];
+
+const KEY_FIELDS = ['name', 'tenant', 'allowedOrigins', 'tier', 'features'];
+const ORIGIN_PATTERN = /^https?:\/\/[^/\s]+$/;
+// Longest time the previous key stays valid after a rotation
+const MAX_GRACE_PERIOD = 30 * 24 * 60 * 60;
+
+/**
+ * Hash an API key the way it is stored
+ * @param {string} apiKey
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Compare two SHA-256 hex digests in constant time
+ * @returns {boolean}
+ */
+function hashesMatch(a, b) {
+  return typeof b === 'string' && b.length === a.length &&
+    timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Generate a new raw key
+ * @returns {string} - e.g. "pcb_3q2+..." (32 random bytes, base64url)
+ */
+function generateRawKey() {
+  return `pcb_${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Extract the API key presented by the client
+ * @param {Object} req - Incoming request
+ * @returns {string|null}
+ */
+function getPresentedApiKey(req) {
+  if (req.headers['x-api-key']) {
+    return String(req.headers['x-api-key']).trim();
+  }
+  const bearer = (req.headers['authorization'] || '').match(/^Bearer\s+(.+)$/i);
+  return bearer ? bearer[1].trim() : null;
+}
+
+/**
+ * Validate the editable fields of a key
+ * @param {Object} fields - { name, tenant, allowedOrigins, tier, features }
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateKeyFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return ['Request body must be a JSON object.'];
+  }
+  const errors = [];
+  const unknownFields = Object.keys(fields).filter(field => !KEY_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown field(s): ${unknownFields.join(', ')}. Allowed: ${KEY_FIELDS.join(', ')}.`);
+  }
+  if (fields.name !== undefined && (typeof fields.name !== 'string' || fields.name.length > 100)) {
+    errors.push('"name" must be a string of at most 100 characters.');
+  }
+  if (fields.tenant !== undefined && !getTenant(fields.tenant)) {
+    errors.push(`Unknown tenant "${fields.tenant}".`);
+  }
+  if (fields.allowedOrigins !== undefined && (!Array.isArray(fields.allowedOrigins) ||
+    fields.allowedOrigins.some(origin => typeof origin !== 'string' || !ORIGIN_PATTERN.test(origin)))) {
+    errors.push('"allowedOrigins" must be an array of origins such as "https://example.com".');
+  }
+  if (fields.tier !== undefined && !TIER_NAMES.includes(fields.tier)) {
+    errors.push(`"tier" must be one of: ${TIER_NAMES.join(', ')}.`);
+  }
+  if (fields.features !== undefined && (!Array.isArray(fields.features) ||
+    fields.features.some(feature => !API_KEY_FEATURES.includes(feature)))) {
+    errors.push(`"features" must be an array of: ${API_KEY_FEATURES.join(', ')}.`);
+  }
+  return errors;
+}
+
+/**
+ * A stored key without its hashes, as returned by the admin API
+ * @param {Object} key - Stored key
+ * @returns {Object}
+ */
+function toPublicKey({ hash, previousHash, ...key }) {
+  return { ...key, status: key.revokedAt ? 'revoked' : 'active' };
+}
+
+/**
+ * Creates an API key store
+ * @param {Object} [options]
+ * @param {string} [options.storageKey] - Storage key of the key list
+ * @returns {Object} - API key store
+ */
+function createApiKeyStore({ storageKey = API_KEY_CONFIG.STORAGE_KEY } = {}) {
+  let keys = [];
+  let snapshot = null;
+  let lastRefresh = 0;
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Re-read the key list from storage if the reload interval has passed
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore the reload interval
+   */
+  async function refresh({ force = false } = {}) {
+    if (!force && Date.now() - lastRefresh < API_KEY_CONFIG.RELOAD_INTERVAL) {
+      return;
+    }
+    lastRefresh = Date.now();
+
+    try {
+      const stored = await getStorage().read(storageKey);
+      if (stored === null || stored === snapshot) {
+        return;
+      }
+      const data = JSON.parse(stored);
+      if (!Array.isArray(data.keys)) {
+        logger.error(`Stored API keys ${storageKey} are invalid, keeping the current ones`);
+        return;
+      }
+      keys = data.keys;
+      snapshot = stored;
+    } catch (error) {
+      logger.error(`Error loading API keys ${storageKey}`, { error });
+    }
+  }
+
+  /**
+   * Apply a change to the key list and persist it
+   * Writes are queued so concurrent edits in one instance don't overwrite each other.
+   * @param {Function} change - Receives a copy of the keys and returns { keys, result } or { error, status, details }
+   * @returns {Promise<Object>} - The change's result, or { error, status, details }
+   */
+  function update(change) {
+    const run = async () => {
+      await refresh({ force: true });
+
+      const outcome = change(keys.map(key => ({ ...key })));
+      if (outcome.error) {
+        return outcome;
+      }
+
+      const next = JSON.stringify({ keys: outcome.keys }, null, 2) + '\n';
+      await getStorage().write(storageKey, next);
+      keys = outcome.keys;
+      snapshot = next;
+      return outcome.result;
+    };
+
+    const result = writeQueue.then(run, run);
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Change one key
+   * @param {string} id - Key id
+   * @param {Function} change - Receives a copy of the key, returns the updated key or { error, status }
+   * @returns {Promise<Object>} - { apiKey } or { error, status, details }
+   */
+  function updateKey(id, change) {
+    return update(current => {
+      const index = current.findIndex(key => key.id === id);
+      if (index === -1) {
+        return { error: `API key ${id} not found.`, status: 404 };
+      }
+      const updated = change(current[index]);
+      if (updated.error) {
+        return updated;
+      }
+      const next = [...current];
+      next[index] = updated;
+      return { keys: next, result: { apiKey: toPublicKey(updated) } };
+    });
+  }
+
+  return {
+    refresh,
+
+    /**
+     * Find the key a client presented
+     * The previous key of a rotated key is accepted until its grace period ends.
+     * @param {string} rawKey - Key from the request
+     * @returns {Promise<Object|null>} - { id, name, tenant, allowedOrigins, tier, features }
+     */
+    async find(rawKey) {
+      await refresh();
+      const hash = hashApiKey(rawKey);
+      const now = Date.now();
+
+      const stored = keys.find(key => !key.revokedAt && (hashesMatch(hash, key.hash) ||
+        (key.previousHash && Date.parse(key.previousExpiresAt) > now && hashesMatch(hash, key.previousHash))));
+      if (stored) {
+        const { id, name, tenant, allowedOrigins, tier, features } = stored;
+        return { id, name, tenant, allowedOrigins, tier, features };
+      }
+
+      const tenant = listTenants().find(entry => entry.apiKeys.some(tenantHash => hashesMatch(hash, tenantHash)));
+      return tenant && {
+        id: `tenant-${tenant.id}-${hash.slice(0, 8)}`,
+        name: null,
+        tenant: tenant.id,
+        allowedOrigins: [],
+        tier: 'apiKey',
+        features: [...API_KEY_FEATURES],
+      };
+    },
+
+    /**
+     * Check whether any active key of a tenant allows a browser origin (for CORS preflight
+     * requests, which carry no key)
+     * @param {string} origin
+     * @param {Object} [filter]
+     * @param {string} [filter.tenant] - Only keys of this tenant
+     * @returns {Promise<boolean>}
+     */
+    async allowsOrigin(origin, { tenant } = {}) {
+      await refresh();
+      return Boolean(origin) && keys.some(key =>
+        !key.revokedAt && (!tenant || key.tenant === tenant) && key.allowedOrigins.includes(origin));
+    },
+
+    /**
+     * List keys, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.tenant] - Only keys of this tenant
+     * @returns {Promise<Array<Object>>}
+     */
+    async list({ tenant } = {}) {
+      await refresh({ force: true });
+      return keys
+        .filter(key => !tenant || key.tenant === tenant)
+        .map(toPublicKey)
+        .reverse();
+    },
+
+    /**
+     * Get one key
+     * @param {string} id - Key id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+      await refresh({ force: true });
+      const key = keys.find(existing => existing.id === id);
+      return key ? toPublicKey(key) : null;
+    },
+
+    /**
+     * Issue a key
+     * @param {Object} fields - { name, tenant, allowedOrigins, tier, features }
+     * @returns {Promise<Object>} - { apiKey, key (raw, shown once) } or { error, status, details }
+     */
+    issue(fields) {
+      const errors = validateKeyFields(fields);
+      if (errors.length > 0) {
+        return Promise.resolve({ error: 'Invalid API key.', status: 400, details: errors });
+      }
+
+      const rawKey = generateRawKey();
+      const newKey = {
+        id: `key_${randomBytes(6).toString('hex')}`,
+        name: fields.name || null,
+        tenant: fields.tenant || getDefaultTenant().id,
+        hash: hashApiKey(rawKey),
+        hint: rawKey.slice(-4),
+        allowedOrigins: fields.allowedOrigins || [],
+        tier: fields.tier || 'apiKey',
+        features: fields.features || [...API_KEY_FEATURES],
+        createdAt: new Date().toISOString(),
+        rotatedAt: null,
+        previousExpiresAt: null,
+        revokedAt: null,
+      };
+      return update(current => ({
+        keys: [...current, newKey],
+        result: { apiKey: toPublicKey(newKey), key: rawKey },
+      }));
+    },
+
+    /**
+     * Change a key's name, allowed origins, tier or features
+     * @param {string} id - Key id
+     * @param {Object} changes - Fields to change (the tenant can't be changed)
+     * @returns {Promise<Object>} - { apiKey } or { error, status, details }
+     */
+    update(id, changes) {
+      const errors = validateKeyFields(changes);
+      if (changes?.tenant !== undefined) {
+        errors.push('The tenant of a key cannot be changed. Issue a new key instead.');
+      }
+      if (errors.length > 0) {
+        return Promise.resolve({ error: 'Invalid API key.', status: 400, details: errors });
+      }
+      return updateKey(id, key => {
+        if (key.revokedAt) {
+          return { error: `API key ${id} is revoked.`, status: 409 };
+        }
+        return { ...key, ...changes };
+      });
+    },
+
+    /**
+     * Replace a key's secret
+     * @param {string} id - Key id
+     * @param {Object} [options]
+     * @param {number} [options.gracePeriod] - Seconds the previous secret keeps working (default 0)
+     * @returns {Promise<Object>} - { apiKey, key (raw, shown once) } or { error, status }
+     */
+    async rotate(id, { gracePeriod = 0 } = {}) {
+      if (!Number.isInteger(gracePeriod) || gracePeriod < 0 || gracePeriod > MAX_GRACE_PERIOD) {
+        return { error: `"gracePeriod" must be a whole number of seconds between 0 and ${MAX_GRACE_PERIOD}.`, status: 400 };
+      }
+
+      const rawKey = generateRawKey();
+      const result = await updateKey(id, key => {
+        if (key.revokedAt) {
+          return { error: `API key ${id} is revoked.`, status: 409 };
+        }
+        const now = Date.now();
+        return {
+          ...key,
+          hash: hashApiKey(rawKey),
+          hint: rawKey.slice(-4),
+          previousHash: gracePeriod > 0 ? key.hash : null,
+          previousExpiresAt: gracePeriod > 0 ? new Date(now + gracePeriod * 1000).toISOString() : null,
+          rotatedAt: new Date(now).toISOString(),
+        };
+      });
+      return result.error ? result : { ...result, key: rawKey };
+    },
+
+    /**
+     * Revoke a key; it stays listed so its usage can still be traced
+     * @param {string} id - Key id
+     * @returns {Promise<Object>} - { apiKey } or { error, status }
+     */
+    revoke(id) {
+      return updateKey(id, key => ({
+        ...key,
+        previousHash: null,
+        previousExpiresAt: null,
+        revokedAt: key.revokedAt || new Date().toISOString(),
+      }));
+    },
+  };
+}
+
+let apiKeyStore = null;
+
+/**
+ * Get the shared API key store
+ * @returns {Object}
+ */
+function getApiKeyStore() {
+  if (!apiKeyStore) {
+    apiKeyStore = createApiKeyStore();
+  }
+  return apiKeyStore;
+}
+
+/**
+ * Replace the shared API key store (e.g. in tests)
+ * @param {Object|null} store
+ */
+function setApiKeyStore(store) {
+  apiKeyStore = store;
+}
+
+/**
+ * Authenticate the request's API key (if any) and pick its tenant
+ * A key that lists allowed origins is rejected from any other browser origin; requests
+ * without an Origin header (servers, curl) are not restricted.
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object>} - { tenant, apiKey (null without a key) } or { error, status }
+ */
+async function authenticateRequest(req) {
+  const rawKey = getPresentedApiKey(req);
+  let apiKey = null;
+
+  if (rawKey) {
+    apiKey = await getApiKeyStore().find(rawKey);
+    if (!apiKey) {
+      return { error: 'Invalid API key.', status: 401 };
+    }
+    const origin = req.headers['origin'];
+    if (origin && apiKey.allowedOrigins.length > 0 && !apiKey.allowedOrigins.includes(origin)) {
+      return { error: `This API key is not allowed from origin ${origin}.`, status: 403 };
+    }
+  }
+
+  const { tenant, error, status } = resolveTenant(req, apiKey);
+  if (error) {
+    return { error, status };
+  }
+  return { tenant, apiKey };
+}
+
+/**
+ * Check whether a request may use a feature
+ * Requests without a key get API_KEY_CONFIG.ANONYMOUS_FEATURES, or nothing when the tenant
+ * requires a key (`requireApiKey`).
+ * @param {Object|null} apiKey - Authenticated API key
+ * @param {string} feature - One of API_KEY_FEATURES
+ * @param {Object} tenant - Tenant of the request (see utils/tenants.js)
+ * @returns {boolean}
+ */
+function hasFeature(apiKey, feature, tenant) {
+  if (apiKey) {
+    return apiKey.features.includes(feature);
+  }
+  return !tenant.requireApiKey && API_KEY_CONFIG.ANONYMOUS_FEATURES.includes(feature);
+}
+
+export {
+  API_KEY_CONFIG,
+  API_KEY_FEATURES,
+  authenticateRequest,
+  createApiKeyStore,
+  getApiKeyStore,
+  getPresentedApiKey,
+  hasFeature,
+  hashApiKey,
+  setApiKeyStore,
+};
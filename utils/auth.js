@@ -0,0 +1,59 @@
+/**
+ * Admin authentication for management endpoints
+ * Admin requests must send ADMIN_TOKEN as `Authorization: Bearer <token>` or `X-Admin-Token: <token>`.
+ * Admin endpoints are disabled while ADMIN_TOKEN is not set.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { ERROR_CODES, sendError } from './errors.js';
+
+/**
+ * Extract the token presented by the client
+ * @param {Object} req - Incoming request
+ * @returns {string|null}
+ */
+function getPresentedToken(req) {
+  const authorization = req.headers['authorization'] || '';
+  const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    return bearer[1].trim();
+  }
+  return req.headers['x-admin-token'] || null;
+}
+
+/**
+ * Compare two secrets in constant time
+ * Hashing first makes the lengths equal, which timingSafeEqual requires.
+ * @returns {boolean}
+ */
+function secretsMatch(a, b) {
+  const hashA = createHash('sha256').update(a).digest();
+  const hashB = createHash('sha256').update(b).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Check that the request carries the admin token, responding with 401/503 if not
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Outgoing response
+ * @returns {boolean} - True if the request may proceed
+ */
+function requireAdmin(req, res) {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    sendError(req, res, ERROR_CODES.ADMIN_DISABLED, 'Admin API is disabled. Set ADMIN_TOKEN to enable it.');
+    return false;
+  }
+
+  const presented = getPresentedToken(req);
+  if (!presented || !secretsMatch(presented, adminToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendError(req, res, ERROR_CODES.UNAUTHORIZED, 'Unauthorized. A valid admin token is required.');
+    return false;
+  }
+
+  return true;
+}
+
+export { requireAdmin };
@@ -0,0 +1,98 @@
+/**
+ * Source citations for chat replies
+ * Builds the `citations` array returned by /api/chat and checks the numbered
+ * references ("[1]", "[2, 3]") the LLM puts in its answers against the sources it was given.
+ */
+
+// Max characters of a CV excerpt included in a citation
+const EXCERPT_LENGTH = 200;
+
+// Numbered references such as [1] or [1, 3]
+const REFERENCE_PATTERN = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Build a citation for a retrieved chunk
+ * @param {Object} chunk - Retrieval chunk (see utils/retrieval/chunker.js)
+ * @param {number} ref - Source number shown to the LLM
+ * @returns {Object}
+ */
+function citationForChunk(chunk, ref) {
+  if (chunk.type === 'knowledge_base') {
+    return {
+      ref,
+      type: 'knowledge_base',
+      itemId: chunk.itemId,
+      question: chunk.question || null,
+    };
+  }
+
+  const excerpt = chunk.text.replace(/\s+/g, ' ').trim();
+  return {
+    ref,
+    type: 'cv',
+    page: chunk.page ?? null,
+    section: chunk.section || null,
+    start: chunk.start,
+    end: chunk.end,
+    excerpt: excerpt.length > EXCERPT_LENGTH ? `${excerpt.substring(0, EXCERPT_LENGTH)}...` : excerpt,
+  };
+}
+
+/**
+ * Build citations for knowledge base items that answered directly
+ * @param {Array<Object>} items - knowledge.json items
+ * @param {Array<number>} itemIds - Ids of the items used in the answer
+ * @returns {Array<Object>}
+ */
+function citationsForKnowledgeItems(items, itemIds) {
+  return itemIds
+    .map(id => items.find(item => item.id === id))
+    .filter(Boolean)
+    .map((item, i) => ({
+      ref: i + 1,
+      type: 'knowledge_base',
+      itemId: item.id,
+      question: item.question || null,
+    }));
+}
+
+/**
+ * Verify the numbered references in an LLM answer
+ * References to sources that were never provided are removed from the text.
+ * @param {string} text - LLM answer
+ * @param {Array<Object>} sources - Citations for the numbered sources given to the LLM (ref 1..n)
+ * @returns {Object} - { text, citations } where citations are the sources actually referenced
+ */
+function resolveCitations(text, sources) {
+  const cited = new Set();
+
+  const cleaned = text.replace(REFERENCE_PATTERN, (match, refs) => {
+    const valid = refs
+      .split(',')
+      .map(ref => parseInt(ref.trim()))
+      .filter(ref => sources.some(source => source.ref === ref));
+
+    valid.forEach(ref => cited.add(ref));
+    if (valid.length === 0) {
+      return '';
+    }
+    return `${match.startsWith(' ') ? ' ' : ''}[${valid.join(', ')}]`;
+  });
+
+  return {
+    text: cleaned.trim(),
+    citations: sources.filter(source => cited.has(source.ref)),
+  };
+}
+
+/**
+ * Remove numbered references from text (used before storing a reply in the transcript,
+ * since source numbers change from turn to turn)
+ * @param {string} text
+ * @returns {string}
+ */
+function stripReferences(text) {
+  return text.replace(REFERENCE_PATTERN, '').trim();
+}
+
+export { citationForChunk, citationsForKnowledgeItems, resolveCitations, stripReferences };
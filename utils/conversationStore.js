@@ -0,0 +1,211 @@
+/**
+ * In-memory conversation store for multi-turn chat sessions
+ * Keeps a bounded, expiring transcript per conversation ID so follow-up
+ * questions can be answered with the context of earlier turns, plus a small
+ * state object (e.g. the contact details being collected by utils/leads/flow.js).
+ */
+
+import { randomUUID } from 'crypto';
+
+// Store transcripts per conversation ID
+const conversations = new Map();
+
+/**
+ * Conversation store configuration
+ */
+const CONVERSATION_CONFIG = {
+  // Max turns (user + assistant messages) kept per conversation
+  MAX_TURNS: parseInt(process.env.CONVERSATION_MAX_TURNS || '20'),
+
+  // Idle time after which a conversation is discarded (milliseconds)
+  TTL: parseInt(process.env.CONVERSATION_TTL || '1800000'), // 30 minutes
+
+  // Max conversations held in memory before the least recently used is evicted
+  MAX_CONVERSATIONS: parseInt(process.env.CONVERSATION_MAX_SESSIONS || '1000'),
+
+  // Max characters kept per turn
+  MAX_TURN_LENGTH: 2000,
+};
+
+const VALID_ROLES = ['user', 'assistant'];
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Remove expired conversations
+ * Runs lazily on access instead of on a timer so it suits serverless runtimes.
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [id, conversation] of conversations.entries()) {
+    if (now - conversation.updatedAt > CONVERSATION_CONFIG.TTL) {
+      conversations.delete(id);
+    }
+  }
+}
+
+/**
+ * Normalize a single turn into { role, text, source? }
+ * Accepts "model" as an alias for "assistant" and "content" as an alias for "text".
+ * @param {Object} turn - Raw turn
+ * @returns {Object|null} - Normalized turn or null if invalid
+ */
+function normalizeTurn(turn) {
+  if (!turn || typeof turn !== 'object') {
+    return null;
+  }
+
+  const role = turn.role === 'model' ? 'assistant' : turn.role;
+  const text = typeof turn.text === 'string' ? turn.text : turn.content;
+
+  if (!VALID_ROLES.includes(role) || typeof text !== 'string' || text.trim().length === 0) {
+    return null;
+  }
+
+  const normalized = {
+    role,
+    text: text.trim().substring(0, CONVERSATION_CONFIG.MAX_TURN_LENGTH),
+  };
+  if (turn.source) {
+    normalized.source = turn.source;
+  }
+  return normalized;
+}
+
+/**
+ * Check whether a client-supplied conversation ID is well formed
+ * @param {*} id - Candidate conversation ID
+ * @returns {boolean}
+ */
+function isValidConversationId(id) {
+  return typeof id === 'string' && CONVERSATION_ID_PATTERN.test(id);
+}
+
+/**
+ * Create a new conversation ID
+ * @returns {string}
+ */
+function createConversationId() {
+  return randomUUID();
+}
+
+/**
+ * Get the transcript for a conversation
+ * @param {string} id - Conversation ID
+ * @returns {Array<Object>} - Turns in chronological order (empty if unknown or expired)
+ */
+function getTranscript(id) {
+  pruneExpired();
+  const conversation = conversations.get(id);
+  return conversation ? [...conversation.turns] : [];
+}
+
+/**
+ * Get a conversation for an update, creating it if needed
+ * The caller must put it back with conversations.set, so Map order reflects recency.
+ * @param {string} id - Conversation ID
+ * @returns {Object} - { turns, state, updatedAt }
+ */
+function takeConversation(id) {
+  pruneExpired();
+
+  let conversation = conversations.get(id);
+  if (!conversation) {
+    // Evict least recently used conversation if the store is full
+    if (conversations.size >= CONVERSATION_CONFIG.MAX_CONVERSATIONS) {
+      const oldestId = conversations.keys().next().value;
+      conversations.delete(oldestId);
+    }
+    conversation = { turns: [], state: {}, updatedAt: Date.now() };
+  } else {
+    // Re-insert so Map order reflects recency
+    conversations.delete(id);
+  }
+  return conversation;
+}
+
+/**
+ * Append turns to a conversation, creating it if needed
+ * Older turns are dropped once MAX_TURNS is exceeded.
+ * @param {string} id - Conversation ID
+ * @param {...Object} turns - Turns to append ({ role, text, source? })
+ * @returns {Array<Object>} - Updated transcript
+ */
+function appendTurns(id, ...turns) {
+  const conversation = takeConversation(id);
+
+  for (const turn of turns) {
+    const normalized = normalizeTurn(turn);
+    if (normalized) {
+      conversation.turns.push(normalized);
+    }
+  }
+
+  if (conversation.turns.length > CONVERSATION_CONFIG.MAX_TURNS) {
+    conversation.turns = conversation.turns.slice(-CONVERSATION_CONFIG.MAX_TURNS);
+  }
+
+  conversation.updatedAt = Date.now();
+  conversations.set(id, conversation);
+  return [...conversation.turns];
+}
+
+/**
+ * Get the state of a conversation
+ * @param {string} id - Conversation ID
+ * @returns {Object} - State values (empty if unknown or expired)
+ */
+function getConversationState(id) {
+  pruneExpired();
+  const conversation = conversations.get(id);
+  return conversation ? { ...conversation.state } : {};
+}
+
+/**
+ * Set state values of a conversation, creating it if needed
+ * The state expires with the transcript; a value of null removes it.
+ * @param {string} id - Conversation ID
+ * @param {Object} values - e.g. { lead: { step, fields } }
+ * @returns {Object} - Updated state
+ */
+function setConversationState(id, values) {
+  const conversation = takeConversation(id);
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null || value === undefined) {
+      delete conversation.state[key];
+    } else {
+      conversation.state[key] = value;
+    }
+  }
+  conversation.updatedAt = Date.now();
+  conversations.set(id, conversation);
+  return { ...conversation.state };
+}
+
+/**
+ * Validate and normalize a client-supplied history array
+ * Invalid entries are dropped and only the most recent MAX_TURNS are kept.
+ * @param {*} history - Raw history from the request body
+ * @returns {Array<Object>|null} - Normalized turns, or null if history is not an array
+ */
+function normalizeHistory(history) {
+  if (!Array.isArray(history)) {
+    return null;
+  }
+
+  return history
+    .map(normalizeTurn)
+    .filter(Boolean)
+    .slice(-CONVERSATION_CONFIG.MAX_TURNS);
+}
+
+export {
+  appendTurns,
+  createConversationId,
+  getConversationState,
+  getTranscript,
+  isValidConversationId,
+  normalizeHistory,
+  setConversationState,
+  CONVERSATION_CONFIG,
+  CONVERSATION_ID_PATTERN,
+};
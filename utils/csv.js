@@ -0,0 +1,83 @@
+/**
+ * Minimal RFC 4180 CSV reader/writer
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ */
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+  return records.map(record => Object.fromEntries(columns.map((column, i) => [column, record[i] ?? ''])));
+}
+
+/**
+ * Serialize row objects as CSV
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Column order
+ * @returns {string}
+ */
+function stringifyCSV(rows, columns) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(',')),
+  ].join('\r\n') + '\r\n';
+}
+
+export { parseCSV, stringifyCSV };
@@ -0,0 +1,142 @@
+/**
+ * CV parsing helpers
+ * Extracts text from the CV (PDF, DOCX or Markdown). For PDFs it keeps track of where
+ * each page starts, so excerpts can be cited by page and character offset.
+ */
+
+import mammoth from 'mammoth';
+import pdfParse from 'pdf-parse';
+
+const CV_FORMATS = ['pdf', 'docx', 'markdown'];
+
+const CONTENT_TYPE_FORMATS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'markdown',
+};
+
+const EXTENSION_FORMATS = {
+  pdf: 'pdf',
+  docx: 'docx',
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'markdown',
+};
+
+/**
+ * Render a PDF page to text the same way pdf-parse does by default
+ * (a new line whenever the vertical position changes).
+ * @param {Object} pageData - pdf.js page
+ * @returns {Promise<string>}
+ */
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY == item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Parse a PDF into text plus page offsets
+ * pdf-parse joins pages as "\n\n" + pageText, which the offsets below mirror.
+ * @param {Buffer} pdfBuffer - PDF file contents
+ * @returns {Promise<Object>} - { text, pages: [{ number, start, end }] }
+ */
+async function parseCVPdf(pdfBuffer) {
+  const pageTexts = [];
+  const data = await pdfParse(pdfBuffer, {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      pageTexts.push(text);
+      return text;
+    },
+  });
+
+  const pages = [];
+  let offset = 0;
+  pageTexts.forEach((pageText, i) => {
+    const start = offset + 2;
+    pages.push({ number: i + 1, start, end: start + pageText.length });
+    offset = start + pageText.length;
+  });
+
+  return { text: data.text, pages };
+}
+
+/**
+ * Work out the format of an uploaded CV
+ * File signatures win over the declared content type or file name.
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [hints]
+ * @param {string} [hints.format] - Explicit format ("pdf", "docx" or "markdown")
+ * @param {string} [hints.contentType] - Content-Type of the upload
+ * @param {string} [hints.filename] - Original file name
+ * @returns {string|null} - Format, or null if it can't be determined
+ */
+function detectCVFormat(buffer, { format, contentType, filename } = {}) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  // DOCX files are zip archives
+  if (buffer.subarray(0, 4).toString('latin1') === 'PK\u0003\u0004') {
+    return 'docx';
+  }
+
+  if (CV_FORMATS.includes(format)) {
+    return format;
+  }
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPE_FORMATS[mimeType]) {
+    return CONTENT_TYPE_FORMATS[mimeType];
+  }
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  return EXTENSION_FORMATS[extension] || null;
+}
+
+/**
+ * Parse a CV in any supported format
+ * DOCX and Markdown have no pages, so `pages` is empty for them.
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - "pdf", "docx" or "markdown"
+ * @returns {Promise<Object>} - { text, pages: [{ number, start, end }] }
+ */
+async function parseCVDocument(buffer, format) {
+  if (format === 'pdf') {
+    return parseCVPdf(buffer);
+  }
+  if (format === 'docx') {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return { text: value.replace(/\r\n?/g, '\n'), pages: [] };
+  }
+  if (format === 'markdown') {
+    return { text: buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'), pages: [] };
+  }
+  throw new Error(`Unsupported CV format: ${format}`);
+}
+
+/**
+ * Find the page a character offset falls on
+ * @param {Array<Object>} pages - Page offsets from parseCVPdf
+ * @param {number} offset - Character offset in the CV text
+ * @returns {number|null} - 1-based page number
+ */
+function pageForOffset(pages, offset) {
+  const page = pages.find(p => offset >= p.start && offset <= p.end);
+  return page ? page.number : null;
+}
+
+export { CV_FORMATS, detectCVFormat, pageForOffset, parseCVDocument, parseCVPdf };
@@ -0,0 +1,366 @@
+/**
+ * Structured CV profile
+ * Turns the extracted CV text into a JSON Resume (https://jsonresume.org/schema) profile:
+ * contact details, summary, work history, education, skills, languages and projects.
+ *
+ * pdf-parse flattens two-column layouts, so section headings often appear before or after
+ * their content. The parser therefore classifies lines by shape (contact details, "Role |
+ * Company" headers, date ranges, skill categories) and only uses headings as hints.
+ */
+
+const SECTION_HEADINGS = {
+  summary: /^(profile\s+)?(summary|profile|about(\s+me)?|objective)$/i,
+  work: /^(work\s+|professional\s+)?(experience|employment(\s+history)?|work\s+history)$/i,
+  skills: /^(technical\s+)?skills$/i,
+  languages: /^languages$/i,
+  education: /^(academics|education|qualifications)$/i,
+  projects: /^(projects|portfolio)$/i,
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE = String.raw`(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+)?\d{4}`;
+const DATE_RANGE = new RegExp(String.raw`(${DATE})\s*[-–—]+\s*(${DATE}|present|current|now)`, 'i');
+
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+const PHONE = /\+?\d[\d\s().-]{7,}\d/;
+const URL_PATTERN = /https?:\/\/\S+/i;
+const COMPANY_SUFFIX = /\b(pvt|ltd|inc|llc|plc|gmbh|corp|corporation|limited|co\.|company|technologies|solutions|labs)\b/i;
+const ROLE_WORDS = /\b(engineer|developer|lead|intern|manager|architect|designer|consultant|analyst|programmer|director|head|cto|founder)\b/i;
+const DEGREE_WORDS = /\b(bachelor|master|degree|diploma|ph\.?d|doctorate|bs|ms|bsc|msc|mba|intermediate|matriculation|a[- ]levels?|o[- ]levels?|high school)\b/i;
+const INSTITUTION_WORDS = /\b(university|college|school|institute|academy)\b/i;
+
+/**
+ * Convert "Aug 2022" / "2022" into JSON Resume's ISO 8601 form ("2022-08" / "2022")
+ * @param {string} value - Date as written in the CV
+ * @returns {string|undefined} - ISO date, or undefined for "Present"
+ */
+function toISODate(value) {
+  const match = value.trim().toLowerCase().match(/^(?:([a-z]{3})[a-z]*\.?\s+)?(\d{4})$/);
+  if (!match) {
+    return undefined;
+  }
+  const month = match[1] ? MONTHS.indexOf(match[1]) + 1 : 0;
+  return month > 0 ? `${match[2]}-${String(month).padStart(2, '0')}` : match[2];
+}
+
+/**
+ * Find a date range in a line
+ * @param {string} line
+ * @returns {Object|null} - { startDate, endDate, text } (endDate undefined while current)
+ */
+function parseDateRange(line) {
+  const match = line.match(DATE_RANGE);
+  if (!match) {
+    return null;
+  }
+  return { startDate: toISODate(match[1]), endDate: toISODate(match[2]), text: match[0] };
+}
+
+/**
+ * Title-case a name written in capitals ("M AWAIS ASAD" -> "M Awais Asad")
+ * @param {string} name
+ * @returns {string}
+ */
+function toNameCase(name) {
+  if (name !== name.toUpperCase()) {
+    return name;
+  }
+  return name.toLowerCase().replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+}
+
+/**
+ * Map a profile URL to a JSON Resume profile entry
+ * @param {string} url
+ * @returns {Object|null} - { network, username, url }, or null for non-network URLs
+ */
+function toSocialProfile(url) {
+  const networks = [
+    { network: 'LinkedIn', pattern: /linkedin\.com\/in\/([^/?#]+)/i },
+    { network: 'GitHub', pattern: /^https?:\/\/(?:www\.)?github\.com\/([^/?#]+)\/?$/i },
+    { network: 'Twitter', pattern: /(?:twitter|x)\.com\/([^/?#]+)/i },
+    { network: 'Stack Overflow', pattern: /stackoverflow\.com\/users\/\d+\/([^/?#]+)/i },
+  ];
+  for (const { network, pattern } of networks) {
+    const match = url.match(pattern);
+    if (match) {
+      return { network, username: match[1], url };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split "Role | Company" into position and company
+ * The side with a company suffix (Ltd, Inc, ...) is the company; otherwise a role-like
+ * second half ("Acme | Full Stack Developer") marks the first half as the company.
+ * @param {string} left
+ * @param {string} right
+ * @returns {Object} - { name, position }
+ */
+function splitRoleAndCompany(left, right) {
+  if (COMPANY_SUFFIX.test(left) && !COMPANY_SUFFIX.test(right)) {
+    return { name: left, position: right };
+  }
+  if (COMPANY_SUFFIX.test(right)) {
+    return { name: right, position: left };
+  }
+  if (ROLE_WORDS.test(right)) {
+    return { name: left, position: right };
+  }
+  return { name: right, position: left };
+}
+
+/**
+ * Append a wrapped line to a list of entries
+ * Lines starting in lower case continue the previous entry ("... and" / "observability").
+ * @param {Array<string>} list
+ * @param {string} line
+ */
+function appendWrapped(list, line) {
+  if (list.length > 0 && /^\p{Ll}/u.test(line)) {
+    list[list.length - 1] = `${list[list.length - 1]} ${line}`;
+  } else {
+    list.push(line);
+  }
+}
+
+/**
+ * Check whether a line is a skill category heading ("Backend & APIs", "Databases & ORMs")
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isSkillCategory(line) {
+  if (!/&|\band\b/.test(line) || line.length > 40) {
+    return false;
+  }
+  return line.split(/[\s,&]+/).filter(word => word.length > 3).every(word => /^\p{Lu}/u.test(word));
+}
+
+/**
+ * Parse CV text into a JSON Resume profile
+ * @param {string} text - Extracted CV text
+ * @returns {Object} - JSON Resume object (basics, work, education, skills, languages, projects)
+ */
+function parseCVProfile(text) {
+  const basics = { name: '', label: '', email: '', phone: '', url: '', summary: '', location: {}, profiles: [] };
+  const work = [];
+  const education = [];
+  const skills = [];
+  const languages = [];
+  const projects = [];
+
+  const summaryLines = [];
+  const addressLines = [];
+  let section = null;
+  let inHeader = true;
+  let currentWork = null;
+  let currentEducation = null;
+  let currentSkill = null;
+
+  const lines = (text || '').split('\n').map(line => line.replace(/\s+/g, ' ').trim());
+
+  for (const line of lines) {
+    if (!line) {
+      // In two-column skill lists a blank line separates the items of side-by-side categories
+      if (section === 'skills' && currentSkill !== null && currentSkill < skills.length - 1 && skills[currentSkill].keywords.length > 0) {
+        currentSkill++;
+      }
+      continue;
+    }
+
+    const heading = Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].test(line));
+    if (heading) {
+      section = heading;
+      continue;
+    }
+
+    // Contact details can appear anywhere in a flattened layout
+    const email = line.match(EMAIL);
+    if (email && line.length < email[0].length + 20) {
+      basics.email = basics.email || email[0];
+      continue;
+    }
+    const url = line.match(URL_PATTERN);
+    if (url && line.length < url[0].length + 5) {
+      const link = url[0].replace(/[.,]$/, '');
+      const social = toSocialProfile(link);
+      if (social) {
+        basics.profiles.push(social);
+      } else if (section === 'projects') {
+        projects.push({ name: link.replace(/^https?:\/\/(www\.)?/i, '').split(/[/?#]/)[0], url: link });
+      } else if (!basics.url) {
+        basics.url = link;
+      }
+      continue;
+    }
+    if (!basics.phone && PHONE.test(line) && line.replace(/[\d\s()+.-]/g, '').length === 0) {
+      basics.phone = line;
+      continue;
+    }
+
+    // Name and headline open the CV
+    if (!basics.name) {
+      if (/^[\p{L}.' -]+$/u.test(line) && line.split(' ').length <= 5) {
+        basics.name = toNameCase(line);
+      }
+      continue;
+    }
+    if (!basics.label) {
+      basics.label = line;
+      continue;
+    }
+
+    // Short lines before the first paragraph are the postal address
+    if (inHeader) {
+      if (line.length < 60 && !line.includes('|')) {
+        addressLines.push(line.replace(/[,.]$/, ''));
+        continue;
+      }
+      inHeader = false;
+    }
+
+    const range = parseDateRange(line);
+    const pipe = line.split(/\s+\|\s+/);
+
+    // "Degree | Field 2014 - 2018" (education) or "Role | Company" (work)
+    if (pipe.length === 2) {
+      const right = range ? pipe[1].replace(range.text, '').trim() : pipe[1];
+      if (section === 'education' || DEGREE_WORDS.test(pipe[0])) {
+        currentEducation = { institution: '', area: right, studyType: pipe[0] };
+        if (range) {
+          currentEducation.startDate = range.startDate;
+          if (range.endDate) currentEducation.endDate = range.endDate;
+        }
+        education.push(currentEducation);
+        section = 'education';
+      } else {
+        currentWork = { ...splitRoleAndCompany(pipe[0], right), highlights: [] };
+        if (range) {
+          currentWork.startDate = range.startDate;
+          if (range.endDate) currentWork.endDate = range.endDate;
+        }
+        work.push(currentWork);
+        section = 'work';
+      }
+      continue;
+    }
+
+    // A date range on its own line belongs to the latest work entry without dates
+    if (range && line.length < range.text.length + 5) {
+      const undated = [...work].reverse().find(entry => !entry.startDate);
+      if (undated) {
+        undated.startDate = range.startDate;
+        if (range.endDate) undated.endDate = range.endDate;
+      }
+      continue;
+    }
+
+    if (section === 'education') {
+      if (currentEducation && !currentEducation.institution && INSTITUTION_WORDS.test(line)) {
+        currentEducation.institution = line;
+      }
+      continue;
+    }
+
+    if (section === 'skills') {
+      if (isSkillCategory(line)) {
+        skills.push({ name: line, keywords: [] });
+        if (currentSkill === null || skills[currentSkill].keywords.length > 0) {
+          currentSkill = skills.length - 1;
+        }
+      } else if (currentSkill !== null) {
+        const keywords = skills[currentSkill].keywords;
+        if (/^\p{Ll}/u.test(line) && keywords.length > 0) {
+          appendWrapped(keywords, line);
+        } else {
+          keywords.push(...line.split(/,\s*/).filter(Boolean));
+        }
+      }
+      continue;
+    }
+
+    if (section === 'languages') {
+      const match = line.match(/^([\p{L} ]+?)\s*[(:-]\s*([\p{L} ]+?)\s*\)?$/u);
+      languages.push(match ? { language: match[1], fluency: match[2] } : { language: line });
+      continue;
+    }
+
+    if (section === 'work' && currentWork) {
+      appendWrapped(currentWork.highlights, line);
+      continue;
+    }
+
+    if (section === 'projects') {
+      projects.push({ name: line });
+      continue;
+    }
+
+    // Prose before the first work entry is the summary
+    if (!currentWork) {
+      summaryLines.push(line);
+    }
+  }
+
+  basics.summary = summaryLines.join(' ').replace(/\s+/g, ' ').trim();
+
+  if (addressLines.length > 0) {
+    const place = addressLines[addressLines.length - 1].split(/,\s*/);
+    basics.location = {
+      address: addressLines.slice(0, -1).join(', ') || undefined,
+      city: place.length > 1 ? place[0] : undefined,
+      region: place.length > 2 ? place[1] : undefined,
+      country: place[place.length - 1],
+    };
+  }
+
+  return {
+    basics,
+    work,
+    education,
+    skills: skills.filter(skill => skill.keywords.length > 0),
+    languages,
+    projects,
+  };
+}
+
+/**
+ * Years of experience, as stated in the summary ("6+ years") or counted from the work history
+ * @param {Object} profile - JSON Resume profile
+ * @returns {string|null} - e.g. "6+"
+ */
+function getYearsOfExperience(profile) {
+  const stated = profile.basics.summary.match(/(\d+\+?)\s+years/i);
+  if (stated) {
+    return stated[1];
+  }
+  const starts = profile.work.map(entry => parseInt(entry.startDate)).filter(Boolean);
+  if (starts.length === 0) {
+    return null;
+  }
+  return `${new Date().getFullYear() - Math.min(...starts)}+`;
+}
+
+// Parsed profiles, cached per CV store and version
+const profileCache = new WeakMap();
+
+/**
+ * Get the profile of a store's active CV
+ * @param {Object} cvStore - CV store (see utils/cvStore.js)
+ * @returns {Promise<Object>} - JSON Resume profile, with `meta` describing the CV version
+ */
+async function getProfile(cvStore) {
+  const cv = await cvStore.load();
+  const cached = profileCache.get(cvStore);
+  if (cached && cached.meta.version === cv.version) {
+    return cached;
+  }
+
+  const profile = {
+    ...parseCVProfile(cv.text),
+    meta: { version: cv.version, lastModified: cv.parsedAt },
+  };
+  profileCache.set(cvStore, profile);
+  return profile;
+}
+
+export { getProfile, getYearsOfExperience, parseCVProfile };
@@ -0,0 +1,334 @@
+/**
+ * CV stores
+ * A store holds the parsed CV in memory, loads the bundled file on first use and lets
+ * admins upload a replacement without a redeploy. Uploads are parsed and validated before
+ * they are swapped in, and the previous version is kept so it can be restored.
+ */
+
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { parseCVDocument } from './cvParser.js';
+import { getStorage } from './storage/index.js';
+import { logger } from './logger.js';
+
+/**
+ * CV store configuration
+ */
+const CV_CONFIG = {
+  // Bundled CV used until one is uploaded (relative to the project root)
+  FILE: process.env.CV_FILE || 'Awais_CV.pdf',
+
+  // Storage key prefix for the uploaded CV and the version it replaced
+  STORAGE_PREFIX: process.env.CV_STORAGE_PREFIX || 'cv/',
+
+  // Minimum characters of extracted text for an upload to be accepted
+  MIN_TEXT_LENGTH: parseInt(process.env.CV_MIN_TEXT_LENGTH || '200'),
+
+  // Max upload size in bytes
+  MAX_UPLOAD_BYTES: parseInt(process.env.CV_MAX_UPLOAD_BYTES || '5242880'), // 5 MB
+
+  // How often stored uploads are re-read, so a swap on another instance shows up
+  RELOAD_INTERVAL: parseInt(process.env.CV_RELOAD_INTERVAL || '30000'),
+};
+
+/**
+ * Hash CV text into a short version identifier
+ * The hash is over the extracted text, so re-uploading the same content keeps the version.
+ * @param {string} text - Extracted CV text
+ * @returns {string}
+ */
+function hashCV(text) {
+  return createHash('sha256').update(text).digest('hex').substring(0, 16);
+}
+
+/**
+ * Build a CV record from parsed text
+ * @param {Object} parsed - { text, pages } from parseCVDocument
+ * @param {Object} meta - { format, filename, size }
+ * @returns {Object}
+ */
+function createRecord(parsed, { format, filename, size }) {
+  return {
+    version: hashCV(parsed.text),
+    parsedAt: new Date().toISOString(),
+    format,
+    filename: filename || null,
+    size,
+    text: parsed.text,
+    pages: parsed.pages,
+  };
+}
+
+/**
+ * Read a stored CV record
+ * @param {string} key - Storage key
+ * @returns {Promise<Object|null>}
+ */
+async function readRecord(key) {
+  const stored = await getStorage().read(key);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Strip the text from a CV record for status responses
+ * @param {Object|null} record - CV record
+ * @returns {Object|null} - { version, parsedAt, format, filename, size, length, pages }
+ */
+function describeCV(record) {
+  if (!record) {
+    return null;
+  }
+  return {
+    version: record.version,
+    parsedAt: record.parsedAt,
+    format: record.format,
+    filename: record.filename,
+    size: record.size,
+    length: record.text.length,
+    pages: record.pages.length,
+  };
+}
+
+/**
+ * Create a CV store
+ * @param {Object} [options]
+ * @param {string} [options.file] - Bundled CV (PDF, DOCX or Markdown), relative to the project root
+ * @param {string} [options.storagePrefix] - Storage key prefix for uploads
+ * @returns {Object} - CV store
+ */
+function createCVStore({ file = CV_CONFIG.FILE, storagePrefix = CV_CONFIG.STORAGE_PREFIX } = {}) {
+  const activeKey = `${storagePrefix}active.json`;
+  const previousKey = `${storagePrefix}previous.json`;
+
+  let activeCV = null;
+  let loadPromise = null;
+  let lastRefresh = 0;
+  // Where the active CV came from and what went wrong reading it (see getStatus)
+  let source = null;
+  let loadError = null;
+  let reloadError = null;
+  let writeQueue = Promise.resolve();
+  const changeListeners = [];
+
+  /**
+   * Swap in a CV record and notify listeners
+   * @param {Object} record - CV record
+   */
+  function applyCV(record) {
+    const changed = activeCV && activeCV.version !== record.version;
+    activeCV = record;
+    source = 'upload';
+    if (!changed) {
+      return;
+    }
+    for (const listener of changeListeners) {
+      try {
+        listener(record);
+      } catch (error) {
+        logger.error('CV change listener failed', { error });
+      }
+    }
+  }
+
+  /**
+   * Load the bundled CV file
+   * @returns {Promise<Object>} - CV record (empty text if the file can't be read)
+   */
+  async function loadBundledCV() {
+    try {
+      const buffer = await readFile(join(process.cwd(), file));
+      const format = file.toLowerCase().endsWith('.docx')
+        ? 'docx'
+        : file.toLowerCase().endsWith('.pdf') ? 'pdf' : 'markdown';
+      const parsed = await parseCVDocument(buffer, format);
+      return createRecord(parsed, { format, filename: file, size: buffer.length });
+    } catch (error) {
+      logger.error(`Error loading CV ${file}`, { error });
+      loadError = `${file} could not be ${error.code === 'ENOENT' ? 'found' : 'read or parsed'}.`;
+      return createRecord({ text: '', pages: [] }, { format: null, filename: file, size: 0 });
+    }
+  }
+
+  /**
+   * Get the active CV, loading it on first use
+   * An uploaded CV in storage takes precedence over the bundled file.
+   * @returns {Promise<Object>} - { version, parsedAt, format, filename, size, text, pages }
+   */
+  async function load() {
+    if (activeCV) {
+      return activeCV;
+    }
+    if (!loadPromise) {
+      loadPromise = (async () => {
+        let record = null;
+        try {
+          record = await readRecord(activeKey);
+        } catch (error) {
+          logger.error('Error reading uploaded CV, using the bundled file', { error });
+          reloadError = 'The uploaded CV could not be read from storage; serving the bundled file.';
+        }
+        lastRefresh = Date.now();
+        // Another request may have uploaded a CV while this one was loading
+        if (!activeCV) {
+          source = record ? 'upload' : 'file';
+          activeCV = record || await loadBundledCV();
+        }
+        return activeCV;
+      })();
+      // Allow a retry on the next call if loading failed
+      loadPromise.catch(() => {
+        loadPromise = null;
+      });
+    }
+    return loadPromise;
+  }
+
+  /**
+   * Run a CV change after any in-flight one
+   * @param {Function} change - Async function performing the change
+   * @returns {Promise<*>}
+   */
+  function queueWrite(change) {
+    const result = writeQueue.then(change, change);
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    load,
+
+    /**
+     * Re-read the uploaded CV from storage if the reload interval has passed
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Ignore the reload interval
+     */
+    async refresh({ force = false } = {}) {
+      // Nothing loaded yet - load() will read the latest upload when it is first needed
+      if (!activeCV) {
+        return;
+      }
+      if (!force && Date.now() - lastRefresh < CV_CONFIG.RELOAD_INTERVAL) {
+        return;
+      }
+      lastRefresh = Date.now();
+
+      try {
+        const record = await readRecord(activeKey);
+        reloadError = null;
+        if (record && record.version !== activeCV.version) {
+          applyCV(record);
+          logger.info('CV reloaded', { 'cv.version': record.version });
+        }
+      } catch (error) {
+        logger.error('Error reloading CV', { error });
+        reloadError = 'Storage could not be read; serving the last loaded CV.';
+      }
+    },
+
+    /**
+     * Load status for readiness checks (call load() first)
+     * `loadError` is set when the bundled file couldn't be read and no upload replaced it;
+     * `reloadError` when the last read from storage failed and an older CV is still served.
+     * @returns {Object} - { loaded, source: "file"|"upload"|null, length, pages, loadError, reloadError }
+     */
+    getStatus() {
+      return {
+        loaded: Boolean(activeCV),
+        source,
+        length: activeCV ? activeCV.text.length : 0,
+        pages: activeCV ? activeCV.pages.length : 0,
+        loadError: source === 'file' ? loadError : null,
+        reloadError,
+      };
+    },
+
+    /**
+     * Register a callback for whenever the active CV changes (upload, rollback or reload)
+     * @param {Function} listener - Called with the new CV record
+     */
+    onChange(listener) {
+      changeListeners.push(listener);
+    },
+
+    /**
+     * Parse, validate and activate a new CV
+     * Nothing is changed unless the upload parses and yields enough text.
+     * @param {Buffer} buffer - File contents
+     * @param {Object} options
+     * @param {string} options.format - "pdf", "docx" or "markdown"
+     * @param {string} [options.filename] - Original file name
+     * @returns {Promise<Object>} - { cv, previous } (metadata) or { error, status }
+     */
+    replace(buffer, { format, filename } = {}) {
+      return queueWrite(async () => {
+        if (!buffer || buffer.length === 0) {
+          return { error: 'CV upload is empty.', status: 400 };
+        }
+        if (buffer.length > CV_CONFIG.MAX_UPLOAD_BYTES) {
+          return { error: `CV upload exceeds ${CV_CONFIG.MAX_UPLOAD_BYTES} bytes.`, status: 413 };
+        }
+
+        let parsed;
+        try {
+          parsed = await parseCVDocument(buffer, format);
+        } catch (error) {
+          return { error: `Could not parse the ${format} file: ${error.message}`, status: 422 };
+        }
+
+        // Scanned PDFs and empty documents parse "successfully" but yield no usable text
+        const letters = (parsed.text.match(/\p{L}/gu) || []).length;
+        if (parsed.text.trim().length < CV_CONFIG.MIN_TEXT_LENGTH || letters < CV_CONFIG.MIN_TEXT_LENGTH / 2) {
+          return {
+            error: `No usable text was extracted (${parsed.text.trim().length} characters, at least ${CV_CONFIG.MIN_TEXT_LENGTH} required). Is the file a scanned image?`,
+            status: 422,
+          };
+        }
+
+        const current = await load();
+        const record = createRecord(parsed, { format, filename, size: buffer.length });
+
+        const storage = getStorage();
+        await storage.write(previousKey, JSON.stringify(current));
+        await storage.write(activeKey, JSON.stringify(record));
+        applyCV(record);
+
+        logger.info('CV replaced', { 'cv.version': record.version, 'cv.previous_version': current.version });
+        return { cv: describeCV(record), previous: describeCV(current) };
+      });
+    },
+
+    /**
+     * Restore the CV that the last upload replaced
+     * The versions are swapped, so rolling back twice returns to the newer CV.
+     * @returns {Promise<Object>} - { cv, previous } (metadata) or { error, status }
+     */
+    rollback() {
+      return queueWrite(async () => {
+        const previous = await readRecord(previousKey);
+        if (!previous) {
+          return { error: 'There is no previous CV version to roll back to.', status: 404 };
+        }
+
+        const current = await load();
+        const storage = getStorage();
+        await storage.write(previousKey, JSON.stringify(current));
+        await storage.write(activeKey, JSON.stringify(previous));
+        applyCV(previous);
+
+        logger.info('CV rolled back', { 'cv.version': previous.version, 'cv.previous_version': current.version });
+        return { cv: describeCV(previous), previous: describeCV(current) };
+      });
+    },
+
+    /**
+     * Get the stored previous CV version, if any
+     * @returns {Promise<Object|null>} - Metadata of the previous version
+     */
+    async getPrevious() {
+      return describeCV(await readRecord(previousKey));
+    },
+  };
+}
+
+export { createCVStore, CV_CONFIG, describeCV };
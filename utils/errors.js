@@ -0,0 +1,129 @@
+/**
+ * Error responses of every endpoint, the admin API included
+ * Every error has the same shape, so clients can branch on `code` instead of parsing text:
+ *   { code, message, requestId, retryAfter?, details? }
+ *   code       - Machine-readable reason, one of ERROR_CODES
+ *   message    - Explanation for people
+ *   requestId  - Also sent as X-Request-Id; quote it when reporting a problem
+ *   retryAfter - Seconds to wait before retrying (rate limits and an unavailable LLM), also sent as Retry-After
+ *   details    - Validation messages (invalid_request) or other context
+ */
+
+import { randomUUID } from 'crypto';
+
+const ERROR_CODES = {
+  INVALID_REQUEST: 'invalid_request',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  METHOD_NOT_ALLOWED: 'method_not_allowed',
+  RATE_LIMITED: 'rate_limited',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  // Admin changes that clash with the current state (e.g. a revoked key, a duplicate id)
+  CONFLICT: 'conflict',
+  // Admin uploads that are too large, of an unsupported format or unreadable
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  UNSUPPORTED_MEDIA_TYPE: 'unsupported_media_type',
+  UNPROCESSABLE: 'unprocessable',
+  INTERNAL_ERROR: 'internal_error',
+  // The deployment isn't set up for the request (e.g. no lead sink that can list leads)
+  NOT_IMPLEMENTED: 'not_implemented',
+  // The LLM provider rejected the call (e.g. a bad API key); retrying won't help
+  LLM_ERROR: 'llm_error',
+  // The LLM provider is down, overloaded, rate limited or timed out; retrying later may help
+  LLM_UNAVAILABLE: 'llm_unavailable',
+  // The admin API is off while ADMIN_TOKEN is unset
+  ADMIN_DISABLED: 'admin_disabled',
+};
+
+// HTTP status sent with each code
+const ERROR_STATUS = {
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.UNAUTHORIZED]: 401,
+  [ERROR_CODES.FORBIDDEN]: 403,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.METHOD_NOT_ALLOWED]: 405,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.QUOTA_EXCEEDED]: 429,
+  [ERROR_CODES.CONFLICT]: 409,
+  [ERROR_CODES.PAYLOAD_TOO_LARGE]: 413,
+  [ERROR_CODES.UNSUPPORTED_MEDIA_TYPE]: 415,
+  [ERROR_CODES.UNPROCESSABLE]: 422,
+  [ERROR_CODES.INTERNAL_ERROR]: 500,
+  [ERROR_CODES.NOT_IMPLEMENTED]: 501,
+  [ERROR_CODES.LLM_ERROR]: 502,
+  [ERROR_CODES.LLM_UNAVAILABLE]: 503,
+  [ERROR_CODES.ADMIN_DISABLED]: 503,
+};
+
+// Request ids accepted from the caller (or from Vercel's x-vercel-id); anything else gets a new one
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,128}$/;
+
+/**
+ * Get the id of a request, assigning one on first use
+ * A valid X-Request-Id from the caller is kept so ids can be followed across services.
+ * The id is echoed in the X-Request-Id response header.
+ * @param {Object} req - Request
+ * @param {Object} [res] - Response to add the header to
+ * @returns {string}
+ */
+function getRequestId(req, res) {
+  if (!req.requestId) {
+    const incoming = req.headers?.['x-request-id'] || req.headers?.['x-vercel-id'];
+    req.requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  }
+  res?.setHeader('X-Request-Id', req.requestId);
+  return req.requestId;
+}
+
+/**
+ * Error code for the status of a failed check or store change, e.g. authenticateRequest()
+ * (see utils/apiKeys.js) or a knowledge base edit
+ * @param {number} status - HTTP status
+ * @returns {string} - One of ERROR_CODES
+ */
+function codeForStatus(status) {
+  const code = Object.keys(ERROR_STATUS).find(key => ERROR_STATUS[key] === status);
+  return code || ERROR_CODES.INTERNAL_ERROR;
+}
+
+/**
+ * Build an error body
+ * Also used for the "error" event of streamed replies, where the headers have already been sent.
+ * @param {Object} req - Request
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Explanation for people
+ * @param {Object} [options]
+ * @param {number} [options.retryAfter] - Seconds to wait before retrying
+ * @param {Array<string>} [options.details] - Validation messages
+ * @returns {Object} - { code, message, requestId, retryAfter?, details? }
+ */
+function createErrorBody(req, code, message, { retryAfter, details } = {}) {
+  return {
+    code,
+    message,
+    requestId: getRequestId(req),
+    ...(retryAfter !== undefined && retryAfter !== null ? { retryAfter } : {}),
+    ...(details ? { details } : {}),
+  };
+}
+
+/**
+ * Send an error response
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} code - One of ERROR_CODES; picks the HTTP status
+ * @param {string} message - Explanation for people
+ * @param {Object} [options] - { retryAfter, details } (see createErrorBody)
+ * @returns {*} - Result of res.json()
+ */
+function sendError(req, res, code, message, options = {}) {
+  getRequestId(req, res);
+  const body = createErrorBody(req, code, message, options);
+  if (body.retryAfter !== undefined) {
+    res.setHeader('Retry-After', String(body.retryAfter));
+  }
+  return res.status(ERROR_STATUS[code] || 500).json(body);
+}
+
+export { codeForStatus, createErrorBody, ERROR_CODES, ERROR_STATUS, getRequestId, sendError };
@@ -0,0 +1,434 @@
+/**
+ * Guardrails
+ * Layered checks around the LLM call:
+ *   1. Input: questions are classified as injection, jailbreak, abuse or off-topic by the
+ *      rules below; flagged questions never reach the LLM (fixed knowledge base answers are still given).
+ *   2. Prompt: user text is sanitized, and the personal details the privacy policy withholds
+ *      (home address, date of birth, ...; see utils/privacy.js) are removed from the excerpts the model sees.
+ *   3. Output: replies are scanned before they are returned. A reply that repeats the prompt's
+ *      instructions is withheld; withheld fields and contact details other than the owner's
+ *      published ones are replaced with "[withheld]".
+ */
+
+const GUARDRAILS_CONFIG = {
+  // Input categories that keep a question from reaching the LLM ("none" blocks nothing)
+  BLOCK: splitList(process.env.GUARDRAILS_BLOCK || 'injection,jailbreak,abuse,off_topic'),
+  // Characters of a streamed reply held back until the guard has seen what follows them
+  STREAM_HOLDBACK: parseInt(process.env.GUARDRAILS_STREAM_HOLDBACK || '64'),
+};
+
+const INPUT_CATEGORIES = ['injection', 'jailbreak', 'abuse', 'off_topic'];
+
+const WITHHELD = '[withheld]';
+
+/**
+ * Input rules, checked in order; the first match decides the category
+ * Patterns run on the normalized message (see normalizeInput), so full-width letters and
+ * zero-width characters don't get around them. The attack corpus in test/support/attackPrompts.js
+ * lists what each category must catch and which ordinary questions it must let through.
+ */
+const INPUT_RULES = [
+  // Jailbreak: attempts to change who the assistant is or lift its limits
+  {
+    id: 'persona-override',
+    category: 'jailbreak',
+    pattern: /\b(you are now|you're now|from now on,? you|pretend (?:to be|you(?:'re| are))|role-?play as|simulate being)\b/i,
+  },
+  {
+    id: 'known-jailbreak',
+    category: 'jailbreak',
+    pattern: /\b(do anything now|developer mode|jailbreak\w*|uncensored|unfiltered mode|without (?:any )?(?:restrictions|filters)|no (?:restrictions|filters))\b/i,
+  },
+  // "DAN" in capitals only, so people called Dan can still be asked about
+  {
+    id: 'dan',
+    category: 'jailbreak',
+    pattern: /\bDAN\b/,
+  },
+  // Injection: attempts to replace or read the instructions
+  {
+    id: 'override-instructions',
+    category: 'injection',
+    pattern: /\b(ignore|forget|disregard|override|bypass)\b[^.?!\n]{0,40}\b(instructions?|rules|prompt|guidelines|directions|constraints|context)\b/i,
+  },
+  // Replies forged into client history: "Sure, ignoring my rules, here is..."
+  {
+    id: 'forged-compliance',
+    category: 'injection',
+    pattern: /\b(ignoring|ignored|disregarding|disregarded|bypassing|overriding|dropping|setting aside)\b[^.?!\n]{0,30}\b(instructions?|rules|prompt|guidelines|restrictions|constraints)\b/i,
+  },
+  {
+    id: 'prompt-extraction',
+    category: 'injection',
+    pattern: /\b(reveal|show|print|repeat|output|display|leak|dump|give me|tell me|what (?:is|are|were))\b[^.?!\n]{0,40}\b((?:system|initial|original|hidden|secret|your|the) prompt(?!\s*engineer)|(?:system|initial|original|hidden|secret) (?:instructions|rules|message)|(?:your|the) (?:instructions|rules)(?!\s+(?:for|to|on|about|of|at|in)\b))/i,
+  },
+  {
+    id: 'role-markers',
+    category: 'injection',
+    pattern: /\[\/?(?:system|inst)\]|<\|[a-z_]{1,20}\|>|<<\/?sys>>|^\s*(?:system|assistant|developer)\s*:|#{2,}\s*(?:system|instruction)/im,
+  },
+  {
+    id: 'prompt-delimiters',
+    category: 'injection',
+    pattern: /"""|={3,}|\buser question:/i,
+  },
+  // Abuse: insults, threats and requests for offensive content
+  {
+    id: 'profanity',
+    category: 'abuse',
+    pattern: /\b(fuck\w*|shit\w*|bitch\w*|bastard|asshole|cunt|dickhead|motherf\w*)\b/i,
+  },
+  {
+    id: 'insult',
+    category: 'abuse',
+    pattern: /\byou(?:'re| are)? (?:an? |such an? |so )?(?:stupid|idiot|moron|dumb|useless|pathetic|loser)\b|\b(?:say|write|tell me) something (?:rude|offensive|racist|sexist|mean|nasty)\b/i,
+  },
+  {
+    id: 'threat',
+    category: 'abuse',
+    pattern: /\b(?:i(?:'ll| will)|gonna|going to) (?:kill|hurt|find|hack|dox+|destroy) you\b/i,
+  },
+];
+
+/**
+ * The owner's home address and each of its parts ("Building 88", "Sector C", "Askari XI"),
+ * so a reply can't give the address away piece by piece
+ * The city, region and country are published in the profile and stay.
+ * @param {Object} profile - JSON Resume profile
+ * @returns {Array<string>}
+ */
+function addressValues(profile) {
+  const { address, city, region, country } = profile.basics?.location || {};
+  if (typeof address !== 'string') {
+    return [];
+  }
+  const published = [city, region, country].filter(Boolean).map(value => value.toLowerCase());
+  const parts = address.split(',').map(part => part.trim()).filter(part => !published.includes(part.toLowerCase()));
+  return [address, ...parts];
+}
+
+/**
+ * Sensitive fields
+ * Each field is found by the owner's own values (from the CV profile) and by patterns;
+ * a pattern's "value" group is withheld and the rest (e.g. the label) kept. `accept` filters
+ * out matches that only look like the field, and `label` names the field in replies.
+ */
+const DATE = String.raw`(?:\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4}|[A-Za-z]{3,9}\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4})`;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /\+?\(?\d[\d \t().-]{6,}\d/g;
+
+const SENSITIVE_FIELDS = {
+  address: {
+    label: 'home address',
+    values: addressValues,
+    patterns: [
+      // Numbered parts of an address: "House no. 12", "Plot #7", "Block C", "Sector 4"
+      /\b(?:house|building|flat|plot|street)\s*(?:no\.?|#)\s*\d+[a-z]?\b/gi,
+      /\b(?:Block|Sector|Phase)\s+(?:[A-Z]|\d{1,2}[A-Z]?)\b/g,
+      /\b(?<!e-?mail )(?<!ip )(?:home |postal |street |residential |mailing )?address\s*[:-]\s*(?<value>[^\n]+)/gi,
+      // "My address is Building no 88, Sector C, ..." up to the end of the sentence
+      /\b(?<!e-?mail )(?<!ip )(?:home |postal |street |residential |mailing )?address is\s+(?<value>[^\n]+?)(?=\.(?:\s|$)|\n|$)/gi,
+    ],
+  },
+  dateOfBirth: {
+    label: 'date of birth',
+    values: profile => [profile.basics?.birthDate],
+    patterns: [
+      new RegExp(String.raw`\b(?:date of birth|d\.?o\.?b\.?|birth ?date|birthday)\s*(?:is\s*)?[:-]?\s*(?<value>${DATE})`, 'gi'),
+      new RegExp(String.raw`\bborn(?: on| in)?\s+(?<value>${DATE}|\d{4})`, 'gi'),
+    ],
+  },
+  nationalId: {
+    label: 'ID number',
+    values: () => [],
+    patterns: [
+      /\b(?:cnic|nic|national id(?:entity)?(?: card)?|passport|ssn|social security)(?: number| no\.?| #)?\s*(?:is\s*)?[:#-]?\s*(?<value>(?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{5,})/gi,
+      /\b\d{5}-\d{7}-\d\b/g,
+    ],
+  },
+  email: {
+    label: 'email address',
+    values: profile => [profile.basics?.email],
+    patterns: [EMAIL_PATTERN],
+  },
+  phone: {
+    label: 'phone number',
+    values: profile => [profile.basics?.phone],
+    patterns: [PHONE_PATTERN],
+    accept: isPhoneNumber,
+  },
+};
+
+// Prompt fragments that only appear in a reply that repeats its instructions
+const PROMPT_MARKERS = [
+  /={3}\s*relevant excerpts/i,
+  /user question:\s*"""/i,
+  /your only source of information/i,
+  /respond with exactly:?\s*answer_not_found/i,
+];
+
+/**
+ * Split a comma-separated env var into a list
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalizes user text before it is checked or put in a prompt
+ * Folds full-width and other compatibility characters (NFKC) and drops zero-width characters.
+ * @param {string} message
+ * @returns {string}
+ */
+function normalizeInput(message) {
+  return message.normalize('NFKC').replace(/[\u00AD\u200B-\u200D\u2060\uFEFF]/g, '');
+}
+
+/**
+ * Checks if a question is about the portfolio owner or their professional background
+ * @param {string} userMessage - The user's message
+ * @param {Object} identity - { fullName, shortName, aliases } of the tenant (see utils/tenants.js)
+ * @returns {boolean} - True if question is about the portfolio owner
+ */
+function isQuestionAboutOwner(userMessage, identity) {
+  const lowerMessage = userMessage.toLowerCase().trim();
+
+  // Every word of the owner's names, e.g. "muhammad|awais|asad"
+  const nameWords = [...new Set([identity.fullName, identity.shortName, ...identity.aliases]
+    .flatMap(name => name.toLowerCase().split(/\s+/))
+    .filter(word => word.length > 1)
+    .map(escapeRegExp))];
+  const names = nameWords.length > 0 ? `|${nameWords.join('|')}` : '';
+  const shortName = escapeRegExp(identity.shortName.toLowerCase());
+
+  // Common patterns that indicate questions about the owner
+  const aboutOwnerPatterns = [
+    new RegExp(`\\b(your|you|yourself${names})\\b`),
+    new RegExp(`\\b(what|who|where|when|how)\\s+(are|is|do|did|can|have|will)\\s+(you|your|${shortName})\\b`),
+    new RegExp(`\\b(tell\\s+me\\s+about|describe|explain)\\s+(your|you|${shortName})\\b`),
+    /\b(your|you)\s+(name|email|phone|skills|experience|education|projects|work|job|company|expertise|specialization|background)\b/,
+    /\b(what|tell\s+me)\s+(about|are)\s+(your|you)\b/,
+  ];
+
+  // Check if question contains patterns about the owner
+  const isAboutOwner = aboutOwnerPatterns.some(pattern => pattern.test(lowerMessage));
+
+  // Also check for professional/work-related terms that would be about the owner
+  const professionalTerms = [
+    'skills', 'experience', 'education', 'projects', 'work', 'job', 'company',
+    'expertise', 'specialization', 'technologies', 'languages', 'frameworks',
+    'portfolio', 'cv', 'resume', 'background', 'career', 'qualifications'
+  ];
+
+  const hasProfessionalTerm = professionalTerms.some(term => lowerMessage.includes(term));
+
+  // Exclude general knowledge questions
+  const generalKnowledgePatterns = [
+    /\bwhat\s+is\s+(pakistan|india|country|city|place|location|definition|meaning)\b/i,
+    new RegExp(`\\bwho\\s+is\\s+(not\\s+${shortName}|not\\s+you|someone\\s+else)\\b`, 'i'),
+    /\bexplain\s+(pakistan|country|general\s+concept)\b/i,
+  ];
+
+  const isGeneralKnowledge = generalKnowledgePatterns.some(pattern => pattern.test(lowerMessage));
+
+  // Return true only if it's about the owner AND not general knowledge
+  return (isAboutOwner || hasProfessionalTerm) && !isGeneralKnowledge;
+}
+
+/**
+ * Classifies a question
+ * Follow-ups ("and the second one?") are never off-topic: they lean on the conversation so far.
+ * @param {string} message - The user's message
+ * @param {Object} options
+ * @param {Object} options.identity - { fullName, shortName, aliases } of the tenant
+ * @param {boolean} [options.followUp] - Whether earlier turns exist
+ * @returns {Object} - { category, rule, blocked } where category is "safe" or one of INPUT_CATEGORIES
+ */
+function classifyInput(message, { identity, followUp = false }) {
+  const text = normalizeInput(message);
+  const match = INPUT_RULES.find(rule => rule.pattern.test(text));
+  let category = match?.category || 'safe';
+  let rule = match?.id || null;
+
+  if (!match && !followUp && !isQuestionAboutOwner(text, identity)) {
+    category = 'off_topic';
+    rule = 'not-about-owner';
+  }
+  return { category, rule, blocked: GUARDRAILS_CONFIG.BLOCK.includes(category) };
+}
+
+/**
+ * Sanitizes user input to prevent prompt injection
+ * Removes instruction overrides, chat-template tokens and anything that could close the
+ * prompt's """ delimiters or open a new section.
+ * @param {string} message - Raw user message
+ * @returns {string} - Sanitized message safe for prompt interpolation
+ */
+function sanitizeForPrompt(message) {
+  return normalizeInput(message)
+    // Remove common injection prefixes
+    .replace(/^\s*(ignore|forget|disregard|override|bypass)\s+(previous|above|all|prior|earlier|the)\s+/gi, '')
+    // Strip any attempts to close/restart the prompt context
+    .replace(/\[\/?(SYSTEM|INST)\]|<\|[a-z_]{1,20}\|>|<<\/?SYS>>/gi, '')
+    // Role prefixes at the start of a line ("system: ...")
+    .replace(/^\s*(system|assistant|developer)\s*:\s*/gim, '')
+    // The question is wrapped in """ and sections start with ===
+    .replace(/"{3,}/g, '"')
+    .replace(/={3,}/g, '')
+    // Limit to printable ASCII + common Unicode, strip control characters
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .trim();
+}
+
+/**
+ * Builds a pattern matching a known value however it is spaced or split across lines
+ * @param {string} value - e.g. "Building 88, Sector C"
+ * @returns {RegExp}
+ */
+function valuePattern(value) {
+  const parts = value.split(/[\s,]+/).filter(Boolean).map(escapeRegExp);
+  return new RegExp(parts.join('[\\s,]+'), 'gi');
+}
+
+/**
+ * Digits of a phone number, for comparing differently formatted numbers
+ * @param {string} value
+ * @returns {string}
+ */
+function digitsOf(value) {
+  return (value || '').replace(/\D/g, '');
+}
+
+/**
+ * Whether a PHONE_PATTERN match is a phone number
+ * Year ranges ("2019 - 2021") and short numbers are not.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPhoneNumber(value) {
+  return digitsOf(value).length >= 9;
+}
+
+/**
+ * Finds the email addresses and phone numbers in a text
+ * @param {string} text
+ * @returns {Object} - { emails, phones } where phones are digits only
+ */
+function findContactDetails(text) {
+  return {
+    emails: (text.match(EMAIL_PATTERN) || []).map(email => email.toLowerCase()),
+    phones: (text.match(PHONE_PATTERN) || []).filter(isPhoneNumber).map(digitsOf),
+  };
+}
+
+/**
+ * Creates the output guard of a request
+ * @param {Object} options
+ * @param {Object} options.profile - The tenant's profile (JSON Resume); its email and phone are published
+ * @param {Array<string>} [options.fields] - Fields withheld from this request (see SENSITIVE_FIELDS and utils/privacy.js)
+ * @param {string} [options.instructions] - Prompt instructions (without excerpts or question) that must not leak
+ * @returns {Object} - { redact(text), check(text) }
+ */
+function createOutputGuard({ profile, fields = [], instructions = '' }) {
+  const detectors = fields
+    .filter(field => SENSITIVE_FIELDS[field])
+    .map(field => {
+      const values = SENSITIVE_FIELDS[field].values(profile).filter(value => typeof value === 'string' && value.trim().length > 3);
+      const { patterns, accept = () => true } = SENSITIVE_FIELDS[field];
+      return { field, accept, patterns: [...values.map(valuePattern), ...patterns] };
+    });
+
+  // Contact details the owner publishes may be repeated; any other email or phone number is withheld
+  const basics = profile.basics || {};
+  const publishedEmails = fields.includes('email') ? [] : [basics.email].filter(Boolean).map(email => email.toLowerCase());
+  const publishedPhones = fields.includes('phone') ? [] : [basics.phone].filter(Boolean).map(digitsOf);
+
+  // Instruction lines long enough not to turn up in an ordinary answer
+  const normalize = text => text.toLowerCase().replace(/^[\s-]+/gm, '').replace(/\s+/g, ' ').trim();
+  const instructionLines = instructions
+    .split('\n')
+    .map(normalize)
+    .filter(line => line.split(' ').length >= 6);
+
+  const withhold = (text, pattern, accept, onMatch) => text.replace(pattern, (match, ...args) => {
+    const groups = args[args.length - 1];
+    if (!accept(match)) {
+      return match;
+    }
+    onMatch();
+    return typeof groups === 'object' && groups?.value ? match.replace(groups.value, WITHHELD) : WITHHELD;
+  });
+
+  return {
+    /**
+     * Withholds sensitive fields
+     * @param {string} text
+     * @returns {Object} - { text, findings: [{ type: 'sensitive_field', field }] }
+     */
+    redact(text) {
+      const findings = [];
+      let redacted = text;
+      for (const { field, accept, patterns } of detectors) {
+        for (const pattern of patterns) {
+          redacted = withhold(redacted, pattern, accept, () => findings.push({ type: 'sensitive_field', field }));
+        }
+      }
+      return { text: redacted, findings };
+    },
+
+    /**
+     * Checks a model reply
+     * @param {string} text
+     * @returns {Object} - { text, leaked, findings } where text has sensitive fields and unpublished
+     *   contact details withheld, and leaked means the reply repeats the prompt and must not be shown
+     */
+    check(text) {
+      const normalized = normalize(text);
+      const marker = PROMPT_MARKERS.find(pattern => pattern.test(text));
+      if (marker || instructionLines.some(line => normalized.includes(line))) {
+        return { text, leaked: true, findings: [{ type: 'prompt_leak', rule: marker ? marker.source : 'instructions' }] };
+      }
+
+      const { text: redacted, findings } = this.redact(text);
+      let checked = redacted.replace(EMAIL_PATTERN, (email) => {
+        if (publishedEmails.includes(email.toLowerCase())) {
+          return email;
+        }
+        findings.push({ type: 'pii', field: 'email' });
+        return WITHHELD;
+      });
+      checked = checked.replace(PHONE_PATTERN, (number) => {
+        if (!isPhoneNumber(number) || publishedPhones.includes(digitsOf(number))) {
+          return number;
+        }
+        findings.push({ type: 'pii', field: 'phone' });
+        return WITHHELD;
+      });
+      return { text: checked, leaked: false, findings };
+    },
+  };
+}
+
+export {
+  classifyInput,
+  createOutputGuard,
+  findContactDetails,
+  GUARDRAILS_CONFIG,
+  INPUT_CATEGORIES,
+  INPUT_RULES,
+  isQuestionAboutOwner,
+  normalizeInput,
+  sanitizeForPrompt,
+  SENSITIVE_FIELDS,
+};
@@ -0,0 +1,286 @@
+/**
+ * IP address helpers
+ *
+ * The client IP decides which rate limit bucket a request lands in, so it must not come from a
+ * header the client controls. Proxy headers are only read when the request arrives from a
+ * trusted proxy (TRUSTED_PROXIES), and then from right to left: each trusted proxy appends the
+ * address it received the request from, so the first untrusted address from the right is the
+ * client. Everything to its left was sent by the client and is ignored.
+ *
+ * IPv6 clients usually get a whole /64, so they are rate limited per /64 rather than per address.
+ */
+
+import { BlockList, isIP } from 'net';
+import { logger } from './logger.js';
+
+const IP_CONFIG = {
+  // Proxies whose headers are trusted: addresses, CIDR ranges, or "loopback", "private" and
+  // "linklocal" (comma-separated; empty = trust no proxy). Private ranges are opt-in: anything
+  // else on the same network could otherwise set the header.
+  TRUSTED_PROXIES: (process.env.TRUSTED_PROXIES ?? 'loopback').split(',').map(entry => entry.trim()).filter(Boolean),
+
+  // Header the trusted proxies set: "x-forwarded-for", "forwarded" (RFC 7239) or "x-real-ip"
+  PROXY_HEADER: (process.env.PROXY_HEADER || 'x-forwarded-for').toLowerCase(),
+
+  // IPv6 addresses are bucketed by this prefix length for rate limiting
+  IPV6_BUCKET_PREFIX: parseInt(process.env.IPV6_BUCKET_PREFIX || '64'),
+
+  // Vercel's edge overwrites X-Forwarded-For, so its header can be trusted whoever connects
+  PLATFORM_PROXY: process.env.VERCEL === '1',
+};
+
+const PROXY_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip'];
+
+// Named ranges for TRUSTED_PROXIES
+const NAMED_RANGES = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+};
+
+/**
+ * Parse an IPv6 address into eight 16-bit groups
+ * @param {string} address - Valid IPv6 address (may end in dotted IPv4)
+ * @returns {Array<number>}
+ */
+function parseIPv6(address) {
+  let text = address;
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Format eight 16-bit groups as a compressed IPv6 address (RFC 5952)
+ * @param {Array<number>} groups
+ * @returns {string}
+ */
+function formatIPv6(groups) {
+  // Longest run of two or more zero groups becomes "::"
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Normalize an address for matching and bucketing
+ * Strips brackets, ports and zone ids, unwraps IPv4-mapped IPv6 ("::ffff:1.2.3.4" -> "1.2.3.4")
+ * and compresses IPv6 ("2001:DB8:0:0::1" -> "2001:db8::1").
+ * @param {string} ip
+ * @returns {string|null} - Normalized address, or null if it isn't an IP address
+ */
+function normalizeIP(ip) {
+  let address = String(ip || '').trim();
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(address)) {
+    address = address.slice(0, address.lastIndexOf(':'));
+  }
+  address = address.replace(/%.*$/, '');
+
+  const version = isIP(address);
+  if (version === 4) {
+    return address;
+  }
+  if (version !== 6) {
+    return null;
+  }
+
+  const groups = parseIPv6(address.toLowerCase());
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+  }
+  return formatIPv6(groups);
+}
+
+/**
+ * Rate limit bucket for an address: IPv4 addresses as they are, IPv6 addresses by their
+ * IPV6_BUCKET_PREFIX network (e.g. "2001:db8:1:2::/64")
+ * @param {string} ip
+ * @returns {string}
+ */
+function ipBucket(ip) {
+  const address = normalizeIP(ip);
+  if (!address || isIP(address) !== 6) {
+    return address || String(ip);
+  }
+  const prefix = Math.min(128, Math.max(0, IP_CONFIG.IPV6_BUCKET_PREFIX));
+  const groups = parseIPv6(address).map((group, i) => {
+    const bits = Math.min(16, Math.max(0, prefix - i * 16));
+    return bits === 0 ? 0 : group & (0xffff << (16 - bits)) & 0xffff;
+  });
+  return `${formatIPv6(groups)}/${prefix}`;
+}
+
+/**
+ * Build a matcher for a list of addresses and CIDR ranges
+ * Invalid entries are logged and skipped.
+ * @param {Array<string>} entries - e.g. ["203.0.113.7", "10.0.0.0/8", "2001:db8::/32"]
+ * @returns {Object} - { has(ip), size }
+ */
+function createIPList(entries = []) {
+  const list = new BlockList();
+  let size = 0;
+
+  for (const entry of entries) {
+    const [address, prefix] = String(entry).trim().split('/');
+    const version = isIP(address);
+    const bits = Number(prefix);
+    if (!version || (prefix !== undefined && !(Number.isInteger(bits) && bits >= 0 && bits <= (version === 4 ? 32 : 128)))) {
+      logger.error(`Ignoring invalid IP address or range "${entry}"`);
+      continue;
+    }
+    const type = version === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, bits, type);
+    }
+    size++;
+  }
+
+  return {
+    size,
+    has(ip) {
+      const address = normalizeIP(ip);
+      const version = isIP(address || '');
+      return Boolean(version) && list.check(address, version === 4 ? 'ipv4' : 'ipv6');
+    },
+  };
+}
+
+/**
+ * Read the `for=` nodes of a Forwarded header (RFC 7239), left to right
+ * @param {string} header - e.g. 'for=192.0.2.60;proto=http, for="[2001:db8::17]:4711"'
+ * @returns {Array<string|null>} - Addresses (null for "unknown", obfuscated or missing nodes)
+ */
+function parseForwardedHeader(header) {
+  // Split on commas and semicolons outside quoted strings
+  const elements = [[]];
+  let pair = '';
+  let quoted = false;
+  for (let i = 0; i < header.length; i++) {
+    const char = header[i];
+    if (char === '"') quoted = !quoted;
+    if (char === '\\' && quoted) {
+      pair += header[++i] || '';
+      continue;
+    }
+    if (!quoted && (char === ',' || char === ';')) {
+      elements[elements.length - 1].push(pair);
+      pair = '';
+      if (char === ',') elements.push([]);
+      continue;
+    }
+    pair += char;
+  }
+  elements[elements.length - 1].push(pair);
+
+  return elements.map(pairs => {
+    const forPair = pairs.map(entry => entry.trim()).find(entry => /^for=/i.test(entry));
+    return forPair ? normalizeIP(forPair.slice(4).replace(/^"|"$/g, '')) : null;
+  });
+}
+
+/**
+ * Read a proxy header as a chain of addresses, left to right
+ * @param {Object} req - Incoming request
+ * @param {string} header - One of PROXY_HEADERS
+ * @returns {Array<string|null>} - Addresses (null for entries that aren't IP addresses)
+ */
+function readProxyChain(req, header) {
+  // Repeated headers arrive as an array or joined with commas
+  const raw = req.headers[header];
+  const value = Array.isArray(raw) ? raw.join(',') : raw;
+  if (!value) {
+    return [];
+  }
+  if (header === 'forwarded') {
+    return parseForwardedHeader(value);
+  }
+  if (header === 'x-real-ip') {
+    return [normalizeIP(value)];
+  }
+  return value.split(',').map(normalizeIP);
+}
+
+/**
+ * Creates a function that finds the client IP address of a request
+ * Proxy headers are only used when the connection comes from a trusted proxy; a connection
+ * whose address is unknown is not trusted. The chain is walked
+ * from the right, skipping trusted proxies; the first other address is the client. An entry
+ * that isn't an IP address stops the walk at the proxy that added it.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.trustedProxies] - Addresses, CIDR ranges or named ranges
+ * @param {string} [options.header] - Proxy header: "x-forwarded-for", "forwarded" or "x-real-ip"
+ * @param {boolean} [options.platformProxy] - Trust the header whoever connects
+ * @returns {Function} - (req) => normalized address, or "unknown"
+ */
+function createClientIPResolver({
+  trustedProxies = IP_CONFIG.TRUSTED_PROXIES,
+  header = IP_CONFIG.PROXY_HEADER,
+  platformProxy = IP_CONFIG.PLATFORM_PROXY,
+} = {}) {
+  if (!PROXY_HEADERS.includes(header)) {
+    logger.error(`Unknown proxy header "${header}", using x-forwarded-for. Use one of: ${PROXY_HEADERS.join(', ')}.`);
+    header = 'x-forwarded-for';
+  }
+  const trusted = createIPList(trustedProxies.flatMap(entry => NAMED_RANGES[entry.toLowerCase()] || [entry]));
+
+  return function getClientIP(req) {
+    const peer = normalizeIP(req.socket?.remoteAddress || req.connection?.remoteAddress);
+    if (!platformProxy && !(peer && trusted.has(peer))) {
+      return peer || 'unknown';
+    }
+
+    let client = peer || 'unknown';
+    const chain = readProxyChain(req, header);
+    for (let i = chain.length - 1; i >= 0; i--) {
+      if (!chain[i]) {
+        break;
+      }
+      client = chain[i];
+      if (!trusted.has(client)) {
+        break;
+      }
+    }
+    return client;
+  };
+}
+
+/**
+ * Get the client IP address of a request, using TRUSTED_PROXIES and PROXY_HEADER
+ * @param {Object} req - Incoming request
+ * @returns {string} - Normalized address, or "unknown"
+ */
+const getClientIP = createClientIPResolver();
+
+export {
+  createClientIPResolver,
+  createIPList,
+  getClientIP,
+  IP_CONFIG,
+  ipBucket,
+  normalizeIP,
+  parseForwardedHeader,
+};
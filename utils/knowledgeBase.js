@@ -0,0 +1,666 @@
+/**
+ * Knowledge base stores and ranked matching
+ * A store holds a knowledge file's items in memory, persists edits through the storage
+ * adapter and hot-reloads them. Matching scores every item against the user's message instead
+ * of returning the first item with a matching keyword, and can merge answers for
+ * multi-intent questions such as "what's your email and phone?".
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseCSV, stringifyCSV } from './csv.js';
+import { tokenize } from './retrieval/text.js';
+import { getStorage } from './storage/index.js';
+import { logger } from './logger.js';
+
+// How often the stored knowledge base is re-read, so edits made through another instance show up
+const KNOWLEDGE_RELOAD_INTERVAL = parseInt(process.env.KNOWLEDGE_RELOAD_INTERVAL || '30000');
+
+// Field limits for knowledge base items
+const ITEM_LIMITS = {
+  QUESTION_LENGTH: 500,
+  ANSWER_LENGTH: 5000,
+  KEYWORD_LENGTH: 100,
+  KEYWORDS: 50,
+};
+
+const ITEM_FIELDS = ['id', 'question', 'keywords', 'answer'];
+
+/**
+ * Matching configuration
+ */
+const KB_MATCH_CONFIG = {
+  // Minimum confidence for the best item to answer on its own
+  MIN_CONFIDENCE: parseFloat(process.env.KB_MIN_CONFIDENCE || '0.6'),
+
+  // Minimum confidence for an additional item to be merged into a multi-intent answer
+  MERGE_MIN_CONFIDENCE: parseFloat(process.env.KB_MERGE_MIN_CONFIDENCE || '0.5'),
+
+  // Max items merged into one answer
+  MAX_MERGED: parseInt(process.env.KB_MAX_MERGED || '3'),
+
+  // BM25 parameters for answer overlap
+  BM25_K1: 1.2,
+  BM25_B: 0.75,
+};
+
+// Separators between intents in a single message ("email and phone", "skills, education")
+const INTENT_SEPARATOR = /\s*(?:\band\b|\balso\b|\bplus\b|\bas well as\b|[,;&?])\s*/i;
+
+// BM25 statistics per items array, rebuilt when the knowledge base is replaced
+const answerIndexes = new WeakMap();
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Expand common word variations so keywords written one way still match
+ * @param {string} lowerMessage - Lowercase message
+ * @returns {string}
+ */
+function normalizeMessage(lowerMessage) {
+  return lowerMessage
+    .replace(/\bexpertise\b/g, 'expertise specialization skills')
+    .replace(/\bspecialization\b/g, 'specialization expertise skills')
+    .replace(/\bexpert\b/g, 'expertise specialization skills')
+    .replace(/\bwhat can you do\b/g, 'skills technologies');
+}
+
+/**
+ * Build (or reuse) BM25 statistics over the item answers
+ * @param {Array<Object>} items - knowledge.json items
+ * @returns {Object} - { documents, documentFrequency, averageLength }
+ */
+function getAnswerIndex(items) {
+  let index = answerIndexes.get(items);
+  if (index) {
+    return index;
+  }
+
+  const documents = items.map(item => {
+    const terms = tokenize(item.answer || '');
+    const termFrequency = new Map();
+    for (const term of terms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+    return { length: terms.length, termFrequency };
+  });
+
+  const documentFrequency = new Map();
+  for (const document of documents) {
+    for (const term of document.termFrequency.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const averageLength = documents.reduce((sum, d) => sum + d.length, 0) / (documents.length || 1);
+  index = { documents, documentFrequency, averageLength };
+  answerIndexes.set(items, index);
+  return index;
+}
+
+/**
+ * Keyword signal: whole-word keyword matches (word boundaries avoid "awais" matching "ai")
+ * Longer phrases and several matching keywords raise the score.
+ * @returns {Object} - { score, matchedKeywords }
+ */
+function scoreKeywords(item, lowerMessage, normalizedMessage) {
+  const matchedKeywords = (item.keywords || []).filter(keyword => {
+    const keywordPattern = new RegExp(`\\b${escapeRegExp(keyword.toLowerCase())}\\b`, 'i');
+    return keywordPattern.test(lowerMessage) || keywordPattern.test(normalizedMessage);
+  });
+
+  if (matchedKeywords.length === 0) {
+    return { score: 0, matchedKeywords };
+  }
+
+  const longestPhrase = Math.max(...matchedKeywords.map(keyword => keyword.trim().split(/\s+/).length));
+  const score = Math.min(1, 0.75 + 0.05 * (longestPhrase - 1) + 0.05 * (matchedKeywords.length - 1));
+  return { score, matchedKeywords };
+}
+
+/**
+ * Question signal: overlap between the message and the item's question
+ * F1 of question terms found in the message and message terms found in the question.
+ * @returns {number} - 0..1
+ */
+function scoreQuestion(item, lowerMessage, messageTerms) {
+  if (!item.question) {
+    return 0;
+  }
+
+  const lowerQuestion = item.question.toLowerCase();
+  // Direct phrase match
+  if (lowerQuestion.length > 10 && lowerMessage.includes(lowerQuestion.replace(/[?.!]+$/, ''))) {
+    return 1;
+  }
+
+  const questionTerms = new Set(tokenize(lowerQuestion));
+  const uniqueMessageTerms = new Set(messageTerms);
+  if (questionTerms.size === 0 || uniqueMessageTerms.size === 0) {
+    return 0;
+  }
+
+  const shared = [...questionTerms].filter(term => uniqueMessageTerms.has(term)).length;
+  if (shared === 0) {
+    return 0;
+  }
+  const questionCoverage = shared / questionTerms.size;
+  const messageCoverage = shared / uniqueMessageTerms.size;
+  return (2 * questionCoverage * messageCoverage) / (questionCoverage + messageCoverage);
+}
+
+/**
+ * Answer signal: BM25 score of the message against the item's answer
+ * Normalized by the BM25 upper bound for the query so it falls in 0..1.
+ * At least two query terms must occur in the answer.
+ * @returns {number} - 0..1
+ */
+function scoreAnswer(index, itemIndex, messageTerms) {
+  const { BM25_K1: k1, BM25_B: b } = KB_MATCH_CONFIG;
+  const document = index.documents[itemIndex];
+  const totalDocuments = index.documents.length;
+  const uniqueTerms = [...new Set(messageTerms)];
+
+  let score = 0;
+  let upperBound = 0;
+  let matchedTerms = 0;
+
+  for (const term of uniqueTerms) {
+    const df = index.documentFrequency.get(term) || 0;
+    const idf = Math.log(1 + (totalDocuments - df + 0.5) / (df + 0.5));
+    upperBound += idf * (k1 + 1);
+
+    const tf = document.termFrequency.get(term) || 0;
+    if (tf > 0) {
+      matchedTerms++;
+      score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (document.length / (index.averageLength || 1))));
+    }
+  }
+
+  if (matchedTerms < 2 || upperBound === 0) {
+    return 0;
+  }
+  return score / upperBound;
+}
+
+/**
+ * Score every knowledge base item against a message
+ * Signals are combined noisy-OR style, so agreeing signals raise confidence
+ * but no single weak signal can reach it alone.
+ * @param {Array<Object>} items - knowledge.json items
+ * @param {string} userMessage - The user's message
+ * @returns {Array<Object>} - [{ item, confidence, signals, matchedKeywords }] by descending confidence
+ */
+function rankKnowledgeItems(items, userMessage) {
+  const lowerMessage = userMessage.toLowerCase().trim();
+  const normalizedMessage = normalizeMessage(lowerMessage);
+  const messageTerms = tokenize(lowerMessage);
+  const index = getAnswerIndex(items);
+
+  const ranked = items.map((item, itemIndex) => {
+    const { score: keyword, matchedKeywords } = scoreKeywords(item, lowerMessage, normalizedMessage);
+    const question = scoreQuestion(item, lowerMessage, messageTerms);
+    const answer = scoreAnswer(index, itemIndex, messageTerms);
+    const confidence = 1 - (1 - keyword) * (1 - 0.85 * question) * (1 - 0.7 * answer);
+
+    return { item, confidence, signals: { keyword, question, answer }, matchedKeywords };
+  });
+
+  // Stable sort keeps file order for ties
+  return ranked.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Find the best knowledge base answer for a message
+ * For multi-intent messages, the best item for each part ("email", "phone") is merged in.
+ * @param {Array<Object>} items - knowledge.json items
+ * @param {string} userMessage - The user's message
+ * @returns {Object|null} - { answer, confidence, matchedItemId, matchedItemIds } or null if nothing is confident enough
+ */
+function matchKnowledgeBase(items, userMessage) {
+  const best = rankKnowledgeItems(items, userMessage)[0];
+  if (!best || best.confidence < KB_MATCH_CONFIG.MIN_CONFIDENCE) {
+    return null;
+  }
+
+  const matches = [best];
+  const segments = userMessage.split(INTENT_SEPARATOR).filter(segment => tokenize(segment).length > 0);
+
+  if (segments.length > 1) {
+    for (const segment of segments) {
+      if (matches.length >= KB_MATCH_CONFIG.MAX_MERGED) break;
+
+      const segmentBest = rankKnowledgeItems(items, segment)[0];
+      if (
+        segmentBest &&
+        segmentBest.confidence >= KB_MATCH_CONFIG.MERGE_MIN_CONFIDENCE &&
+        !matches.some(match => match.item.id === segmentBest.item.id)
+      ) {
+        matches.push(segmentBest);
+      }
+    }
+  }
+
+  return {
+    answer: matches.map(match => match.item.answer).join('\n\n'),
+    // A merged answer is only as confident as its weakest part
+    confidence: Math.min(...matches.map(match => match.confidence)),
+    matchedItemId: best.item.id,
+    matchedItemIds: matches.map(match => match.item.id),
+  };
+}
+
+/**
+ * Validate a single knowledge base item
+ * @param {Object} item - Candidate item
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateKnowledgeItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['Item must be an object.'];
+  }
+
+  const errors = [];
+
+  const unknownFields = Object.keys(item).filter(field => !ITEM_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown field(s): ${unknownFields.join(', ')}.`);
+  }
+
+  if (!Number.isInteger(item.id) || item.id < 1) {
+    errors.push('"id" must be a positive integer.');
+  }
+
+  if (typeof item.question !== 'string' || item.question.trim().length === 0) {
+    errors.push('"question" must be a non-empty string.');
+  } else if (item.question.length > ITEM_LIMITS.QUESTION_LENGTH) {
+    errors.push(`"question" must be at most ${ITEM_LIMITS.QUESTION_LENGTH} characters.`);
+  }
+
+  if (!Array.isArray(item.keywords) || item.keywords.length === 0) {
+    errors.push('"keywords" must be a non-empty array of strings.');
+  } else if (item.keywords.length > ITEM_LIMITS.KEYWORDS) {
+    errors.push(`"keywords" may contain at most ${ITEM_LIMITS.KEYWORDS} entries.`);
+  } else if (item.keywords.some(keyword => typeof keyword !== 'string' || keyword.trim().length === 0 || keyword.length > ITEM_LIMITS.KEYWORD_LENGTH)) {
+    errors.push(`Every keyword must be a non-empty string of at most ${ITEM_LIMITS.KEYWORD_LENGTH} characters.`);
+  }
+
+  if (typeof item.answer !== 'string' || item.answer.trim().length === 0) {
+    errors.push('"answer" must be a non-empty string.');
+  } else if (item.answer.length > ITEM_LIMITS.ANSWER_LENGTH) {
+    errors.push(`"answer" must be at most ${ITEM_LIMITS.ANSWER_LENGTH} characters.`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a whole knowledge base ({ items: [...] })
+ * @param {Object} data - Candidate knowledge base
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateKnowledgeBase(data) {
+  if (!data || !Array.isArray(data.items)) {
+    return ['Knowledge base must be an object with an "items" array.'];
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+
+  data.items.forEach((item, i) => {
+    for (const error of validateKnowledgeItem(item)) {
+      errors.push(`items[${i}]: ${error}`);
+    }
+    if (item && seenIds.has(item.id)) {
+      errors.push(`items[${i}]: Duplicate id ${item.id}.`);
+    }
+    seenIds.add(item?.id);
+  });
+
+  return errors;
+}
+
+/**
+ * Trim whitespace and drop empty keywords
+ * @param {Object} item
+ * @returns {Object}
+ */
+function cleanItem(item) {
+  return {
+    id: item.id,
+    question: typeof item.question === 'string' ? item.question.trim() : item.question,
+    keywords: Array.isArray(item.keywords)
+      ? item.keywords.map(keyword => (typeof keyword === 'string' ? keyword.trim() : keyword)).filter(keyword => keyword !== '')
+      : item.keywords,
+    answer: typeof item.answer === 'string' ? item.answer.trim() : item.answer,
+    // Keep unknown fields so validation can reject them
+    ...Object.fromEntries(Object.entries(item).filter(([field]) => !ITEM_FIELDS.includes(field))),
+  };
+}
+
+/**
+ * Next free item id
+ * @param {Array<Object>} items
+ * @returns {number}
+ */
+function nextItemId(items) {
+  return items.reduce((max, item) => Math.max(max, item.id || 0), 0) + 1;
+}
+
+/**
+ * Create a knowledge base store
+ * The bundled file is read synchronously on creation (this runs at function initialization),
+ * then the copy in storage takes over once it exists.
+ * @param {Object} [options]
+ * @param {string} [options.file] - Bundled knowledge file, relative to the project root
+ * @param {string} [options.storageKey] - Storage key for edits (defaults to the file name)
+ * @returns {Object} - Knowledge base store
+ */
+function createKnowledgeStore({ file = 'knowledge.json', storageKey = file } = {}) {
+  let knowledgeBase;
+  let knowledgeSnapshot = null;
+  // Why the bundled file couldn't be used, and why the last reload from storage failed (see getStatus)
+  let loadError = null;
+  let reloadError = null;
+  let source = 'file';
+  try {
+    knowledgeSnapshot = readFileSync(join(process.cwd(), file), 'utf8');
+    knowledgeBase = JSON.parse(knowledgeSnapshot);
+  } catch (error) {
+    logger.error(`Error loading knowledge base ${file}`, { error });
+    // Fallback to empty knowledge base if file can't be loaded
+    knowledgeBase = { items: [] };
+    loadError = `${file} could not be ${error instanceof SyntaxError ? 'parsed' : 'read'}.`;
+  }
+
+  let version = null;
+  let lastRefresh = 0;
+  let writeQueue = Promise.resolve();
+  const changeListeners = [];
+
+  /**
+   * Swap in a new knowledge base and notify listeners
+   * @param {Object} data - Parsed knowledge base ({ items, ... })
+   * @param {string} snapshot - Serialized form, used to detect changes on reload
+   */
+  function applyKnowledgeBase(data, snapshot) {
+    knowledgeBase = data;
+    knowledgeSnapshot = snapshot;
+    source = 'storage';
+    version = null;
+    for (const listener of changeListeners) {
+      try {
+        listener(data.items);
+      } catch (error) {
+        logger.error('Knowledge base change listener failed', { error });
+      }
+    }
+  }
+
+  /**
+   * Re-read the knowledge base from storage if the reload interval has passed
+   * Invalid stored data is logged and ignored so a bad edit can't empty the live knowledge base.
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Ignore the reload interval
+   */
+  async function refresh({ force = false } = {}) {
+    if (!force && Date.now() - lastRefresh < KNOWLEDGE_RELOAD_INTERVAL) {
+      return;
+    }
+    lastRefresh = Date.now();
+
+    try {
+      const snapshot = await getStorage().read(storageKey);
+      reloadError = null;
+      if (snapshot === null || snapshot === knowledgeSnapshot) {
+        return;
+      }
+
+      const data = JSON.parse(snapshot);
+      const errors = validateKnowledgeBase(data);
+      if (errors.length > 0) {
+        logger.error(`Stored knowledge base ${storageKey} is invalid, keeping the current one`, { errors });
+        reloadError = `The stored knowledge base is invalid (${errors.length} error(s)); serving the previous one.`;
+        return;
+      }
+
+      applyKnowledgeBase(data, snapshot);
+      logger.info(`Knowledge base ${storageKey} reloaded`, { 'knowledge.items': data.items.length });
+    } catch (error) {
+      logger.error(`Error reloading knowledge base ${storageKey}`, { error });
+      reloadError = error instanceof SyntaxError
+        ? 'The stored knowledge base could not be parsed; serving the previous one.'
+        : 'Storage could not be read; serving the last loaded knowledge base.';
+    }
+  }
+
+  /**
+   * Apply a change to the item list, validate the result and persist it
+   * Writes are queued so concurrent edits in one instance don't overwrite each other.
+   * @param {Function} change - Receives a copy of the items and returns { items, result } or { error, status, details }
+   * @returns {Promise<Object>} - The change's result, or { error, status, details }
+   */
+  function update(change) {
+    const run = async () => {
+      await refresh({ force: true });
+
+      const outcome = change(knowledgeBase.items.map(item => ({ ...item })));
+      if (outcome.error) {
+        return outcome;
+      }
+
+      const data = { ...knowledgeBase, items: outcome.items };
+      const errors = validateKnowledgeBase(data);
+      if (errors.length > 0) {
+        return { error: 'Invalid knowledge base item(s).', status: 400, details: errors };
+      }
+
+      const snapshot = JSON.stringify(data, null, 2) + '\n';
+      await getStorage().write(storageKey, snapshot);
+      applyKnowledgeBase(data, snapshot);
+      return outcome.result;
+    };
+
+    const result = writeQueue.then(run, run);
+    writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  return {
+    /**
+     * Get the current knowledge base items
+     * @returns {Array<Object>}
+     */
+    getItems() {
+      return knowledgeBase.items;
+    },
+
+    /**
+     * Load status for readiness checks
+     * `loadError` is set when the bundled file couldn't be used and nothing replaced it from storage;
+     * `reloadError` when the last reload from storage failed and an older copy is still served.
+     * @returns {Object} - { items, source: "file"|"storage", loadError, reloadError }
+     */
+    getStatus() {
+      return {
+        items: knowledgeBase.items.length,
+        source,
+        loadError: source === 'file' ? loadError : null,
+        reloadError,
+      };
+    },
+
+    /**
+     * Short hash of the current items; changes with every edit or reload that changes an item
+     * @returns {string}
+     */
+    getVersion() {
+      if (!version) {
+        version = createHash('sha256').update(JSON.stringify(knowledgeBase.items)).digest('hex').substring(0, 16);
+      }
+      return version;
+    },
+
+    /**
+     * Register a callback for whenever the knowledge base changes (edit or reload)
+     * @param {Function} listener - Called with the new items
+     */
+    onChange(listener) {
+      changeListeners.push(listener);
+    },
+
+    refresh,
+
+    /**
+     * Create an item (an id is assigned if none is given)
+     * @param {Object} item - { id?, question, keywords, answer }
+     * @returns {Promise<Object>} - { item } or { error, status, details }
+     */
+    createItem(item) {
+      return update(items => {
+        const newItem = cleanItem({ ...item, id: item?.id ?? nextItemId(items) });
+        const errors = validateKnowledgeItem(newItem);
+        if (errors.length > 0) {
+          return { error: 'Invalid knowledge base item.', status: 400, details: errors };
+        }
+        if (items.some(existing => existing.id === newItem.id)) {
+          return { error: `An item with id ${newItem.id} already exists.`, status: 409 };
+        }
+        return { items: [...items, newItem], result: { item: newItem } };
+      });
+    },
+
+    /**
+     * Update an item
+     * @param {number} id - Item id
+     * @param {Object} changes - Fields to change
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Replace the whole item instead of merging fields
+     * @returns {Promise<Object>} - { item } or { error, status, details }
+     */
+    updateItem(id, changes, { replace = false } = {}) {
+      return update(items => {
+        const index = items.findIndex(item => item.id === id);
+        if (index === -1) {
+          return { error: `Knowledge base item ${id} not found.`, status: 404 };
+        }
+        if (changes?.id !== undefined && changes.id !== id) {
+          return { error: 'The id of an item cannot be changed.', status: 400 };
+        }
+
+        const updated = cleanItem(replace ? { ...changes, id } : { ...items[index], ...changes, id });
+        const errors = validateKnowledgeItem(updated);
+        if (errors.length > 0) {
+          return { error: 'Invalid knowledge base item.', status: 400, details: errors };
+        }
+
+        const next = [...items];
+        next[index] = updated;
+        return { items: next, result: { item: updated } };
+      });
+    },
+
+    /**
+     * Delete an item
+     * @param {number} id - Item id
+     * @returns {Promise<Object>} - { item } (the deleted item) or { error, status }
+     */
+    deleteItem(id) {
+      return update(items => {
+        const item = items.find(existing => existing.id === id);
+        if (!item) {
+          return { error: `Knowledge base item ${id} not found.`, status: 404 };
+        }
+        return { items: items.filter(existing => existing.id !== id), result: { item } };
+      });
+    },
+
+    /**
+     * Import items in bulk
+     * "merge" adds new items and replaces items with the same id; "replace" swaps the whole list.
+     * Items without an id get the next free one.
+     * @param {Array<Object>} importedItems - Items to import
+     * @param {string} [mode] - "merge" (default) or "replace"
+     * @returns {Promise<Object>} - { created, updated, total } or { error, status, details }
+     */
+    importItems(importedItems, mode = 'merge') {
+      return update(items => {
+        if (!Array.isArray(importedItems) || importedItems.length === 0) {
+          return { error: 'Import must contain at least one item.', status: 400 };
+        }
+        if (!['merge', 'replace'].includes(mode)) {
+          return { error: 'Import mode must be "merge" or "replace".', status: 400 };
+        }
+
+        const next = mode === 'replace' ? [] : [...items];
+        let created = 0;
+        let updated = 0;
+
+        for (const imported of importedItems) {
+          const item = cleanItem({ ...imported, id: imported?.id ?? nextItemId(next) });
+          const index = next.findIndex(existing => existing.id === item.id);
+          if (index === -1) {
+            next.push(item);
+            created++;
+          } else {
+            next[index] = item;
+            updated++;
+          }
+        }
+
+        return { items: next, result: { created, updated, total: next.length } };
+      });
+    },
+  };
+}
+
+/**
+ * Serialize items as CSV (keywords joined with ";")
+ * @param {Array<Object>} items
+ * @returns {string}
+ */
+function knowledgeItemsToCSV(items) {
+  return stringifyCSV(
+    items.map(item => ({ ...item, keywords: item.keywords.join('; ') })),
+    ITEM_FIELDS
+  );
+}
+
+/**
+ * Parse CSV rows (id, question, keywords, answer) into items
+ * Keywords are separated by ";"; an empty id means "assign one".
+ * @param {string} text - CSV text
+ * @returns {Array<Object>}
+ */
+function knowledgeItemsFromCSV(text) {
+  return parseCSV(text).map(row => {
+    const item = {
+      question: row.question,
+      keywords: (row.keywords || '').split(';').map(keyword => keyword.trim()).filter(Boolean),
+      answer: row.answer,
+    };
+    if (row.id && row.id.trim() !== '') {
+      item.id = Number(row.id);
+    }
+    return item;
+  });
+}
+
+export {
+  createKnowledgeStore,
+  KB_MATCH_CONFIG,
+  knowledgeItemsFromCSV,
+  knowledgeItemsToCSV,
+  matchKnowledgeBase,
+  rankKnowledgeItems,
+  validateKnowledgeBase,
+  validateKnowledgeItem,
+};
@@ -0,0 +1,180 @@
+/**
+ * Lead capture conversation
+ * When a visitor says they want to hire or get in touch with the owner, the chat asks for their
+ * name, email address, company and message, one turn at a time, and checks each answer.
+ * The step and the answers so far are kept in the conversation's state (see
+ * utils/conversationStore.js), so the flow survives across requests of one conversation.
+ */
+
+import { normalizeInput } from '../guardrails.js';
+
+const LEAD_FIELDS = ['name', 'email', 'company', 'message'];
+
+const LEAD_LIMITS = {
+  name: 100,
+  email: 254,
+  company: 100,
+  message: 2000,
+};
+
+// "I want to hire you", "we'd like to work with you", "get in touch", "contact me", ...
+const INTENT_PATTERNS = [
+  /\b(?:i|we)(?:'d|'m|'re| would| am| are)?\s+(?:like|love|want|wanna|need|looking|interested in)\s+(?:to\s+)?(?:hire|hiring|engage|work(?:ing)? with you|collaborat\w* with you|get(?:ting)? in touch|contact(?:ing)? you|reach(?:ing)? out|talk(?:ing)? to you|speak(?:ing)? (?:to|with) you)\b/i,
+  /\bget in touch\b/i,
+  /\b(?:contact|reach|email|call) me\b/i,
+  /\b(?:let'?s|can we|could we|shall we) (?:talk|connect|work together|collaborate|discuss (?:a|my|our|the) project)\b/i,
+  /\bleave (?:you )?(?:my|a) (?:message|details|contact details)\b/i,
+];
+
+const CANCEL_PATTERN = /^\s*(?:cancel|stop|never ?mind|forget it|no thanks|quit)\b/i;
+
+// Answers to the company question meaning "no company"
+const NO_COMPANY_PATTERN = /^(?:none|no|nope|n\/?a|-|skip|just me|myself|(?:an? )?individual|personal|private|(?:i'?m )?(?:a )?(?:freelancer?|independent|self[- ]employed))\.?$/i;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+
+const QUESTIONS = {
+  name: "What's your name?",
+  email: "What's the best email address to reach you at?",
+  company: 'Which company are you with? (Say "none" if it\'s just you.)',
+  message: 'What would you like to discuss? A few lines about the project or role are perfect.',
+};
+
+const RETRY = {
+  name: "Sorry, I didn't catch your name. What should I call you?",
+  email: "That doesn't look like an email address. What's the best email address to reach you at?",
+  company: 'Could you give me just the company name? (Say "none" if it\'s just you.)',
+  message: 'Could you tell me a bit more about what you have in mind?',
+};
+
+/**
+ * Whether a message asks to hire or get in touch with the owner
+ * @param {string} message
+ * @returns {boolean}
+ */
+function detectLeadIntent(message) {
+  const text = normalizeInput(message);
+  return INTENT_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Checks an answer to one of the questions
+ * @param {string} field - One of LEAD_FIELDS
+ * @param {string} answer - The visitor's message
+ * @returns {Object} - { valid, value } where value is the cleaned-up answer (null for "no company")
+ */
+function validateLeadField(field, answer) {
+  const text = normalizeInput(answer).replace(/\s+/g, ' ').trim();
+
+  if (field === 'name') {
+    const name = text
+      .replace(/^(?:hi|hello|hey)[,!.]?\s+/i, '')
+      .replace(/^(?:my name is|my name's|i am|i'm|this is|it's|name:)\s*/i, '')
+      .replace(/[.!,]+$/, '')
+      .trim();
+    const valid = name.length > 0 && name.length <= LEAD_LIMITS.name && /\p{L}/u.test(name)
+      && name.split(' ').length <= 6 && !/[@?\d<>]/.test(name);
+    return { valid, value: valid ? name : null };
+  }
+
+  if (field === 'email') {
+    const email = text.match(EMAIL_PATTERN)?.[0].replace(/\.$/, '');
+    const valid = Boolean(email) && email.length <= LEAD_LIMITS.email;
+    return { valid, value: valid ? email : null };
+  }
+
+  if (field === 'company') {
+    if (NO_COMPANY_PATTERN.test(text)) {
+      return { valid: true, value: null };
+    }
+    const company = text
+      .replace(/^(?:i work (?:at|for)|i'm with|i am with|we are|we're|it's|from|at|with)\s+/i, '')
+      .replace(/[.!]+$/, '')
+      .trim();
+    const valid = company.length > 0 && company.length <= LEAD_LIMITS.company && !/[<>]/.test(company);
+    return { valid, value: valid ? company : null };
+  }
+
+  // The message: a sentence or two
+  const valid = text.length >= 10 && text.length <= LEAD_LIMITS.message;
+  return { valid, value: valid ? answer.trim() : null };
+}
+
+/**
+ * The first field without an answer
+ * @param {Object} fields - Answers so far
+ * @returns {string|null}
+ */
+function nextField(fields) {
+  return LEAD_FIELDS.find(field => !(field in fields)) || null;
+}
+
+/**
+ * Moves the lead capture conversation one turn on
+ * Without a lead in progress, a message with the intent starts one (an email address in it
+ * is kept). While collecting, each message answers the current question; "cancel" ends the
+ * flow, and a question instead of an answer leaves it so the question can be answered normally.
+ * @param {Object} options
+ * @param {Object|null} options.state - The lead in progress ({ step, fields }), if any
+ * @param {string} options.message - The visitor's message
+ * @returns {Object|null} - null when the message is not part of the flow; otherwise
+ *   { state, reply, status } where status is "collecting", "complete" (with `lead`) or "cancelled"
+ */
+function advanceLead({ state, message }) {
+  if (!state) {
+    if (!detectLeadIntent(message)) {
+      return null;
+    }
+    const fields = {};
+    const email = validateLeadField('email', message);
+    if (email.valid) {
+      fields.email = email.value;
+    }
+    const step = nextField(fields);
+    return {
+      state: { step, fields },
+      reply: `I'd be glad to hear from you! Leave a few details here and they'll reach me directly. ${QUESTIONS[step]}`,
+      status: 'collecting',
+    };
+  }
+
+  if (CANCEL_PATTERN.test(message)) {
+    return {
+      state: null,
+      reply: "No problem, I won't take your details. Is there anything else you'd like to know?",
+      status: 'cancelled',
+    };
+  }
+
+  const { step } = state;
+  if (step !== 'message' && message.trim().endsWith('?')) {
+    return null;
+  }
+
+  const answer = validateLeadField(step, message);
+  if (!answer.valid) {
+    return { state, reply: `${RETRY[step]} (Say "cancel" to stop.)`, status: 'collecting' };
+  }
+
+  const fields = { ...state.fields, [step]: answer.value };
+  const next = nextField(fields);
+  if (next) {
+    const thanks = step === 'name' ? `Nice to meet you, ${fields.name}!` : 'Thanks!';
+    return { state: { step: next, fields }, reply: `${thanks} ${QUESTIONS[next]}`, status: 'collecting' };
+  }
+
+  return {
+    state: null,
+    reply: `Thank you, ${fields.name}! I've received your message and will get back to you at ${fields.email} as soon as I can.`,
+    status: 'complete',
+    lead: fields,
+  };
+}
+
+export {
+  advanceLead,
+  detectLeadIntent,
+  LEAD_FIELDS,
+  LEAD_LIMITS,
+  validateLeadField,
+};
@@ -0,0 +1,141 @@
+/**
+ * Lead capture
+ * Visitors who want to hire or contact the owner leave their details in the chat (see
+ * ./flow.js); each completed lead goes to every configured sink, each implementing:
+ *   append(lead, context)  - Store or deliver one lead; context.recipient is the owner's email
+ *   read({ since })        - Leads at or after a time (ms), oldest first (stores only)
+ * Select with LEADS_SINK, comma-separated: "file" (default, JSONL), "memory", "webhook"
+ * (POSTs each lead as JSON) or "smtp" (emails each lead). The admin API lists leads from
+ * the first sink that can read them.
+ */
+
+import { randomUUID } from 'crypto';
+import { createFileAnalyticsSink } from '../analytics/file.js';
+import { createMemoryAnalyticsSink } from '../analytics/memory.js';
+import { hashIP } from '../analytics/index.js';
+import { createWebhookLeadSink } from './webhook.js';
+import { createSmtpLeadSink } from './smtp.js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates the JSONL file lead sink (the analytics file sink with its own file)
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSONL file (defaults to LEADS_FILE or "leads.jsonl")
+ * @returns {Object} - Lead sink
+ */
+function createFileLeadSink(options = {}) {
+  return createFileAnalyticsSink({ file: options.file || process.env.LEADS_FILE || 'leads.jsonl' });
+}
+
+/**
+ * Creates the memory lead sink; keeps this instance's leads only (tests, local development)
+ * @returns {Object} - Lead sink
+ */
+function createMemoryLeadSink() {
+  return createMemoryAnalyticsSink({ maxEvents: 10000 });
+}
+
+const SINK_FACTORIES = {
+  file: createFileLeadSink,
+  memory: createMemoryLeadSink,
+  webhook: createWebhookLeadSink,
+  smtp: createSmtpLeadSink,
+};
+
+let sinks = null;
+
+/**
+ * Get the configured lead sinks
+ * @returns {Array<Object>} - Lead sinks
+ */
+function getLeadSinks() {
+  if (!sinks) {
+    const names = (process.env.LEADS_SINK || 'file').toLowerCase().split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !SINK_FACTORIES[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown lead sink "${unknown[0]}". Use one or more of: ${Object.keys(SINK_FACTORIES).join(', ')}.`);
+    }
+    sinks = names.map(name => SINK_FACTORIES[name]());
+  }
+  return sinks;
+}
+
+/**
+ * Replace the lead sinks (e.g. with a memory sink in tests)
+ * @param {Array<Object>|null} leadSinks - Lead sinks
+ */
+function setLeadSinks(leadSinks) {
+  sinks = leadSinks;
+}
+
+/**
+ * Submit a completed lead to every sink
+ * A lead counts as submitted when at least one sink took it; failing sinks are logged.
+ * @param {Object} lead
+ * @param {string} lead.tenant - Tenant id
+ * @param {string} lead.conversationId
+ * @param {string} lead.ip - Client IP (stored hashed)
+ * @param {string|null} [lead.apiKeyId] - API key the request used
+ * @param {string} lead.name
+ * @param {string} lead.email
+ * @param {string|null} lead.company
+ * @param {string} lead.message
+ * @param {Object} [context]
+ * @param {string} [context.recipient] - The owner's email address, for sinks that notify
+ * @returns {Promise<Object>} - The stored lead
+ * @throws {Error} - When no sink took the lead
+ */
+async function submitLead({ ip, ...fields }, context = {}) {
+  const lead = {
+    id: randomUUID(),
+    timestamp: new Date().toISOString(),
+    tenant: fields.tenant,
+    conversationId: fields.conversationId,
+    ipHash: hashIP(ip),
+    apiKeyId: fields.apiKeyId || null,
+    name: fields.name,
+    email: fields.email,
+    company: fields.company || null,
+    message: fields.message,
+  };
+
+  const leadSinks = getLeadSinks();
+  const results = await Promise.allSettled(leadSinks.map(sink => sink.append(lead, context)));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      logger.error(`Lead sink "${leadSinks[i].name}" failed`, { error: result.reason, 'lead.id': lead.id });
+    }
+  });
+  if (!results.some(result => result.status === 'fulfilled')) {
+    throw new Error('No lead sink accepted the lead');
+  }
+  return lead;
+}
+
+/**
+ * List captured leads, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.tenant] - Only this tenant's leads
+ * @param {number} [filter.since] - Only leads at or after this time (ms)
+ * @returns {Promise<Array<Object>|null>} - null when no configured sink can read leads
+ */
+async function listLeads({ tenant, since = 0 } = {}) {
+  const store = getLeadSinks().find(sink => typeof sink.read === 'function');
+  if (!store) {
+    return null;
+  }
+  const leads = await store.read({ since });
+  return leads.filter(lead => !tenant || lead.tenant === tenant).reverse();
+}
+
+export {
+  createFileLeadSink,
+  createMemoryLeadSink,
+  createSmtpLeadSink,
+  createWebhookLeadSink,
+  getLeadSinks,
+  listLeads,
+  setLeadSinks,
+  submitLead,
+};
+export { advanceLead, detectLeadIntent, LEAD_FIELDS, validateLeadField } from './flow.js';
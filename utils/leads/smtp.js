@@ -0,0 +1,246 @@
+/**
+ * SMTP lead sink
+ * Emails each lead to the owner through a minimal SMTP client: one connection per lead,
+ * implicit TLS for smtps:// URLs, STARTTLS when an smtp:// server offers it, and AUTH PLAIN
+ * when the URL has credentials. Credentials are only sent over TLS: a server that doesn't
+ * offer STARTTLS (or a network that strips it) is refused unless the URL ends in ?insecure=1.
+ * The visitor's address is set as Reply-To.
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * Parses complete SMTP replies from a buffer, e.g. "250-first\r\n250 last\r\n"
+ * @param {string} buffer
+ * @returns {Object|null} - { code, lines, rest }, null if incomplete
+ */
+function parseReply(buffer) {
+  const lines = [];
+  let offset = 0;
+  while (true) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+      return null;
+    }
+    const line = buffer.slice(offset, lineEnd);
+    offset = lineEnd + 2;
+    lines.push(line.slice(4));
+    // "250-" continues a reply, "250 " ends it
+    if (line[3] !== '-') {
+      return { code: Number(line.slice(0, 3)), lines, rest: buffer.slice(offset) };
+    }
+  }
+}
+
+/**
+ * Encodes a header value as a MIME encoded-word when it isn't plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  const clean = value.replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7E]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+}
+
+/**
+ * Builds the email for a lead
+ * @param {Object} lead
+ * @param {Object} envelope - { from, to }
+ * @returns {string} - The message, with CRLF line ends and leading dots escaped
+ */
+function buildMessage(lead, { from, to }) {
+  const subject = `New lead from ${lead.name}${lead.company ? ` (${lead.company})` : ''}`;
+  const body = [
+    `Name: ${lead.name}`,
+    `Email: ${lead.email}`,
+    `Company: ${lead.company || '-'}`,
+    `Tenant: ${lead.tenant}`,
+    `Received: ${lead.timestamp}`,
+    '',
+    lead.message,
+    '',
+    `Lead ${lead.id}, conversation ${lead.conversationId}`,
+  ].join('\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Reply-To: ${encodeHeader(lead.name.replace(/["\\]/g, ''))} <${lead.email}>`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date(lead.timestamp).toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n').replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+/**
+ * Opens an SMTP session
+ * @param {Object} options - { host, port, secure, timeout }
+ * @returns {Promise<Object>} - { read, command, upgrade, close }
+ */
+function openSession({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    let socket = null;
+    let buffer = '';
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    const fail = (error) => {
+      failure = failure || error;
+      while (waiting.length > 0) {
+        waiting.shift().reject(failure);
+      }
+      socket?.destroy();
+    };
+
+    const onData = (chunk) => {
+      buffer += chunk;
+      let reply;
+      while ((reply = parseReply(buffer))) {
+        buffer = reply.rest;
+        if (waiting.length > 0) {
+          waiting.shift().resolve(reply);
+        } else {
+          replies.push(reply);
+        }
+      }
+    };
+
+    const attach = (connection) => {
+      socket = connection;
+      socket.setEncoding('utf8');
+      socket.setTimeout(timeout, () => fail(new Error('SMTP server timed out')));
+      socket.on('data', onData);
+      socket.on('error', fail);
+      socket.on('close', () => fail(new Error('SMTP connection closed')));
+    };
+
+    const read = () => {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolveReply, rejectReply) => waiting.push({ resolve: resolveReply, reject: rejectReply }));
+    };
+
+    const session = {
+      read,
+
+      // Sends a line and checks the reply code; the verb (not the arguments) goes in errors
+      async command(line, expected) {
+        socket.write(`${line}\r\n`);
+        const reply = await read();
+        if (!expected.includes(reply.code)) {
+          throw new Error(`SMTP ${line.split(' ')[0]} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+      },
+
+      // STARTTLS: continue the session over TLS on the same connection
+      upgrade() {
+        return new Promise((resolveUpgrade, rejectUpgrade) => {
+          const plain = socket;
+          plain.removeAllListeners('data');
+          plain.removeAllListeners('close');
+          plain.removeAllListeners('error');
+          plain.setTimeout(0);
+          const secured = tls.connect({ socket: plain, servername: host }, () => resolveUpgrade());
+          secured.once('error', rejectUpgrade);
+          attach(secured);
+        });
+      },
+
+      close() {
+        socket.removeAllListeners('close');
+        socket.end();
+      },
+    };
+
+    const connection = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.createConnection({ host, port });
+    attach(connection);
+    connection.once(secure ? 'secureConnect' : 'connect', () => resolve(session));
+    connection.once('error', reject);
+  });
+}
+
+/**
+ * Creates the SMTP lead sink
+ * @param {Object} [options]
+ * @param {string} [options.url] - smtp[s]://[user:password@]host[:port][?insecure=1] (defaults to SMTP_URL)
+ * @param {string} [options.from] - Sender address (defaults to LEADS_EMAIL_FROM, then the SMTP user)
+ * @param {string} [options.to] - Recipient (defaults to LEADS_EMAIL_TO, then the owner's email)
+ * @param {number} [options.timeout] - Time limit in ms per reply (default 10000)
+ * @returns {Object} - Lead sink
+ */
+export function createSmtpLeadSink(options = {}) {
+  const value = options.url || process.env.SMTP_URL;
+  if (!value) {
+    throw new Error('SMTP lead sink requires SMTP_URL');
+  }
+  const url = new URL(value);
+  const secure = url.protocol === 'smtps:';
+  const host = url.hostname;
+  const port = Number(url.port || (secure ? 465 : 587));
+  const user = decodeURIComponent(url.username);
+  const password = decodeURIComponent(url.password);
+  // Allows AUTH over a plaintext connection, e.g. a relay on a private network
+  const insecure = url.searchParams.get('insecure') === '1';
+  const from = options.from || process.env.LEADS_EMAIL_FROM || (user.includes('@') ? user : `portfolio-chatbot@${host}`);
+  const timeout = options.timeout || 10000;
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Email a lead
+     * @param {Object} lead
+     * @param {Object} [context] - { recipient } the owner's email address
+     */
+    async append(lead, context = {}) {
+      const to = options.to || process.env.LEADS_EMAIL_TO || context.recipient;
+      if (!to) {
+        throw new Error('SMTP lead sink requires LEADS_EMAIL_TO or an owner email address');
+      }
+
+      const session = await openSession({ host, port, secure, timeout });
+      try {
+        const greeting = await session.read();
+        if (greeting.code !== 220) {
+          throw new Error(`SMTP server refused the connection: ${greeting.code}`);
+        }
+        let hello = await session.command('EHLO portfolio-chatbot', [250]);
+        let encrypted = secure;
+        if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+          await session.command('STARTTLS', [220]);
+          await session.upgrade();
+          encrypted = true;
+          hello = await session.command('EHLO portfolio-chatbot', [250]);
+        }
+        if (user && !encrypted && !insecure) {
+          throw new Error('SMTP server does not offer STARTTLS; refusing to send credentials in plaintext (add ?insecure=1 to SMTP_URL to allow it)');
+        }
+        if (user) {
+          const credentials = Buffer.from(`\0${user}\0${password}`).toString('base64');
+          await session.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+        const eightBit = hello.lines.some(line => /^8BITMIME\b/i.test(line)) ? ' BODY=8BITMIME' : '';
+        await session.command(`MAIL FROM:<${from}>${eightBit}`, [250]);
+        await session.command(`RCPT TO:<${to}>`, [250, 251]);
+        await session.command('DATA', [354]);
+        await session.command(`${buildMessage(lead, { from, to })}\r\n.`, [250]);
+        await session.command('QUIT', [221]).catch(() => {});
+      } finally {
+        session.close();
+      }
+    },
+  };
+}
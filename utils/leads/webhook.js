@@ -0,0 +1,47 @@
+/**
+ * Webhook lead sink
+ * POSTs each lead as JSON ({ type: "lead", lead }) to LEADS_WEBHOOK_URL, e.g. a Slack workflow,
+ * Zapier hook or CRM endpoint. With LEADS_WEBHOOK_SECRET the body is signed:
+ * X-Signature: sha256=<HMAC-SHA256 of the body, hex>.
+ */
+
+import { createHmac } from 'crypto';
+
+/**
+ * Creates the webhook lead sink
+ * @param {Object} [options]
+ * @param {string} [options.url] - Webhook URL (defaults to LEADS_WEBHOOK_URL)
+ * @param {string} [options.secret] - Signing secret (defaults to LEADS_WEBHOOK_SECRET)
+ * @param {number} [options.timeout] - Time limit in ms (defaults to LEADS_WEBHOOK_TIMEOUT or 5000)
+ * @returns {Object} - Lead sink
+ */
+export function createWebhookLeadSink(options = {}) {
+  const url = options.url || process.env.LEADS_WEBHOOK_URL;
+  const secret = options.secret || process.env.LEADS_WEBHOOK_SECRET;
+  const timeout = options.timeout || parseInt(process.env.LEADS_WEBHOOK_TIMEOUT || '5000');
+
+  if (!url) {
+    throw new Error('Webhook lead sink requires LEADS_WEBHOOK_URL');
+  }
+
+  return {
+    name: 'webhook',
+
+    /**
+     * Deliver a lead
+     * @param {Object} lead
+     */
+    async append(lead) {
+      const body = JSON.stringify({ type: 'lead', lead });
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) {
+        headers['X-Signature'] = `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+      if (!response.ok) {
+        throw new Error(`Lead webhook responded with ${response.status}`);
+      }
+    },
+  };
+}
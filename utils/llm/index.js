@@ -0,0 +1,217 @@
+/**
+ * LLM provider abstraction
+ * Selects a provider from environment variables and runs the model fallback chain:
+ * models are tried in order, moving on when a model is missing, rate limited or
+ * overloaded, and stopping on any other error (bad key, bad request).
+ *
+ * Every provider implements:
+ *   name                                    - Provider name
+ *   isConfigured()                          - Whether credentials/endpoint are set
+ *   candidateModels()                       - Ordered [{ model, version? }] to try
+ *   generate({ model, version, messages, signal })
+ *   stream({ model, version, messages, signal, onToken, onChunk })
+ *   listModels()                            - Extra [{ model, version? }] to try when all candidates fail;
+ *                                             [] when the list fails or takes longer than LLM_TIMEOUT
+ *   ping({ signal })                        - Reachability check that costs no tokens: { ok, status?, error? }
+ *   classifyError(result)                   - One of ERROR_CATEGORIES
+ *
+ * generate/stream resolve to { success: true, text, usage? } or { error, status }, where
+ * usage is { inputTokens, outputTokens } when the API reports it.
+ * Messages use a neutral format: [{ role: 'user'|'assistant', text }].
+ */
+
+import { createAnthropicProvider } from './providers/anthropic.js';
+import { createGeminiProvider } from './providers/gemini.js';
+import { createMockProvider } from './providers/mock.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { ERROR_CATEGORIES } from './shared.js';
+import { logger } from '../logger.js';
+
+const PROVIDER_FACTORIES = {
+  gemini: () => createGeminiProvider(),
+  openai: () => createOpenAIProvider(),
+  anthropic: () => createAnthropicProvider(),
+  ollama: () => createOpenAIProvider({
+    name: 'ollama',
+    apiKey: '',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.OLLAMA_MODEL || 'llama3.1',
+    requiresApiKey: false,
+  }),
+  llamacpp: () => createOpenAIProvider({
+    name: 'llamacpp',
+    apiKey: '',
+    baseUrl: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+    model: 'local',
+    requiresApiKey: false,
+  }),
+  mock: () => createMockProvider(),
+};
+
+// Error categories that move on to the next model (404, 429 and 503 style failures)
+const RETRYABLE_CATEGORIES = [
+  ERROR_CATEGORIES.MODEL_NOT_FOUND,
+  ERROR_CATEGORIES.RATE_LIMITED,
+  ERROR_CATEGORIES.OVERLOADED,
+  ERROR_CATEGORIES.INVALID_RESPONSE,
+];
+
+const providers = new Map();
+
+/**
+ * Get the configured provider (LLM_PROVIDER, default "gemini")
+ * @param {string} [name] - Provider name override
+ * @returns {Object} - LLM provider
+ */
+function getProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+  const key = name.toLowerCase();
+  if (!PROVIDER_FACTORIES[key]) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+  }
+  if (!providers.has(key)) {
+    providers.set(key, PROVIDER_FACTORIES[key]());
+  }
+  return providers.get(key);
+}
+
+/**
+ * Estimates token usage when the provider doesn't report it (about 4 characters per token)
+ * @param {Array<Object>} messages - Messages sent
+ * @param {string} text - Reply
+ * @returns {Object} - { inputTokens, outputTokens, estimated: true }
+ */
+function estimateUsage(messages, text) {
+  const tokens = (value) => Math.ceil(value.length / 4);
+  return {
+    inputTokens: messages.reduce((total, message) => total + tokens(message.text || ''), 0),
+    outputTokens: tokens(text),
+    estimated: true,
+  };
+}
+
+/**
+ * Runs a single model attempt with an idle timeout
+ * When streaming, the timer restarts whenever a chunk arrives. The attempt is timed as an "llm.attempt" span.
+ */
+async function runAttempt(provider, attempt, messages, onToken, log) {
+  const timeout = parseInt(process.env.LLM_TIMEOUT || '15000');
+  const controller = new AbortController();
+  let timeoutId = setTimeout(() => controller.abort(), timeout);
+  const onChunk = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), timeout);
+  };
+
+  const span = log.startSpan('llm.attempt', {
+    'llm.provider': provider.name,
+    'llm.model': attempt.model,
+    'llm.streamed': Boolean(onToken),
+  });
+  try {
+    const request = { ...attempt, messages, signal: controller.signal };
+    const result = onToken
+      ? await provider.stream({ ...request, onToken, onChunk })
+      : await provider.generate(request);
+    span.end(result.success ? {} : {
+      error: result.status ? `HTTP ${result.status}` : 'Invalid response',
+      'http.response.status_code': result.status,
+      'llm.error_category': provider.classifyError(result),
+    });
+    return result;
+  } catch (error) {
+    span.end({ error });
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Generates a reply, falling back through the provider's models
+ * @param {Object} options
+ * @param {Array<Object>} options.messages - Conversation, ending with the current user prompt
+ * @param {Function|null} [options.onToken] - Streams text deltas when given
+ * @param {Object} [options.provider] - Provider override (defaults to getProvider())
+ * @param {Object} [options.logger] - Logger of the request (see utils/logger.js); each model attempt is a span
+ * @returns {Promise<Object>} - { text, provider, model, usage: { inputTokens, outputTokens, estimated? } }
+ */
+async function generateWithFallback({ messages, onToken = null, provider = getProvider(), logger: log = logger }) {
+  const attempts = provider.candidateModels();
+
+  // LLM_MODEL pins a model for any provider
+  if (process.env.LLM_MODEL) {
+    attempts.unshift({ model: process.env.LLM_MODEL });
+  }
+
+  const describe = (attempt) => attempt.version ? `${attempt.model} (${attempt.version})` : attempt.model;
+
+  let lastError = null;
+  const triedModels = [];
+
+  for (const attempt of attempts) {
+    triedModels.push(describe(attempt));
+
+    const result = await runAttempt(provider, attempt, messages, onToken, log);
+
+    if (result.success) {
+      return {
+        text: result.text,
+        provider: provider.name,
+        model: attempt.model,
+        usage: result.usage || estimateUsage(messages, result.text),
+      };
+    }
+
+    lastError = result;
+
+    const category = provider.classifyError(result);
+    if (!RETRYABLE_CATEGORIES.includes(category)) {
+      log.error('LLM request failed with a non-retryable error', {
+        'llm.provider': provider.name,
+        'llm.model': describe(attempt),
+        'http.response.status_code': result.status,
+        'llm.error_category': category,
+      });
+      const error = new Error(`${provider.name} API error: ${result.status}. ${JSON.stringify(result.error)}`);
+      error.category = category;
+      error.status = result.status;
+      throw error;
+    }
+    log.warn('LLM model failed, trying the next one', {
+      'llm.provider': provider.name,
+      'llm.model': describe(attempt),
+      'http.response.status_code': result.status,
+      'llm.error_category': category,
+    });
+  }
+
+  // If all attempts failed, try the models the provider says are available
+  log.warn('All predefined models failed, trying the models the provider lists', { 'llm.provider': provider.name });
+  try {
+    const availableModels = await provider.listModels();
+    for (const attempt of availableModels) {
+      const result = await runAttempt(provider, attempt, messages, onToken, log);
+      if (result.success) {
+        return {
+          text: result.text,
+          provider: provider.name,
+          model: attempt.model,
+          usage: result.usage || estimateUsage(messages, result.text),
+        };
+      }
+    }
+  } catch (listError) {
+    log.error('Could not list available models', { 'llm.provider': provider.name, error: listError });
+  }
+
+  const error = new Error(
+    `${provider.name} API error: All model attempts failed. Tried: ${triedModels.join(', ')}. ` +
+    `Last error: ${JSON.stringify(lastError?.error || lastError)}. ` +
+    `Please check your API key has access to these models, or set LLM_MODEL to a valid model name.`
+  );
+  error.category = lastError ? provider.classifyError(lastError) : ERROR_CATEGORIES.INVALID_RESPONSE;
+  error.status = lastError?.status;
+  throw error;
+}
+
+export { ERROR_CATEGORIES, generateWithFallback, getProvider };
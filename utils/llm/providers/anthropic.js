@@ -0,0 +1,134 @@
+/**
+ * Anthropic provider
+ * Talks to the Messages API (/v1/messages).
+ */
+
+import { parseEventStream } from '../../sse.js';
+import { classifyHttpStatus, pingEndpoint, toAlternatingMessages } from '../shared.js';
+import { logger } from '../../logger.js';
+
+const API_VERSION = '2023-06-01';
+const MAX_TOKENS = 1024;
+
+/**
+ * Converts neutral messages into Messages API messages
+ * @param {Array<Object>} messages - { role: 'user'|'assistant', text }
+ * @returns {Array<Object>}
+ */
+function toAnthropicMessages(messages) {
+  return toAlternatingMessages(messages).map(message => ({
+    role: message.role,
+    content: message.parts.join('\n\n'),
+  }));
+}
+
+/**
+ * Creates the Anthropic provider
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to ANTHROPIC_API_KEY
+ * @param {string} [options.baseUrl] - Defaults to ANTHROPIC_BASE_URL or https://api.anthropic.com
+ * @param {string} [options.model] - Defaults to ANTHROPIC_MODEL or claude-3-5-haiku-latest
+ * @returns {Object} - LLM provider
+ */
+export function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey ?? process.env.ANTHROPIC_API_KEY;
+  const baseUrl = (options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+  const defaultModel = options.model || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+
+  const headers = () => ({
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': API_VERSION,
+  });
+
+  return {
+    name: 'anthropic',
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    candidateModels() {
+      return [{ model: defaultModel }];
+    },
+
+    async generate({ model, messages, signal }) {
+      const response = await fetch(`${baseUrl}/v1/messages`, {
+        signal,
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ model, max_tokens: MAX_TOKENS, messages: toAnthropicMessages(messages) }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return { error: errorData, status: response.status };
+      }
+
+      const data = await response.json();
+      const text = (data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const usage = data?.usage && { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 };
+      return text ? { success: true, text, usage } : { error: 'Invalid response format', data };
+    },
+
+    async stream({ model, messages, signal, onToken, onChunk }) {
+      const response = await fetch(`${baseUrl}/v1/messages`, {
+        signal,
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ model, max_tokens: MAX_TOKENS, messages: toAnthropicMessages(messages), stream: true }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return { error: errorData, status: response.status };
+      }
+
+      let text = '';
+      for await (const payload of parseEventStream(response.body, onChunk)) {
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch {
+          return { error: 'Invalid streamed response', data: payload };
+        }
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          onToken(event.delta.text);
+        } else if (event.type === 'error') {
+          return { error: event.error, status: event.error?.type === 'overloaded_error' ? 529 : undefined };
+        }
+      }
+      return text ? { success: true, text } : { error: 'Empty streamed response' };
+    },
+
+    async ping({ signal } = {}) {
+      return pingEndpoint(`${baseUrl}/v1/models?limit=1`, { headers: headers(), signal });
+    },
+
+    async listModels() {
+      try {
+        const response = await fetch(`${baseUrl}/v1/models`, {
+          headers: headers(),
+          signal: AbortSignal.timeout(parseInt(process.env.LLM_TIMEOUT || '15000')),
+        });
+        if (response.ok) {
+          const data = await response.json();
+          if (Array.isArray(data.data)) {
+            return data.data.map(m => ({ model: m.id }));
+          }
+        }
+      } catch (error) {
+        logger.error('Error listing models', { 'llm.provider': 'anthropic', error });
+      }
+      return [];
+    },
+
+    classifyError(result) {
+      return classifyHttpStatus(result.status);
+    },
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Google Gemini provider
+ * Talks to the Generative Language REST API (generateContent / streamGenerateContent).
+ */
+
+import { parseEventStream } from '../../sse.js';
+import { classifyHttpStatus, pingEndpoint, toAlternatingMessages } from '../shared.js';
+import { logger } from '../../logger.js';
+
+/**
+ * Converts neutral messages into role-tagged Gemini `contents`
+ * @param {Array<Object>} messages - { role: 'user'|'assistant', text }
+ * @returns {Array<Object>}
+ */
+function toGeminiContents(messages) {
+  return toAlternatingMessages(messages).map(message => ({
+    role: message.role === 'assistant' ? 'model' : 'user',
+    parts: message.parts.map(text => ({ text })),
+  }));
+}
+
+/**
+ * Extracts the text from a Gemini response (or streamed response chunk)
+ * @param {Object} data - Parsed Gemini response
+ * @returns {string|null}
+ */
+function extractText(data) {
+  const parts = data?.candidates?.[0]?.content?.parts;
+  if (!Array.isArray(parts)) {
+    return null;
+  }
+  return parts.map(part => part.text || '').join('') || null;
+}
+
+/**
+ * Extracts token counts from a Gemini response (streamed responses report them in the last chunk)
+ * @param {Object} data - Parsed Gemini response
+ * @returns {Object|null} - { inputTokens, outputTokens }
+ */
+function extractUsage(data) {
+  const usage = data?.usageMetadata;
+  if (!usage) {
+    return null;
+  }
+  return { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 };
+}
+
+/**
+ * Creates the Gemini provider
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to GEMINI_API_KEY
+ * @param {string} [options.baseUrl] - Defaults to GEMINI_BASE_URL or the public endpoint
+ * @returns {Object} - LLM provider
+ */
+export function createGeminiProvider(options = {}) {
+  const apiKey = options.apiKey ?? process.env.GEMINI_API_KEY;
+  const baseUrl = (options.baseUrl || process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com').replace(/\/$/, '');
+
+  const modelUrl = (model, version, method) => {
+    const modelPath = model.startsWith('models/') ? model : `models/${model}`;
+    return `${baseUrl}/${version || 'v1beta'}/${modelPath}:${method}`;
+  };
+
+  return {
+    name: 'gemini',
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    /**
+     * Models to try, in order
+     * Newer model names first, then v1 as a fallback.
+     */
+    candidateModels() {
+      const attempts = [
+        { model: 'gemini-2.5-flash', version: 'v1beta' },
+        { model: 'gemini-2.5-flash-lite-preview-06-17', version: 'v1beta' },
+        { model: 'gemini-1.5-flash', version: 'v1beta' },
+        { model: 'gemini-1.5-pro', version: 'v1beta' },
+        { model: 'gemini-pro', version: 'v1beta' },
+        // Try v1 as fallback
+        { model: 'gemini-2.5-flash', version: 'v1' },
+        { model: 'gemini-1.5-flash', version: 'v1' },
+      ];
+
+      // Check if user specified a custom model
+      if (process.env.GEMINI_MODEL) {
+        attempts.unshift({
+          model: process.env.GEMINI_MODEL,
+          version: process.env.GEMINI_API_VERSION || 'v1beta',
+        });
+      }
+
+      return attempts;
+    },
+
+    async generate({ model, version, messages, signal }) {
+      const response = await fetch(`${modelUrl(model, version, 'generateContent')}?key=${apiKey}`, {
+        signal,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents: toGeminiContents(messages) }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return { error: errorData, status: response.status };
+      }
+
+      const data = await response.json();
+      const text = extractText(data);
+      return text ? { success: true, text, usage: extractUsage(data) } : { error: 'Invalid response format', data };
+    },
+
+    async stream({ model, version, messages, signal, onToken, onChunk }) {
+      const response = await fetch(`${modelUrl(model, version, 'streamGenerateContent')}?alt=sse&key=${apiKey}`, {
+        signal,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents: toGeminiContents(messages) }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return { error: errorData, status: response.status };
+      }
+
+      let text = '';
+      let usage = null;
+      for await (const payload of parseEventStream(response.body, onChunk)) {
+        let chunk;
+        try {
+          chunk = JSON.parse(payload);
+        } catch {
+          return { error: 'Invalid streamed response', data: payload };
+        }
+        usage = extractUsage(chunk) || usage;
+        const delta = extractText(chunk);
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+      return text ? { success: true, text, usage } : { error: 'Empty streamed response' };
+    },
+
+    async ping({ signal } = {}) {
+      return pingEndpoint(`${baseUrl}/v1beta/models?pageSize=1&key=${apiKey}`, { signal });
+    },
+
+    async listModels() {
+      try {
+        const response = await fetch(`${baseUrl}/v1beta/models?key=${apiKey}`, {
+          signal: AbortSignal.timeout(parseInt(process.env.LLM_TIMEOUT || '15000')),
+        });
+        if (response.ok) {
+          const data = await response.json();
+          if (data.models) {
+            return data.models
+              .filter(m => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes('generateContent'))
+              .map(m => ({ model: m.name.replace('models/', ''), version: 'v1beta' }));
+          }
+        }
+      } catch (error) {
+        logger.error('Error listing models', { 'llm.provider': 'gemini', error });
+      }
+      return [];
+    },
+
+    classifyError(result) {
+      return classifyHttpStatus(result.status);
+    },
+  };
+}
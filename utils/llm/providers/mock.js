@@ -0,0 +1,92 @@
+/**
+ * Mock provider for offline development and tests
+ * Replies are produced by a responder function, so the full chat pipeline can run without network access.
+ */
+
+import { classifyHttpStatus } from '../shared.js';
+
+/**
+ * Default responder
+ * Returns MOCK_LLM_REPLY when set, otherwise echoes the question found in the prompt.
+ * @param {Object} request - { model, messages }
+ * @returns {string}
+ */
+function defaultResponder({ messages }) {
+  if (process.env.MOCK_LLM_REPLY) {
+    return process.env.MOCK_LLM_REPLY;
+  }
+  const prompt = messages[messages.length - 1]?.text || '';
+  const question = prompt.match(/User Question: """([\s\S]*?)"""/)?.[1] || prompt;
+  return `Mock reply to: ${question.trim().substring(0, 200)}`;
+}
+
+let responder = defaultResponder;
+
+/**
+ * Replace the mock responder
+ * The responder receives { model, messages } and returns a reply string,
+ * or an error result such as { status: 503, error: 'overloaded' }. It may be async.
+ * @param {Function} fn - Responder
+ */
+export function setMockResponder(fn) {
+  responder = fn;
+}
+
+/**
+ * Restore the default mock responder
+ */
+export function resetMockResponder() {
+  responder = defaultResponder;
+}
+
+/**
+ * Creates the mock provider
+ * @returns {Object} - LLM provider
+ */
+export function createMockProvider() {
+  const respond = async (model, messages) => {
+    const result = await responder({ model, messages });
+    return typeof result === 'string' ? { success: true, text: result } : result;
+  };
+
+  return {
+    name: 'mock',
+
+    isConfigured() {
+      return true;
+    },
+
+    candidateModels() {
+      return [{ model: 'mock-model' }];
+    },
+
+    async generate({ model, messages }) {
+      return respond(model, messages);
+    },
+
+    async stream({ model, messages, onToken, onChunk }) {
+      const result = await respond(model, messages);
+      if (!result.success) {
+        return result;
+      }
+      // Relay word by word so clients see more than one token event
+      for (const token of result.text.match(/\S+\s*/g) || []) {
+        if (onChunk) onChunk();
+        onToken(token);
+      }
+      return result;
+    },
+
+    async ping() {
+      return { ok: true, status: 200 };
+    },
+
+    async listModels() {
+      return [];
+    },
+
+    classifyError(result) {
+      return classifyHttpStatus(result.status);
+    },
+  };
+}
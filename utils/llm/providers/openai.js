@@ -0,0 +1,132 @@
+/**
+ * OpenAI-compatible provider
+ * Works with OpenAI and any server exposing the /v1/chat/completions API,
+ * such as Ollama, llama.cpp, vLLM or LM Studio.
+ */
+
+import { parseEventStream } from '../../sse.js';
+import { classifyHttpStatus, pingEndpoint, toAlternatingMessages } from '../shared.js';
+import { logger } from '../../logger.js';
+
+/**
+ * Converts neutral messages into chat completion messages
+ * @param {Array<Object>} messages - { role: 'user'|'assistant', text }
+ * @returns {Array<Object>}
+ */
+function toChatMessages(messages) {
+  return toAlternatingMessages(messages).map(message => ({
+    role: message.role,
+    content: message.parts.join('\n\n'),
+  }));
+}
+
+/**
+ * Creates an OpenAI-compatible provider
+ * @param {Object} [options]
+ * @param {string} [options.name] - Provider name reported in logs and responses
+ * @param {string} [options.apiKey] - Defaults to OPENAI_API_KEY
+ * @param {string} [options.baseUrl] - Defaults to OPENAI_BASE_URL or https://api.openai.com/v1
+ * @param {string} [options.model] - Defaults to OPENAI_MODEL or gpt-4o-mini
+ * @param {boolean} [options.requiresApiKey] - Local servers usually do not need a key
+ * @returns {Object} - LLM provider
+ */
+export function createOpenAIProvider(options = {}) {
+  const name = options.name || 'openai';
+  const apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+  const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const defaultModel = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  const requiresApiKey = options.requiresApiKey ?? true;
+
+  const headers = () => ({
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  });
+
+  return {
+    name,
+
+    isConfigured() {
+      return !requiresApiKey || Boolean(apiKey);
+    },
+
+    candidateModels() {
+      return [{ model: defaultModel }];
+    },
+
+    async generate({ model, messages, signal }) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        signal,
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ model, messages: toChatMessages(messages) }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return { error: errorData, status: response.status };
+      }
+
+      const data = await response.json();
+      const text = data?.choices?.[0]?.message?.content;
+      const usage = data?.usage && { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 };
+      return text ? { success: true, text, usage } : { error: 'Invalid response format', data };
+    },
+
+    async stream({ model, messages, signal, onToken, onChunk }) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        signal,
+        method: 'POST',
+        headers: headers(),
+        body: JSON.stringify({ model, messages: toChatMessages(messages), stream: true }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        return { error: errorData, status: response.status };
+      }
+
+      let text = '';
+      for await (const payload of parseEventStream(response.body, onChunk)) {
+        if (payload === '[DONE]') break;
+        let chunk;
+        try {
+          chunk = JSON.parse(payload);
+        } catch {
+          return { error: 'Invalid streamed response', data: payload };
+        }
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+      return text ? { success: true, text } : { error: 'Empty streamed response' };
+    },
+
+    async ping({ signal } = {}) {
+      return pingEndpoint(`${baseUrl}/models`, { headers: headers(), signal });
+    },
+
+    async listModels() {
+      try {
+        const response = await fetch(`${baseUrl}/models`, {
+          headers: headers(),
+          signal: AbortSignal.timeout(parseInt(process.env.LLM_TIMEOUT || '15000')),
+        });
+        if (response.ok) {
+          const data = await response.json();
+          if (Array.isArray(data.data)) {
+            return data.data.map(m => ({ model: m.id }));
+          }
+        }
+      } catch (error) {
+        logger.error('Error listing models', { 'llm.provider': 'openai', error });
+      }
+      return [];
+    },
+
+    classifyError(result) {
+      return classifyHttpStatus(result.status);
+    },
+  };
+}
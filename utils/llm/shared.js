@@ -0,0 +1,79 @@
+/**
+ * Helpers shared by the LLM providers
+ */
+
+/**
+ * Error categories returned by provider.classifyError()
+ * The generic layer moves on to the next model for MODEL_NOT_FOUND, RATE_LIMITED,
+ * OVERLOADED and INVALID_RESPONSE, and stops for everything else.
+ */
+export const ERROR_CATEGORIES = {
+  MODEL_NOT_FOUND: 'model_not_found',
+  RATE_LIMITED: 'rate_limited',
+  OVERLOADED: 'overloaded',
+  INVALID_RESPONSE: 'invalid_response',
+  AUTH: 'auth',
+  BAD_REQUEST: 'bad_request',
+  UPSTREAM: 'upstream',
+};
+
+/**
+ * Maps an HTTP status to an error category
+ * @param {number|undefined} status - HTTP status of the failed call
+ * @returns {string} - One of ERROR_CATEGORIES
+ */
+export function classifyHttpStatus(status) {
+  if (!status) return ERROR_CATEGORIES.INVALID_RESPONSE;
+  if (status === 404) return ERROR_CATEGORIES.MODEL_NOT_FOUND;
+  if (status === 429) return ERROR_CATEGORIES.RATE_LIMITED;
+  if (status === 503 || status === 529) return ERROR_CATEGORIES.OVERLOADED;
+  if (status === 401 || status === 403) return ERROR_CATEGORIES.AUTH;
+  if (status >= 400 && status < 500) return ERROR_CATEGORIES.BAD_REQUEST;
+  return ERROR_CATEGORIES.UPSTREAM;
+}
+
+/**
+ * Merges neutral messages so roles alternate and the conversation opens with a user turn
+ * Gemini and Anthropic both reject conversations that do not.
+ * @param {Array<Object>} messages - { role: 'user'|'assistant', text }
+ * @returns {Array<Object>} - { role, parts: string[] }
+ */
+export function toAlternatingMessages(messages) {
+  const merged = [];
+
+  for (const message of messages) {
+    if (!message.text) continue;
+    if (merged.length === 0 && message.role !== 'user') continue;
+
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === message.role) {
+      previous.parts.push(message.text);
+    } else {
+      merged.push({ role: message.role, parts: [message.text] });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Checks that a provider's API answers, without generating anything
+ * Providers point it at their model list, which costs no tokens.
+ * @param {string} url - Endpoint to GET
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Request headers (credentials)
+ * @param {AbortSignal} [options.signal] - Aborts the check (e.g. on timeout)
+ * @returns {Promise<Object>} - { ok: true, status } or { ok: false, status?, error }
+ */
+export async function pingEndpoint(url, { headers = {}, signal } = {}) {
+  try {
+    const response = await fetch(url, { headers, signal });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    return response.ok
+      ? { ok: true, status: response.status }
+      : { ok: false, status: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    return { ok: false, error: error.name === 'AbortError' ? 'Timed out' : 'Unreachable' };
+  }
+}
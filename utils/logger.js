@@ -0,0 +1,348 @@
+/**
+ * Structured logging and request tracing
+ * Every record is one line of JSON shaped after the OpenTelemetry log data model, so log drains
+ * and collectors (e.g. the OpenTelemetry Collector's filelog receiver) can map it without parsing text:
+ *   { type: "log", timestamp, severityText, severityNumber, body, traceId, spanId, attributes, resource }
+ * Spans time one step of a request and are written when they end:
+ *   { type: "span", name, traceId, spanId, parentSpanId, startTime, endTime, durationMs, status, attributes, resource }
+ * A request's trace id continues an incoming W3C `traceparent` header; its request id is the
+ * X-Request-Id of utils/errors.js. Records go to a sink, which implements write(record);
+ * the default writes to stdout (stderr for warnings and errors).
+ */
+
+import { randomBytes } from 'crypto';
+import { getRequestId } from './errors.js';
+
+// OpenTelemetry severity numbers
+const LEVELS = { debug: 5, info: 9, warn: 13, error: 17, silent: Infinity };
+
+const LOG_CONFIG = {
+  // Lowest level written: debug, info, warn, error or silent
+  LEVEL: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  // "json" (one record per line) or "pretty" (readable lines for local development)
+  FORMAT: (process.env.LOG_FORMAT || 'json').toLowerCase(),
+  // How user messages and model replies appear in logs: "off" (length only), "redacted" or "full"
+  MESSAGES: (process.env.LOG_MESSAGES || 'off').toLowerCase(),
+  // Characters of a message kept in "redacted" mode
+  MESSAGE_MAX_LENGTH: parseInt(process.env.LOG_MESSAGE_MAX_LENGTH || '200'),
+  // resource.service.name of every record
+  SERVICE_NAME: process.env.OTEL_SERVICE_NAME || 'portfolio-chatbot-api',
+};
+
+const RESOURCE = { 'service.name': LOG_CONFIG.SERVICE_NAME };
+
+// Personal data masked in "redacted" mode
+const REDACTIONS = [
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+  [/https?:\/\/\S+/g, '[url]'],
+  [/\+?\d[\d\s().-]{7,}\d/g, '[number]'],
+];
+
+// W3C trace context: version-traceid-parentid-flags
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+
+/**
+ * Writes records to stdout/stderr
+ * @returns {Object} - Log sink
+ */
+function createConsoleLogSink() {
+  return {
+    name: 'console',
+    write(record) {
+      const stream = record.severityNumber >= LEVELS.warn ? process.stderr : process.stdout;
+      stream.write(`${LOG_CONFIG.FORMAT === 'pretty' ? formatPretty(record) : JSON.stringify(record)}\n`);
+    },
+  };
+}
+
+/**
+ * Keeps records in memory (tests)
+ * @returns {Object} - Log sink with a `records` array
+ */
+function createMemoryLogSink() {
+  const records = [];
+  return {
+    name: 'memory',
+    records,
+    write(record) {
+      records.push(record);
+    },
+  };
+}
+
+/**
+ * One readable line, e.g. "12:00:01.123 INFO  Served answer requestId=... source=knowledge_base"
+ * @param {Object} record
+ * @returns {string}
+ */
+function formatPretty(record) {
+  const time = (record.endTime || record.timestamp).slice(11, 23);
+  const attributes = Object.entries(record.attributes)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  const text = record.type === 'span'
+    ? `${record.name} ${record.durationMs}ms ${record.status.code}${record.status.message ? ` (${record.status.message})` : ''}`
+    : record.body;
+  return `${time} ${record.severityText.padEnd(5)} ${text}${attributes ? ` ${attributes}` : ''}`;
+}
+
+let sink = null;
+
+/**
+ * Get the log sink
+ * @returns {Object} - Log sink
+ */
+function getLogSink() {
+  if (!sink) {
+    sink = createConsoleLogSink();
+  }
+  return sink;
+}
+
+/**
+ * Replace the log sink (e.g. with a memory sink in tests, or an OpenTelemetry exporter)
+ * @param {Object|null} logSink - Log sink; null restores the console
+ */
+function setLogSink(logSink) {
+  sink = logSink;
+}
+
+/**
+ * Whether records of a level are written
+ * @param {string} level
+ * @returns {boolean}
+ */
+function isLevelEnabled(level) {
+  return LEVELS[level] >= (LEVELS[LOG_CONFIG.LEVEL] ?? LEVELS.info);
+}
+
+/**
+ * Random hex id
+ * @param {number} bytes - 16 for trace ids, 8 for span ids
+ * @returns {string}
+ */
+function randomId(bytes) {
+  return randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Make attribute values JSON-friendly; an `error` attribute becomes exception.* attributes
+ * @param {Object} attributes
+ * @returns {Object}
+ */
+function serializeAttributes(attributes) {
+  const { error, ...rest } = attributes;
+  if (error === undefined) {
+    return rest;
+  }
+  if (!(error instanceof Error)) {
+    return { ...rest, 'exception.message': typeof error === 'string' ? error : JSON.stringify(error) };
+  }
+  return {
+    ...rest,
+    'exception.type': error.name,
+    'exception.message': error.message,
+    ...(error.stack ? { 'exception.stacktrace': error.stack } : {}),
+  };
+}
+
+/**
+ * Write a record, never throwing: logging must not break a request
+ * @param {Object} record
+ */
+function write(record) {
+  try {
+    getLogSink().write(record);
+  } catch (error) {
+    process.stderr.write(`Log sink failed: ${error.message}\n`);
+  }
+}
+
+/**
+ * Create a logger
+ * Loggers carry a trace context and attributes added to each of their records.
+ * @param {Object} [context]
+ * @param {string} [context.traceId] - Trace the records belong to
+ * @param {string} [context.spanId] - Span the records belong to
+ * @param {Object} [context.attributes] - Attributes of every record
+ * @param {Object} [context.root] - Root span, which sums the durations of the spans below it
+ * @returns {Object} - { debug, info, warn, error, child, startSpan, span }
+ */
+function createLogger({ traceId = null, spanId = null, attributes = {}, root = null } = {}) {
+  const log = (level) => (body, extra = {}) => {
+    if (!isLevelEnabled(level)) {
+      return;
+    }
+    write({
+      type: 'log',
+      timestamp: new Date().toISOString(),
+      severityText: level.toUpperCase(),
+      severityNumber: LEVELS[level],
+      body,
+      traceId,
+      spanId,
+      attributes: serializeAttributes({ ...attributes, ...extra }),
+      resource: RESOURCE,
+    });
+  };
+
+  const logger = {
+    traceId,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+
+    /**
+     * Logger with more attributes
+     * @param {Object} extra - Attributes added to every record
+     * @returns {Object} - Logger
+     */
+    child(extra) {
+      return createLogger({ traceId, spanId, attributes: { ...attributes, ...extra }, root });
+    },
+
+    /**
+     * Start timing a step
+     * Steps are written at debug level; the root span of a trace is written at info level with
+     * the total time of each step name as `timings`, so one line per request shows where time went.
+     * @param {string} name - e.g. "knowledge.search"
+     * @param {Object} [spanAttributes]
+     * @returns {Object} - Span: { logger, setAttributes(attributes), end({ error, ...attributes }) }
+     */
+    startSpan(name, spanAttributes = {}) {
+      const span = {
+        name,
+        spanId: randomId(8),
+        startedAt: Date.now(),
+        attributes: { ...spanAttributes },
+        timings: {},
+        ended: false,
+      };
+      const spanTraceId = traceId || randomId(16);
+      const isRoot = !root;
+      span.logger = createLogger({ traceId: spanTraceId, spanId: span.spanId, attributes, root: root || span });
+
+      span.setAttributes = (extra) => {
+        Object.assign(span.attributes, extra);
+      };
+
+      span.end = ({ error, ...extra } = {}) => {
+        if (span.ended) {
+          return;
+        }
+        span.ended = true;
+        const endedAt = Date.now();
+        const durationMs = endedAt - span.startedAt;
+        if (root) {
+          root.timings[name] = (root.timings[name] || 0) + durationMs;
+        }
+
+        const level = isRoot ? 'info' : 'debug';
+        if (!isLevelEnabled(level)) {
+          return;
+        }
+        const timings = isRoot && Object.keys(span.timings).length > 0 ? { timings: span.timings } : {};
+        write({
+          type: 'span',
+          name,
+          severityText: level.toUpperCase(),
+          severityNumber: LEVELS[level],
+          traceId: spanTraceId,
+          spanId: span.spanId,
+          parentSpanId: spanId,
+          startTime: new Date(span.startedAt).toISOString(),
+          endTime: new Date(endedAt).toISOString(),
+          durationMs,
+          status: error
+            ? { code: 'ERROR', message: error instanceof Error ? error.message : String(error) }
+            : { code: 'OK' },
+          attributes: serializeAttributes({ ...attributes, ...span.attributes, ...extra, ...timings }),
+          resource: RESOURCE,
+        });
+      };
+      return span;
+    },
+
+    /**
+     * Time an async step; the span ends with an error status if the step throws
+     * @param {string} name - Span name
+     * @param {Function} fn - Receives the span's logger
+     * @param {Object} [spanAttributes]
+     * @returns {Promise<*>} - Result of fn
+     */
+    async span(name, fn, spanAttributes = {}) {
+      const span = logger.startSpan(name, spanAttributes);
+      try {
+        const result = await fn(span.logger);
+        span.end();
+        return result;
+      } catch (error) {
+        span.end({ error });
+        throw error;
+      }
+    },
+  };
+  return logger;
+}
+
+/**
+ * Get the logger of a request, creating it on first use
+ * Its records carry the request id (also sent as X-Request-Id) and continue the caller's trace
+ * when a valid `traceparent` header is sent.
+ * @param {Object} req - Request
+ * @param {Object} [res] - Response to add the X-Request-Id header to
+ * @returns {Object} - Logger
+ */
+function getRequestLogger(req, res) {
+  const requestId = getRequestId(req, res);
+  if (!req.logger) {
+    const traceparent = TRACEPARENT_PATTERN.exec(req.headers?.traceparent || '');
+    req.logger = createLogger({
+      traceId: traceparent ? traceparent[1] : randomId(16),
+      spanId: traceparent ? traceparent[2] : null,
+      attributes: {
+        requestId,
+        'http.method': req.method,
+        'url.path': (req.url || '').split('?')[0],
+      },
+    });
+  }
+  return req.logger;
+}
+
+/**
+ * A user message or model reply as it may appear in logs (see LOG_MESSAGES)
+ * "off" keeps only the length; "redacted" masks email addresses, URLs and phone or
+ * other long numbers and truncates; "full" keeps the text (local debugging only).
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  const value = String(text ?? '');
+  if (LOG_CONFIG.MESSAGES === 'full') {
+    return value;
+  }
+  if (LOG_CONFIG.MESSAGES !== 'redacted') {
+    return `[${value.length} characters]`;
+  }
+  const masked = REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+  return masked.length > LOG_CONFIG.MESSAGE_MAX_LENGTH
+    ? `${masked.slice(0, LOG_CONFIG.MESSAGE_MAX_LENGTH)}… [${value.length} characters]`
+    : masked;
+}
+
+// Logger for records outside a request (startup, configuration, background reloads)
+const logger = createLogger();
+
+export {
+  createConsoleLogSink,
+  createLogger,
+  createMemoryLogSink,
+  getLogSink,
+  getRequestLogger,
+  LOG_CONFIG,
+  logger,
+  redactText,
+  setLogSink,
+};
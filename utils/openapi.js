@@ -0,0 +1,628 @@
+/**
+ * OpenAPI 3.1 description of the API
+ * The single source for what each endpoint accepts and returns: served at /api/openapi.json,
+ * used to validate chat request bodies (and, on the local server, responses) and to render
+ * the endpoint lists of / and /api/info. Document new endpoints here.
+ */
+
+import { API_KEY_FEATURES } from './apiKeys.js';
+import { CONVERSATION_ID_PATTERN } from './conversationStore.js';
+import { ERROR_CODES } from './errors.js';
+import { TIER_NAMES } from './quotas.js';
+import { validateSchema } from './schema.js';
+
+const API_VERSION = '1.0.0';
+
+// Longest accepted chat message in characters
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH || '1000');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, extra = {}) => ({ content: { 'application/json': { schema, ...extra } } });
+const errorResponse = (description) => ({
+  description,
+  headers: { 'X-Request-Id': { $ref: '#/components/headers/RequestId' } },
+  ...json(ref('Error')),
+});
+
+const tenantQuery = {
+  name: 'tenant',
+  in: 'query',
+  description: 'Tenant id (default tenant otherwise)',
+  schema: { type: 'string' },
+};
+const tenantPath = { name: 'tenant', in: 'path', required: true, schema: { type: 'string' } };
+const idQuery = (description) => ({ name: 'id', in: 'query', description, schema: { type: 'string' } });
+const idPath = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+const chatOperation = (operationId, summary, parameters = []) => ({
+  operationId,
+  tags: ['Chat'],
+  summary,
+  description: 'Answers from the knowledge base first, then from the LLM with the CV excerpts that match the question. Send `Accept: text/event-stream` to stream the reply.',
+  security: [{}, { apiKeyHeader: [] }, { apiKeyBearer: [] }],
+  parameters,
+  requestBody: {
+    required: true,
+    ...json(ref('ChatRequest'), { example: { message: 'What is your name?' } }),
+  },
+  responses: {
+    200: {
+      description: 'The reply',
+      content: {
+        'application/json': { schema: ref('ChatResponse') },
+        'text/event-stream': {
+          schema: { type: 'string' },
+          description: '"token" events with text deltas, then a "done" event with the ChatResponse (or an "error" event)',
+        },
+      },
+    },
+    400: errorResponse('The request body is invalid'),
+    401: errorResponse('An API key is required, or the key is unknown or revoked'),
+    403: errorResponse('The origin or the API key is not allowed, or streaming needs an API key'),
+    404: errorResponse('Unknown tenant'),
+    405: errorResponse('Method not allowed'),
+    429: errorResponse('Rate limit (`rate_limited`) or answer budget (`quota_exceeded`) exceeded'),
+    500: errorResponse('Unexpected error'),
+    502: errorResponse('The LLM provider rejected the request, e.g. a bad provider API key (`llm_error`)'),
+    503: errorResponse('The LLM provider is down, overloaded, rate limited or timed out (`llm_unavailable`)'),
+  },
+});
+
+const adminOperation = (operationId, summary, { method = 'get', parameters = [tenantQuery], requestBody, success = 200, responses = {} } = {}) => ({
+  operationId,
+  tags: ['Admin'],
+  summary,
+  security: [{ adminBearer: [] }, { adminHeader: [] }],
+  parameters,
+  ...(requestBody ? { requestBody } : {}),
+  responses: {
+    [success]: { description: 'Success', ...json({ type: 'object' }) },
+    ...(method === 'get' ? {} : {
+      400: errorResponse('The change is invalid'),
+      409: errorResponse('The change conflicts with the current state, e.g. the key is revoked (`conflict`)'),
+    }),
+    401: errorResponse('The admin token is missing or wrong (`unauthorized`)'),
+    404: errorResponse('Not found'),
+    405: errorResponse('Method not allowed'),
+    500: errorResponse('Unexpected error'),
+    503: errorResponse('ADMIN_TOKEN is not set (`admin_disabled`)'),
+    ...responses,
+  },
+});
+
+const knowledgeItemBody = (description) => ({ required: true, description, ...json(ref('KnowledgeItem')) });
+const apiKeyBody = (description) => ({ required: true, description, ...json(ref('ApiKeyFields')) });
+
+const OPENAPI_SPEC = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Portfolio Chatbot API',
+    version: API_VERSION,
+    description: 'Answers questions about a portfolio owner from a knowledge base and their CV.',
+  },
+  tags: [
+    { name: 'Chat', description: 'Ask the chatbot' },
+    { name: 'Profile', description: 'The CV as structured data' },
+    { name: 'Status', description: 'Health and API description' },
+    { name: 'Admin', description: 'Manage the knowledge base, CV, API keys, analytics and leads (requires ADMIN_TOKEN)' },
+  ],
+  paths: {
+    '/api/chat': {
+      post: chatOperation('sendMessage', 'Send a message to the chatbot'),
+    },
+    '/api/chat/{tenant}': {
+      post: chatOperation('sendTenantMessage', "Send a message to a tenant's chatbot", [tenantPath]),
+    },
+    '/api/health': {
+      get: {
+        operationId: 'getHealth',
+        tags: ['Status'],
+        summary: 'Health check with the active CV version and LLM usage',
+        parameters: [tenantQuery],
+        responses: {
+          200: { description: 'The API is healthy', ...json(ref('Health')) },
+          401: errorResponse('The API key is unknown or revoked'),
+          403: errorResponse('The API key is not allowed from this origin or for this tenant'),
+          404: errorResponse('Unknown tenant'),
+          405: errorResponse('Method not allowed'),
+          500: errorResponse('The health check failed'),
+        },
+      },
+    },
+    '/api/ready': {
+      get: {
+        operationId: 'getReadiness',
+        tags: ['Status'],
+        summary: 'Readiness: knowledge base, CV, LLM provider and rate limit store',
+        description: 'Each component is "ok", "degraded" or "down". The LLM check is cached (READINESS_LLM_TTL) and uses the free model list, so polling costs no tokens.',
+        parameters: [tenantQuery],
+        responses: {
+          200: { description: 'Healthy or degraded: chat requests can be answered', ...json(ref('Readiness')) },
+          401: errorResponse('The API key is unknown or revoked'),
+          403: errorResponse('The API key is not allowed from this origin or for this tenant'),
+          404: errorResponse('Unknown tenant'),
+          405: errorResponse('Method not allowed'),
+          503: { description: 'Unhealthy: chat requests would fail or have nothing to answer from', ...json(ref('Readiness')) },
+        },
+      },
+    },
+    '/api/profile': {
+      get: {
+        operationId: 'getProfile',
+        tags: ['Profile'],
+        summary: 'CV profile in JSON Resume format',
+        security: [{}, { apiKeyHeader: [] }, { apiKeyBearer: [] }],
+        parameters: [tenantQuery],
+        responses: {
+          200: { description: 'The profile', ...json(ref('Profile')) },
+          401: errorResponse('An API key is required, or the key is unknown or revoked'),
+          403: errorResponse('The API key may not read the profile'),
+          404: errorResponse('Unknown tenant'),
+          405: errorResponse('Method not allowed'),
+          500: errorResponse('Unexpected error'),
+        },
+      },
+    },
+    '/api/profile/{tenant}': {
+      get: {
+        operationId: 'getTenantProfile',
+        tags: ['Profile'],
+        summary: "A tenant's CV profile in JSON Resume format",
+        security: [{}, { apiKeyHeader: [] }, { apiKeyBearer: [] }],
+        parameters: [tenantPath],
+        responses: {
+          200: { description: 'The profile', ...json(ref('Profile')) },
+          401: errorResponse('An API key is required, or the key is unknown or revoked'),
+          403: errorResponse('The API key may not read the profile'),
+          404: errorResponse('Unknown tenant'),
+          405: errorResponse('Method not allowed'),
+          500: errorResponse('Unexpected error'),
+        },
+      },
+    },
+    '/api/info': {
+      get: {
+        operationId: 'getInfo',
+        tags: ['Status'],
+        summary: 'API information',
+        responses: {
+          200: { description: 'Version and endpoints', ...json(ref('Info')) },
+          405: errorResponse('Method not allowed'),
+        },
+      },
+    },
+    '/api/openapi.json': {
+      get: {
+        operationId: 'getOpenAPI',
+        tags: ['Status'],
+        summary: 'This OpenAPI document',
+        responses: {
+          200: { description: 'OpenAPI 3.1 document', ...json({ type: 'object', required: ['openapi', 'paths'] }) },
+          405: errorResponse('Method not allowed'),
+        },
+      },
+    },
+    '/api/admin/knowledge': {
+      get: adminOperation('listKnowledgeItems', 'List knowledge base items (?format=json|csv downloads them)', {
+        parameters: [tenantQuery, idQuery('Get one item'), { name: 'format', in: 'query', schema: { enum: ['json', 'csv'] } }],
+      }),
+      post: adminOperation('createKnowledgeItem', 'Create an item, or bulk import with ?import=1&mode=merge|replace', {
+        method: 'post',
+        parameters: [tenantQuery, { name: 'import', in: 'query', schema: { type: 'string' } }, { name: 'mode', in: 'query', schema: { enum: ['merge', 'replace'] } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: { anyOf: [ref('KnowledgeItem'), { type: 'object', required: ['items'], properties: { items: { type: 'array', items: ref('KnowledgeItem') }, mode: { enum: ['merge', 'replace'] } } }] } },
+            'text/csv': { schema: { type: 'string' } },
+          },
+        },
+        success: 201,
+      }),
+      put: adminOperation('replaceKnowledgeItem', 'Replace an item (?id=)', { method: 'put', parameters: [tenantQuery, idQuery('Item id')], requestBody: knowledgeItemBody('The new item') }),
+      patch: adminOperation('updateKnowledgeItem', 'Update some fields of an item (?id=)', { method: 'patch', parameters: [tenantQuery, idQuery('Item id')], requestBody: knowledgeItemBody('Fields to change') }),
+      delete: adminOperation('deleteKnowledgeItem', 'Delete an item (?id=)', { method: 'delete', parameters: [tenantQuery, idQuery('Item id')] }),
+    },
+    '/api/admin/knowledge/{id}': {
+      get: adminOperation('getKnowledgeItem', 'Get one item', { parameters: [tenantQuery, idPath] }),
+      put: adminOperation('replaceKnowledgeItemById', 'Replace an item', { method: 'put', parameters: [tenantQuery, idPath], requestBody: knowledgeItemBody('The new item') }),
+      patch: adminOperation('updateKnowledgeItemById', 'Update some fields of an item', { method: 'patch', parameters: [tenantQuery, idPath], requestBody: knowledgeItemBody('Fields to change') }),
+      delete: adminOperation('deleteKnowledgeItemById', 'Delete an item', { method: 'delete', parameters: [tenantQuery, idPath] }),
+    },
+    '/api/admin/cv': {
+      get: adminOperation('getCV', 'Active and previous CV versions'),
+      post: adminOperation('uploadCV', 'Upload a CV (PDF, DOCX or Markdown), or restore the previous one with ?rollback=1', {
+        method: 'post',
+        parameters: [tenantQuery, { name: 'rollback', in: 'query', schema: { type: 'string' } }, { name: 'format', in: 'query', schema: { enum: ['pdf', 'docx', 'markdown'] } }],
+        requestBody: {
+          content: {
+            'application/pdf': { schema: { type: 'string', contentEncoding: 'binary' } },
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { schema: { type: 'string', contentEncoding: 'binary' } },
+            'text/markdown': { schema: { type: 'string' } },
+            'application/json': { schema: { type: 'object', required: ['data'], properties: { filename: { type: 'string' }, format: { type: 'string' }, data: { type: 'string', contentEncoding: 'base64' } } } },
+          },
+        },
+        responses: {
+          413: errorResponse('The file exceeds CV_MAX_UPLOAD_BYTES (`payload_too_large`)'),
+          415: errorResponse('The file is not a PDF, DOCX or Markdown file (`unsupported_media_type`)'),
+          422: errorResponse('No usable text could be extracted (`unprocessable`)'),
+        },
+      }),
+    },
+    '/api/admin/keys': {
+      get: adminOperation('listApiKeys', 'List API keys, or get one with ?id=', { parameters: [tenantQuery, idQuery('Get one key')] }),
+      post: adminOperation('issueApiKey', 'Issue a key, or replace its secret with ?id=&rotate=1', {
+        method: 'post',
+        parameters: [tenantQuery, idQuery('Key to rotate'), { name: 'rotate', in: 'query', schema: { type: 'string' } }],
+        requestBody: apiKeyBody('The new key, or { gracePeriod } in seconds for a rotation'),
+        success: 201,
+      }),
+      patch: adminOperation('updateApiKey', 'Change a key (?id=)', { method: 'patch', parameters: [idQuery('Key id')], requestBody: apiKeyBody('Fields to change') }),
+      delete: adminOperation('revokeApiKey', 'Revoke a key (?id=)', { method: 'delete', parameters: [idQuery('Key id')] }),
+    },
+    '/api/admin/keys/{id}': {
+      get: adminOperation('getApiKey', 'Get one key', { parameters: [idPath] }),
+      patch: adminOperation('updateApiKeyById', 'Change a key', { method: 'patch', parameters: [idPath], requestBody: apiKeyBody('Fields to change') }),
+      delete: adminOperation('revokeApiKeyById', 'Revoke a key', { method: 'delete', parameters: [idPath] }),
+    },
+    '/api/admin/analytics': {
+      get: adminOperation('getAnalytics', 'Question analytics report, or draft knowledge base items with ?export=drafts', {
+        parameters: [
+          tenantQuery,
+          { name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 365 } },
+          { name: 'interval', in: 'query', schema: { enum: ['day', 'hour'] } },
+          { name: 'top', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000 } },
+          { name: 'export', in: 'query', schema: { enum: ['drafts'] } },
+          { name: 'format', in: 'query', schema: { enum: ['json', 'csv'] } },
+          { name: 'minCount', in: 'query', schema: { type: 'integer', minimum: 1 } },
+        ],
+      }),
+    },
+    '/api/admin/leads': {
+      get: adminOperation('listLeads', 'Leads captured in the chat, newest first', {
+        parameters: [
+          tenantQuery,
+          { name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 365 } },
+          { name: 'format', in: 'query', schema: { enum: ['json', 'csv'] } },
+        ],
+        responses: {
+          400: errorResponse('The query parameters are invalid'),
+          404: errorResponse('Unknown tenant'),
+          405: errorResponse('Method not allowed'),
+          500: errorResponse('Unexpected error'),
+          501: errorResponse('No configured lead sink can list leads (LEADS_SINK, `not_implemented`)'),
+        },
+      }),
+    },
+  },
+  components: {
+    headers: {
+      RequestId: { description: 'Id of the request (the caller\'s X-Request-Id when valid)', schema: { type: 'string' } },
+    },
+    securitySchemes: {
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      apiKeyBearer: { type: 'http', scheme: 'bearer', description: 'An API key as a bearer token' },
+      adminBearer: { type: 'http', scheme: 'bearer', description: 'ADMIN_TOKEN as a bearer token' },
+      adminHeader: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' },
+    },
+    schemas: {
+      ChatRequest: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+          message: {
+            type: 'string',
+            minLength: 1,
+            maxLength: MAX_MESSAGE_LENGTH,
+            pattern: '\\S',
+            'x-patternMessage': 'must not be blank',
+            description: 'The question',
+          },
+          conversationId: {
+            type: 'string',
+            pattern: CONVERSATION_ID_PATTERN.source,
+            'x-patternMessage': 'must be a string of 8-64 letters, digits, "-" or "_"',
+            description: 'Continue a conversation (from an earlier response)',
+          },
+          history: {
+            type: 'array',
+            description: 'Earlier turns, used to seed a conversation the server does not know yet',
+            items: ref('Turn'),
+          },
+        },
+      },
+      Turn: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+          role: { enum: ['user', 'assistant', 'model'] },
+          text: { type: 'string' },
+          content: { type: 'string', description: 'Alias for text' },
+        },
+      },
+      ChatResponse: {
+        type: 'object',
+        required: ['reply', 'source', 'confidence', 'matchedItemId', 'citations', 'cached', 'reason', 'conversationId'],
+        properties: {
+          reply: { type: 'string' },
+          source: {
+            type: 'string',
+            description: '"knowledge_base", "<provider>_api" (e.g. "gemini_api"), "lead_capture" (collecting the visitor\'s contact details) or "no_answer"',
+          },
+          confidence: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+          matchedItemId: { type: ['integer', 'null'] },
+          citations: { type: 'array', items: ref('Citation') },
+          cached: { type: 'boolean', description: 'Served from the response cache' },
+          reason: {
+            enum: [null, 'no_context', 'off_topic', 'blocked', 'not_found', 'llm_not_configured', 'llm_not_allowed', 'llm_cap_reached'],
+            description: 'Why there is no answer (source "no_answer"), null otherwise',
+          },
+          conversationId: { type: 'string' },
+        },
+      },
+      Citation: {
+        oneOf: [
+          {
+            type: 'object',
+            required: ['ref', 'type', 'itemId'],
+            properties: {
+              ref: { type: 'integer' },
+              type: { const: 'knowledge_base' },
+              itemId: { type: 'integer' },
+              question: { type: ['string', 'null'] },
+            },
+          },
+          {
+            type: 'object',
+            required: ['ref', 'type', 'excerpt'],
+            properties: {
+              ref: { type: 'integer' },
+              type: { const: 'cv' },
+              page: { type: ['integer', 'null'] },
+              section: { type: ['string', 'null'] },
+              start: { type: 'integer' },
+              end: { type: 'integer' },
+              excerpt: { type: 'string' },
+            },
+          },
+        ],
+      },
+      Error: {
+        type: 'object',
+        description: 'Error of every endpoint, the admin API included (see utils/errors.js); streamed replies send it as an "error" event',
+        required: ['code', 'message', 'requestId'],
+        properties: {
+          code: { enum: Object.values(ERROR_CODES), description: 'Machine-readable reason' },
+          message: { type: 'string' },
+          requestId: { type: 'string', description: 'Also sent as X-Request-Id' },
+          retryAfter: { type: 'integer', minimum: 0, description: 'Seconds to wait before retrying, also sent as Retry-After' },
+          details: { type: 'array', items: { type: 'string' }, description: 'Validation messages (invalid_request) or other context' },
+        },
+      },
+      Health: {
+        type: 'object',
+        required: ['status', 'timestamp', 'uptime', 'tenant', 'cv', 'llm'],
+        properties: {
+          status: { const: 'healthy' },
+          timestamp: { type: 'string', format: 'date-time' },
+          uptime: { type: 'number' },
+          tenant: { type: 'string' },
+          cv: {
+            type: 'object',
+            required: ['version', 'length'],
+            properties: {
+              version: { type: 'string' },
+              parsedAt: { type: ['string', 'null'] },
+              format: { type: ['string', 'null'] },
+              length: { type: 'integer' },
+            },
+          },
+          llm: {
+            type: 'object',
+            required: ['mode', 'date', 'tokens', 'calls', 'cap'],
+            properties: {
+              mode: { enum: ['normal', 'kb-only'] },
+              date: { type: 'string' },
+              tokens: { type: 'integer' },
+              calls: { type: 'integer' },
+              cap: {
+                type: 'object',
+                properties: { tokens: { type: 'integer' }, calls: { type: 'integer' } },
+              },
+            },
+          },
+        },
+      },
+      Readiness: {
+        type: 'object',
+        required: ['status', 'timestamp', 'tenant', 'components'],
+        properties: {
+          status: { enum: ['healthy', 'degraded', 'unhealthy'] },
+          timestamp: { type: 'string', format: 'date-time' },
+          tenant: { type: 'string' },
+          components: {
+            type: 'object',
+            required: ['knowledgeBase', 'cv', 'llm', 'rateLimiter'],
+            properties: {
+              knowledgeBase: {
+                allOf: [ref('ComponentStatus')],
+                properties: { items: { type: 'integer' }, source: { enum: ['file', 'storage'] } },
+              },
+              cv: {
+                allOf: [ref('ComponentStatus')],
+                properties: {
+                  version: { type: 'string' },
+                  format: { type: ['string', 'null'] },
+                  length: { type: 'integer' },
+                  pages: { type: 'integer' },
+                  source: { enum: ['file', 'upload', null] },
+                },
+              },
+              llm: {
+                allOf: [ref('ComponentStatus')],
+                properties: {
+                  provider: { type: 'string' },
+                  mode: { enum: ['normal', 'kb-only', null] },
+                  checkedAt: { type: ['string', 'null'], format: 'date-time', description: 'When the provider was last pinged' },
+                  latencyMs: { type: ['integer', 'null'] },
+                },
+              },
+              rateLimiter: {
+                allOf: [ref('ComponentStatus')],
+                properties: { store: { type: 'string' }, latencyMs: { type: 'integer' } },
+              },
+            },
+          },
+        },
+      },
+      ComponentStatus: {
+        type: 'object',
+        required: ['status', 'error'],
+        properties: {
+          status: { enum: ['ok', 'degraded', 'down'] },
+          error: { type: ['string', 'null'], description: 'What is wrong, when not "ok"' },
+        },
+      },
+      Info: {
+        type: 'object',
+        required: ['message', 'version', 'openapi', 'endpoints'],
+        properties: {
+          message: { type: 'string' },
+          version: { type: 'string' },
+          openapi: { type: 'string', description: 'URL of this OpenAPI document' },
+          endpoints: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              required: ['url', 'method', 'description'],
+              properties: {
+                url: { type: 'string' },
+                method: { type: 'string' },
+                description: { type: 'string' },
+                example: { type: 'object' },
+              },
+            },
+          },
+          health: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+      Profile: {
+        type: 'object',
+        description: 'JSON Resume (https://jsonresume.org/schema) document',
+        required: ['basics', 'meta'],
+        properties: {
+          basics: { type: 'object' },
+          work: { type: 'array' },
+          education: { type: 'array' },
+          skills: { type: 'array' },
+          projects: { type: 'array' },
+          meta: { type: 'object', required: ['version'], properties: { version: { type: 'string' } } },
+        },
+      },
+      KnowledgeItem: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          question: { type: 'string' },
+          keywords: { type: 'array', items: { type: 'string' } },
+          answer: { type: 'string' },
+        },
+      },
+      ApiKeyFields: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tenant: { type: 'string' },
+          allowedOrigins: { type: 'array', items: { type: 'string' } },
+          tier: { enum: TIER_NAMES },
+          features: { type: 'array', items: { enum: API_KEY_FEATURES } },
+          gracePeriod: { type: 'integer', minimum: 0, description: 'Seconds the old secret keeps working after a rotation' },
+        },
+      },
+    },
+  },
+};
+
+// Path templates as patterns, e.g. "/api/chat/{tenant}" -> /^\/api\/chat\/([^/]+)$/
+const PATH_PATTERNS = Object.keys(OPENAPI_SPEC.paths).map(path => ({
+  path,
+  pattern: new RegExp(`^${path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '([^/]+)')}$`),
+}));
+
+/**
+ * Find the operation for a request
+ * @param {string} urlPath - Request path without the query string, e.g. "/api/chat/awais"
+ * @param {string} method - HTTP method
+ * @returns {Object|null} - { path, method, operation }
+ */
+function findOperation(urlPath, method) {
+  const lowerMethod = method.toLowerCase();
+  const match = PATH_PATTERNS.find(({ path, pattern }) => pattern.test(urlPath) && OPENAPI_SPEC.paths[path][lowerMethod]);
+  return match ? { path: match.path, method: lowerMethod, operation: OPENAPI_SPEC.paths[match.path][lowerMethod] } : null;
+}
+
+/**
+ * Get an operation by its path template
+ * @param {string} path - e.g. "/api/chat"
+ * @param {string} method - HTTP method
+ * @returns {Object} - OpenAPI operation
+ */
+function getOperation(path, method) {
+  const operation = OPENAPI_SPEC.paths[path]?.[method.toLowerCase()];
+  if (!operation) {
+    throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${path}`);
+  }
+  return operation;
+}
+
+/**
+ * List every operation, in document order
+ * @returns {Array<Object>} - [{ path, method, operation }]
+ */
+function listOperations() {
+  return Object.entries(OPENAPI_SPEC.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ path, method, operation })));
+}
+
+/**
+ * Validate a JSON request body against an operation's schema
+ * @param {Object} operation - OpenAPI operation
+ * @param {*} body - Parsed request body
+ * @returns {Array<string>} - Error messages, empty when the body is valid
+ */
+function validateRequestBody(operation, body) {
+  const schema = operation.requestBody?.content?.['application/json']?.schema;
+  if (!schema) {
+    return [];
+  }
+  if (body === undefined || body === null || body === '') {
+    return operation.requestBody.required ? ['A JSON request body is required.'] : [];
+  }
+  return validateSchema(body, schema, { root: OPENAPI_SPEC });
+}
+
+/**
+ * Validate a JSON response body against an operation's schema
+ * @param {Object} operation - OpenAPI operation
+ * @param {number} status - Response status code
+ * @param {*} body - Response body
+ * @returns {Array<string>} - Error messages, empty when the body matches (or isn't JSON)
+ */
+function validateResponseBody(operation, status, body) {
+  const response = operation.responses[status] || operation.responses.default;
+  if (!response) {
+    return [`Status ${status} is not documented.`];
+  }
+  const schema = response.content?.['application/json']?.schema;
+  return schema ? validateSchema(body, schema, { root: OPENAPI_SPEC }) : [];
+}
+
+export {
+  API_VERSION,
+  findOperation,
+  getOperation,
+  listOperations,
+  OPENAPI_SPEC,
+  validateRequestBody,
+  validateResponseBody,
+};
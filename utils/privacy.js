@@ -0,0 +1,196 @@
+/**
+ * Privacy policy
+ * Decides, field by field, which personal details the chatbot may disclose:
+ *   public      - always shown
+ *   on_request  - shown once the request qualifies for it (PRIVACY_UNLOCK): the visitor has left
+ *                 their own email address or phone number in the conversation ("contact"), or the
+ *                 request carries an API key ("api_key")
+ *   never       - never shown
+ *
+ * The policy covers knowledge base answers, the CV excerpts sent to the LLM and cited, the LLM's
+ * reply, fallback replies and the /api/profile document. Fields are found in text by the detectors
+ * in utils/guardrails.js (SENSITIVE_FIELDS) and replaced with "[withheld]".
+ */
+
+import { findContactDetails, SENSITIVE_FIELDS } from './guardrails.js';
+import { logger } from './logger.js';
+
+const DISCLOSURE_LEVELS = ['public', 'on_request', 'never'];
+const UNLOCK_CONDITIONS = ['contact', 'api_key'];
+
+const PRIVACY_CONFIG = {
+  // "field:level" pairs; fields left out are public
+  POLICY: parsePolicy(process.env.PRIVACY_POLICY || 'email:public,phone:on_request,address:never,dateOfBirth:never,nationalId:never'),
+  // What unlocks "on_request" fields
+  UNLOCK: splitList(process.env.PRIVACY_UNLOCK || 'contact,api_key').filter(condition => UNLOCK_CONDITIONS.includes(condition)),
+};
+
+/**
+ * Split a comma-separated env var into a list
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parses PRIVACY_POLICY, e.g. "phone:on_request,address:never"
+ * Unknown fields and levels are logged and skipped.
+ * @param {string} value
+ * @returns {Object} - { field: level }
+ */
+function parsePolicy(value) {
+  const policy = {};
+  for (const entry of splitList(value)) {
+    const [field, level] = entry.split(':').map(part => part.trim());
+    if (!SENSITIVE_FIELDS[field] || !DISCLOSURE_LEVELS.includes(level)) {
+      logger.error(`Ignoring invalid privacy policy entry "${entry}". Use <field>:<level> with a field of ${Object.keys(SENSITIVE_FIELDS).join(', ')} and a level of ${DISCLOSURE_LEVELS.join(', ')}.`);
+      continue;
+    }
+    policy[field] = level;
+  }
+  return policy;
+}
+
+/**
+ * Validates a tenant's "privacy" setting, e.g. { "phone": "public", "unlock": ["api_key"] }
+ * @param {*} privacy
+ * @returns {Array<string>} - Error messages (empty when valid)
+ */
+function validatePrivacy(privacy) {
+  if (privacy === undefined) {
+    return [];
+  }
+  if (!privacy || typeof privacy !== 'object' || Array.isArray(privacy)) {
+    return ['"privacy" must be an object of field levels, e.g. { "phone": "on_request" }.'];
+  }
+  const errors = [];
+  for (const [field, level] of Object.entries(privacy)) {
+    if (field === 'unlock') {
+      if (!Array.isArray(level) || level.some(condition => !UNLOCK_CONDITIONS.includes(condition))) {
+        errors.push(`"privacy.unlock" must be an array of ${UNLOCK_CONDITIONS.join(', ')}.`);
+      }
+    } else if (!SENSITIVE_FIELDS[field]) {
+      errors.push(`Unknown privacy field "${field}". Use ${Object.keys(SENSITIVE_FIELDS).join(', ')}.`);
+    } else if (!DISCLOSURE_LEVELS.includes(level)) {
+      errors.push(`"privacy.${field}" must be one of ${DISCLOSURE_LEVELS.join(', ')}.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Gets the policy of a tenant: PRIVACY_POLICY and PRIVACY_UNLOCK with the tenant's "privacy" on top
+ * @param {Object} tenant - Tenant (see utils/tenants.js)
+ * @returns {Object} - { levels: { field: level }, unlock: [conditions] }
+ */
+function getPrivacyPolicy(tenant) {
+  const { unlock, ...levels } = tenant?.privacy || {};
+  return {
+    levels: { ...PRIVACY_CONFIG.POLICY, ...levels },
+    unlock: unlock || PRIVACY_CONFIG.UNLOCK,
+  };
+}
+
+/**
+ * Whether a text holds an email address or phone number other than the owner's
+ * @param {string} text
+ * @param {Object} basics - Profile basics of the owner
+ * @returns {boolean}
+ */
+function hasVisitorContact(text, basics = {}) {
+  const own = findContactDetails([basics.email, basics.phone].filter(Boolean).join('\n'));
+  const { emails, phones } = findContactDetails(text);
+  return emails.some(email => !own.emails.includes(email)) || phones.some(phone => !own.phones.includes(phone));
+}
+
+/**
+ * Decides what a request may see
+ * @param {Object} options
+ * @param {Object} options.tenant - Tenant the request is served for
+ * @param {Object} options.profile - The tenant's profile (JSON Resume)
+ * @param {Object|null} [options.apiKey] - API key of the request
+ * @param {Array<string>} [options.userTexts] - The visitor's messages in the conversation, including the current one
+ * @returns {Object} - { policy, unlocked, withheld } where withheld lists the fields to withhold, in SENSITIVE_FIELDS order
+ */
+function resolveDisclosure({ tenant, profile, apiKey = null, userTexts = [] }) {
+  const policy = getPrivacyPolicy(tenant);
+  const unlocked = (policy.unlock.includes('api_key') && Boolean(apiKey))
+    || (policy.unlock.includes('contact') && userTexts.some(text => hasVisitorContact(text, profile.basics)));
+  const withheld = Object.keys(SENSITIVE_FIELDS).filter(field => {
+    const level = policy.levels[field] || 'public';
+    return level === 'never' || (level === 'on_request' && !unlocked);
+  });
+  return { policy, unlocked, withheld };
+}
+
+/**
+ * Joins field labels, e.g. "phone number and home address"
+ * @param {Array<string>} fields
+ * @returns {string}
+ */
+function listLabels(fields) {
+  const labels = fields.map(field => SENSITIVE_FIELDS[field].label);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels.at(-1)}` : labels[0];
+}
+
+/**
+ * Explains the details withheld from a reply, e.g. "I don't share my home address here."
+ * @param {Array<string>} fields - Fields withheld from the reply (duplicates allowed)
+ * @param {Object} disclosure - Result of resolveDisclosure
+ * @returns {string|null} - null when nothing was withheld
+ */
+function describeWithheld(fields, disclosure) {
+  const unique = Object.keys(SENSITIVE_FIELDS).filter(field => fields.includes(field));
+  if (unique.length === 0) {
+    return null;
+  }
+  const onRequest = unique.filter(field => disclosure.policy.levels[field] === 'on_request' && !disclosure.unlocked);
+  const never = unique.filter(field => !onRequest.includes(field));
+  const notes = [];
+  if (onRequest.length > 0) {
+    const verb = onRequest.length > 1 ? 'are' : 'is';
+    notes.push(disclosure.policy.unlock.includes('contact')
+      ? `I can share my ${listLabels(onRequest)} once you leave your own email address or phone number here.`
+      : `My ${listLabels(onRequest)} ${verb} only shared with registered API clients.`);
+  }
+  if (never.length > 0) {
+    notes.push(`I don't share my ${listLabels(never)} here.`);
+  }
+  return notes.join(' ');
+}
+
+/**
+ * Removes withheld fields from a profile (JSON Resume)
+ * @param {Object} profile
+ * @param {Object} disclosure - Result of resolveDisclosure
+ * @returns {Object} - A copy of the profile
+ */
+function discloseProfile(profile, { withheld }) {
+  const basics = { ...profile.basics, location: { ...profile.basics?.location } };
+  if (withheld.includes('email')) {
+    delete basics.email;
+  }
+  if (withheld.includes('phone')) {
+    delete basics.phone;
+  }
+  if (withheld.includes('address')) {
+    delete basics.location.address;
+  }
+  if (withheld.includes('dateOfBirth')) {
+    delete basics.birthDate;
+  }
+  return { ...profile, basics };
+}
+
+export {
+  describeWithheld,
+  discloseProfile,
+  DISCLOSURE_LEVELS,
+  getPrivacyPolicy,
+  PRIVACY_CONFIG,
+  resolveDisclosure,
+  UNLOCK_CONDITIONS,
+  validatePrivacy,
+};
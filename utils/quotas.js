@@ -0,0 +1,218 @@
+/**
+ * Quotas: rate limit tiers, answer budgets and the daily LLM cap
+ *
+ * Clients fall into a named tier - "allowlisted" (listed IPs), "apiKey" (requests with an API
+ * key, unless the key names another tier) or "anonymous" - with its own request limits and
+ * answer budget. The budget is a token
+ * bucket: each answer takes its cost from the client's bucket, and LLM answers cost more than
+ * knowledge base answers, so a client can ask many cheap questions but only a few expensive ones.
+ *
+ * A global daily cap on LLM tokens and calls puts the chat endpoint into knowledge-base-only
+ * mode until the next UTC day. The cap is checked before each call, so concurrent requests can
+ * overshoot it by a few calls.
+ *
+ * Tiers and costs are read from rateLimits.json (RATE_LIMITS_FILE). Without that file the
+ * anonymous tier keeps using RATE_LIMIT_PER_MINUTE / RATE_LIMIT_PER_HOUR.
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { createIPList } from './ip.js';
+import { createMemoryRateLimitStore, getRateLimitStore } from './rateLimit/index.js';
+import { RATE_LIMIT_CONFIG } from './rateLimiter.js';
+import { logger } from './logger.js';
+
+const QUOTA_CONFIG = {
+  // Tier and cost configuration
+  FILE: process.env.RATE_LIMITS_FILE || 'rateLimits.json',
+
+  // Daily LLM caps across all tenants and clients (0 = no cap); override rateLimits.json
+  DAILY_LLM_TOKENS: parseInt(process.env.LLM_DAILY_TOKEN_CAP || '0'),
+  DAILY_LLM_CALLS: parseInt(process.env.LLM_DAILY_CALL_CAP || '0'),
+
+  // Extra allow-listed IPs / CIDR ranges (comma-separated)
+  ALLOWLIST: (process.env.RATE_LIMIT_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+};
+
+// Budget units each kind of answer takes
+const DEFAULT_COSTS = {
+  knowledgeBase: 1,
+  llm: 10,
+};
+
+// perMinute / perHour limit requests; budget is the bucket size, refilled at refillPerHour
+const DEFAULT_TIERS = {
+  anonymous: {
+    perMinute: RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_MINUTE,
+    perHour: RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_HOUR,
+    budget: 200,
+    refillPerHour: 200,
+  },
+  apiKey: { perMinute: 30, perHour: 600, budget: 2000, refillPerHour: 2000 },
+  allowlisted: { perMinute: 120, perHour: 3000, budget: 10000, refillPerHour: 10000 },
+};
+
+const TIER_NAMES = Object.keys(DEFAULT_TIERS);
+const TIER_LIMITS = ['perMinute', 'perHour', 'budget', 'refillPerHour'];
+
+// Daily counters live slightly longer than a day so a late request still finds today's total
+const DAILY_TTL = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read rateLimits.json and merge it over the defaults
+ * Invalid values are logged and replaced by the defaults.
+ * @returns {Object} - { costs, tiers, allowlist, dailyLLMCap: { tokens, calls } }
+ */
+function loadQuotaConfig() {
+  let config = {};
+  try {
+    config = JSON.parse(readFileSync(resolve(process.cwd(), QUOTA_CONFIG.FILE), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error loading ${QUOTA_CONFIG.FILE}, using default rate limits`, { error });
+    }
+  }
+
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  const costs = { ...DEFAULT_COSTS };
+  for (const [kind, cost] of Object.entries(config.costs || {})) {
+    if (kind in DEFAULT_COSTS && isNumber(cost) && cost >= 0) {
+      costs[kind] = cost;
+    } else {
+      logger.error(`Ignoring invalid cost "${kind}" in ${QUOTA_CONFIG.FILE}`);
+    }
+  }
+
+  const tiers = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_TIERS)) {
+    const overrides = config.tiers?.[name] || {};
+    tiers[name] = { name, ...defaults };
+    for (const limit of TIER_LIMITS) {
+      if (overrides[limit] === undefined) continue;
+      if (isNumber(overrides[limit]) && overrides[limit] > 0) {
+        tiers[name][limit] = overrides[limit];
+      } else {
+        logger.error(`Ignoring invalid "${limit}" of tier "${name}" in ${QUOTA_CONFIG.FILE}`);
+      }
+    }
+    if (tiers[name].budget < costs.llm) {
+      logger.warn(`Tier "${name}" has a budget (${tiers[name].budget}) below the LLM cost (${costs.llm}); it will never get LLM answers`);
+    }
+  }
+  for (const name of Object.keys(config.tiers || {})) {
+    if (!DEFAULT_TIERS[name]) {
+      logger.error(`Ignoring unknown tier "${name}" in ${QUOTA_CONFIG.FILE}. Use one of: ${TIER_NAMES.join(', ')}.`);
+    }
+  }
+
+  return {
+    costs,
+    tiers,
+    allowlist: createIPList([...(config.tiers?.allowlisted?.ips || []), ...QUOTA_CONFIG.ALLOWLIST]),
+    dailyLLMCap: {
+      tokens: QUOTA_CONFIG.DAILY_LLM_TOKENS || config.dailyLLMCap?.tokens || 0,
+      calls: QUOTA_CONFIG.DAILY_LLM_CALLS || config.dailyLLMCap?.calls || 0,
+    },
+  };
+}
+
+const quotaConfig = loadQuotaConfig();
+
+// Used for a request when the configured store fails (e.g. Redis is unreachable)
+const fallbackStore = createMemoryRateLimitStore();
+
+/**
+ * Run a store operation, falling back to the in-memory store if it fails
+ * @param {Function} operation - (store) => Promise
+ * @returns {Promise<*>}
+ */
+async function withStore(operation) {
+  try {
+    return await operation(getRateLimitStore());
+  } catch (error) {
+    logger.error('Rate limit store failed, using in-memory quotas for this request', { error });
+    return operation(fallbackStore);
+  }
+}
+
+/**
+ * Pick the tier for a client
+ * An API key's tier wins over the IP allowlist, since the key identifies the client and the
+ * IP may not. The tenant's `rateLimit` settings override the anonymous tier.
+ * @param {Object} client
+ * @param {string} client.ip - Client IP address
+ * @param {Object} [client.apiKey] - Authenticated API key (see utils/apiKeys.js)
+ * @param {Object} [client.tenant] - Tenant (see utils/tenants.js)
+ * @returns {Object} - { name, perMinute, perHour, budget, refillPerHour }
+ */
+function getTier({ ip, apiKey = null, tenant = null }) {
+  if (apiKey) {
+    return quotaConfig.tiers[apiKey.tier] || quotaConfig.tiers.apiKey;
+  }
+  if (quotaConfig.allowlist.has(ip)) {
+    return quotaConfig.tiers.allowlisted;
+  }
+  return { ...quotaConfig.tiers.anonymous, ...tenant?.rateLimit };
+}
+
+/**
+ * Take the cost of an answer from a client's budget
+ * @param {string} key - Client key, e.g. "<tenant>:<ip>"
+ * @param {Object} tier - Tier from getTier()
+ * @param {string} kind - "knowledgeBase" or "llm"
+ * @returns {Promise<Object>} - { allowed, remaining, retryAfter (seconds) }
+ */
+async function consumeBudget(key, tier, kind) {
+  const cost = quotaConfig.costs[kind] ?? 0;
+  if (cost <= 0) {
+    return { allowed: true, remaining: null, retryAfter: 0 };
+  }
+
+  const result = await withStore(store => store.take(`budget:${key}`, {
+    now: Date.now(),
+    capacity: tier.budget,
+    refillRate: tier.refillPerHour / 3600000,
+    cost,
+  }));
+  return {
+    allowed: result.allowed,
+    remaining: Math.floor(result.remaining),
+    retryAfter: Math.ceil(result.retryAfter / 1000),
+  };
+}
+
+/**
+ * Today's LLM usage across all instances
+ * @returns {Promise<Object>} - { date, tokens, calls, cap: { tokens, calls }, capReached }
+ */
+async function getLLMUsage() {
+  const date = new Date().toISOString().slice(0, 10);
+  const [tokens, calls] = await withStore(store => Promise.all([
+    store.getCounter(`llm:tokens:${date}`),
+    store.getCounter(`llm:calls:${date}`),
+  ]));
+  const cap = quotaConfig.dailyLLMCap;
+  return {
+    date,
+    tokens,
+    calls,
+    cap,
+    capReached: Boolean((cap.tokens && tokens >= cap.tokens) || (cap.calls && calls >= cap.calls)),
+  };
+}
+
+/**
+ * Record an LLM call against today's usage
+ * @param {Object} [usage] - { inputTokens, outputTokens } (omit when the call failed)
+ */
+async function recordLLMUsage(usage = null) {
+  const date = new Date().toISOString().slice(0, 10);
+  const tokens = (usage?.inputTokens || 0) + (usage?.outputTokens || 0);
+  await withStore(store => Promise.all([
+    store.increment(`llm:calls:${date}`, 1, DAILY_TTL),
+    tokens > 0 ? store.increment(`llm:tokens:${date}`, tokens, DAILY_TTL) : null,
+  ]));
+}
+
+export { consumeBudget, getLLMUsage, getTier, QUOTA_CONFIG, recordLLMUsage, TIER_NAMES };
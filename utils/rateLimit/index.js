@@ -0,0 +1,46 @@
+/**
+ * Rate limit stores
+ * Every store implements, each as one atomic step:
+ *   consume(key, { now, windows, blockDuration }) - Sliding-window request limits
+ *   take(key, { now, capacity, refillRate, cost }) - Token bucket for weighted budgets
+ *   increment(key, amount, ttl) / getCounter(key)  - Expiring counters (daily usage)
+ *   ping()                                          - Whether the store answers (readiness checks)
+ *   reset()                                         - Clear everything (tests)
+ * Select with RATE_LIMIT_STORE: "memory" (default) or "redis".
+ */
+
+import { createMemoryRateLimitStore } from './memory.js';
+import { createRedisRateLimitStore } from './redis.js';
+
+const STORE_FACTORIES = {
+  memory: createMemoryRateLimitStore,
+  redis: createRedisRateLimitStore,
+};
+
+let store = null;
+
+/**
+ * Get the configured rate limit store
+ * @returns {Object} - Rate limit store
+ */
+function getRateLimitStore() {
+  if (!store) {
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    const factory = STORE_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${name}". Use one of: ${Object.keys(STORE_FACTORIES).join(', ')}.`);
+    }
+    store = factory();
+  }
+  return store;
+}
+
+/**
+ * Replace the rate limit store (e.g. with one backed by a test Redis)
+ * @param {Object} rateLimitStore - Rate limit store
+ */
+function setRateLimitStore(rateLimitStore) {
+  store = rateLimitStore;
+}
+
+export { createMemoryRateLimitStore, createRedisRateLimitStore, getRateLimitStore, setRateLimitStore };
@@ -0,0 +1,159 @@
+/**
+ * In-memory rate limit store
+ * Counts only the requests this instance sees; use the Redis store when several instances
+ * serve traffic (e.g. Vercel). Stale keys are swept on access instead of with a timer.
+ */
+
+// How often (ms) consume() sweeps keys that no longer hold any state
+const SWEEP_INTERVAL = 60000;
+
+/**
+ * Creates the memory rate limit store
+ * @returns {Object} - Rate limit store
+ */
+export function createMemoryRateLimitStore() {
+  // key -> { timestamps: [ms...] (oldest first), blockedUntil: ms|null }
+  const entries = new Map();
+  // key -> { tokens, updatedAt, capacity, refillRate }
+  const buckets = new Map();
+  // key -> { value, expiresAt }
+  const counters = new Map();
+  let lastSweep = 0;
+
+  /**
+   * Drop keys that no longer hold any state: not blocked and no requests left in any window,
+   * full buckets and expired counters
+   * @param {number} now
+   * @param {number} maxWindow - Largest window size in ms
+   */
+  function sweep(now, maxWindow) {
+    lastSweep = now;
+    for (const [key, entry] of entries) {
+      const newest = entry.timestamps[entry.timestamps.length - 1] || 0;
+      if ((entry.blockedUntil || 0) <= now && now - newest >= maxWindow) {
+        entries.delete(key);
+      }
+    }
+    // A bucket that has refilled completely is the same as no bucket
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillRate >= bucket.capacity) {
+        buckets.delete(key);
+      }
+    }
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    /**
+     * Record a request against a key's sliding windows
+     * Checking and recording happen in one synchronous step, so concurrent requests can't
+     * both take the last slot.
+     * @param {string} key - Client key, e.g. "<tenant>:<ip>"
+     * @param {Object} options
+     * @param {number} options.now - Current time in ms
+     * @param {Array<Object>} options.windows - [{ name, size, limit }]
+     * @param {number} options.blockDuration - How long (ms) a key is blocked after exceeding a window
+     * @returns {Promise<Object>} - { allowed, blockedUntil, exceeded, counts, resetAt }
+     */
+    async consume(key, { now, windows, blockDuration }) {
+      const maxWindow = Math.max(...windows.map(window => window.size));
+      if (now - lastSweep >= SWEEP_INTERVAL) {
+        sweep(now, maxWindow);
+      }
+
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = { timestamps: [], blockedUntil: null };
+        entries.set(key, entry);
+      }
+
+      if (entry.blockedUntil && now < entry.blockedUntil) {
+        return { allowed: false, blockedUntil: entry.blockedUntil, exceeded: null, counts: [], resetAt: entry.blockedUntil };
+      }
+      entry.blockedUntil = null;
+      entry.timestamps = entry.timestamps.filter(timestamp => now - timestamp < maxWindow);
+
+      const counts = windows.map(window =>
+        entry.timestamps.filter(timestamp => now - timestamp < window.size).length + 1
+      );
+      const exceeded = windows.find((window, i) => counts[i] > window.limit);
+      if (exceeded) {
+        entry.blockedUntil = now + blockDuration;
+        return { allowed: false, blockedUntil: entry.blockedUntil, exceeded: exceeded.name, counts, resetAt: entry.blockedUntil };
+      }
+
+      entry.timestamps.push(now);
+      const resetAt = Math.min(...windows.map(window =>
+        (entry.timestamps.find(timestamp => now - timestamp < window.size) ?? now) + window.size
+      ));
+      return { allowed: true, blockedUntil: null, exceeded: null, counts, resetAt };
+    },
+
+    /**
+     * Take tokens from a key's token bucket
+     * @param {string} key - Client key
+     * @param {Object} options
+     * @param {number} options.now - Current time in ms
+     * @param {number} options.capacity - Bucket size (the largest burst)
+     * @param {number} options.refillRate - Tokens added per ms
+     * @param {number} options.cost - Tokens this request needs
+     * @returns {Promise<Object>} - { allowed, remaining, retryAfter (ms until the cost is affordable) }
+     */
+    async take(key, { now, capacity, refillRate, cost }) {
+      const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillRate);
+      const allowed = tokens >= cost;
+      buckets.set(key, { tokens: allowed ? tokens - cost : tokens, updatedAt: now, capacity, refillRate });
+      return {
+        allowed,
+        remaining: allowed ? tokens - cost : tokens,
+        retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / refillRate),
+      };
+    },
+
+    /**
+     * Add to a counter that expires (e.g. LLM tokens used today)
+     * @param {string} key - Counter key
+     * @param {number} amount - Whole number to add
+     * @param {number} ttl - Lifetime in ms after the last increment
+     * @returns {Promise<number>} - New total
+     */
+    async increment(key, amount, ttl) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counter = { value: 0 };
+        counters.set(key, counter);
+      }
+      counter.value += amount;
+      counter.expiresAt = now + ttl;
+      return counter.value;
+    },
+
+    /**
+     * Read a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<number>} - Current total (0 if unset or expired)
+     */
+    async getCounter(key) {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.value : 0;
+    },
+
+    async ping() {
+      return true;
+    },
+
+    async reset() {
+      entries.clear();
+      buckets.clear();
+      counters.clear();
+    },
+  };
+}
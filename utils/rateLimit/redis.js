@@ -0,0 +1,176 @@
+/**
+ * Redis rate limit store
+ * Shares counters between instances through Redis (REDIS_URL) or Vercel KV / Upstash
+ * (KV_REST_API_URL / KV_REST_API_TOKEN).
+ *
+ * Each key keeps a sliding-window log in a sorted set scored by request time. One Lua script
+ * checks the block marker, counts every window and either adds the request or blocks the key
+ * with an expiring marker key. Redis runs scripts atomically, so concurrent requests on
+ * different instances always see each other and a denied request never enters the log.
+ *
+ * Token buckets are a hash { tokens, updatedAt } updated by a Lua script as well.
+ */
+
+import { randomBytes } from 'crypto';
+import { createRedisClient } from '../redisClient.js';
+
+// KEYS[1] = log, KEYS[2] = block marker; ARGV = now, member, block duration, longest window,
+// then size, limit and name of each window. A request is in a window while now - time < size.
+// Returns { 1, 0, counts, oldest time in each window } when allowed, { 0, block TTL } when the
+// key is already blocked and { 0, 0, counts, index of the exceeded window } when this request
+// blocks it.
+const CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local ttl = redis.call('PTTL', KEYS[2])
+if ttl > 0 then
+  return { 0, ttl }
+end
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - tonumber(ARGV[4]))
+local counts = {}
+local exceeded = 0
+for i = 5, #ARGV, 3 do
+  -- Count this request too
+  local count = redis.call('ZCOUNT', KEYS[1], '(' .. (now - tonumber(ARGV[i])), '+inf') + 1
+  counts[#counts + 1] = count
+  if exceeded == 0 and count > tonumber(ARGV[i + 1]) then
+    exceeded = #counts
+  end
+end
+if exceeded > 0 then
+  redis.call('SET', KEYS[2], ARGV[5 + (exceeded - 1) * 3 + 2], 'PX', ARGV[3])
+  return { 0, 0, counts, exceeded }
+end
+redis.call('ZADD', KEYS[1], now, ARGV[2])
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+local oldest = {}
+for i = 5, #ARGV, 3 do
+  local first = redis.call('ZRANGEBYSCORE', KEYS[1], '(' .. (now - tonumber(ARGV[i])), '+inf', 'WITHSCORES', 'LIMIT', 0, 1)
+  oldest[#oldest + 1] = first[2]
+end
+return { 1, 0, counts, oldest }
+`;
+
+// KEYS[1] = bucket; ARGV = now, capacity, refill rate (tokens per ms), cost
+const TAKE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local capacity = tonumber(ARGV[2])
+local rate = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Creates the Redis rate limit store
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Redis client (see utils/redisClient.js), from the environment by default
+ * @param {string} [options.prefix] - Key prefix (defaults to RATE_LIMIT_PREFIX or "portfolio-chatbot:ratelimit:")
+ * @returns {Object} - Rate limit store
+ */
+export function createRedisRateLimitStore(options = {}) {
+  const client = options.client || createRedisClient();
+  const prefix = options.prefix ?? process.env.RATE_LIMIT_PREFIX ?? 'portfolio-chatbot:ratelimit:';
+
+  return {
+    name: 'redis',
+
+    /**
+     * Record a request against a key's sliding windows
+     * @param {string} key - Client key, e.g. "<tenant>:<ip>"
+     * @param {Object} options
+     * @param {number} options.now - Current time in ms
+     * @param {Array<Object>} options.windows - [{ name, size, limit }]
+     * @param {number} options.blockDuration - How long (ms) a key is blocked after exceeding a window
+     * @returns {Promise<Object>} - { allowed, blockedUntil, exceeded, counts, resetAt }
+     */
+    async consume(key, { now, windows, blockDuration }) {
+      const logKey = `${prefix}log:${key}`;
+      const blockKey = `${prefix}block:${key}`;
+      const maxWindow = Math.max(...windows.map(window => window.size));
+      // Unique per request, so two requests in the same millisecond both count
+      const member = `${now}-${randomBytes(6).toString('hex')}`;
+
+      const [allowed, blockTTL, counts = [], last] = await client.command(
+        'EVAL', CONSUME_SCRIPT, 2, logKey, blockKey, now, member, blockDuration, maxWindow,
+        ...windows.flatMap(window => [window.size, window.limit, window.name])
+      );
+
+      if (blockTTL > 0) {
+        return { allowed: false, blockedUntil: now + blockTTL, exceeded: null, counts: [], resetAt: now + blockTTL };
+      }
+
+      if (allowed !== 1) {
+        const exceeded = windows[last - 1];
+        return { allowed: false, blockedUntil: now + blockDuration, exceeded: exceeded.name, counts, resetAt: now + blockDuration };
+      }
+
+      const resetAt = Math.min(...windows.map((window, i) => Number(last[i] ?? now) + window.size));
+      return { allowed: true, blockedUntil: null, exceeded: null, counts, resetAt };
+    },
+
+    /**
+     * Take tokens from a key's token bucket
+     * @param {string} key - Client key
+     * @param {Object} options - { now, capacity, refillRate (tokens per ms), cost }
+     * @returns {Promise<Object>} - { allowed, remaining, retryAfter (ms until the cost is affordable) }
+     */
+    async take(key, { now, capacity, refillRate, cost }) {
+      const [allowed, remaining] = await client.command(
+        'EVAL', TAKE_SCRIPT, 1, `${prefix}bucket:${key}`, now, capacity, refillRate, cost
+      );
+      const tokens = Number(remaining);
+      return {
+        allowed: allowed === 1,
+        remaining: tokens,
+        retryAfter: allowed === 1 ? 0 : Math.ceil((cost - tokens) / refillRate),
+      };
+    },
+
+    /**
+     * Add to a counter that expires (e.g. LLM tokens used today)
+     * @param {string} key - Counter key
+     * @param {number} amount - Whole number to add
+     * @param {number} ttl - Lifetime in ms after the last increment
+     * @returns {Promise<number>} - New total
+     */
+    async increment(key, amount, ttl) {
+      const [total] = await client.multi([
+        ['INCRBY', `${prefix}counter:${key}`, Math.round(amount)],
+        ['PEXPIRE', `${prefix}counter:${key}`, ttl],
+      ]);
+      return Number(total);
+    },
+
+    /**
+     * Read a counter
+     * @param {string} key - Counter key
+     * @returns {Promise<number>} - Current total (0 if unset or expired)
+     */
+    async getCounter(key) {
+      return Number(await client.command('GET', `${prefix}counter:${key}`)) || 0;
+    },
+
+    /**
+     * Check that Redis answers (readiness checks)
+     * @returns {Promise<boolean>}
+     */
+    async ping() {
+      return await client.command('PING') === 'PONG';
+    },
+
+    async reset() {
+      // Only used in tests; SCAN would be needed to clear a shared production database
+      await client.command('FLUSHDB');
+    },
+  };
+}
@@ -1,14 +1,14 @@
 /**
- * Simple in-memory rate limiter for IP-based request limiting
- * For production with multiple instances, consider using Redis or Vercel's built-in rate limiting
+ * IP-based request limiting with per-minute and per-hour sliding windows
+ * Counters live in a rate limit store (utils/rateLimit/): in memory by default, or in Redis
+ * (RATE_LIMIT_STORE=redis) so that every serverless instance enforces the same limits.
  */
 
-// Store request counts per IP
-const requestCounts = new Map();
-
-// Clean up old entries periodically
-const CLEANUP_INTERVAL = 60000; // 1 minute
-const MAX_ENTRY_AGE = 300000; // 5 minutes
+import { getClientIP, ipBucket } from './ip.js';
+import { createMemoryRateLimitStore, getRateLimitStore } from './rateLimit/index.js';
+import { ERROR_CODES, sendError } from './errors.js';
+import { getRequestLogger, logger } from './logger.js';
+import { hashIP } from './analytics/index.js';
 
 /**
  * Rate limiter configuration
@@ -26,80 +26,37 @@ const RATE_LIMIT_CONFIG = {
   BLOCK_DURATION: parseInt(process.env.RATE_LIMIT_BLOCK_DURATION || '600000'), // 10 minutes
 };
 
-/**
- * Get client IP address from request
- */
-function getClientIP(req) {
-  // Check various headers for IP (for proxies, load balancers, etc.)
-  return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-         req.headers['x-real-ip'] ||
-         req.connection?.remoteAddress ||
-         req.socket?.remoteAddress ||
-         'unknown';
-}
+// Used for a request when the configured store fails (e.g. Redis is unreachable)
+const fallbackStore = createMemoryRateLimitStore();
 
 /**
- * Clean up old entries from the request counts map
+ * Check and update rate limit for an IP address
+ * @param {string} ip - Client IP address (or any key, e.g. "<tenant>:<ip>")
+ * @param {Object} [limits] - Override MAX_REQUESTS_PER_MINUTE / MAX_REQUESTS_PER_HOUR (e.g. per tenant)
+ * @param {number} [limits.perMinute]
+ * @param {number} [limits.perHour]
+ * @returns {Promise<Object>} - { allowed: boolean, remaining: number, resetAt: Date, message: string }
  */
-function cleanupOldEntries() {
-  const now = Date.now();
-  for (const [ip, data] of requestCounts.entries()) {
-    // Remove entries older than MAX_ENTRY_AGE
-    const oldestTimestamp = Math.min(
-      data.minuteTimestamps[0] || now,
-      data.hourTimestamps[0] || now,
-      data.blockedUntil || 0
-    );
-    
-    if (now - oldestTimestamp > MAX_ENTRY_AGE) {
-      requestCounts.delete(ip);
-    }
-  }
-}
+async function checkRateLimit(ip, limits = {}) {
+  const maxPerMinute = limits.perMinute || RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_MINUTE;
+  const maxPerHour = limits.perHour || RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_HOUR;
+  const windows = [
+    { name: 'minute', size: RATE_LIMIT_CONFIG.MINUTE_WINDOW, limit: maxPerMinute },
+    { name: 'hour', size: RATE_LIMIT_CONFIG.HOUR_WINDOW, limit: maxPerHour },
+  ];
+  const request = { now: Date.now(), windows, blockDuration: RATE_LIMIT_CONFIG.BLOCK_DURATION };
 
-// Start cleanup interval
-setInterval(cleanupOldEntries, CLEANUP_INTERVAL);
-
-/**
- * Check if IP is currently blocked
- */
-function isBlocked(ip) {
-  const data = requestCounts.get(ip);
-  if (!data || !data.blockedUntil) {
-    return false;
-  }
-  
-  if (Date.now() < data.blockedUntil) {
-    return true;
+  let result;
+  try {
+    result = await getRateLimitStore().consume(ip, request);
+  } catch (error) {
+    logger.error('Rate limit store failed, limiting this request in memory', { error });
+    result = await fallbackStore.consume(ip, request);
   }
-  
-  // Block expired, remove it
-  data.blockedUntil = null;
-  return false;
-}
 
-/**
- * Check and update rate limit for an IP address
- * @param {string} ip - Client IP address
- * @returns {Object} - { allowed: boolean, remaining: number, resetAt: Date, message: string }
- */
-function checkRateLimit(ip) {
-  const now = Date.now();
-  let data = requestCounts.get(ip);
-  
-  // Initialize data if not exists
-  if (!data) {
-    data = {
-      minuteTimestamps: [],
-      hourTimestamps: [],
-      blockedUntil: null,
-    };
-    requestCounts.set(ip, data);
-  }
-  
-  // Check if IP is blocked
-  if (isBlocked(ip)) {
-    const blockedUntil = new Date(data.blockedUntil);
+  // Blocked by an earlier request
+  if (!result.allowed && !result.exceeded) {
+    const blockedUntil = new Date(result.blockedUntil);
     return {
       allowed: false,
       remaining: 0,
@@ -107,60 +64,25 @@ function checkRateLimit(ip) {
       message: `Rate limit exceeded. Your IP has been temporarily blocked due to excessive requests. Please try again after ${blockedUntil.toLocaleTimeString()}.`,
     };
   }
-  
-  // Clean old timestamps outside the window
-  data.minuteTimestamps = data.minuteTimestamps.filter(
-    timestamp => now - timestamp < RATE_LIMIT_CONFIG.MINUTE_WINDOW
-  );
-  data.hourTimestamps = data.hourTimestamps.filter(
-    timestamp => now - timestamp < RATE_LIMIT_CONFIG.HOUR_WINDOW
-  );
-  
-  // Check minute limit
-  if (data.minuteTimestamps.length >= RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_MINUTE) {
-    // Block the IP
-    data.blockedUntil = now + RATE_LIMIT_CONFIG.BLOCK_DURATION;
-    return {
-      allowed: false,
-      remaining: 0,
-      resetAt: new Date(now + RATE_LIMIT_CONFIG.BLOCK_DURATION),
-      message: `Rate limit exceeded: Too many requests. Maximum ${RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_MINUTE} requests per minute allowed. Your IP has been temporarily blocked.`,
-    };
-  }
-  
-  // Check hour limit
-  if (data.hourTimestamps.length >= RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_HOUR) {
-    // Block the IP
-    data.blockedUntil = now + RATE_LIMIT_CONFIG.BLOCK_DURATION;
+
+  // This request exceeded the minute or hour limit
+  if (!result.allowed) {
+    const limit = result.exceeded === 'minute' ? maxPerMinute : maxPerHour;
     return {
       allowed: false,
       remaining: 0,
-      resetAt: new Date(now + RATE_LIMIT_CONFIG.BLOCK_DURATION),
-      message: `Rate limit exceeded: Too many requests. Maximum ${RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_HOUR} requests per hour allowed. Your IP has been temporarily blocked.`,
+      resetAt: new Date(result.blockedUntil),
+      message: `Rate limit exceeded: Too many requests. Maximum ${limit} requests per ${result.exceeded} allowed. Your IP has been temporarily blocked.`,
     };
   }
-  
-  // Add current request timestamp
-  data.minuteTimestamps.push(now);
-  data.hourTimestamps.push(now);
-  
+
   // Calculate remaining requests
-  const remainingMinute = RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_MINUTE - data.minuteTimestamps.length;
-  const remainingHour = RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_HOUR - data.hourTimestamps.length;
-  const remaining = Math.min(remainingMinute, remainingHour);
-  
-  // Calculate reset time
-  const oldestMinute = data.minuteTimestamps[0] || now;
-  const oldestHour = data.hourTimestamps[0] || now;
-  const resetAt = new Date(Math.min(
-    oldestMinute + RATE_LIMIT_CONFIG.MINUTE_WINDOW,
-    oldestHour + RATE_LIMIT_CONFIG.HOUR_WINDOW
-  ));
-  
+  const remaining = Math.min(...windows.map((window, i) => window.limit - result.counts[i]));
+
   return {
     allowed: true,
     remaining,
-    resetAt,
+    resetAt: new Date(result.resetAt),
     message: null,
   };
 }
@@ -168,9 +90,9 @@ function checkRateLimit(ip) {
 /**
  * Express middleware for rate limiting
  */
-export function rateLimitMiddleware(req, res, next) {
+export async function rateLimitMiddleware(req, res, next) {
   const ip = getClientIP(req);
-  const limitCheck = checkRateLimit(ip);
+  const limitCheck = await checkRateLimit(ipBucket(ip));
   
   // Add rate limit headers
   res.setHeader('X-RateLimit-Limit-Minute', RATE_LIMIT_CONFIG.MAX_REQUESTS_PER_MINUTE);
@@ -179,11 +101,9 @@ export function rateLimitMiddleware(req, res, next) {
   res.setHeader('X-RateLimit-Reset', Math.floor(limitCheck.resetAt.getTime() / 1000));
   
   if (!limitCheck.allowed) {
-    console.warn(`Rate limit exceeded for IP: ${ip}`);
-    return res.status(429).json({
-      error: 'Too Many Requests',
-      message: limitCheck.message,
-      retryAfter: Math.ceil((limitCheck.resetAt.getTime() - Date.now()) / 1000),
+    getRequestLogger(req).warn('Rate limit exceeded', { 'client.id': `ip:${hashIP(ip)}` });
+    return sendError(req, res, ERROR_CODES.RATE_LIMITED, limitCheck.message, {
+      retryAfter: Math.max(1, Math.ceil((limitCheck.resetAt.getTime() - Date.now()) / 1000)),
     });
   }
   
@@ -193,8 +113,8 @@ export function rateLimitMiddleware(req, res, next) {
 /**
  * Standalone rate limit check (for serverless functions)
  */
-export function checkRateLimitForIP(ip) {
-  return checkRateLimit(ip);
+export function checkRateLimitForIP(ip, limits) {
+  return checkRateLimit(ip, limits);
 }
 
 export { getClientIP, RATE_LIMIT_CONFIG };
@@ -0,0 +1,241 @@
+/**
+ * Readiness checks
+ * /api/health only says that the function runs; readiness checks what answering needs:
+ *   knowledgeBase - The tenant's knowledge base loaded and has items
+ *   cv            - The tenant's CV was read and has text
+ *   llm           - The provider is configured and its API answers (the result is cached)
+ *   rateLimiter   - The rate limit store answers (every chat request goes through it)
+ * Each component is "ok", "degraded" (still answering, with less) or "down".
+ */
+
+import { getProvider } from './llm/index.js';
+import { getLLMUsage } from './quotas.js';
+import { getRateLimitStore } from './rateLimit/index.js';
+import { getTenantStores } from './tenants.js';
+import { CV_CONFIG } from './cvStore.js';
+import { logger } from './logger.js';
+
+const READINESS_CONFIG = {
+  // How long (seconds) a successful LLM check is reused; each check is one model-list request
+  LLM_CHECK_TTL: parseInt(process.env.READINESS_LLM_TTL || '300'),
+  // How long (seconds) a failed LLM check is reused, so recovery shows up sooner
+  LLM_FAILURE_TTL: parseInt(process.env.READINESS_LLM_FAILURE_TTL || '30'),
+  // Time limit (ms) for each network check
+  TIMEOUT: parseInt(process.env.READINESS_TIMEOUT || '3000'),
+};
+
+// Last LLM check per provider: { promise, expiresAt }
+const llmChecks = new Map();
+
+/**
+ * Reject a promise that takes longer than the check timeout
+ * @param {Promise} promise
+ * @returns {Promise} - Rejects with an error marked `timedOut` on timeout
+ */
+function withTimeout(promise) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(Object.assign(new Error('Timed out'), { timedOut: true })), READINESS_CONFIG.TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Check the tenant's knowledge base
+ * @param {Object} stores - Tenant stores (see utils/tenants.js)
+ * @returns {Promise<Object>} - { status, items, source, error }
+ */
+async function checkKnowledgeBase(stores) {
+  await stores.knowledge.refresh();
+  const { items, source, loadError, reloadError } = stores.knowledge.getStatus();
+
+  let status = 'ok';
+  let error = null;
+  if (items === 0) {
+    status = 'down';
+    error = loadError || 'The knowledge base has no items.';
+  } else if (reloadError) {
+    status = 'degraded';
+    error = reloadError;
+  }
+  return { status, items, source, error };
+}
+
+/**
+ * Check the tenant's CV
+ * @param {Object} stores - Tenant stores (see utils/tenants.js)
+ * @returns {Promise<Object>} - { status, version, format, length, pages, source, error }
+ */
+async function checkCV(stores) {
+  const cv = await stores.cv.load();
+  await stores.cv.refresh();
+  const { length, pages, source, loadError, reloadError } = stores.cv.getStatus();
+
+  let status = 'ok';
+  let error = null;
+  if (length === 0) {
+    status = 'down';
+    error = loadError || 'The CV has no text.';
+  } else if (reloadError) {
+    status = 'degraded';
+    error = reloadError;
+  } else if (length < CV_CONFIG.MIN_TEXT_LENGTH) {
+    status = 'degraded';
+    error = `The CV has only ${length} characters of text. Is it a scanned PDF?`;
+  }
+  return { status, version: cv.version, format: cv.format, length, pages, source, error };
+}
+
+/**
+ * Ping the LLM provider, reusing a recent result
+ * Concurrent checks share one request.
+ * @param {Object} provider - LLM provider (see utils/llm)
+ * @returns {Promise<Object>} - { ok, status?, error?, latencyMs, checkedAt }
+ */
+function pingProvider(provider) {
+  const cached = llmChecks.get(provider.name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const entry = { expiresAt: Infinity, promise: null };
+  entry.promise = (async () => {
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), READINESS_CONFIG.TIMEOUT);
+    let result;
+    try {
+      result = await provider.ping({ signal: controller.signal });
+    } catch (error) {
+      result = { ok: false, error: error.message };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    const ttl = result.ok ? READINESS_CONFIG.LLM_CHECK_TTL : READINESS_CONFIG.LLM_FAILURE_TTL;
+    entry.expiresAt = Date.now() + ttl * 1000;
+    return { ...result, latencyMs: Date.now() - startedAt, checkedAt: new Date().toISOString() };
+  })();
+  llmChecks.set(provider.name, entry);
+  return entry.promise;
+}
+
+/**
+ * Check the LLM provider
+ * A provider that is rate limited or past today's cap still leaves knowledge base answers, so it is degraded.
+ * @returns {Promise<Object>} - { status, provider, mode, checkedAt, latencyMs, error }
+ */
+async function checkLLM() {
+  const provider = getProvider();
+  // Usage lives in the rate limit store, whose outage is reported by checkRateLimiter
+  const usage = await getLLMUsage().catch(() => null);
+  const mode = usage ? (usage.capReached ? 'kb-only' : 'normal') : null;
+
+  if (!provider.isConfigured()) {
+    return {
+      status: 'down',
+      provider: provider.name,
+      mode,
+      checkedAt: null,
+      latencyMs: null,
+      error: `The ${provider.name} provider is not configured (missing API key).`,
+    };
+  }
+
+  const ping = await pingProvider(provider);
+  let status = 'ok';
+  let error = null;
+  if (ping.status === 429) {
+    status = 'degraded';
+    error = `The ${provider.name} API is rate limiting requests.`;
+  } else if (!ping.ok) {
+    status = 'down';
+    error = `The ${provider.name} API check failed: ${ping.error}.`;
+  } else if (usage?.capReached) {
+    status = 'degraded';
+    error = "Today's LLM cap is reached; only knowledge base answers are given.";
+  }
+  return { status, provider: provider.name, mode, checkedAt: ping.checkedAt, latencyMs: ping.latencyMs, error };
+}
+
+/**
+ * Check the rate limit store
+ * @returns {Promise<Object>} - { status, store, latencyMs, error }
+ */
+async function checkRateLimiter() {
+  const store = getRateLimitStore();
+  const startedAt = Date.now();
+  try {
+    const ok = await withTimeout(store.ping());
+    return {
+      status: ok ? 'ok' : 'down',
+      store: store.name,
+      latencyMs: Date.now() - startedAt,
+      error: ok ? null : 'The rate limit store gave an unexpected reply.',
+    };
+  } catch (error) {
+    logger.error('Rate limit store check failed', { error });
+    return {
+      status: 'down',
+      store: store.name,
+      latencyMs: Date.now() - startedAt,
+      error: error.timedOut ? 'The rate limit store did not answer in time.' : 'The rate limit store is unreachable.',
+    };
+  }
+}
+
+/**
+ * Run a check, reporting an unexpected failure as "down"
+ * @param {Function} check
+ * @returns {Promise<Object>}
+ */
+async function runCheck(check) {
+  try {
+    return await check();
+  } catch (error) {
+    logger.error('Readiness check failed', { error });
+    return { status: 'down', error: 'The check failed unexpectedly.' };
+  }
+}
+
+/**
+ * Overall state from the component checks
+ * "unhealthy" when chat requests would fail or have nothing to answer from: the rate limit store
+ * is down, or there is neither a knowledge base nor an LLM with a CV. Anything else short of all
+ * "ok" is "degraded".
+ * @param {Object} components - Component results by name
+ * @returns {string} - "healthy", "degraded" or "unhealthy"
+ */
+function overallStatus(components) {
+  const down = (name) => components[name].status === 'down';
+  const canAnswer = !down('knowledgeBase') || (!down('llm') && !down('cv'));
+  if (down('rateLimiter') || !canAnswer) {
+    return 'unhealthy';
+  }
+  return Object.values(components).every(component => component.status === 'ok') ? 'healthy' : 'degraded';
+}
+
+/**
+ * Check whether a tenant's chatbot can answer
+ * @param {Object} tenant - Tenant (see utils/tenants.js)
+ * @returns {Promise<Object>} - { status, components: { knowledgeBase, cv, llm, rateLimiter } }
+ */
+async function checkReadiness(tenant) {
+  const stores = getTenantStores(tenant);
+  const [knowledgeBase, cv, llm, rateLimiter] = await Promise.all([
+    runCheck(() => checkKnowledgeBase(stores)),
+    runCheck(() => checkCV(stores)),
+    runCheck(checkLLM),
+    runCheck(checkRateLimiter),
+  ]);
+  const components = { knowledgeBase, cv, llm, rateLimiter };
+  return { status: overallStatus(components), components };
+}
+
+/**
+ * Forget cached LLM checks (tests, or after changing provider credentials)
+ */
+function clearLLMChecks() {
+  llmChecks.clear();
+}
+
+export { checkReadiness, clearLLMChecks, overallStatus, READINESS_CONFIG };
@@ -0,0 +1,276 @@
+/**
+ * Minimal Redis clients
+ * Two transports share one interface, command(...args) and multi([[...args], ...]):
+ * - REST (Vercel KV / Upstash Redis) for serverless deployments without TCP connections
+ * - RESP over TCP (REDIS_URL) for self-hosted Redis or a local instance in tests, over TLS
+ *   for rediss:// URLs (managed Redis such as Upstash or ElastiCache)
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * Creates a client for Redis-compatible REST APIs (Vercel KV / Upstash)
+ * @param {Object} [options]
+ * @param {string} [options.url] - REST endpoint (defaults to KV_REST_API_URL)
+ * @param {string} [options.token] - Bearer token (defaults to KV_REST_API_TOKEN)
+ * @returns {Object} - { command, multi, close }
+ */
+export function createRestRedisClient(options = {}) {
+  const url = (options.url || process.env.KV_REST_API_URL || '').replace(/\/$/, '');
+  const token = options.token || process.env.KV_REST_API_TOKEN;
+
+  if (!url || !token) {
+    throw new Error('Redis REST client requires KV_REST_API_URL and KV_REST_API_TOKEN');
+  }
+
+  const post = async (path, body) => {
+    const response = await fetch(`${url}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`Redis REST error: ${response.status} ${data.error || ''}`.trim());
+    }
+    return data;
+  };
+
+  return {
+    name: 'rest',
+
+    async command(...args) {
+      return (await post('', args)).result;
+    },
+
+    // Upstash runs the commands of /multi-exec in one MULTI/EXEC transaction
+    async multi(commands) {
+      const results = await post('/multi-exec', commands);
+      return results.map(entry => {
+        if (entry.error) {
+          throw new Error(`Redis REST error: ${entry.error}`);
+        }
+        return entry.result;
+      });
+    },
+
+    async close() {},
+  };
+}
+
+/**
+ * Encodes a command as a RESP array of bulk strings
+ * @param {Array} args
+ * @returns {string}
+ */
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map(arg => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }).join('')}`;
+}
+
+/**
+ * Parses one RESP reply from a buffer
+ * @param {Buffer} buffer
+ * @param {number} offset - Where the reply starts
+ * @returns {Object|null} - { value, offset } (value is an Error for error replies), null if incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+/**
+ * Creates a client speaking RESP over TCP
+ * The connection is opened on first use and doesn't keep the process alive.
+ * @param {Object} [options]
+ * @param {string} [options.url] - redis[s]://[:password@]host[:port][/db] (defaults to REDIS_URL)
+ * @param {number} [options.timeout] - Milliseconds to wait for the connection and for each reply (default 2000)
+ * @returns {Object} - { command, multi, close }
+ */
+export function createTcpRedisClient(options = {}) {
+  const url = new URL(options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+  const timeout = options.timeout || 2000;
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failAll = (error) => {
+    while (pending.length > 0) {
+      pending.shift().reject(error);
+    }
+    socket?.destroy();
+    socket = null;
+    connecting = null;
+    buffer = Buffer.alloc(0);
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    while (pending.length > 0 && (reply = parseReply(buffer))) {
+      buffer = buffer.subarray(reply.offset);
+      pending.shift().resolve(reply.value);
+    }
+  };
+
+  // Sends raw commands and resolves with their replies, in order
+  const send = (commands) => {
+    const replies = commands.map(() => new Promise((resolve, reject) => pending.push({ resolve, reject })));
+    socket.write(commands.map(encodeCommand).join(''));
+    const timer = setTimeout(() => failAll(new Error('Redis reply timed out')), timeout);
+    timer.unref();
+    return Promise.all(replies).finally(() => clearTimeout(timer));
+  };
+
+  const connect = () => {
+    if (!connecting) {
+      connecting = new Promise((resolve, reject) => {
+        const secure = url.protocol === 'rediss:';
+        const target = { host: url.hostname, port: Number(url.port || 6379) };
+        const connection = secure
+          ? tls.connect({ ...target, servername: url.hostname })
+          : net.createConnection(target);
+        // An unreachable host would otherwise hold every request until the OS gives up
+        const timer = setTimeout(() => {
+          const error = new Error('Redis connection timed out');
+          reject(error);
+          connection.destroy();
+          failAll(error);
+        }, timeout);
+        timer.unref();
+        connection.setNoDelay(true);
+        connection.unref();
+        connection.on('data', onData);
+        connection.on('error', (error) => {
+          clearTimeout(timer);
+          reject(error);
+          failAll(error);
+        });
+        connection.on('close', () => failAll(new Error('Redis connection closed')));
+        connection.once(secure ? 'secureConnect' : 'connect', async () => {
+          clearTimeout(timer);
+          socket = connection;
+          try {
+            const setup = [];
+            if (url.password) {
+              setup.push(url.username ? ['AUTH', decodeURIComponent(url.username), decodeURIComponent(url.password)] : ['AUTH', decodeURIComponent(url.password)]);
+            }
+            const db = url.pathname.replace('/', '');
+            if (db) {
+              setup.push(['SELECT', db]);
+            }
+            const replies = setup.length > 0 ? await send(setup) : [];
+            const error = replies.find(reply => reply instanceof Error);
+            if (error) {
+              throw error;
+            }
+            resolve();
+          } catch (error) {
+            reject(error);
+            failAll(error);
+          }
+        });
+      });
+    }
+    return connecting;
+  };
+
+  return {
+    name: 'tcp',
+
+    async command(...args) {
+      await connect();
+      const [reply] = await send([args]);
+      if (reply instanceof Error) {
+        throw reply;
+      }
+      return reply;
+    },
+
+    async multi(commands) {
+      await connect();
+      const replies = await send([['MULTI'], ...commands, ['EXEC']]);
+      const error = replies.find(reply => reply instanceof Error);
+      if (error) {
+        throw error;
+      }
+      const results = replies[replies.length - 1];
+      if (!results) {
+        throw new Error('Redis transaction was aborted');
+      }
+      return results.map(result => {
+        if (result instanceof Error) {
+          throw result;
+        }
+        return result;
+      });
+    },
+
+    async close() {
+      const current = socket;
+      failAll(new Error('Redis client closed'));
+      current?.end();
+    },
+  };
+}
+
+/**
+ * Creates a Redis client from the environment
+ * REDIS_URL selects the TCP client, otherwise KV_REST_API_URL / KV_REST_API_TOKEN the REST client.
+ * @returns {Object} - { command, multi, close }
+ */
+export function createRedisClient() {
+  return process.env.REDIS_URL ? createTcpRedisClient() : createRestRedisClient();
+}
@@ -0,0 +1,213 @@
+/**
+ * Response cache for LLM answers
+ * Answers are keyed on the normalized question within a scope: the tenant, the versions of its
+ * CV, knowledge base and prompt, and the privacy fields withheld from the request. Editing the knowledge base or uploading a CV changes
+ * the scope, so stale answers are never served and simply expire. Every backend implements:
+ *   get(key)             - The cached string, or null
+ *   set(key, value, ttl) - Store a string for ttl ms
+ * Select with RESPONSE_CACHE: "memory" (default), "redis" or "off".
+ */
+
+import { createHash } from 'crypto';
+import { createLocalBackend } from '../retrieval/embeddings.js';
+import { createMemoryCacheBackend } from './memory.js';
+import { createRedisCacheBackend } from './redis.js';
+
+const BACKEND_FACTORIES = {
+  memory: createMemoryCacheBackend,
+  redis: createRedisCacheBackend,
+  off: () => null,
+};
+
+const RESPONSE_CACHE_CONFIG = {
+  // How long (seconds) an answer is reused
+  TTL: parseInt(process.env.RESPONSE_CACHE_TTL || '86400'),
+  // Minimum cosine similarity for a near-duplicate question to reuse an answer (0 = exact matches only)
+  SIMILARITY: parseFloat(process.env.RESPONSE_CACHE_SIMILARITY || '0'),
+  // Recent questions per scope compared for similarity hits
+  INDEX_SIZE: 200,
+};
+
+// Offline embedding for comparing questions. It is never fitted, so every word weighs the same;
+// IDF learned from a few questions would make the words they share count for almost nothing.
+const questionEmbedder = createLocalBackend();
+
+/**
+ * Hash a value into a short key
+ * @param {string} value
+ * @returns {string}
+ */
+function hashKey(value) {
+  return createHash('sha256').update(value).digest('hex').substring(0, 32);
+}
+
+/**
+ * Normalize a question so trivial variations share a cache entry
+ * ("What projects have you built?" and "what projects have you built" are the same question)
+ * @param {string} question
+ * @returns {string}
+ */
+function normalizeQuestion(question) {
+  return question
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Create a response cache over a backend
+ * @param {Object} [options]
+ * @param {Object|null} [options.backend] - Cache backend; null disables caching
+ * @param {number} [options.ttl] - Entry lifetime in seconds
+ * @param {number} [options.similarity] - Threshold for near-duplicate hits (0 disables them)
+ * @returns {Object} - { enabled, lookup(scope, question), store(scope, question, response) }
+ */
+function createResponseCache({
+  backend = createMemoryCacheBackend(),
+  ttl = RESPONSE_CACHE_CONFIG.TTL,
+  similarity = RESPONSE_CACHE_CONFIG.SIMILARITY,
+} = {}) {
+  /**
+   * Key prefix for a scope
+   * Answers written for an unlocked request may hold details others may not see (see
+   * utils/privacy.js), so the withheld fields and the unlock state are part of the key.
+   * @param {Object} scope - { tenant, cvVersion, knowledgeVersion, promptVersion, withheld, unlocked }
+   * @returns {string}
+   */
+  const scopeKey = ({ tenant, cvVersion, knowledgeVersion, promptVersion, withheld = '', unlocked = false }) =>
+    hashKey([tenant, cvVersion, knowledgeVersion, promptVersion, withheld, unlocked ? 'unlocked' : 'locked'].join('\n'));
+
+  /**
+   * Read a JSON value, treating unreadable entries as missing
+   * @param {string} key
+   * @returns {Promise<*>}
+   */
+  async function read(key) {
+    const value = await backend.get(key);
+    if (value === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Find the most similar earlier question in the scope
+   * Questions are compared by their words with the offline embedding, so lookups cost no API
+   * calls; rewordings that share most words match, paraphrases with other words don't.
+   * @param {string} scope - Scope key
+   * @param {string} question - Normalized question
+   * @returns {Promise<Object|null>} - { key, similarity }
+   */
+  async function findSimilar(scope, question) {
+    const index = await read(`${scope}:questions`) || [];
+    if (index.length === 0) {
+      return null;
+    }
+
+    const [target, ...vectors] = await questionEmbedder.embed([question, ...index.map(entry => entry.question)]);
+
+    let best = null;
+    vectors.forEach((vector, i) => {
+      const score = vector.reduce((sum, value, j) => sum + value * target[j], 0);
+      if (score >= similarity && (!best || score > best.similarity)) {
+        best = { key: index[i].key, similarity: score };
+      }
+    });
+    return best;
+  }
+
+  return {
+    enabled: Boolean(backend),
+
+    /**
+     * Look up a cached answer
+     * @param {Object} scope - { tenant, cvVersion, knowledgeVersion, promptVersion, withheld, unlocked }
+     * @param {string} question - The user's message
+     * @returns {Promise<Object|null>} - { response, similarity } (similarity is 1 for exact hits)
+     */
+    async lookup(scope, question) {
+      if (!backend) {
+        return null;
+      }
+      const prefix = scopeKey(scope);
+      const normalized = normalizeQuestion(question);
+
+      const exact = await read(`${prefix}:${hashKey(normalized)}`);
+      if (exact) {
+        return { response: exact, similarity: 1 };
+      }
+
+      if (similarity > 0) {
+        const match = await findSimilar(prefix, normalized);
+        const response = match && await read(match.key);
+        if (response) {
+          return { response, similarity: match.similarity };
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Cache an answer
+     * @param {Object} scope - { tenant, cvVersion, knowledgeVersion, promptVersion, withheld, unlocked }
+     * @param {string} question - The user's message
+     * @param {Object} response - JSON-serializable answer
+     */
+    async store(scope, question, response) {
+      if (!backend) {
+        return;
+      }
+      const prefix = scopeKey(scope);
+      const normalized = normalizeQuestion(question);
+      const key = `${prefix}:${hashKey(normalized)}`;
+      await backend.set(key, JSON.stringify(response), ttl * 1000);
+
+      if (similarity > 0) {
+        // Concurrent stores may drop each other's index entry; that only costs a similarity hit
+        const index = (await read(`${prefix}:questions`) || []).filter(entry => entry.key !== key);
+        index.push({ question: normalized, key });
+        await backend.set(`${prefix}:questions`, JSON.stringify(index.slice(-RESPONSE_CACHE_CONFIG.INDEX_SIZE)), ttl * 1000);
+      }
+    },
+  };
+}
+
+let cache = null;
+
+/**
+ * Get the configured response cache
+ * @returns {Object} - Response cache
+ */
+function getResponseCache() {
+  if (!cache) {
+    const name = (process.env.RESPONSE_CACHE || 'memory').toLowerCase();
+    const factory = BACKEND_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown response cache "${name}". Use one of: ${Object.keys(BACKEND_FACTORIES).join(', ')}.`);
+    }
+    cache = createResponseCache({ backend: factory() });
+  }
+  return cache;
+}
+
+/**
+ * Replace the response cache (e.g. with one over a test Redis)
+ * @param {Object} responseCache - Response cache
+ */
+function setResponseCache(responseCache) {
+  cache = responseCache;
+}
+
+export {
+  createMemoryCacheBackend,
+  createRedisCacheBackend,
+  createResponseCache,
+  getResponseCache,
+  normalizeQuestion,
+  RESPONSE_CACHE_CONFIG,
+  setResponseCache,
+};
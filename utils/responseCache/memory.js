@@ -0,0 +1,43 @@
+/**
+ * In-memory response cache backend
+ * Caches only what this instance answered; use the Redis backend when several instances serve
+ * traffic (e.g. Vercel). The least recently used entry is evicted once the cache is full.
+ */
+
+/**
+ * Creates the memory response cache backend
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Entries kept (defaults to RESPONSE_CACHE_MAX_ENTRIES or 1000)
+ * @returns {Object} - Response cache backend
+ */
+export function createMemoryCacheBackend(options = {}) {
+  const maxEntries = options.maxEntries || parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '1000');
+  // key -> { value, expiresAt }, in order of last use
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      // Re-insert so the Map's order tracks recency
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttl) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Redis response cache backend
+ * Shares cached answers between instances through Redis (REDIS_URL) or Vercel KV / Upstash
+ * (KV_REST_API_URL / KV_REST_API_TOKEN). Redis expires entries itself.
+ */
+
+import { createRedisClient } from '../redisClient.js';
+
+/**
+ * Creates the Redis response cache backend
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Redis client (see utils/redisClient.js), from the environment by default
+ * @param {string} [options.prefix] - Key prefix (defaults to RESPONSE_CACHE_PREFIX or "portfolio-chatbot:cache:")
+ * @returns {Object} - Response cache backend
+ */
+export function createRedisCacheBackend(options = {}) {
+  const client = options.client || createRedisClient();
+  const prefix = options.prefix ?? process.env.RESPONSE_CACHE_PREFIX ?? 'portfolio-chatbot:cache:';
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      return (await client.command('GET', `${prefix}${key}`)) ?? null;
+    },
+
+    async set(key, value, ttl) {
+      await client.command('SET', `${prefix}${key}`, value, 'PX', ttl);
+    },
+  };
+}
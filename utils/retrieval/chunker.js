@@ -0,0 +1,112 @@
+/**
+ * Splits the knowledge base and the CV into retrievable chunks
+ * Every chunk is { id, type, text, ... } where type is "knowledge_base" or "cv".
+ */
+
+import { pageForOffset } from '../cvParser.js';
+
+// Target CV chunk size in characters
+const CV_CHUNK_SIZE = parseInt(process.env.RETRIEVAL_CHUNK_SIZE || '400');
+
+/**
+ * One chunk per knowledge base item
+ * The question and keywords are included so paraphrased questions still land on the item.
+ * @param {Array<Object>} items - knowledge.json items
+ * @returns {Array<Object>}
+ */
+function chunkKnowledgeBase(items) {
+  return items.map(item => ({
+    id: `kb:${item.id}`,
+    type: 'knowledge_base',
+    itemId: item.id,
+    question: item.question,
+    text: [item.question, (item.keywords || []).join(', '), item.answer].filter(Boolean).join('\n'),
+    answer: item.answer,
+  }));
+}
+
+/**
+ * Check whether a CV line looks like a section heading (e.g. "WORK EXPERIENCE")
+ * @param {string} line - Trimmed line
+ * @returns {boolean}
+ */
+function isHeading(line) {
+  return line.length > 3 && line.length < 40 && /[A-Z]/.test(line) && line === line.toUpperCase() && !/[@:/]/.test(line);
+}
+
+/**
+ * Split the CV text into overlapping line-based chunks of roughly CV_CHUNK_SIZE characters
+ * Each chunk records its character offsets in the CV text, the page it starts on
+ * and the nearest preceding heading.
+ * @param {string} cvText - Text extracted from the CV
+ * @param {Array<Object>} [pages] - Page offsets from utils/cvParser.js
+ * @returns {Array<Object>}
+ */
+function chunkCV(cvText, pages = []) {
+  if (!cvText) {
+    return [];
+  }
+
+  // Collect non-empty lines with their offsets
+  const lines = [];
+  let offset = 0;
+  for (const raw of cvText.split('\n')) {
+    const text = raw.trim();
+    if (text) {
+      const start = cvText.indexOf(text, offset);
+      lines.push({ text, start, end: start + text.length });
+    }
+    offset += raw.length + 1;
+  }
+
+  const chunks = [];
+  let section = null;
+  let current = [];
+  let currentSection = null;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push({
+      id: `cv:${chunks.length}`,
+      type: 'cv',
+      section: currentSection,
+      page: pageForOffset(pages, current[0].start),
+      start: current[0].start,
+      end: current[current.length - 1].end,
+      text: current.map(line => line.text).join('\n'),
+    });
+  };
+
+  for (const line of lines) {
+    if (isHeading(line.text)) {
+      // Start a fresh chunk at each heading
+      flush();
+      current = [];
+      section = line.text;
+      currentSection = section;
+      continue;
+    }
+
+    if (current.length === 0) {
+      currentSection = section;
+    }
+    current.push(line);
+
+    const size = current.reduce((total, l) => total + l.text.length + 1, 0);
+    if (size >= CV_CHUNK_SIZE) {
+      flush();
+      // Keep the last line as overlap so sentences split across chunks stay findable
+      current = [current[current.length - 1]];
+    }
+  }
+
+  // Avoid emitting a chunk that is only the overlap line of the previous one
+  const last = chunks[chunks.length - 1];
+  if (!(current.length === 1 && last && last.end === current[0].end)) {
+    flush();
+  }
+
+  return chunks;
+}
+
+export { chunkCV, chunkKnowledgeBase };
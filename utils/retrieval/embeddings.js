@@ -0,0 +1,195 @@
+/**
+ * Embedding backends
+ * Every backend is { name, fit(texts), embed(texts) } where embed resolves to one vector per text.
+ * Select with EMBEDDING_BACKEND: "local" (default, offline), "gemini" or "openai".
+ * Remote backends give up after EMBEDDING_TIMEOUT ms (default 10000), so the retriever can
+ * fall back to local embeddings instead of hanging.
+ */
+
+import { tokenize } from './text.js';
+
+// Dimensions of the local hashed vectors
+const LOCAL_DIMENSIONS = 1024;
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} value
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hash(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Scale a vector to unit length so dot product equals cosine similarity
+ * @param {Array<number>} vector
+ * @returns {Array<number>}
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length > 0 ? vector.map(v => v / length) : vector;
+}
+
+/**
+ * Features for the local backend: stemmed words, word bigrams and character trigrams
+ * Trigrams let related word forms ("develop", "developer", "development") overlap.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function localFeatures(text) {
+  const words = tokenize(text);
+  const features = [...words];
+  for (let i = 0; i < words.length - 1; i++) {
+    features.push(`${words[i]} ${words[i + 1]}`);
+  }
+  for (const word of words) {
+    const padded = `#${word}#`;
+    for (let i = 0; i < padded.length - 2; i++) {
+      features.push(`~${padded.slice(i, i + 3)}`);
+    }
+  }
+  return features;
+}
+
+/**
+ * Local embedding backend: TF-IDF weighted feature hashing
+ * Runs fully offline; IDF weights are learned from the indexed corpus by fit().
+ * @returns {Object} - Embedding backend
+ */
+function createLocalBackend() {
+  let idf = new Map();
+  let defaultIdf = 1;
+
+  return {
+    name: 'local',
+
+    fit(texts) {
+      const documentFrequency = new Map();
+      for (const text of texts) {
+        for (const feature of new Set(localFeatures(text))) {
+          documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+        }
+      }
+      idf = new Map();
+      for (const [feature, df] of documentFrequency) {
+        idf.set(feature, Math.log((texts.length + 1) / (df + 1)) + 1);
+      }
+      // Features never seen in the corpus carry no shared signal
+      defaultIdf = Math.log(texts.length + 1) + 1;
+    },
+
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+        for (const feature of localFeatures(text)) {
+          // Trigrams get a lower weight than whole words
+          const weight = (idf.get(feature) || defaultIdf) * (feature.startsWith('~') ? 0.15 : 1);
+          const h = hash(feature);
+          // The sign bit spreads collisions instead of letting them pile up
+          vector[h % LOCAL_DIMENSIONS] += (h & 0x80000000) ? -weight : weight;
+        }
+        return normalize(vector);
+      });
+    },
+  };
+}
+
+/**
+ * Gemini embedding backend (batchEmbedContents)
+ * @returns {Object} - Embedding backend
+ */
+function createGeminiBackend() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  const baseUrl = (process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com').replace(/\/$/, '');
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-004';
+  const timeout = parseInt(process.env.EMBEDDING_TIMEOUT || '10000');
+
+  return {
+    name: 'gemini',
+
+    fit() {},
+
+    async embed(texts) {
+      const response = await fetch(`${baseUrl}/v1beta/models/${model}:batchEmbedContents?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requests: texts.map(text => ({
+            model: `models/${model}`,
+            content: { parts: [{ text }] },
+          })),
+        }),
+        signal: AbortSignal.timeout(timeout),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Gemini embedding error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.embeddings.map(embedding => normalize(embedding.values));
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible embedding backend (/v1/embeddings)
+ * @returns {Object} - Embedding backend
+ */
+function createOpenAIBackend() {
+  const apiKey = process.env.OPENAI_API_KEY;
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+  const timeout = parseInt(process.env.EMBEDDING_TIMEOUT || '10000');
+
+  return {
+    name: 'openai',
+
+    fit() {},
+
+    async embed(texts) {
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, input: texts }),
+        signal: AbortSignal.timeout(timeout),
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI embedding error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.data.map(item => normalize(item.embedding));
+    },
+  };
+}
+
+const BACKEND_FACTORIES = {
+  local: createLocalBackend,
+  gemini: createGeminiBackend,
+  openai: createOpenAIBackend,
+};
+
+/**
+ * Create the embedding backend named by EMBEDDING_BACKEND (default "local")
+ * @param {string} [name] - Backend name override
+ * @returns {Object} - Embedding backend
+ */
+function createEmbeddingBackend(name = process.env.EMBEDDING_BACKEND || 'local') {
+  const factory = BACKEND_FACTORIES[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown embedding backend "${name}". Use one of: ${Object.keys(BACKEND_FACTORIES).join(', ')}.`);
+  }
+  return factory();
+}
+
+export { createEmbeddingBackend, createLocalBackend };
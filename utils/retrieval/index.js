@@ -0,0 +1,79 @@
+/**
+ * Retrieval over the knowledge base and the CV
+ * Chunks both sources, embeds them with the configured backend and answers
+ * queries with the top-k chunks and their similarity scores.
+ */
+
+import { chunkCV, chunkKnowledgeBase } from './chunker.js';
+import { createEmbeddingBackend, createLocalBackend } from './embeddings.js';
+import { createVectorIndex } from './vectorIndex.js';
+import { logger } from '../logger.js';
+
+/**
+ * Retrieval configuration
+ * Scores are cosine similarities; tune the thresholds when switching embedding backend.
+ */
+const RETRIEVAL_CONFIG = {
+  // Chunks passed to the LLM as context
+  TOP_K: parseInt(process.env.RETRIEVAL_TOP_K || '6'),
+
+  // Chunks scoring below this are never used
+  MIN_SCORE: parseFloat(process.env.RETRIEVAL_MIN_SCORE || '0.08'),
+
+  // A knowledge base chunk scoring at least this answers directly, without the LLM
+  KB_THRESHOLD: parseFloat(process.env.RETRIEVAL_KB_THRESHOLD || '0.3'),
+};
+
+/**
+ * Build a retriever over the knowledge base items and CV text
+ * Falls back to the local backend if the configured one fails (e.g. no network).
+ * @param {Object} sources
+ * @param {Array<Object>} sources.knowledgeItems - knowledge.json items
+ * @param {string} sources.cvText - Text extracted from the CV
+ * @param {Array<Object>} [sources.cvPages] - Page offsets of the CV text
+ * @param {Object} [sources.backend] - Embedding backend override
+ * @returns {Promise<Object>} - { backend, size, search(query, options) }
+ */
+async function createRetriever({ knowledgeItems, cvText, cvPages = [], backend = createEmbeddingBackend() }) {
+  const chunks = [...chunkKnowledgeBase(knowledgeItems), ...chunkCV(cvText, cvPages)];
+  const texts = chunks.map(chunk => chunk.text);
+
+  let vectors;
+  try {
+    backend.fit(texts);
+    vectors = chunks.length > 0 ? await backend.embed(texts) : [];
+  } catch (error) {
+    logger.error(`Embedding backend "${backend.name}" failed, falling back to local embeddings`, { error });
+    backend = createLocalBackend();
+    backend.fit(texts);
+    vectors = await backend.embed(texts);
+  }
+
+  const index = createVectorIndex();
+  index.add(chunks, vectors);
+  logger.info('Retrieval index built', { 'retrieval.chunks': index.size(), 'retrieval.embeddings': backend.name });
+
+  return {
+    backend: backend.name,
+    size: index.size(),
+
+    /**
+     * Find the chunks most relevant to a query
+     * @param {string} query - User question (optionally with recent conversation context)
+     * @param {Object} [options]
+     * @param {number} [options.k] - Number of results (default RETRIEVAL_TOP_K)
+     * @param {string} [options.type] - Restrict to "knowledge_base" or "cv" chunks
+     * @returns {Promise<Array<Object>>} - [{ chunk, score }] sorted by descending score
+     */
+    async search(query, { k = RETRIEVAL_CONFIG.TOP_K, type = null } = {}) {
+      if (index.size() === 0) {
+        return [];
+      }
+      const [vector] = await backend.embed([query]);
+      const filter = type ? chunk => chunk.type === type : null;
+      return index.search(vector, k, filter).filter(hit => hit.score >= RETRIEVAL_CONFIG.MIN_SCORE);
+    },
+  };
+}
+
+export { createRetriever, RETRIEVAL_CONFIG };
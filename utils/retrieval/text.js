@@ -0,0 +1,37 @@
+/**
+ * Text normalization shared by the chunker and the local embedding backend
+ */
+
+const STOP_WORDS = new Set([
+  'the', 'is', 'at', 'which', 'on', 'a', 'an', 'as', 'are', 'was', 'were', 'been', 'be', 'have', 'has', 'had',
+  'do', 'does', 'did', 'will', 'would', 'should', 'could', 'may', 'might', 'must', 'can', 'this', 'that',
+  'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'what', 'where', 'when', 'why', 'how',
+  'about', 'tell', 'me', 'my', 'your', 'yours', 'and', 'or', 'of', 'to', 'in', 'for', 'with', 'from', 'by',
+  'any', 'some', 'there', 'their', 'them', 'so', 'if', 'into', 'also', 'please', 'much', 'many',
+]);
+
+/**
+ * Light suffix stripping so "projects", "projected" and "projecting" share a stem
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|ed|es|s)$/, '')
+    .replace(/(ation|ment)$/, '');
+}
+
+/**
+ * Split text into normalized search terms (lowercase, stop words removed, stemmed)
+ * @param {string} text - Raw text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+export { STOP_WORDS, stem, tokenize };
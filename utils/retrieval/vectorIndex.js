@@ -0,0 +1,48 @@
+/**
+ * In-memory vector index with brute-force cosine search
+ * The corpus (knowledge base + one CV) is small, so a linear scan is fast enough.
+ */
+
+/**
+ * Create an empty vector index
+ * Vectors are expected to be unit length, so the dot product is the cosine similarity.
+ * @returns {Object} - { add, search, size }
+ */
+function createVectorIndex() {
+  const entries = [];
+
+  return {
+    /**
+     * Add chunks with their vectors
+     * @param {Array<Object>} chunks
+     * @param {Array<Array<number>>} vectors - One vector per chunk
+     */
+    add(chunks, vectors) {
+      chunks.forEach((chunk, i) => entries.push({ chunk, vector: vectors[i] }));
+    },
+
+    /**
+     * Find the chunks most similar to a query vector
+     * @param {Array<number>} vector - Query vector
+     * @param {number} k - Number of results
+     * @param {Function} [filter] - Optional chunk predicate
+     * @returns {Array<Object>} - [{ chunk, score }] sorted by descending score
+     */
+    search(vector, k, filter = null) {
+      return entries
+        .filter(entry => !filter || filter(entry.chunk))
+        .map(entry => ({
+          chunk: entry.chunk,
+          score: entry.vector.reduce((sum, v, i) => sum + v * vector[i], 0),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    },
+
+    size() {
+      return entries.length;
+    },
+  };
+}
+
+export { createVectorIndex };
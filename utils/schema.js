@@ -0,0 +1,173 @@
+/**
+ * Minimal JSON Schema validator
+ * Covers the keywords the OpenAPI document uses (see utils/openapi.js): type (including
+ * "null" and type lists), enum, const, string length and pattern, numeric bounds, items,
+ * array length, properties, required, additionalProperties, allOf, anyOf, oneOf and local
+ * $ref ("#/components/schemas/..."). Other keywords, such as format, are not checked.
+ * Messages read like the knowledge base validation, e.g. '"history[0].role" must be one of: user, assistant.'
+ */
+
+/**
+ * Describe a JSON type with its article, e.g. "an object"
+ * @param {string} type
+ * @returns {string}
+ */
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * JSON type of a value
+ * @param {*} value
+ * @returns {string} - "null", "array", "integer", "number", "string", "boolean" or "object"
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the schema's types
+ * @param {*} value
+ * @param {Array<string>} types
+ * @returns {boolean}
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Resolve a local $ref against the root document
+ * @param {Object} root - Document holding the referenced schemas
+ * @param {string} ref - e.g. "#/components/schemas/ChatRequest"
+ * @returns {Object}
+ */
+function resolveRef(root, ref) {
+  const schema = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+  if (!schema) {
+    throw new Error(`Unresolved schema reference ${ref}`);
+  }
+  return schema;
+}
+
+/**
+ * Append a property or index to a path, e.g. history[0].role
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {Object} [options]
+ * @param {Object} [options.root] - Document for resolving $ref (defaults to the schema)
+ * @param {string} [options.path] - Name of the value in messages (defaults to "body")
+ * @returns {Array<string>} - Error messages, empty when the value is valid
+ */
+function validateSchema(value, schema, { root = schema, path = '' } = {}) {
+  const errors = [];
+  const name = `"${path || 'body'}"`;
+
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(root, schema.$ref), { root, path });
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!matchesType(value, types)) {
+      return [`${name} must be ${types.map(describeType).join(' or ')}.`];
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${name} must be ${JSON.stringify(schema.const)}.`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of: ${schema.enum.map(option => String(option)).join(', ')}.`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    const tooShort = schema.minLength !== undefined && length < schema.minLength;
+    if (tooShort) {
+      errors.push(schema.minLength === 1 ? `${name} must not be empty.` : `${name} must be at least ${schema.minLength} characters.`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters.`);
+    }
+    // A string that is too short says enough; "must not be empty" beats "must not be blank"
+    if (schema.pattern && !tooShort && !new RegExp(schema.pattern, 'u').test(value)) {
+      // "x-patternMessage" explains the pattern in words, e.g. "must not be blank"
+      errors.push(`${name} ${schema['x-patternMessage'] || 'has an invalid format'}.`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}.`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${name} must be at most ${schema.maximum}.`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${name} must have at least ${schema.minItems} item(s).`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} item(s).`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, { root, path: childPath(path, i) })));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`"${childPath(path, key)}" is required.`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], { root, path: childPath(path, key) }));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`"${childPath(path, key)}" is not allowed.`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, { root, path: childPath(path, key) }));
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(value, subschema, { root, path }));
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const results = options.map(option => validateSchema(value, option, { root, path }));
+    const passing = results.filter(result => result.length === 0).length;
+    if (passing === 0) {
+      // The closest option explains the failure best
+      errors.push(...results.reduce((best, result) => (result.length < best.length ? result : best)));
+    } else if (schema.oneOf && passing > 1) {
+      errors.push(`${name} matches more than one allowed shape.`);
+    }
+  }
+
+  return errors;
+}
+
+export { validateSchema };
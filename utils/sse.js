@@ -0,0 +1,97 @@
+/**
+ * Server-Sent Events helpers
+ * Used to stream chat replies to clients and to read streamed responses from upstream APIs.
+ */
+
+/**
+ * Check whether the client asked for a streamed response
+ * Streaming is requested with `Accept: text/event-stream` or `?stream=1`.
+ * @param {Object} req - Incoming request
+ * @returns {boolean}
+ */
+function wantsEventStream(req) {
+  const accept = req.headers?.['accept'] || '';
+  const stream = req.query?.stream;
+  return accept.includes('text/event-stream') || stream === '1' || stream === 'true';
+}
+
+/**
+ * Send SSE headers and flush them so the client starts receiving events
+ * Safe to call more than once.
+ * @param {Object} res - Outgoing response
+ */
+function startEventStream(res) {
+  if (res.eventStreamStarted) {
+    return;
+  }
+  res.eventStreamStarted = true;
+
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx and friends) so tokens arrive as they are produced
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+  if (typeof res.flushHeaders === 'function') {
+    res.flushHeaders();
+  }
+}
+
+/**
+ * Write a single SSE event
+ * @param {Object} res - Outgoing response (stream must already be started)
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Join the `data:` lines of a raw SSE event
+ * @param {string} rawEvent - Event text without the trailing blank line
+ * @returns {string}
+ */
+function extractEventData(rawEvent) {
+  return rawEvent
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''))
+    .join('\n');
+}
+
+/**
+ * Parse an SSE response body into its `data` payloads
+ * @param {ReadableStream} body - Response body from fetch
+ * @param {Function} [onChunk] - Called whenever bytes arrive (e.g. to reset an idle timer)
+ * @returns {AsyncGenerator<string>} - Raw `data` payloads, one per event
+ */
+async function* parseEventStream(body, onChunk = null) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    if (onChunk) onChunk();
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = extractEventData(rawEvent);
+      if (data) {
+        yield data;
+      }
+    }
+  }
+
+  // Flush a trailing event that was not followed by a blank line
+  const data = extractEventData(buffer);
+  if (data) {
+    yield data;
+  }
+}
+
+export { parseEventStream, sendEvent, startEventStream, wantsEventStream };
@@ -0,0 +1,60 @@
+/**
+ * Local file storage adapter
+ * Keys map to files under STORAGE_DIR (default: the project root), so the default
+ * "knowledge.json" key reads and writes the bundled knowledge base in place.
+ * Serverless file systems are read-only or ephemeral — use the KV adapter in production.
+ */
+
+import { mkdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'path';
+
+/**
+ * Creates the file storage adapter
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Base directory (defaults to STORAGE_DIR or process.cwd())
+ * @returns {Object} - Storage adapter
+ */
+export function createFileStorage(options = {}) {
+  const baseDir = resolve(options.dir || process.env.STORAGE_DIR || process.cwd());
+
+  const pathFor = (key) => {
+    const path = join(baseDir, key);
+    // Refuse keys that escape the base directory, including into a sibling that shares its
+    // name as a prefix ("../../etc/passwd", "../tree-other/x")
+    const inside = relative(baseDir, path);
+    if (!inside || inside === '..' || inside.startsWith(`..${sep}`) || isAbsolute(inside)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path;
+  };
+
+  return {
+    name: 'file',
+
+    async read(key) {
+      try {
+        return await readFile(pathFor(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async write(key, value) {
+      const path = pathFor(key);
+      await mkdir(dirname(path), { recursive: true });
+      // Write to a temp file first so readers never see a half-written file
+      const tempPath = `${path}.${process.pid}.tmp`;
+      await writeFile(tempPath, value, 'utf8');
+      await rename(tempPath, path);
+    },
+
+    async remove(key) {
+      try {
+        await unlink(pathFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+  };
+}
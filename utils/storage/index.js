@@ -0,0 +1,43 @@
+/**
+ * Storage adapters for data edited at runtime (knowledge base, etc.)
+ * Every adapter implements read(key), write(key, value) and remove(key) with string values.
+ * Select with STORAGE_ADAPTER: "file" (default), "kv" or "memory".
+ */
+
+import { createFileStorage } from './file.js';
+import { createKVStorage } from './kv.js';
+import { createMemoryStorage } from './memory.js';
+
+const ADAPTER_FACTORIES = {
+  file: createFileStorage,
+  kv: createKVStorage,
+  memory: createMemoryStorage,
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} - Storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    const name = (process.env.STORAGE_ADAPTER || 'file').toLowerCase();
+    const factory = ADAPTER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown storage adapter "${name}". Use one of: ${Object.keys(ADAPTER_FACTORIES).join(', ')}.`);
+    }
+    storage = factory();
+  }
+  return storage;
+}
+
+/**
+ * Replace the storage adapter (e.g. with a memory adapter in tests)
+ * @param {Object} adapter - Storage adapter
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+export { createFileStorage, createKVStorage, createMemoryStorage, getStorage, setStorage };
@@ -0,0 +1,60 @@
+/**
+ * Key-value storage adapter for Redis-compatible REST APIs
+ * Works with Vercel KV and Upstash Redis (KV_REST_API_URL / KV_REST_API_TOKEN).
+ */
+
+/**
+ * Creates the KV storage adapter
+ * @param {Object} [options]
+ * @param {string} [options.url] - REST endpoint (defaults to KV_REST_API_URL)
+ * @param {string} [options.token] - Bearer token (defaults to KV_REST_API_TOKEN)
+ * @param {string} [options.prefix] - Key prefix (defaults to KV_PREFIX or "portfolio-chatbot:")
+ * @param {number} [options.timeout] - Time limit in ms per command (defaults to KV_TIMEOUT or 5000)
+ * @returns {Object} - Storage adapter
+ */
+export function createKVStorage(options = {}) {
+  const url = (options.url || process.env.KV_REST_API_URL || '').replace(/\/$/, '');
+  const token = options.token || process.env.KV_REST_API_TOKEN;
+  const prefix = options.prefix ?? process.env.KV_PREFIX ?? 'portfolio-chatbot:';
+  const timeout = options.timeout || parseInt(process.env.KV_TIMEOUT || '5000');
+
+  if (!url || !token) {
+    throw new Error('KV storage requires KV_REST_API_URL and KV_REST_API_TOKEN');
+  }
+
+  // Commands are sent as a JSON array, e.g. ["GET", "key"]
+  const command = async (...args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(timeout),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`KV storage error: ${response.status} ${data.error || ''}`.trim());
+    }
+    return data.result;
+  };
+
+  return {
+    name: 'kv',
+
+    async read(key) {
+      const value = await command('GET', `${prefix}${key}`);
+      return value ?? null;
+    },
+
+    async write(key, value) {
+      await command('SET', `${prefix}${key}`, value);
+    },
+
+    async remove(key) {
+      await command('DEL', `${prefix}${key}`);
+    },
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * In-memory storage adapter
+ * Nothing survives a restart; useful for tests and read-only deployments.
+ */
+
+/**
+ * Creates the memory storage adapter
+ * @returns {Object} - Storage adapter
+ */
+export function createMemoryStorage() {
+  const values = new Map();
+
+  return {
+    name: 'memory',
+
+    async read(key) {
+      return values.has(key) ? values.get(key) : null;
+    },
+
+    async write(key, value) {
+      values.set(key, value);
+    },
+
+    async remove(key) {
+      values.delete(key);
+    },
+  };
+}
@@ -0,0 +1,296 @@
+/**
+ * Tenants
+ * One deployment can host chatbots for several people. Each tenant has its own name and
+ * aliases, contact details, knowledge file, CV, allowed origins and persona prompt, and is
+ * selected per request by path (/api/chat/:tenant), API key or Origin.
+ *
+ * Tenants are read from tenants.json (TENANTS_FILE). Without that file a single "default"
+ * tenant is configured from environment variables.
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { createCVStore, CV_CONFIG } from './cvStore.js';
+import { getProfile } from './cvProfile.js';
+import { createKnowledgeStore } from './knowledgeBase.js';
+import { validatePrivacy } from './privacy.js';
+import { logger } from './logger.js';
+
+const TENANTS_FILE = process.env.TENANTS_FILE || 'tenants.json';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const TENANT_FIELDS = [
+  'id', 'name', 'aliases', 'pronouns', 'contact', 'knowledgeFile', 'cvFile',
+  'allowedOrigins', 'personaPrompt', 'apiKeys', 'requireApiKey', 'rateLimit', 'privacy',
+];
+
+/**
+ * Split a comma-separated env var into a list
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse "he/him/his" style pronouns
+ * @param {string} value
+ * @returns {Object} - { subject, object, possessive }
+ */
+function parsePronouns(value) {
+  const [subject, object, possessive] = (value || 'they/them/their').split('/').map(part => part.trim());
+  return { subject, object: object || subject, possessive: possessive || object || subject };
+}
+
+/**
+ * Validate a tenant entry from tenants.json
+ * @param {Object} tenant
+ * @returns {Array<string>} - Error messages (empty if valid)
+ */
+function validateTenant(tenant) {
+  if (!tenant || typeof tenant !== 'object') {
+    return ['Tenant must be an object.'];
+  }
+  const errors = [];
+  const unknownFields = Object.keys(tenant).filter(field => !TENANT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown field(s): ${unknownFields.join(', ')}.`);
+  }
+  if (typeof tenant.id !== 'string' || !TENANT_ID_PATTERN.test(tenant.id)) {
+    errors.push('"id" must be 1-40 lowercase letters, digits or "-".');
+  }
+  for (const field of ['aliases', 'allowedOrigins', 'apiKeys']) {
+    if (tenant[field] !== undefined && (!Array.isArray(tenant[field]) || tenant[field].some(entry => typeof entry !== 'string'))) {
+      errors.push(`"${field}" must be an array of strings.`);
+    }
+  }
+  if (tenant.apiKeys?.some(hash => !/^[a-f0-9]{64}$/i.test(hash))) {
+    errors.push('"apiKeys" must contain SHA-256 hashes (64 hex characters), not raw keys.');
+  }
+  errors.push(...validatePrivacy(tenant.privacy));
+  if (tenant.requireApiKey !== undefined && typeof tenant.requireApiKey !== 'boolean') {
+    errors.push('"requireApiKey" must be true or false.');
+  }
+  return errors;
+}
+
+/**
+ * Fill in defaults for a tenant
+ * @param {Object} tenant - Tenant entry
+ * @param {boolean} isDefault - Whether this is the default tenant
+ * @returns {Object}
+ */
+function normalizeTenant(tenant, isDefault) {
+  const knowledgeFile = tenant.knowledgeFile || 'knowledge.json';
+  return {
+    id: tenant.id,
+    name: tenant.name || null,
+    aliases: tenant.aliases || [],
+    pronouns: parsePronouns(tenant.pronouns),
+    contact: tenant.contact || {},
+    knowledgeFile,
+    cvFile: tenant.cvFile || CV_CONFIG.FILE,
+    // ALLOWED_ORIGIN adds one more origin to the default tenant
+    allowedOrigins: [
+      ...(tenant.allowedOrigins || []),
+      ...(isDefault && process.env.ALLOWED_ORIGIN ? [process.env.ALLOWED_ORIGIN] : []),
+    ],
+    personaPrompt: tenant.personaPrompt || null,
+    apiKeys: (tenant.apiKeys || []).map(hash => hash.toLowerCase()),
+    // Reject chat requests without an API key
+    requireApiKey: tenant.requireApiKey ?? process.env.REQUIRE_API_KEY === 'true',
+    rateLimit: tenant.rateLimit || {},
+    // Disclosure levels on top of PRIVACY_POLICY / PRIVACY_UNLOCK (see utils/privacy.js)
+    privacy: tenant.privacy || {},
+    // The default tenant keeps the storage keys used before tenants existed
+    knowledgeStorageKey: isDefault ? (process.env.KNOWLEDGE_STORAGE_KEY || knowledgeFile) : knowledgeFile,
+    cvStoragePrefix: isDefault ? CV_CONFIG.STORAGE_PREFIX : `${CV_CONFIG.STORAGE_PREFIX}${tenant.id}/`,
+  };
+}
+
+/**
+ * Load tenants from TENANTS_FILE, or build the default tenant from env vars
+ * Invalid tenants are logged and skipped.
+ * @returns {Object} - { tenants: Map, defaultTenantId }
+ */
+function loadTenants() {
+  let config = null;
+  try {
+    config = JSON.parse(readFileSync(resolve(process.cwd(), TENANTS_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error loading ${TENANTS_FILE}, using the default tenant`, { error });
+    }
+  }
+
+  const entries = Array.isArray(config?.tenants) ? config.tenants : [];
+  const tenants = new Map();
+  const defaultTenantId = config?.defaultTenant || entries[0]?.id;
+
+  for (const entry of entries) {
+    const errors = validateTenant(entry);
+    if (tenants.has(entry?.id)) {
+      errors.push(`Duplicate tenant id "${entry.id}".`);
+    }
+    if (errors.length > 0) {
+      logger.error(`Skipping invalid tenant "${entry?.id}"`, { errors });
+      continue;
+    }
+    tenants.set(entry.id, normalizeTenant(entry, entry.id === defaultTenantId));
+  }
+
+  if (tenants.size === 0) {
+    tenants.set('default', normalizeTenant({
+      id: 'default',
+      name: process.env.PROFILE_NAME,
+      aliases: splitList(process.env.PROFILE_ALIASES),
+      pronouns: process.env.PROFILE_PRONOUNS,
+      allowedOrigins: splitList(process.env.ALLOWED_ORIGINS),
+      personaPrompt: process.env.PERSONA_PROMPT,
+    }, true));
+    return { tenants, defaultTenantId: 'default' };
+  }
+
+  return { tenants, defaultTenantId: tenants.has(defaultTenantId) ? defaultTenantId : tenants.keys().next().value };
+}
+
+const { tenants, defaultTenantId } = loadTenants();
+
+// Knowledge base and CV stores, created per tenant on first use
+const tenantStores = new Map();
+
+/**
+ * Get a tenant by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getTenant(id) {
+  return tenants.get(id) || null;
+}
+
+/**
+ * Get the tenant used when a request doesn't select one
+ * @returns {Object}
+ */
+function getDefaultTenant() {
+  return tenants.get(defaultTenantId);
+}
+
+/**
+ * List all tenants
+ * @returns {Array<Object>}
+ */
+function listTenants() {
+  return [...tenants.values()];
+}
+
+/**
+ * Pick the tenant for a request
+ * Precedence: path or ?tenant= parameter, then the API key's tenant, then Origin, then the
+ * default tenant. An API key must belong to the tenant named in the path.
+ * @param {Object} req - Incoming request
+ * @param {Object} [apiKey] - Authenticated API key (see utils/apiKeys.js)
+ * @returns {Object} - { tenant } or { error, status }
+ */
+function resolveTenant(req, apiKey = null) {
+  const requestedId = req.query?.tenant;
+  const requested = requestedId ? getTenant(requestedId) : null;
+  if (requestedId && !requested) {
+    return { error: `Unknown tenant "${requestedId}".`, status: 404 };
+  }
+
+  if (apiKey) {
+    const keyTenant = getTenant(apiKey.tenant);
+    if (!keyTenant) {
+      return { error: 'Invalid API key.', status: 401 };
+    }
+    if (requested && requested.id !== keyTenant.id) {
+      return { error: `This API key is not valid for tenant "${requested.id}".`, status: 403 };
+    }
+    return { tenant: keyTenant };
+  }
+
+  if (requested) {
+    return { tenant: requested };
+  }
+
+  const origin = req.headers['origin'];
+  const byOrigin = origin && listTenants().find(tenant => tenant.allowedOrigins.includes(origin));
+  return { tenant: byOrigin || getDefaultTenant() };
+}
+
+/**
+ * Check whether a browser origin may call the API for a tenant
+ * @param {Object} tenant
+ * @param {string} origin
+ * @returns {boolean}
+ */
+function isOriginAllowed(tenant, origin) {
+  return tenant.allowedOrigins.includes(origin) ||
+    (process.env.NODE_ENV === 'development' && /^http:\/\/localhost(:\d+)?$/.test(origin || ''));
+}
+
+/**
+ * Get a tenant's knowledge base and CV stores, creating them on first use
+ * @param {Object} tenant
+ * @returns {Object} - { knowledge, cv }
+ */
+function getTenantStores(tenant) {
+  let stores = tenantStores.get(tenant.id);
+  if (!stores) {
+    stores = {
+      knowledge: createKnowledgeStore({ file: tenant.knowledgeFile, storageKey: tenant.knowledgeStorageKey }),
+      cv: createCVStore({ file: tenant.cvFile, storagePrefix: tenant.cvStoragePrefix }),
+    };
+    tenantStores.set(tenant.id, stores);
+  }
+  return stores;
+}
+
+/**
+ * Get a tenant's CV profile with its configured contact details applied
+ * @param {Object} tenant
+ * @returns {Promise<Object>} - JSON Resume profile
+ */
+async function getTenantProfile(tenant) {
+  const profile = await getProfile(getTenantStores(tenant).cv);
+  const { email, phone, url } = tenant.contact;
+  return {
+    ...profile,
+    basics: {
+      ...profile.basics,
+      name: tenant.name || profile.basics.name,
+      ...(email && { email }),
+      ...(phone && { phone }),
+      ...(url && { url }),
+    },
+  };
+}
+
+/**
+ * Names and pronouns to refer to a tenant by
+ * @param {Object} tenant
+ * @param {Object} profile - Tenant profile (see getTenantProfile)
+ * @returns {Object} - { fullName, shortName, aliases, pronouns }
+ */
+function getIdentity(tenant, profile) {
+  const fullName = tenant.name || profile.basics.name || 'the portfolio owner';
+  // First name that isn't an initial ("M Awais Asad" -> "Awais")
+  const shortName = tenant.aliases.find(alias => !alias.includes(' '))
+    || fullName.split(' ').find(part => part.replace('.', '').length > 1)
+    || fullName;
+  const aliases = [...new Set(tenant.aliases)].filter(alias => alias !== fullName);
+  return { fullName, shortName, aliases, pronouns: tenant.pronouns };
+}
+
+export {
+  getDefaultTenant,
+  getIdentity,
+  getTenant,
+  getTenantProfile,
+  getTenantStores,
+  isOriginAllowed,
+  listTenants,
+  resolveTenant,
+};